@@ -2,6 +2,15 @@
  * Web Audio API wrapper for generating calibrated pure tones
  * Handles frequency generation, amplitude control, and timing
  * Uses proper channel isolation for clinical-grade left/right ear separation
+ * Provides calibrated contralateral masking noise (narrowband, white, speech-shaped)
+ * Supports air- and bone-conduction output with separate reference levels
+ * Air conduction is calibrated per transducer profile (supra-aural, insert, circumaural)
+ * Per-ear calibration corrections come from saved calibration profiles (see CalibrationManager)
+ * Tone stimuli: steady, pulsed or warble, with linear or raised-cosine rise/fall ramps
+ * Stimuli are rendered by an AudioWorklet (StimulusProcessor) with sample-accurate onset reporting;
+ * the oscillator node graph is used where AudioWorklet is unavailable
+ * Speech audiometry: recorded word lists played as AudioBuffers, calibrated to each recording's reference tone
+ * Tracking tones (Békésy audiometry): a tone that plays until stopped while its level and frequency glide
  */
 export class AudioGenerator {
     constructor() {
@@ -11,16 +20,157 @@ export class AudioGenerator {
         this.leftChannelGain = null;
         this.rightChannelGain = null;
         this.currentTone = null;
-        this.calibrationData = new Map(); // Frequency -> dB correction
+        this.calibrationData = { left: new Map(), right: new Map() }; // Ear -> frequency -> dB correction
+        this.calibrationProfile = null; // Summary of the applied calibration profile
+        
+        // Contralateral masking noise (independent of the tone channel gains)
+        this.leftMaskingGain = null;
+        this.rightMaskingGain = null;
+        this.maskingNoise = null;
+        this.noiseBuffer = null;
+        this.MAX_MASKING_LEVEL = 110; // dB EM safety limit
+        
+        // AudioWorklet stimulus engine - reports the audio-clock onset/offset of every stimulus
+        this.stimulusNode = null;
+        this.stimulusProcessorUrl = new URL('./StimulusProcessor.js', import.meta.url).href;
+        this.workletContexts = new WeakSet(); // Contexts the processor module is loaded into
+        this.stimulusCounter = 0;
+        this.pendingStimuli = new Map(); // Tone id -> { resolve, timing }
+        this.lastStimulusTiming = null;
+        this.STIMULUS_SCHEDULE_AHEAD = 0.02; // s - the worklet receives the tone before its onset
+        this.WORKLET_NOISE_RMS = Math.sqrt(1 / 3); // RMS of the worklet's uniform white noise
         
         // Standard audiometric frequencies (Hz)
         this.testFrequencies = [125, 250, 500, 750, 1000, 1500, 2000, 3000, 4000, 6000, 8000];
         
-        // dB HL to dB SPL conversion (approximate)
-        this.hlToSplCorrection = new Map([
-            [125, 45], [250, 27], [500, 13.5], [750, 9], [1000, 7.5],
-            [1500, 7.5], [2000, 9], [3000, 11.5], [4000, 12], [6000, 16], [8000, 15.5]
+        // Earphone profiles: RETSPL (dB HL to dB SPL), rated maximum output and interaural attenuation
+        // RETSPL values per ANSI S3.6 / ISO 389 for each transducer's standard coupler
+        this.transducerProfiles = {
+            'supra-aural': {
+                id: 'supra-aural',
+                name: 'Supra-aural',
+                model: 'TDH-49/50',
+                standard: 'ANSI S3.6 (NBS-9A coupler)',
+                retspl: new Map([
+                    [125, 45], [250, 27], [500, 13.5], [750, 9], [1000, 7.5],
+                    [1500, 7.5], [2000, 9], [3000, 11.5], [4000, 12], [6000, 16], [8000, 15.5]
+                ]),
+                maxOutput: new Map([
+                    [125, 90], [250, 110], [500, 120], [750, 120], [1000, 120],
+                    [1500, 120], [2000, 120], [3000, 120], [4000, 120], [6000, 110], [8000, 100]
+                ]),
+                interauralAttenuation: new Map([
+                    [125, 40], [250, 40], [500, 40], [750, 40], [1000, 40],
+                    [1500, 40], [2000, 40], [3000, 40], [4000, 40], [6000, 40], [8000, 40]
+                ])
+            },
+            'insert': {
+                id: 'insert',
+                name: 'Insert',
+                model: 'ER-3A',
+                standard: 'ISO 389-2 (occluded ear simulator)',
+                retspl: new Map([
+                    [125, 28], [250, 17.5], [500, 9.5], [750, 6], [1000, 5.5],
+                    [1500, 9.5], [2000, 11.5], [3000, 13], [4000, 15], [6000, 16], [8000, 15.5]
+                ]),
+                maxOutput: new Map([
+                    [125, 90], [250, 105], [500, 110], [750, 115], [1000, 120],
+                    [1500, 120], [2000, 120], [3000, 120], [4000, 115], [6000, 100], [8000, 95]
+                ]),
+                // Deep insertion reduces bone-conducted crossover, most at low frequencies
+                interauralAttenuation: new Map([
+                    [125, 70], [250, 70], [500, 60], [750, 55], [1000, 55],
+                    [1500, 50], [2000, 50], [3000, 50], [4000, 50], [6000, 50], [8000, 50]
+                ])
+            },
+            'circumaural': {
+                id: 'circumaural',
+                name: 'Circumaural',
+                model: 'HDA 200',
+                standard: 'ISO 389-8',
+                retspl: new Map([
+                    [125, 30.5], [250, 18], [500, 11], [750, 6], [1000, 5.5],
+                    [1500, 5.5], [2000, 4.5], [3000, 2.5], [4000, 9.5], [6000, 17], [8000, 17.5]
+                ]),
+                maxOutput: new Map([
+                    [125, 80], [250, 100], [500, 110], [750, 110], [1000, 115],
+                    [1500, 115], [2000, 115], [3000, 115], [4000, 115], [6000, 105], [8000, 100]
+                ]),
+                interauralAttenuation: new Map([
+                    [125, 40], [250, 40], [500, 40], [750, 40], [1000, 40],
+                    [1500, 40], [2000, 40], [3000, 40], [4000, 40], [6000, 40], [8000, 40]
+                ])
+            }
+        };
+        
+        // Active earphone profile - hlToSplCorrection always points at its RETSPL table
+        this.transducer = this.transducerProfiles['supra-aural'];
+        this.hlToSplCorrection = this.transducer.retspl;
+        
+        // Output SPL of a full-scale (1.0) sine with the default system calibration
+        this.fullScaleSpl = 94;
+        
+        // Narrowband masker bandwidth in octaves, centred on each test frequency
+        // ANSI S3.6 permits 1/3 to 1/2 octave; wider bands used at low frequencies
+        this.narrowbandBandwidths = new Map([
+            [125, 1/2], [250, 1/2], [500, 1/3], [750, 1/3], [1000, 1/3],
+            [1500, 1/3], [2000, 1/3], [3000, 1/3], [4000, 1/3], [6000, 1/3], [8000, 1/3]
+        ]);
+        
+        // Narrowband effective masking correction (dB above tone RETSPL for 0 dB EM)
+        this.effectiveMaskingCorrection = new Map([
+            [125, 4], [250, 4], [500, 4], [750, 5], [1000, 6],
+            [1500, 6], [2000, 6], [3000, 6], [4000, 5], [6000, 5], [8000, 5]
+        ]);
+        
+        // Critical ratio bandwidths (Hz) used to calibrate broadband maskers per frequency
+        this.criticalBandwidths = new Map([
+            [125, 50], [250, 50], [500, 56], [750, 60], [1000, 63],
+            [1500, 90], [2000, 126], [3000, 200], [4000, 282], [6000, 450], [8000, 630]
+        ]);
+        
+        // Speech: 0 dB HL is 12.5 dB above the 1000 Hz RETSPL (ANSI S3.6)
+        // Also the 0 dB EM reference of speech-shaped noise
+        this.SPEECH_REFERENCE_OFFSET = 12.5;
+        
+        // Recorded speech materials, decoded once per AudioContext
+        this.speechMaterials = new Map(); // Material id -> { id, name, type, calibrationRms, lists }
+        this.currentSpeech = null;
+        
+        // Bone conduction: 'air' (earphones) or 'bone' (mastoid vibrator)
+        this.conductionMode = 'air';
+        
+        // Bone-conduction frequency range (Hz) - vibrators are unreliable outside 250-4000 Hz
+        this.boneFrequencies = [250, 500, 750, 1000, 1500, 2000, 3000, 4000];
+        
+        // Reference equivalent threshold force levels, mastoid placement
+        // (ISO 389-3 / ANSI S3.6, dB re 1 µN) - 0 dB HL for bone conduction
+        this.retflBone = new Map([
+            [250, 67], [500, 58], [750, 48.5], [1000, 42.5],
+            [1500, 36.5], [2000, 31], [3000, 30], [4000, 35.5]
         ]);
+        
+        // Force level (dB re 1 µN) produced by a full-scale (1.0) signal on the vibrator
+        this.boneFullScaleForceLevel = 115;
+        
+        // Tone stimulus: type, onset/offset envelope, pulse train and warble (FM) parameters
+        // ANSI S3.6 specifies 20-50 ms rise/fall times for tone switching
+        this.stimulusTypes = ['steady', 'pulsed', 'warble'];
+        this.rampShapes = ['linear', 'raised-cosine'];
+        this.stimulusSettings = {
+            type: 'steady',
+            rampShape: 'raised-cosine',
+            rampDuration: 25,               // ms, each of rise and fall
+            pulse: {
+                onDuration: 200,            // ms per pulse (including ramps)
+                offDuration: 200,           // ms silence between pulses
+                count: 3
+            },
+            warble: {
+                rate: 5,                    // Hz modulation rate
+                depth: 5                    // ± % of the carrier frequency
+            }
+        };
     }
 
     /**
@@ -45,6 +195,9 @@ export class AudioGenerator {
             // Create clinical-grade channel isolation system
             this.setupChannelIsolation();
             
+            // Sample-accurate stimulus rendering on the audio thread
+            await this.setupStimulusWorklet();
+            
             // AudioContext should be 'running' if created after user gesture
             if (this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
@@ -80,36 +233,118 @@ export class AudioGenerator {
      * This prevents any cross-talk between ears that could occur with StereoPannerNode
      */
     setupChannelIsolation() {
+        const graph = this.createChannelGraph(this.audioContext);
+        
+        this.masterGain = graph.masterGain;
+        this.leftChannelGain = graph.leftChannelGain;
+        this.rightChannelGain = graph.rightChannelGain;
+        this.channelMerger = graph.channelMerger;
+        this.leftMaskingGain = graph.leftMaskingGain;
+        this.rightMaskingGain = graph.rightMaskingGain;
+        
+        console.log('Channel isolation system configured:');
+        console.log('- Left channel: Complete isolation on channel 0');
+        console.log('- Right channel: Complete isolation on channel 1');
+        console.log('- Masking noise: Independent gain per channel');
+        console.log('- No cross-talk possible between ears');
+    }
+
+    /**
+     * Build the channel isolation graph on any audio context
+     * Shared by live playback and offline stimulus verification (StimulusVerifier)
+     * @param {BaseAudioContext} context - AudioContext or OfflineAudioContext
+     * @returns {Object} Gain, merger and masking nodes connected to context.destination
+     */
+    createChannelGraph(context) {
         // Create master gain for overall volume control
-        this.masterGain = this.audioContext.createGain();
-        this.masterGain.gain.value = 1.0; // Unity gain
+        const masterGain = context.createGain();
+        masterGain.gain.value = 1.0; // Unity gain
         
         // Create separate gain nodes for each ear
-        this.leftChannelGain = this.audioContext.createGain();
-        this.rightChannelGain = this.audioContext.createGain();
+        const leftChannelGain = context.createGain();
+        const rightChannelGain = context.createGain();
         
         // Create channel merger for true stereo separation
         // This ensures complete isolation between left and right channels
-        this.channelMerger = this.audioContext.createChannelMerger(2);
+        const channelMerger = context.createChannelMerger(2);
         
         // Connect left channel: leftGain -> merger channel 0 (left)
-        this.leftChannelGain.connect(this.channelMerger, 0, 0);
+        leftChannelGain.connect(channelMerger, 0, 0);
         
         // Connect right channel: rightGain -> merger channel 1 (right)
-        this.rightChannelGain.connect(this.channelMerger, 0, 1);
+        rightChannelGain.connect(channelMerger, 0, 1);
         
         // Connect merger to master gain to destination
-        this.channelMerger.connect(this.masterGain);
-        this.masterGain.connect(this.audioContext.destination);
+        channelMerger.connect(masterGain);
+        masterGain.connect(context.destination);
+        
+        // Dedicated masking gains share the merger inputs but not the tone gains,
+        // so routing a tone never silences the masker in the opposite ear
+        const leftMaskingGain = context.createGain();
+        const rightMaskingGain = context.createGain();
+        leftMaskingGain.connect(channelMerger, 0, 0);
+        rightMaskingGain.connect(channelMerger, 0, 1);
         
         // Initialize both channels to silent
-        this.leftChannelGain.gain.value = 0;
-        this.rightChannelGain.gain.value = 0;
+        leftChannelGain.gain.value = 0;
+        rightChannelGain.gain.value = 0;
+        leftMaskingGain.gain.value = 0;
+        rightMaskingGain.gain.value = 0;
         
-        console.log('Channel isolation system configured:');
-        console.log('- Left channel: Complete isolation on channel 0');
-        console.log('- Right channel: Complete isolation on channel 1');
-        console.log('- No cross-talk possible between ears');
+        return { masterGain, leftChannelGain, rightChannelGain, channelMerger, leftMaskingGain, rightMaskingGain };
+    }
+
+    /**
+     * Load the stimulus processor into the live context
+     * Falls back to the oscillator node graph if AudioWorklet is unavailable
+     */
+    async setupStimulusWorklet() {
+        try {
+            this.stimulusNode = await this.createStimulusNode(this.audioContext, this.masterGain);
+            this.stimulusNode.port.onmessage = (event) => this.handleStimulusEvent(event.data);
+            console.log('- Stimulus engine: AudioWorklet (sample-accurate onset reporting)');
+        } catch (error) {
+            this.stimulusNode = null;
+            console.warn(`⚠️ AudioWorklet unavailable (${error.message}) - using oscillator node graph`);
+        }
+    }
+
+    /**
+     * Create a stimulus processor node on any audio context
+     * Shared by live playback and offline stimulus verification (StimulusVerifier)
+     * @param {BaseAudioContext} context - AudioContext or OfflineAudioContext
+     * @param {AudioNode} destination - Node receiving the stereo output (channel 0 left, 1 right)
+     * @param {Object} options
+     * @param {Function} options.WorkletNode - AudioWorkletNode constructor
+     * @param {Array<Object>} options.messages - Commands scheduled before the first render quantum
+     * @returns {Promise<AudioWorkletNode>} Connected processor node
+     */
+    async createStimulusNode(context, destination, { WorkletNode = globalThis.AudioWorkletNode, messages = [] } = {}) {
+        if (!context.audioWorklet || !WorkletNode) {
+            throw new Error('AudioWorklet not supported');
+        }
+        
+        if (!this.workletContexts.has(context)) {
+            await context.audioWorklet.addModule(this.stimulusProcessorUrl);
+            this.workletContexts.add(context);
+        }
+        
+        const node = new WorkletNode(context, 'stimulus-processor', {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            processorOptions: { messages }
+        });
+        node.connect(destination);
+        return node;
+    }
+
+    /**
+     * Stimulus engine in use
+     * @returns {string} 'audio-worklet' or 'node-graph'
+     */
+    getStimulusEngine() {
+        return this.stimulusNode ? 'audio-worklet' : 'node-graph';
     }
 
     /**
@@ -128,63 +363,301 @@ export class AudioGenerator {
         // Stop any current tone
         this.stopTone();
 
-        // Create oscillator and tone gain node
-        const oscillator = this.audioContext.createOscillator();
-        const toneGain = this.audioContext.createGain();
+        const stimulus = this.getToneStimulus(frequency, levelDbHl, ear);
+        levelDbHl = stimulus.levelDbHl;
+        const amplitude = stimulus.amplitude;
         
-        // Configure oscillator
-        oscillator.frequency.value = frequency;
-        oscillator.type = 'sine';
-        oscillator.connect(toneGain);
-
-        // Calculate amplitude from dB HL
-        const amplitude = this.dbHlToAmplitude(frequency, levelDbHl);
+        // Pulse trains set their own length; steady and warble tones use the requested duration
+        duration = this.getPresentationDuration(duration);
         
-        // Clinical-grade ear routing with complete channel isolation
-        this.routeToEar(toneGain, ear, amplitude);
-
-        // Apply anti-click envelope (10ms fade in/out)
-        const fadeTime = 0.01; // 10ms fade
-        const startTime = this.audioContext.currentTime;
+        // Worklet tones are scheduled slightly ahead, so main-thread jitter cannot move the onset
+        const startTime = this.audioContext.currentTime + (this.stimulusNode ? this.STIMULUS_SCHEDULE_AHEAD : 0);
         const endTime = startTime + (duration / 1000);
-        
-        toneGain.gain.setValueAtTime(0, startTime);
-        toneGain.gain.linearRampToValueAtTime(1, startTime + fadeTime);
-        toneGain.gain.linearRampToValueAtTime(1, endTime - fadeTime);
-        toneGain.gain.linearRampToValueAtTime(0, endTime);
-
-        // Start and schedule stop
-        oscillator.start(startTime);
-        oscillator.stop(endTime);
-
-        // Store current tone reference
-        this.currentTone = { 
-            oscillator, 
-            toneGain, 
-            ear, 
-            frequency, 
-            levelDbHl,
-            startTime,
-            endTime
+        const id = ++this.stimulusCounter;
+        const timing = {
+            id,
+            engine: this.getStimulusEngine(),
+            scheduledOnset: startTime,
+            onsetTime: null,
+            acousticOnset: null,
+            outputLatency: this.getOutputLatency(),
+            offsetTime: null,
+            late: false,
+            stopped: false
         };
 
+        if (this.stimulusNode) {
+            this.stimulusNode.port.postMessage(this.getToneMessage(id, stimulus, ear, startTime, endTime));
+            this.currentTone = { id, ear, frequency, levelDbHl, startTime, endTime };
+        } else {
+            const { oscillator, modulator, toneGain } = this.scheduleTone(this, this.audioContext, stimulus, ear, startTime, endTime);
+            
+            // Oscillator start is sample-accurate, so the scheduled time is the onset
+            timing.onsetTime = startTime;
+            timing.acousticOnset = this.contextTimeToPerformanceTime(startTime);
+            oscillator.onended = () => {
+                this.clearChannelGains();
+                const offsetTime = Math.min(endTime, this.audioContext.currentTime);
+                this.handleStimulusEvent({ event: 'offset', kind: 'tone', id, time: offsetTime, stopped: offsetTime < endTime });
+            };
+            
+            this.currentTone = { id, oscillator, modulator, toneGain, ear, frequency, levelDbHl, startTime, endTime };
+        }
+
         // Log clinical details
         console.log(`🔊 Clinical tone presentation:`, {
             frequency: `${frequency} Hz`,
             level: `${levelDbHl} dB HL`,
             ear: ear,
+            transducer: this.getTransducerLabel(),
+            stimulus: this.getStimulusLabel(),
             amplitude: amplitude.toFixed(6),
             duration: `${duration}ms`,
-            routing: this.getRoutingDescription(ear)
+            routing: this.getRoutingDescription(ear),
+            masking: this.maskingNoise 
+                ? `${this.maskingNoise.type} ${this.maskingNoise.levelDbEm} dB EM (${this.maskingNoise.ear} ear)` 
+                : 'none'
         });
 
+        // Resolves at the offset with the audio-clock timing of the presentation
         return new Promise((resolve) => {
-            oscillator.onended = () => {
-                this.clearChannelGains();
-                this.currentTone = null;
-                resolve();
-            };
+            this.pendingStimuli.set(id, { resolve, timing });
+        });
+    }
+
+    /**
+     * Handle onset/offset reports from the stimulus engine
+     * @param {Object} message - { event: 'onset' | 'offset', kind: 'tone' | 'noise', id, frame, time, late, stopped }
+     */
+    handleStimulusEvent({ event, kind, id, frame = null, time, late = false, stopped = false }) {
+        if (kind === 'noise') {
+            if (event === 'onset' && this.maskingNoise?.id === id) {
+                this.maskingNoise.onsetTime = time;
+            }
+            return;
+        }
+        
+        const pending = this.pendingStimuli.get(id);
+        if (!pending) return;
+        const { timing } = pending;
+        
+        if (event === 'onset') {
+            timing.onsetTime = time;
+            timing.onsetFrame = frame;
+            timing.acousticOnset = this.contextTimeToPerformanceTime(time);
+            timing.late = late;
+            if (late) {
+                console.warn(`⚠️ Tone ${id} started ${((time - timing.scheduledOnset) * 1000).toFixed(1)} ms late`);
+            }
+            return;
+        }
+        
+        timing.offsetTime = time;
+        timing.offsetFrame = frame;
+        timing.stopped = stopped;
+        
+        this.pendingStimuli.delete(id);
+        if (this.currentTone?.id === id) {
+            this.currentTone = null;
+        }
+        this.lastStimulusTiming = timing;
+        pending.resolve(timing);
+    }
+
+    /**
+     * Convert an AudioContext time to the performance.now() time at which it is heard
+     * Uses the output timestamp (the context time the device is playing, and when);
+     * before the device reports one, the render clock plus the reported output latency
+     * @param {number} contextTime - Audio-clock time (s)
+     * @returns {number} performance.now() time in ms
+     */
+    contextTimeToPerformanceTime(contextTime) {
+        const stamp = this.audioContext.getOutputTimestamp?.();
+        
+        // performanceTime stays 0 until the output device has started
+        if (stamp?.performanceTime > 0) {
+            return stamp.performanceTime + (contextTime - stamp.contextTime) * 1000;
+        }
+        return performance.now() + (contextTime - this.audioContext.currentTime + this.getOutputLatency()) * 1000;
+    }
+
+    /**
+     * Delay from the render clock to the earphone
+     * @returns {number} baseLatency + outputLatency in seconds (0 where not reported)
+     */
+    getOutputLatency() {
+        return (this.audioContext?.baseLatency || 0) + (this.audioContext?.outputLatency || 0);
+    }
+
+    /**
+     * Get the audio-clock timing of the last completed tone
+     * @returns {Object|null} { id, engine, onsetTime, acousticOnset, outputLatency, offsetTime, late, stopped }
+     */
+    getLastStimulusTiming() {
+        return this.lastStimulusTiming;
+    }
+
+    /**
+     * Build the stimulus processor command for a tone
+     * @param {number} id - Tone id reported back with its onset and offset
+     * @param {Object} stimulus - From getToneStimulus()
+     * @param {string} ear - 'left', 'right', or 'both'
+     * @param {number} startTime - Context time of onset (s)
+     * @param {number} endTime - Context time of offset (s)
+     * @param {Object} settings - Stimulus settings (defaults to the active settings)
+     * @returns {Object} 'tone' command for StimulusProcessor
+     */
+    getToneMessage(id, stimulus, ear, startTime, endTime, settings = this.getStimulusSettings()) {
+        return {
+            command: 'tone',
+            id,
+            frequency: stimulus.frequency,
+            gains: this.getChannelAmplitudes(ear, stimulus.amplitude, stimulus.rightAmplitude),
+            startTime,
+            endTime,
+            settings
+        };
+    }
+
+    /**
+     * Per-channel amplitudes for an ear, with the same isolation as routeToEar()
+     * @returns {Array<number>} [left, right]
+     */
+    getChannelAmplitudes(ear, amplitude, rightAmplitude = amplitude) {
+        switch (ear.toLowerCase()) {
+            case 'left':
+                return [amplitude, 0];
+            case 'right':
+                return [0, amplitude];
+            case 'both':
+                return [amplitude, rightAmplitude];
+            default:
+                throw new Error(`Invalid ear specification: ${ear}. Use 'left', 'right', or 'both'`);
+        }
+    }
+
+    /**
+     * Resolve the level and per-channel amplitudes of a tone
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} levelDbHl - Requested level in dB HL
+     * @param {string} ear - 'left', 'right', or 'both'
+     * @returns {Object} { levelDbHl (after output limit), amplitude, rightAmplitude }
+     */
+    getToneStimulus(frequency, levelDbHl, ear) {
+        // Limit to the transducer's maximum output
+        const maxOutput = this.getMaxOutputLevel(frequency);
+        if (levelDbHl > maxOutput) {
+            console.warn(`⚠️ ${levelDbHl} dB HL exceeds ${this.getTransducerLabel()} maximum at ${frequency} Hz - limited to ${maxOutput} dB HL`);
+            levelDbHl = maxOutput;
+        }
+
+        // Calculate amplitude from dB HL (each channel carries its own calibration correction)
+        const amplitude = this.dbHlToAmplitude(frequency, levelDbHl, ear === 'both' ? 'left' : ear);
+        const rightAmplitude = ear === 'both' ? this.dbHlToAmplitude(frequency, levelDbHl, 'right') : amplitude;
+        
+        return { frequency, levelDbHl, amplitude, rightAmplitude };
+    }
+
+    /**
+     * Create, route and schedule a tone on a channel graph
+     * @param {Object} graph - Channel gains from createChannelGraph (or this generator)
+     * @param {BaseAudioContext} context - Context owning the graph
+     * @param {Object} stimulus - From getToneStimulus()
+     * @param {string} ear - 'left', 'right', or 'both'
+     * @param {number} startTime - Context time to start (s)
+     * @param {number} endTime - Context time to stop (s)
+     * @param {Object} settings - Stimulus settings (defaults to the active settings)
+     * @returns {Object} { oscillator, modulator, toneGain }
+     */
+    scheduleTone(graph, context, stimulus, ear, startTime, endTime, settings = this.stimulusSettings) {
+        // Create oscillator and tone gain node
+        const oscillator = context.createOscillator();
+        const toneGain = context.createGain();
+        
+        // Configure oscillator
+        oscillator.frequency.value = stimulus.frequency;
+        oscillator.type = 'sine';
+        oscillator.connect(toneGain);
+        
+        // Warble: sinusoidal frequency modulation of the carrier
+        let modulator = null;
+        if (settings.type === 'warble') {
+            modulator = context.createOscillator();
+            const deviation = context.createGain();
+            modulator.frequency.value = settings.warble.rate;
+            deviation.gain.value = stimulus.frequency * settings.warble.depth / 100;
+            modulator.connect(deviation);
+            deviation.connect(oscillator.frequency);
+            modulator.start(startTime);
+            modulator.stop(endTime);
+        }
+        
+        // Clinical-grade ear routing with complete channel isolation
+        this.routeToEar(toneGain, ear, stimulus.amplitude, stimulus.rightAmplitude, graph);
+
+        // Anti-click envelope on every tone burst (one burst, or each pulse of a train)
+        toneGain.gain.setValueAtTime(0, startTime);
+        this.getBurstWindows(startTime, endTime, settings).forEach(([onset, offset]) => {
+            this.scheduleEnvelope(toneGain.gain, onset, offset, settings);
         });
+
+        // Start and schedule stop
+        oscillator.start(startTime);
+        oscillator.stop(endTime);
+        
+        return { oscillator, modulator, toneGain };
+    }
+
+    /**
+     * On/off times of the tone bursts in a presentation
+     * @returns {Array<Array<number>>} [onset, offset] pairs in context time (s)
+     */
+    getBurstWindows(startTime, endTime, settings = this.stimulusSettings) {
+        if (settings.type !== 'pulsed') {
+            return [[startTime, endTime]];
+        }
+        
+        const { onDuration, offDuration, count } = settings.pulse;
+        const windows = [];
+        for (let i = 0; i < count; i++) {
+            const onset = startTime + i * (onDuration + offDuration) / 1000;
+            if (onset >= endTime) break; // Tracking tones pulse until they end
+            windows.push([onset, Math.min(onset + onDuration / 1000, endTime)]);
+        }
+        return windows.filter(([onset, offset]) => offset > onset);
+    }
+
+    /**
+     * Schedule one rise - plateau - fall envelope on a gain parameter
+     * The ramp is shortened if the burst is too short to hold both ramps
+     */
+    scheduleEnvelope(gainParam, onset, offset, settings = this.stimulusSettings) {
+        const ramp = Math.min(settings.rampDuration / 1000, (offset - onset) / 2);
+        
+        if (settings.rampShape === 'raised-cosine') {
+            gainParam.setValueCurveAtTime(this.getRampCurve(true), onset, ramp);
+            gainParam.setValueCurveAtTime(this.getRampCurve(false), offset - ramp, ramp);
+        } else {
+            gainParam.setValueAtTime(0, onset);
+            gainParam.linearRampToValueAtTime(1, onset + ramp);
+            gainParam.setValueAtTime(1, offset - ramp);
+            gainParam.linearRampToValueAtTime(0, offset);
+        }
+    }
+
+    /**
+     * Raised-cosine (cos²) ramp as a value curve
+     * @param {boolean} rising - Rise (0 -> 1) or fall (1 -> 0)
+     * @returns {Float32Array} Gain curve
+     */
+    getRampCurve(rising) {
+        const points = 128;
+        const curve = new Float32Array(points);
+        for (let i = 0; i < points; i++) {
+            const value = 0.5 - 0.5 * Math.cos(Math.PI * i / (points - 1));
+            curve[i] = rising ? value : 1 - value;
+        }
+        return curve;
     }
 
     /**
@@ -193,32 +666,37 @@ export class AudioGenerator {
      * @param {GainNode} sourceNode - The audio source to route
      * @param {string} ear - Target ear ('left', 'right', or 'both')
      * @param {number} amplitude - Linear amplitude value
+     * @param {number} rightAmplitude - Right channel amplitude when routing to both ears
+     * @param {Object} graph - Channel gains to route through (defaults to the live graph)
      */
-    routeToEar(sourceNode, ear, amplitude) {
+    routeToEar(sourceNode, ear, amplitude, rightAmplitude = amplitude, graph = this) {
+        const { leftChannelGain, rightChannelGain } = graph;
+        
         // Clear any previous routing
-        this.clearChannelGains();
+        leftChannelGain.gain.value = 0;
+        rightChannelGain.gain.value = 0;
         
         switch (ear.toLowerCase()) {
             case 'left':
                 // Route ONLY to left channel (channel 0)
-                sourceNode.connect(this.leftChannelGain);
-                this.leftChannelGain.gain.value = amplitude;
-                this.rightChannelGain.gain.value = 0; // Ensure right is silent
+                sourceNode.connect(leftChannelGain);
+                leftChannelGain.gain.value = amplitude;
+                rightChannelGain.gain.value = 0; // Ensure right is silent
                 break;
                 
             case 'right':
                 // Route ONLY to right channel (channel 1)
-                sourceNode.connect(this.rightChannelGain);
-                this.rightChannelGain.gain.value = amplitude;
-                this.leftChannelGain.gain.value = 0; // Ensure left is silent
+                sourceNode.connect(rightChannelGain);
+                rightChannelGain.gain.value = amplitude;
+                leftChannelGain.gain.value = 0; // Ensure left is silent
                 break;
                 
             case 'both':
-                // Route to both channels with equal amplitude
-                sourceNode.connect(this.leftChannelGain);
-                sourceNode.connect(this.rightChannelGain);
-                this.leftChannelGain.gain.value = amplitude;
-                this.rightChannelGain.gain.value = amplitude;
+                // Route to both channels (equal dB HL, per-ear calibration)
+                sourceNode.connect(leftChannelGain);
+                sourceNode.connect(rightChannelGain);
+                leftChannelGain.gain.value = amplitude;
+                rightChannelGain.gain.value = rightAmplitude;
                 break;
                 
             default:
@@ -259,25 +737,54 @@ export class AudioGenerator {
 
     /**
      * Convert dB HL to linear amplitude
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} dbHl - Level in dB HL
+     * @param {string} ear - Earphone channel whose calibration correction applies
      */
-    dbHlToAmplitude(frequency, dbHl) {
-        // Apply frequency-specific correction
-        const splCorrection = this.hlToSplCorrection.get(frequency) || 0;
-        const calibrationCorrection = this.calibrationData.get(frequency) || 0;
+    dbHlToAmplitude(frequency, dbHl, ear = 'both') {
+        if (this.conductionMode === 'bone') {
+            return this.dbHlToBoneAmplitude(frequency, dbHl);
+        }
+        
+        // Apply frequency-specific correction (interpolated between table frequencies during a sweep)
+        const splCorrection = this.hlToSplCorrection.get(frequency) ?? this.interpolateFrequencyTable(this.hlToSplCorrection, frequency) ?? 0;
+        const calibrationCorrection = this.getCalibrationCorrection(frequency, ear);
         
         // Convert to linear scale (0 dB HL = reference amplitude)
         const totalDb = dbHl + splCorrection + calibrationCorrection;
-        return Math.pow(10, (totalDb - 94) / 20); // Assuming 94 dB SPL = 1.0 amplitude
+        return Math.pow(10, (totalDb - this.fullScaleSpl) / 20);
+    }
+
+    /**
+     * Convert bone-conduction dB HL to linear amplitude using the RETFL table
+     * Earphone calibration profiles do not apply to the vibrator
+     * @param {number} frequency - Test frequency in Hz
+     * @param {number} dbHl - Level in dB HL (bone)
+     * @returns {number} Linear amplitude for the vibrator channel
+     */
+    dbHlToBoneAmplitude(frequency, dbHl) {
+        const retfl = this.retflBone.get(frequency);
+        if (retfl === undefined) {
+            throw new Error(`Bone conduction not calibrated at ${frequency} Hz (range 250-4000 Hz)`);
+        }
+        const forceLevel = dbHl + retfl;
+        return Math.pow(10, (forceLevel - this.boneFullScaleForceLevel) / 20);
     }
 
     stopTone() {
         if (this.currentTone) {
             try {
-                // Stop oscillator gracefully
-                this.currentTone.oscillator.stop();
-                
-                // Clear channel routing immediately for clinical safety
-                this.clearChannelGains();
+                if (this.stimulusNode) {
+                    // The worklet fades the tone out and reports its offset
+                    this.stimulusNode.port.postMessage({ command: 'stop', id: this.currentTone.id });
+                } else {
+                    // Stop oscillator gracefully
+                    this.currentTone.oscillator.stop();
+                    this.currentTone.modulator?.stop();
+                    
+                    // Clear channel routing immediately for clinical safety
+                    this.clearChannelGains();
+                }
                 
                 this.currentTone = null;
                 console.log('🔇 Tone stopped - all channels cleared');
@@ -290,6 +797,8 @@ export class AudioGenerator {
 
     stopAllTones() {
         this.stopTone();
+        this.stopSpeech();
+        this.stopMaskingNoise();
         
         // Ensure complete silence across all channels
         this.clearChannelGains();
@@ -316,13 +825,17 @@ export class AudioGenerator {
             mergerConnected: !!this.channelMerger,
             leftGainValue: this.leftChannelGain?.gain.value || 0,
             rightGainValue: this.rightChannelGain?.gain.value || 0,
+            maskingChannelsConnected: !!this.leftMaskingGain && !!this.rightMaskingGain,
+            maskingActive: !!this.maskingNoise,
+            stimulusEngine: this.getStimulusEngine(),
             isolationIntact: false
         };
         
         // Check if isolation system is properly configured
         status.isolationIntact = status.leftChannelConnected && 
                                 status.rightChannelConnected && 
-                                status.mergerConnected;
+                                status.mergerConnected &&
+                                status.maskingChannelsConnected;
         
         if (!status.isolationIntact) {
             console.error('❌ Channel isolation compromised!', status);
@@ -333,15 +846,992 @@ export class AudioGenerator {
         return status;
     }
 
+    // ==================== TRACKING TONE ====================
+
     /**
-     * Calibrate the system for a specific frequency
+     * Start a tone that plays until stopped (Békésy tracking)
+     * Its level and frequency are changed while it plays with setTrackingTone()
+     * @param {number} frequency - Start frequency in Hz
+     * @param {number} levelDbHl - Start level in dB HL
+     * @param {string} ear - 'left', 'right', or 'both'
+     * @param {Object} options
+     * @param {boolean} options.pulsed - Pulse on/off with the active pulse timing instead of a continuous tone
+     * @param {number} options.maxDuration - Safety limit in ms; the tone ends by itself after this
+     * @returns {Promise<Object>} Resolves at the offset with the audio-clock timing, like playTone()
      */
-    setCalibration(frequency, correctionDb) {
-        this.calibrationData.set(frequency, correctionDb);
+    startTrackingTone(frequency, levelDbHl, ear, { pulsed = false, maxDuration = 600000 } = {}) {
+        if (!this.audioContext || !this.channelMerger) {
+            throw new Error('Audio context not properly initialized');
+        }
+        
+        this.stopTone();
+        
+        const stimulus = this.getToneStimulus(frequency, levelDbHl, ear);
+        const settings = this.getStimulusSettings();
+        settings.type = pulsed ? 'pulsed' : 'steady';
+        settings.pulse.count = Infinity; // Pulses repeat until the tone is stopped
+        
+        const startTime = this.audioContext.currentTime + (this.stimulusNode ? this.STIMULUS_SCHEDULE_AHEAD : 0);
+        const endTime = startTime + maxDuration / 1000;
+        const id = ++this.stimulusCounter;
+        const timing = {
+            id,
+            engine: this.getStimulusEngine(),
+            scheduledOnset: startTime,
+            onsetTime: null,
+            acousticOnset: null,
+            outputLatency: this.getOutputLatency(),
+            offsetTime: null,
+            late: false,
+            stopped: false
+        };
+        
+        if (this.stimulusNode) {
+            this.stimulusNode.port.postMessage(this.getToneMessage(id, stimulus, ear, startTime, endTime, settings));
+            this.currentTone = { id, ear, frequency, levelDbHl: stimulus.levelDbHl, startTime, endTime, tracking: true };
+        } else {
+            const { oscillator, modulator, toneGain } = this.scheduleTone(this, this.audioContext, stimulus, ear, startTime, endTime, settings);
+            timing.onsetTime = startTime;
+            timing.acousticOnset = this.contextTimeToPerformanceTime(startTime);
+            oscillator.onended = () => {
+                this.clearChannelGains();
+                const offsetTime = Math.min(endTime, this.audioContext.currentTime);
+                this.handleStimulusEvent({ event: 'offset', kind: 'tone', id, time: offsetTime, stopped: offsetTime < endTime });
+            };
+            this.currentTone = { id, oscillator, modulator, toneGain, ear, frequency, levelDbHl: stimulus.levelDbHl, startTime, endTime, tracking: true };
+        }
+        
+        console.log(`🔊 Tracking tone started:`, {
+            frequency: `${frequency} Hz`,
+            level: `${stimulus.levelDbHl} dB HL`,
+            ear,
+            tone: pulsed ? `pulsed ${settings.pulse.onDuration}/${settings.pulse.offDuration} ms` : 'continuous',
+            transducer: this.getTransducerLabel(),
+            routing: this.getRoutingDescription(ear)
+        });
+        
+        return new Promise((resolve) => {
+            this.pendingStimuli.set(id, { resolve, timing });
+        });
     }
 
-    getTestFrequencies() {
-        return [...this.testFrequencies];
+    /**
+     * Glide the running tracking tone to a new level and/or frequency
+     * Called on every attenuator update, so nothing is logged here
+     * @param {Object} options
+     * @param {number} options.frequency - New frequency in Hz (defaults to the current frequency)
+     * @param {number} options.levelDbHl - New level in dB HL (defaults to the current level)
+     * @param {number} options.rampTime - Glide time in seconds
+     * @returns {number|null} Level applied after the output limit, or null without a tracking tone
+     */
+    setTrackingTone({ frequency = this.currentTone?.frequency, levelDbHl = this.currentTone?.levelDbHl, rampTime = 0.05 } = {}) {
+        const tone = this.currentTone;
+        if (!tone?.tracking) return null;
+        
+        const maxOutput = this.getMaxOutputLevel(frequency);
+        const stimulus = this.getToneStimulus(frequency, Math.min(levelDbHl, maxOutput), tone.ear);
+        
+        if (this.stimulusNode) {
+            this.stimulusNode.port.postMessage({
+                command: 'tone-update',
+                id: tone.id,
+                frequency,
+                gains: this.getChannelAmplitudes(tone.ear, stimulus.amplitude, stimulus.rightAmplitude),
+                rampTime
+            });
+        } else {
+            const now = this.audioContext.currentTime;
+            const [left, right] = this.getChannelAmplitudes(tone.ear, stimulus.amplitude, stimulus.rightAmplitude);
+            [[this.leftChannelGain.gain, left], [this.rightChannelGain.gain, right], [tone.oscillator.frequency, frequency]]
+                .forEach(([param, value]) => {
+                    param.cancelScheduledValues(now);
+                    param.setValueAtTime(param.value, now);
+                    param.linearRampToValueAtTime(value, now + rampTime);
+                });
+        }
+        
+        tone.frequency = frequency;
+        tone.levelDbHl = stimulus.levelDbHl;
+        return stimulus.levelDbHl;
+    }
+
+    /**
+     * Stop the tracking tone (fades out like any stopped tone)
+     */
+    stopTrackingTone() {
+        if (this.currentTone?.tracking) {
+            this.stopTone();
+        }
+    }
+
+    /**
+     * Value of a per-frequency table between its frequencies (sweep-frequency tracking)
+     * Interpolated linearly on a log-frequency scale; beyond the table, the nearest entry
+     * @param {Map<number, number>} table - Frequency (Hz) -> value
+     * @param {number} frequency - Frequency in Hz
+     * @param {boolean} lowest - Take the lower of the two neighbouring values (output limits)
+     * @returns {number|null} Value, or null for an empty table
+     */
+    interpolateFrequencyTable(table, frequency, lowest = false) {
+        if (table.has(frequency)) return table.get(frequency);
+        
+        const frequencies = [...table.keys()].sort((a, b) => a - b);
+        if (frequencies.length === 0) return null;
+        
+        const upper = frequencies.find(freq => freq > frequency);
+        const lower = [...frequencies].reverse().find(freq => freq < frequency);
+        if (upper === undefined) return table.get(lower);
+        if (lower === undefined) return table.get(upper);
+        
+        if (lowest) {
+            return Math.min(table.get(lower), table.get(upper));
+        }
+        const position = Math.log2(frequency / lower) / Math.log2(upper / lower);
+        return table.get(lower) + position * (table.get(upper) - table.get(lower));
+    }
+
+    // ==================== CONTRALATERAL MASKING ====================
+
+    /**
+     * Start continuous masking noise in the non-test ear
+     * The masker runs on its own gain path, so tones can be presented to the
+     * opposite ear while the noise keeps playing
+     * @param {Object} options - Masking configuration
+     * @param {string} options.type - 'narrowband', 'white' or 'speech'
+     * @param {number} options.frequency - Test frequency the masker is centred on / calibrated for (Hz)
+     * @param {number} options.levelDbEm - Effective masking level in dB EM
+     * @param {string} options.ear - Ear receiving the masker ('left' or 'right')
+     * @returns {Object} Active masking state
+     */
+    startMaskingNoise({ type = 'narrowband', frequency = 1000, levelDbEm, ear }) {
+        if (!this.audioContext || !this.channelMerger) {
+            throw new Error('Audio context not properly initialized');
+        }
+        if (!['narrowband', 'white', 'speech'].includes(type)) {
+            throw new Error(`Invalid masking noise type: ${type}. Use 'narrowband', 'white' or 'speech'`);
+        }
+        if (!['left', 'right'].includes(ear)) {
+            throw new Error(`Invalid masking ear: ${ear}. Masking is presented to 'left' or 'right' only`);
+        }
+        
+        // Replace any running masker (type or centre frequency changed)
+        this.stopMaskingNoise();
+        
+        // Spectral shaping filters for the requested masker type
+        // (the worklet runs its own copies; the nodes still give the frequency response)
+        const filters = this.createMaskingFilters(type, frequency);
+        
+        // Level normalisation: filtered noise power relative to the broadband source
+        const bandPowerRatio = this.calculateBandPowerRatio(filters);
+        
+        this.maskingNoise = {
+            id: ++this.stimulusCounter,
+            source: null,
+            filters,
+            noiseGain: null,
+            type,
+            frequency,
+            ear,
+            levelDbEm: null,
+            bandPowerRatio,
+            sourceRms: this.WORKLET_NOISE_RMS,
+            onsetTime: null
+        };
+        
+        if (this.stimulusNode) {
+            // The worklet fades the masker in over 50 ms once its level is set
+            this.stimulusNode.port.postMessage({
+                command: 'noise-start',
+                id: this.maskingNoise.id,
+                ear,
+                filters: filters.map(filter => ({ type: filter.type, frequency: filter.frequency.value, Q: filter.Q.value })),
+                fadeTime: 0.05
+            });
+            this.setMaskingLevel(levelDbEm);
+        } else {
+            const source = this.audioContext.createBufferSource();
+            source.buffer = this.getNoiseBuffer();
+            source.loop = true;
+            const noiseGain = this.audioContext.createGain();
+            
+            let node = source;
+            filters.forEach(filter => {
+                node.connect(filter);
+                node = filter;
+            });
+            node.connect(noiseGain);
+            noiseGain.connect(ear === 'left' ? this.leftMaskingGain : this.rightMaskingGain);
+            
+            Object.assign(this.maskingNoise, { source, noiseGain, sourceRms: source.buffer.rms });
+            
+            // Fade masker in to avoid onset clicks
+            const maskingChannel = ear === 'left' ? this.leftMaskingGain : this.rightMaskingGain;
+            const now = this.audioContext.currentTime;
+            maskingChannel.gain.setValueAtTime(0, now);
+            maskingChannel.gain.linearRampToValueAtTime(1, now + 0.05);
+            
+            this.setMaskingLevel(levelDbEm);
+            source.start(now);
+            this.maskingNoise.onsetTime = now;
+        }
+        
+        console.log(`🌫️ Masking noise started:`, {
+            type,
+            centreFrequency: `${frequency} Hz`,
+            level: `${this.maskingNoise.levelDbEm} dB EM`,
+            ear,
+            bandwidth: type === 'narrowband' ? `${this.getNarrowbandBandwidth(frequency).toFixed(0)} Hz` : 'broadband'
+        });
+        
+        return this.getMaskingState();
+    }
+
+    /**
+     * Change the effective masking level of the running masker
+     * Uses a short ramp so plateau steps do not click
+     * @param {number} levelDbEm - New effective masking level in dB EM
+     * @returns {number} Level actually applied (after safety limit)
+     */
+    setMaskingLevel(levelDbEm) {
+        if (!this.maskingNoise) {
+            throw new Error('No masking noise active');
+        }
+        
+        const limitedLevel = Math.min(levelDbEm, this.MAX_MASKING_LEVEL);
+        if (limitedLevel !== levelDbEm) {
+            console.warn(`⚠️ Masking level limited to ${this.MAX_MASKING_LEVEL} dB EM (requested ${levelDbEm} dB EM)`);
+        }
+        
+        const { type, frequency, ear, bandPowerRatio, noiseGain } = this.maskingNoise;
+        const targetRms = this.dbEmToRms(type, frequency, limitedLevel, ear);
+        const sourceRms = this.maskingNoise.sourceRms * Math.sqrt(bandPowerRatio);
+        const gain = sourceRms > 0 ? targetRms / sourceRms : 0;
+        
+        if (this.stimulusNode) {
+            this.stimulusNode.port.postMessage({ command: 'noise-level', id: this.maskingNoise.id, gain, rampTime: 0.02 });
+        } else {
+            const now = this.audioContext.currentTime;
+            noiseGain.gain.cancelScheduledValues(now);
+            noiseGain.gain.setValueAtTime(noiseGain.gain.value, now);
+            noiseGain.gain.linearRampToValueAtTime(gain, now + 0.02);
+        }
+        
+        this.maskingNoise.levelDbEm = limitedLevel;
+        return limitedLevel;
+    }
+
+    /**
+     * Stop masking noise and silence both masking channels
+     */
+    stopMaskingNoise() {
+        if (!this.maskingNoise) return;
+        
+        try {
+            if (this.stimulusNode) {
+                // The worklet fades the masker out (under any replacement masker)
+                this.stimulusNode.port.postMessage({ command: 'noise-stop', id: this.maskingNoise.id, fadeTime: 0.01 });
+            } else {
+                this.maskingNoise.source.stop();
+                this.maskingNoise.source.disconnect();
+                this.maskingNoise.noiseGain.disconnect();
+            }
+        } catch (error) {
+            // Source may already be stopped
+            console.warn('Masking noise stop warning:', error.message);
+        }
+        
+        if (this.leftMaskingGain) this.leftMaskingGain.gain.value = 0;
+        if (this.rightMaskingGain) this.rightMaskingGain.gain.value = 0;
+        
+        this.maskingNoise = null;
+        console.log('🔇 Masking noise stopped');
+    }
+
+    /**
+     * Get current masking state for logging and clinical records
+     * @returns {Object|null} Masking description or null when no masker is running
+     */
+    getMaskingState() {
+        if (!this.maskingNoise) return null;
+        
+        const { type, frequency, ear, levelDbEm } = this.maskingNoise;
+        return { type, frequency, ear, levelDbEm };
+    }
+
+    /**
+     * Get the opposite ear (the ear that receives contralateral masking)
+     * @param {string} ear - Test ear
+     * @returns {string} Non-test ear
+     */
+    getOppositeEar(ear) {
+        return ear === 'left' ? 'right' : 'left';
+    }
+
+    /**
+     * Convert an effective masking level to the RMS amplitude of the masker
+     * 0 dB EM is the noise level that just masks a 0 dB HL tone at the test frequency
+     * @param {string} type - Masker type
+     * @param {number} frequency - Test frequency (Hz)
+     * @param {number} levelDbEm - Effective masking level in dB EM
+     * @param {string} ear - Ear receiving the masker (selects its calibration correction)
+     * @returns {number} Target RMS amplitude (same fullScaleSpl reference as dbHlToAmplitude)
+     */
+    dbEmToRms(type, frequency, levelDbEm, ear) {
+        const noiseSpl = levelDbEm + this.getEffectiveMaskingReferenceSpl(type, frequency);
+        const calibrationCorrection = this.getCalibrationCorrection(frequency, ear);
+        
+        // A full-scale sine (amplitude 1.0 = fullScaleSpl) has RMS of 1/sqrt(2)
+        return Math.SQRT1_2 * Math.pow(10, (noiseSpl + calibrationCorrection - this.fullScaleSpl) / 20);
+    }
+
+    /**
+     * Overall noise SPL corresponding to 0 dB EM for a masker type
+     * @param {string} type - Masker type
+     * @param {number} frequency - Test frequency (Hz)
+     * @returns {number} Reference level in dB SPL
+     */
+    getEffectiveMaskingReferenceSpl(type, frequency) {
+        const retspl = this.hlToSplCorrection.get(frequency) || 0;
+        
+        switch (type) {
+            case 'narrowband':
+                return retspl + (this.effectiveMaskingCorrection.get(frequency) || 5);
+                
+            case 'white': {
+                // Only the critical band around the tone contributes to masking,
+                // so the overall level is raised by the ratio of total to critical bandwidth
+                const nyquist = this.audioContext.sampleRate / 2;
+                const criticalBandwidth = this.criticalBandwidths.get(frequency) || 100;
+                return retspl + 10 * Math.log10(nyquist / criticalBandwidth);
+            }
+                
+            case 'speech':
+                return this.getSpeechReferenceSpl();
+                
+            default:
+                return retspl;
+        }
+    }
+
+    /**
+     * Narrowband masker bandwidth in Hz for a centre frequency
+     * @param {number} frequency - Centre frequency (Hz)
+     * @returns {number} Bandwidth in Hz
+     */
+    getNarrowbandBandwidth(frequency) {
+        const octaves = this.narrowbandBandwidths.get(frequency) || 1/3;
+        return frequency * (Math.pow(2, octaves / 2) - Math.pow(2, -octaves / 2));
+    }
+
+    /**
+     * Build the spectral shaping filters for a masker type
+     * @param {string} type - Masker type
+     * @param {number} frequency - Centre frequency for narrowband noise (Hz)
+     * @returns {Array<BiquadFilterNode>} Filters in signal order
+     */
+    createMaskingFilters(type, frequency) {
+        const filters = [];
+        
+        if (type === 'narrowband') {
+            // Two cascaded band-pass sections give the steeper skirts narrowband maskers need
+            const q = frequency / this.getNarrowbandBandwidth(frequency);
+            for (let i = 0; i < 2; i++) {
+                const bandpass = this.audioContext.createBiquadFilter();
+                bandpass.type = 'bandpass';
+                bandpass.frequency.value = frequency;
+                bandpass.Q.value = q;
+                filters.push(bandpass);
+            }
+        } else if (type === 'speech') {
+            // Speech spectrum: flat to 1 kHz, then -12 dB/octave
+            const highpass = this.audioContext.createBiquadFilter();
+            highpass.type = 'highpass';
+            highpass.frequency.value = 100;
+            highpass.Q.value = Math.SQRT1_2;
+            
+            const lowpass = this.audioContext.createBiquadFilter();
+            lowpass.type = 'lowpass';
+            lowpass.frequency.value = 1000;
+            lowpass.Q.value = Math.SQRT1_2;
+            
+            filters.push(highpass, lowpass);
+        }
+        // White noise is presented unfiltered
+        
+        return filters;
+    }
+
+    /**
+     * Fraction of white-noise power passed by a filter chain
+     * Integrates |H(f)|^2 over 0..Nyquist using the filters' own frequency response
+     * @param {Array<BiquadFilterNode>} filters - Filter chain
+     * @returns {number} Power ratio (0-1)
+     */
+    calculateBandPowerRatio(filters) {
+        if (filters.length === 0) return 1;
+        
+        const points = 4096;
+        const nyquist = this.audioContext.sampleRate / 2;
+        const frequencies = new Float32Array(points);
+        for (let i = 0; i < points; i++) {
+            frequencies[i] = ((i + 0.5) / points) * nyquist;
+        }
+        
+        const power = new Float32Array(points).fill(1);
+        const magnitude = new Float32Array(points);
+        const phase = new Float32Array(points);
+        
+        filters.forEach(filter => {
+            filter.getFrequencyResponse(frequencies, magnitude, phase);
+            for (let i = 0; i < points; i++) {
+                power[i] *= magnitude[i] * magnitude[i];
+            }
+        });
+        
+        return power.reduce((sum, p) => sum + p, 0) / points;
+    }
+
+    /**
+     * Lazily create a looping white-noise buffer shared by all maskers
+     * @returns {AudioBuffer} Noise buffer (its measured RMS is stored on the buffer)
+     */
+    getNoiseBuffer() {
+        if (this.noiseBuffer && this.noiseBuffer.sampleRate === this.audioContext.sampleRate) {
+            return this.noiseBuffer;
+        }
+        
+        const length = this.audioContext.sampleRate * 4; // 4 s loop
+        const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        let sumSquares = 0;
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+            sumSquares += data[i] * data[i];
+        }
+        
+        buffer.rms = Math.sqrt(sumSquares / length);
+        this.noiseBuffer = buffer;
+        return buffer;
+    }
+
+    /**
+     * Calibrate the system for a specific frequency
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} correctionDb - Correction added to the output level (dB)
+     * @param {string} ear - 'left', 'right' or 'both'
+     */
+    setCalibration(frequency, correctionDb, ear = 'both') {
+        const ears = ear === 'both' ? ['left', 'right'] : [ear];
+        ears.forEach(side => this.calibrationData[side].set(frequency, correctionDb));
+    }
+
+    /**
+     * Calibration correction for one earphone channel
+     * @param {number} frequency - Frequency in Hz
+     * @param {string} ear - 'left', 'right' or 'both' (average of both channels)
+     * @returns {number} Correction in dB
+     */
+    getCalibrationCorrection(frequency, ear = 'both') {
+        if (ear === 'both') {
+            return (this.getCalibrationCorrection(frequency, 'left') + this.getCalibrationCorrection(frequency, 'right')) / 2;
+        }
+        const corrections = this.calibrationData[ear];
+        if (!corrections || corrections.has(frequency) || this.testFrequencies.includes(frequency)) {
+            return corrections?.get(frequency) || 0;
+        }
+        // Sweep frequencies between the calibrated ones
+        return this.interpolateFrequencyTable(corrections, frequency) ?? 0;
+    }
+
+    /**
+     * Load the per-ear corrections of a saved calibration profile
+     * @param {Object} profile - Profile from CalibrationManager
+     */
+    applyCalibrationProfile(profile) {
+        if (profile.transducer.id !== this.transducer.id) {
+            throw new Error(`Calibration profile "${profile.name}" is for ${profile.transducer.model}, not ${this.transducer.model}`);
+        }
+        
+        this.clearCalibration();
+        ['left', 'right'].forEach(ear => {
+            Object.entries(profile.corrections[ear] || {}).forEach(([frequency, correction]) => {
+                this.calibrationData[ear].set(Number(frequency), correction);
+            });
+        });
+        
+        this.calibrationProfile = {
+            id: profile.id,
+            name: profile.name,
+            transducer: profile.transducer.id,
+            createdAt: profile.createdAt,
+            expiresAt: profile.expiresAt,
+            corrections: profile.corrections
+        };
+        console.log(`📏 Calibration profile applied: ${profile.name} (${profile.createdAt.slice(0, 10)})`);
+    }
+
+    /**
+     * Remove all calibration corrections (uncalibrated reference output)
+     */
+    clearCalibration() {
+        this.calibrationData.left.clear();
+        this.calibrationData.right.clear();
+        this.calibrationProfile = null;
+    }
+
+    /**
+     * @returns {Object|null} Summary of the applied calibration profile
+     */
+    getCalibrationProfile() {
+        return this.calibrationProfile;
+    }
+
+    getTestFrequencies() {
+        return [...this.testFrequencies];
+    }
+
+    // ==================== STIMULUS SETTINGS ====================
+
+    /**
+     * Configure the tone stimulus (merged into the current settings)
+     * @param {Object} settings
+     * @param {string} settings.type - 'steady', 'pulsed' or 'warble'
+     * @param {string} settings.rampShape - 'linear' or 'raised-cosine'
+     * @param {number} settings.rampDuration - Rise/fall time in ms
+     * @param {Object} settings.pulse - { onDuration, offDuration, count } (ms, ms, pulses)
+     * @param {Object} settings.warble - { rate, depth } (Hz, ± %)
+     */
+    setStimulusSettings(settings = {}) {
+        const merged = {
+            ...this.stimulusSettings,
+            ...settings,
+            pulse: { ...this.stimulusSettings.pulse, ...settings.pulse },
+            warble: { ...this.stimulusSettings.warble, ...settings.warble }
+        };
+        
+        if (!this.stimulusTypes.includes(merged.type)) {
+            throw new Error(`Invalid stimulus type: ${merged.type}. Use ${this.stimulusTypes.join(', ')}`);
+        }
+        if (!this.rampShapes.includes(merged.rampShape)) {
+            throw new Error(`Invalid ramp shape: ${merged.rampShape}. Use ${this.rampShapes.join(' or ')}`);
+        }
+        if (!(merged.rampDuration > 0)) {
+            throw new Error('Ramp duration must be greater than 0 ms');
+        }
+        if (!(merged.pulse.count >= 1 && merged.pulse.onDuration > 0 && merged.pulse.offDuration >= 0)) {
+            throw new Error('Pulse train needs at least one pulse with a positive on-duration');
+        }
+        if (!(merged.warble.rate > 0 && merged.warble.depth > 0 && merged.warble.depth < 50)) {
+            throw new Error('Warble needs a positive rate and a depth between 0 and 50 %');
+        }
+        
+        if (merged.rampDuration < 20 || merged.rampDuration > 50) {
+            console.warn(`⚠️ Ramp duration ${merged.rampDuration} ms is outside the ANSI S3.6 range of 20-50 ms`);
+        }
+        if (merged.type === 'pulsed' && merged.pulse.onDuration < 2 * merged.rampDuration) {
+            console.warn(`⚠️ ${merged.pulse.onDuration} ms pulses are shorter than two ramps - ramps will be shortened`);
+        }
+        
+        this.stimulusSettings = merged;
+        console.log(`🎚️ Stimulus: ${this.getStimulusLabel()}`);
+    }
+
+    /**
+     * @returns {Object} Copy of the active stimulus settings
+     */
+    getStimulusSettings() {
+        const { pulse, warble } = this.stimulusSettings;
+        return { ...this.stimulusSettings, pulse: { ...pulse }, warble: { ...warble } };
+    }
+
+    getStimulusLabel() {
+        const { type, rampShape, rampDuration, pulse, warble } = this.stimulusSettings;
+        const envelope = `${rampDuration} ms ${rampShape} ramps`;
+        
+        switch (type) {
+            case 'pulsed':
+                return `pulsed ${pulse.count} × ${pulse.onDuration} ms (${pulse.offDuration} ms gaps), ${envelope}`;
+            case 'warble':
+                return `warble ${warble.rate} Hz ±${warble.depth}%, ${envelope}`;
+            default:
+                return `steady, ${envelope}`;
+        }
+    }
+
+    /**
+     * Actual length of a presentation with the active settings
+     * @param {number} duration - Requested duration in ms
+     * @returns {number} Duration in ms (pulse trains: count × on + gaps)
+     */
+    getPresentationDuration(duration) {
+        const { type, pulse } = this.stimulusSettings;
+        if (type !== 'pulsed') {
+            return duration;
+        }
+        return pulse.count * pulse.onDuration + (pulse.count - 1) * pulse.offDuration;
+    }
+
+    // ==================== TRANSDUCER PROFILES ====================
+
+    /**
+     * Select the earphone profile used for air conduction and masking
+     * @param {string} profileId - 'supra-aural', 'insert' or 'circumaural'
+     */
+    setTransducer(profileId) {
+        const profile = this.transducerProfiles[profileId];
+        if (!profile) {
+            throw new Error(`Unknown transducer profile: ${profileId}`);
+        }
+        if (profile === this.transducer) return;
+        
+        this.stopAllTones();
+        this.transducer = profile;
+        this.hlToSplCorrection = profile.retspl;
+        
+        // Corrections measured on another earphone do not apply
+        if (this.calibrationProfile) {
+            console.warn(`⚠️ Calibration profile "${this.calibrationProfile.name}" cleared - it was measured on a different transducer`);
+            this.clearCalibration();
+        }
+        console.log(`🎧 Transducer: ${this.getTransducerLabel()} (${profile.standard})`);
+    }
+
+    /**
+     * Get the active transducer profile as plain data (for sessions and reports)
+     * maxOutput holds the limits in force, after the full-scale limit
+     * @returns {Object} Profile id, name, model, standard and per-frequency tables
+     */
+    getTransducer() {
+        const profile = this.transducer;
+        return {
+            id: profile.id,
+            name: profile.name,
+            model: profile.model,
+            standard: profile.standard,
+            retspl: Object.fromEntries(profile.retspl),
+            maxOutput: Object.fromEntries([...profile.maxOutput.keys()].map(frequency => [frequency, this.getMaxAirLevel(frequency)])),
+            interauralAttenuation: Object.fromEntries(profile.interauralAttenuation)
+        };
+    }
+
+    /**
+     * List available transducer profiles
+     * @returns {Array<Object>} Profile id, name and model
+     */
+    getTransducerProfiles() {
+        return Object.values(this.transducerProfiles).map(({ id, name, model }) => ({ id, name, model }));
+    }
+
+    getTransducerLabel() {
+        return `${this.transducer.name} (${this.transducer.model})`;
+    }
+
+    /**
+     * Maximum output for the active transducer
+     * @param {number} frequency - Test frequency in Hz
+     * @returns {number} Maximum level in dB HL
+     */
+    getMaxOutputLevel(frequency) {
+        if (this.conductionMode === 'bone') {
+            return this.getMaxBoneLevel(frequency);
+        }
+        return this.getMaxAirLevel(frequency);
+    }
+
+    /**
+     * Maximum earphone output: the profile's rated maximum, or the level that reaches
+     * digital full scale if that is lower, rounded down to a 5 dB step
+     * The ear with the larger calibration correction reaches full scale first
+     * @param {number} frequency - Test frequency in Hz
+     * @returns {number} Maximum level in dB HL
+     */
+    getMaxAirLevel(frequency) {
+        const rated = this.transducer.maxOutput.get(frequency) ?? this.interpolateFrequencyTable(this.transducer.maxOutput, frequency, true);
+        const retspl = this.hlToSplCorrection.get(frequency) ?? this.interpolateFrequencyTable(this.hlToSplCorrection, frequency) ?? 0;
+        const correction = Math.max(this.getCalibrationCorrection(frequency, 'left'), this.getCalibrationCorrection(frequency, 'right'));
+        const fullScaleLevel = Math.floor((this.fullScaleSpl - retspl - correction) / 5) * 5;
+        return Math.min(rated, fullScaleLevel);
+    }
+
+    /**
+     * Interaural attenuation of the active earphone (air conduction)
+     * @param {number} frequency - Test frequency in Hz
+     * @returns {number} Interaural attenuation in dB
+     */
+    getInterauralAttenuation(frequency) {
+        return this.transducer.interauralAttenuation.get(frequency) ?? 40;
+    }
+
+    // ==================== BONE CONDUCTION ====================
+
+    /**
+     * Switch the output transducer between earphones and bone vibrator
+     * Masking noise is always delivered by air conduction to the non-test ear
+     * @param {string} mode - 'air' or 'bone'
+     */
+    setConductionMode(mode) {
+        if (mode !== 'air' && mode !== 'bone') {
+            throw new Error(`Unknown conduction mode: ${mode}`);
+        }
+        if (mode === this.conductionMode) return;
+        
+        this.stopTone();
+        this.conductionMode = mode;
+        console.log(`🦴 Conduction mode: ${mode === 'bone' ? 'bone (mastoid vibrator)' : 'air (earphones)'}`);
+    }
+
+    getConductionMode() {
+        return this.conductionMode;
+    }
+
+    getBoneFrequencies() {
+        return [...this.boneFrequencies];
+    }
+
+    /**
+     * Maximum bone-conduction output before the vibrator reaches full scale
+     * Bone vibrators distort well below earphone limits, especially at low frequencies
+     * @param {number} frequency - Test frequency in Hz
+     * @returns {number} Maximum level in dB HL
+     */
+    getMaxBoneLevel(frequency) {
+        const retfl = this.retflBone.get(frequency);
+        if (retfl === undefined) return 0;
+        return Math.floor((this.boneFullScaleForceLevel - retfl) / 5) * 5;
+    }
+
+    // ==================== SPEECH AUDIOMETRY ====================
+
+    /**
+     * Load a recorded speech material (word lists and calibration tone) from a manifest
+     * Each recording is decoded to an AudioBuffer; the calibration tone is recorded at
+     * the average word level, so its RMS sets the gain for every word in the material
+     * @param {string} manifestUrl - URL of the material's manifest.json
+     * @returns {Promise<Object>} Material summary (id, name, type, lists)
+     */
+    async loadSpeechMaterial(manifestUrl) {
+        if (!this.audioContext) {
+            throw new Error('Audio context not properly initialized');
+        }
+        
+        const response = await fetch(manifestUrl);
+        if (!response.ok) {
+            throw new Error(`Speech material not found: ${manifestUrl} (${response.status})`);
+        }
+        const manifest = await response.json();
+        
+        if (!['spondee', 'monosyllable'].includes(manifest.type)) {
+            throw new Error(`Invalid speech material type: ${manifest.type}. Use 'spondee' or 'monosyllable'`);
+        }
+        if (!manifest.calibrationTone || !manifest.lists?.length) {
+            throw new Error(`Speech material ${manifest.id} needs a calibrationTone and at least one list`);
+        }
+        
+        // Files are relative to the manifest
+        const decode = async (file) => {
+            const fileResponse = await fetch(new URL(file, response.url));
+            if (!fileResponse.ok) {
+                throw new Error(`Speech recording not found: ${file} (${fileResponse.status})`);
+            }
+            return this.audioContext.decodeAudioData(await fileResponse.arrayBuffer());
+        };
+        
+        const calibrationRms = this.measureSpeechRms(await decode(manifest.calibrationTone));
+        if (!(calibrationRms > 0)) {
+            throw new Error(`Calibration tone of ${manifest.id} is silent`);
+        }
+        
+        const lists = [];
+        for (const list of manifest.lists) {
+            const items = [];
+            for (const item of list.items) {
+                const buffer = await decode(item.file);
+                items.push({ word: item.word, buffer, peak: this.measurePeak(buffer) });
+            }
+            lists.push({ id: list.id, name: list.name || `List ${list.id}`, items });
+        }
+        
+        const material = { id: manifest.id, name: manifest.name, type: manifest.type, calibrationRms, lists };
+        this.speechMaterials.set(material.id, material);
+        
+        console.log(`🗣️ Speech material loaded: ${material.name} (${lists.length} lists, ${lists.reduce((sum, list) => sum + list.items.length, 0)} words)`);
+        return this.getSpeechMaterial(material.id);
+    }
+
+    /**
+     * Loaded speech materials
+     * @returns {Array<Object>} { id, name, type, lists: [{ id, name, length }] }
+     */
+    getSpeechMaterials() {
+        return [...this.speechMaterials.keys()].map(id => this.getSpeechMaterial(id));
+    }
+
+    getSpeechMaterial(materialId) {
+        const material = this.speechMaterials.get(materialId);
+        if (!material) return null;
+        
+        const { id, name, type, lists } = material;
+        return { id, name, type, lists: lists.map(list => ({ id: list.id, name: list.name, length: list.items.length })) };
+    }
+
+    /**
+     * Words of one list, in recorded order
+     * @returns {Array<Object>} { word, buffer, peak }
+     */
+    getSpeechList(materialId, listId) {
+        const list = this.speechMaterials.get(materialId)?.lists.find(candidate => candidate.id === listId);
+        if (!list) {
+            throw new Error(`Unknown speech list: ${materialId} / ${listId}`);
+        }
+        return [...list.items];
+    }
+
+    /**
+     * Speech RETSPL of the active earphone (0 dB HL for speech)
+     * @returns {number} dB SPL
+     */
+    getSpeechReferenceSpl() {
+        return (this.hlToSplCorrection.get(1000) || 0) + this.SPEECH_REFERENCE_OFFSET;
+    }
+
+    /**
+     * Maximum speech level: the earphone's 1000 Hz output limit, in 5 dB steps
+     * (speech dB HL sits 12.5 dB above tone dB HL at 1000 Hz)
+     * @returns {number} dB HL
+     */
+    getMaxSpeechLevel() {
+        return Math.floor((this.getMaxAirLevel(1000) - this.SPEECH_REFERENCE_OFFSET) / 5) * 5;
+    }
+
+    /**
+     * Gain that brings a material's calibration tone to the sine RMS of the speech level
+     * The ear's 1000 Hz calibration correction applies
+     * @param {Object} material - Loaded speech material
+     * @param {number} levelDbHl - Speech level in dB HL
+     * @param {string} ear - 'left' or 'right'
+     * @returns {number} Linear gain applied to the recordings
+     */
+    getSpeechGain(material, levelDbHl, ear) {
+        const speechSpl = levelDbHl + this.getSpeechReferenceSpl() + this.getCalibrationCorrection(1000, ear);
+        const targetRms = Math.SQRT1_2 * Math.pow(10, (speechSpl - this.fullScaleSpl) / 20);
+        return targetRms / material.calibrationRms;
+    }
+
+    /**
+     * Present one recorded word
+     * The word is routed straight to the ear's channel merger input, next to the tone and masking paths
+     * @param {string} materialId - Loaded material
+     * @param {Object} item - Word from getSpeechList()
+     * @param {number} levelDbHl - Speech level in dB HL
+     * @param {string} ear - 'left', 'right', or 'both'
+     * @returns {Promise<Object>} Resolves at the end of the word: { word, levelDbHl, ear, onsetTime, acousticOnset, duration, stopped }
+     */
+    async playSpeech(materialId, item, levelDbHl, ear) {
+        if (!this.audioContext || !this.channelMerger) {
+            throw new Error('Audio context not properly initialized');
+        }
+        if (this.conductionMode === 'bone') {
+            throw new Error('Speech audiometry is presented by air conduction only');
+        }
+        const material = this.speechMaterials.get(materialId);
+        if (!material) {
+            throw new Error(`Speech material not loaded: ${materialId}`);
+        }
+        
+        this.stopSpeech();
+        
+        const maxLevel = this.getMaxSpeechLevel();
+        if (levelDbHl > maxLevel) {
+            console.warn(`⚠️ ${levelDbHl} dB HL exceeds ${this.getTransducerLabel()} maximum for speech - limited to ${maxLevel} dB HL`);
+            levelDbHl = maxLevel;
+        }
+        
+        const source = this.audioContext.createBufferSource();
+        source.buffer = item.buffer;
+        
+        const ears = ear === 'both' ? ['left', 'right'] : [ear];
+        const gains = ears.map(channelEar => {
+            const gain = this.audioContext.createGain();
+            gain.gain.value = this.getSpeechGain(material, levelDbHl, channelEar);
+            source.connect(gain);
+            gain.connect(this.channelMerger, 0, channelEar === 'left' ? 0 : 1);
+            
+            if (item.peak * gain.gain.value > 1) {
+                console.warn(`⚠️ "${item.word}" at ${levelDbHl} dB HL exceeds digital full scale (${channelEar} ear) - output will clip`);
+            }
+            return gain;
+        });
+        
+        const startTime = this.audioContext.currentTime + this.STIMULUS_SCHEDULE_AHEAD;
+        const timing = {
+            word: item.word,
+            levelDbHl,
+            ear,
+            onsetTime: startTime,
+            acousticOnset: this.contextTimeToPerformanceTime(startTime),
+            duration: item.buffer.duration * 1000,
+            stopped: false
+        };
+        
+        console.log(`🗣️ Speech presentation: "${item.word}" at ${levelDbHl} dB HL (${ear} ear, ${material.name})`);
+        
+        return new Promise((resolve) => {
+            source.onended = () => {
+                source.disconnect();
+                gains.forEach(gain => gain.disconnect());
+                if (this.currentSpeech?.source === source) {
+                    this.currentSpeech = null;
+                }
+                resolve(timing);
+            };
+            this.currentSpeech = { source, timing };
+            source.start(startTime);
+        });
+    }
+
+    /**
+     * Stop the word being presented (its promise resolves with stopped: true)
+     */
+    stopSpeech() {
+        if (!this.currentSpeech) return;
+        
+        try {
+            this.currentSpeech.timing.stopped = true;
+            this.currentSpeech.source.stop();
+        } catch (error) {
+            // Source may already have ended
+            console.warn('Speech stop warning:', error.message);
+        }
+        this.currentSpeech = null;
+    }
+
+    /**
+     * RMS of a recording, excluding the first and last 10 % (fades)
+     * @param {AudioBuffer} buffer - Decoded recording (channel 0)
+     * @returns {number} RMS amplitude
+     */
+    measureSpeechRms(buffer) {
+        const data = buffer.getChannelData(0);
+        const start = Math.floor(data.length * 0.1);
+        const end = Math.ceil(data.length * 0.9);
+        
+        let sumSquares = 0;
+        for (let i = start; i < end; i++) {
+            sumSquares += data[i] * data[i];
+        }
+        return end > start ? Math.sqrt(sumSquares / (end - start)) : 0;
+    }
+
+    measurePeak(buffer) {
+        let peak = 0;
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+        }
+        return peak;
     }
 
     /**
@@ -0,0 +1,366 @@
+/**
+ * Calibration Manager
+ * Runs the earphone calibration wizard and stores per-ear corrections as named, dated profiles
+ * Profiles are kept in localStorage and applied to the AudioGenerator before testing
+ */
+export class CalibrationManager {
+    constructor(audioGenerator) {
+        this.audioGenerator = audioGenerator;
+
+        // Calibration parameters
+        this.REFERENCE_LEVEL = 70;        // dB HL - reference tone level (well above meter noise floor)
+        this.MAX_CORRECTION = 15;         // dB - larger deviations indicate a setup fault, not drift
+        this.VALIDITY_DAYS = 365;         // Annual exhaustive calibration (ISO 8253-1)
+        this.EXPIRY_WARNING_DAYS = 30;    // Warn this many days before a profile expires
+        this.REFERENCE_TONE_DURATION = 3000; // ms - long enough for a stable meter reading
+
+        // Storage keys
+        this.STORAGE_KEY = 'audiometer_calibration_profiles';
+        this.ACTIVE_KEY = 'audiometer_active_calibration'; // Transducer id -> profile id
+
+        // Wizard in progress (null when idle)
+        this.wizard = null;
+    }
+
+    // ==================== CALIBRATION WIZARD ====================
+
+    /**
+     * Start a calibration run for the active transducer
+     * Existing corrections are removed so the meter reads the uncorrected output
+     * @param {string} name - Profile name (e.g. "Booth A - March")
+     * @returns {Object} First calibration step
+     */
+    startCalibration(name) {
+        if (!name || !name.trim()) {
+            throw new Error('Calibration profile name is required');
+        }
+
+        const transducer = this.audioGenerator.getTransducer();
+        const steps = [];
+        ['right', 'left'].forEach(ear => {
+            this.audioGenerator.getTestFrequencies().forEach(frequency => steps.push({ frequency, ear }));
+        });
+
+        this.wizard = {
+            name: name.trim(),
+            transducer,
+            steps,
+            stepIndex: 0,
+            measurements: { left: {}, right: {} },
+            previousProfileId: this.audioGenerator.getCalibrationProfile()?.id || null
+        };
+
+        this.audioGenerator.clearCalibration();
+
+        console.log(`📏 Calibration started: ${this.wizard.name} (${this.audioGenerator.getTransducerLabel()}, ${steps.length} steps)`);
+        return this.getCurrentStep();
+    }
+
+    /**
+     * Current wizard step with the SPL the meter should read
+     * @returns {Object|null} Step details, or null when all steps are measured
+     */
+    getCurrentStep() {
+        if (!this.wizard || this.wizard.stepIndex >= this.wizard.steps.length) {
+            return null;
+        }
+
+        const { frequency, ear } = this.wizard.steps[this.wizard.stepIndex];
+        return {
+            frequency,
+            ear,
+            referenceLevel: this.REFERENCE_LEVEL,
+            expectedSpl: this.getExpectedSpl(frequency),
+            stepNumber: this.wizard.stepIndex + 1,
+            totalSteps: this.wizard.steps.length
+        };
+    }
+
+    /**
+     * Play the reference tone for the current step
+     * @returns {Promise} Resolves when the tone ends
+     */
+    async playReferenceTone() {
+        const step = this.getCurrentStep();
+        if (!step) {
+            throw new Error('No calibration step in progress');
+        }
+
+        // Sound level meters need a steady tone, whatever stimulus the protocol uses
+        const stimulusSettings = this.audioGenerator.getStimulusSettings();
+        this.audioGenerator.setStimulusSettings({ type: 'steady' });
+        try {
+            await this.audioGenerator.playTone(step.frequency, step.referenceLevel, this.REFERENCE_TONE_DURATION, step.ear);
+        } finally {
+            this.audioGenerator.setStimulusSettings(stimulusSettings);
+        }
+    }
+
+    /**
+     * Record the sound level meter reading for the current step and advance
+     * @param {number} measuredSpl - Meter reading in dB SPL
+     * @returns {Object} Measurement with the computed correction
+     */
+    recordMeasurement(measuredSpl) {
+        const step = this.getCurrentStep();
+        if (!step) {
+            throw new Error('No calibration step in progress');
+        }
+        if (!Number.isFinite(measuredSpl)) {
+            throw new Error('Measured level must be a number (dB SPL)');
+        }
+
+        // Round to the 0.5 dB resolution of a clinical sound level meter
+        const correction = Math.round((step.expectedSpl - measuredSpl) * 2) / 2;
+        if (Math.abs(correction) > this.MAX_CORRECTION) {
+            throw new Error(`Reading ${measuredSpl} dB SPL is ${Math.abs(correction)} dB from expected ${step.expectedSpl} dB SPL - check the coupler and meter settings`);
+        }
+
+        const measurement = {
+            frequency: step.frequency,
+            ear: step.ear,
+            expectedSpl: step.expectedSpl,
+            measuredSpl,
+            correction
+        };
+        this.wizard.measurements[step.ear][step.frequency] = measurement;
+        this.wizard.stepIndex++;
+
+        return measurement;
+    }
+
+    /**
+     * Go back one step to repeat a measurement
+     * @returns {Object|null} The previous step
+     */
+    previousStep() {
+        if (this.wizard && this.wizard.stepIndex > 0) {
+            this.wizard.stepIndex--;
+        }
+        return this.getCurrentStep();
+    }
+
+    isCalibrationComplete() {
+        return !!this.wizard && this.wizard.stepIndex >= this.wizard.steps.length;
+    }
+
+    /**
+     * Save the completed run as a profile and make it active
+     * @returns {Object} Saved profile
+     */
+    finishCalibration() {
+        if (!this.isCalibrationComplete()) {
+            throw new Error('Calibration is not complete');
+        }
+
+        const { name, transducer, measurements } = this.wizard;
+        const createdAt = new Date();
+        const expiresAt = new Date(createdAt.getTime() + this.VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+        const corrections = { left: {}, right: {} };
+        ['left', 'right'].forEach(ear => {
+            Object.values(measurements[ear]).forEach(m => { corrections[ear][m.frequency] = m.correction; });
+        });
+
+        const profile = {
+            id: `cal_${createdAt.getTime()}_${Math.random().toString(36).substr(2, 6)}`,
+            name,
+            transducer: { id: transducer.id, model: transducer.model },
+            referenceLevel: this.REFERENCE_LEVEL,
+            createdAt: createdAt.toISOString(),
+            expiresAt: expiresAt.toISOString(),
+            corrections,
+            measurements
+        };
+
+        this.saveProfile(profile);
+        this.wizard = null;
+        this.activateProfile(profile.id);
+
+        document.dispatchEvent(new CustomEvent('calibration-saved', { detail: profile }));
+        return profile;
+    }
+
+    /**
+     * Abandon the wizard and restore the previously active profile
+     */
+    cancelCalibration() {
+        if (!this.wizard) return;
+
+        const { previousProfileId } = this.wizard;
+        this.wizard = null;
+        this.audioGenerator.stopTone();
+
+        if (previousProfileId) {
+            this.activateProfile(previousProfileId);
+        }
+        console.log('📏 Calibration cancelled');
+    }
+
+    /**
+     * Expected meter reading for the reference tone (uncorrected output)
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} dB SPL
+     */
+    getExpectedSpl(frequency) {
+        const retspl = this.audioGenerator.getTransducer().retspl[frequency] || 0;
+        return this.REFERENCE_LEVEL + retspl;
+    }
+
+    // ==================== PROFILE STORAGE ====================
+
+    /**
+     * @returns {Array<Object>} All saved profiles, newest first
+     */
+    getProfiles() {
+        try {
+            const profiles = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return profiles.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            console.warn('Failed to read calibration profiles:', error);
+            return [];
+        }
+    }
+
+    getProfilesForTransducer(transducerId) {
+        return this.getProfiles().filter(profile => profile.transducer.id === transducerId);
+    }
+
+    getProfile(profileId) {
+        return this.getProfiles().find(profile => profile.id === profileId) || null;
+    }
+
+    saveProfile(profile) {
+        const profiles = this.getProfiles().filter(existing => existing.id !== profile.id);
+        profiles.push(profile);
+        this.writeProfiles(profiles);
+    }
+
+    deleteProfile(profileId) {
+        this.writeProfiles(this.getProfiles().filter(profile => profile.id !== profileId));
+
+        const active = this.getActiveProfileIds();
+        Object.keys(active).forEach(transducerId => {
+            if (active[transducerId] === profileId) delete active[transducerId];
+        });
+        this.writeActiveProfileIds(active);
+
+        if (this.audioGenerator.getCalibrationProfile()?.id === profileId) {
+            this.audioGenerator.clearCalibration();
+        }
+    }
+
+    writeProfiles(profiles) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(profiles));
+        } catch (error) {
+            console.warn('Failed to save calibration profiles:', error);
+        }
+    }
+
+    // ==================== ACTIVE PROFILE ====================
+
+    /**
+     * Apply a saved profile to the audio generator and remember it for its transducer
+     * @param {string} profileId - Profile to activate
+     * @returns {Object} Expiry status of the profile
+     */
+    activateProfile(profileId) {
+        const profile = this.getProfile(profileId);
+        if (!profile) {
+            throw new Error(`Calibration profile not found: ${profileId}`);
+        }
+
+        this.audioGenerator.applyCalibrationProfile(profile);
+
+        const active = this.getActiveProfileIds();
+        active[profile.transducer.id] = profile.id;
+        this.writeActiveProfileIds(active);
+
+        return this.checkExpiry(profile);
+    }
+
+    /**
+     * Restore the last profile used with the active transducer
+     * @returns {Object|null} Expiry status, or null if the transducer has no active profile
+     */
+    restoreActiveProfile() {
+        const transducerId = this.audioGenerator.getTransducer().id;
+        const profileId = this.getActiveProfileIds()[transducerId];
+
+        if (!profileId || !this.getProfile(profileId)) {
+            this.audioGenerator.clearCalibration();
+            return null;
+        }
+        return this.activateProfile(profileId);
+    }
+
+    /**
+     * Run the active transducer uncalibrated (no profile)
+     */
+    deactivateProfile() {
+        const active = this.getActiveProfileIds();
+        delete active[this.audioGenerator.getTransducer().id];
+        this.writeActiveProfileIds(active);
+        this.audioGenerator.clearCalibration();
+    }
+
+    getActiveProfileIds() {
+        try {
+            return JSON.parse(localStorage.getItem(this.ACTIVE_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeActiveProfileIds(active) {
+        try {
+            localStorage.setItem(this.ACTIVE_KEY, JSON.stringify(active));
+        } catch (error) {
+            console.warn('Failed to save active calibration:', error);
+        }
+    }
+
+    // ==================== EXPIRY ====================
+
+    /**
+     * Classify a profile as valid, expiring soon or expired
+     * @param {Object} profile - Calibration profile
+     * @param {Date} now - Reference date
+     * @returns {Object} { status: 'valid'|'expiring'|'expired', daysRemaining }
+     */
+    getExpiryStatus(profile, now = new Date()) {
+        const daysRemaining = Math.floor((new Date(profile.expiresAt) - now) / (24 * 60 * 60 * 1000));
+
+        let status = 'valid';
+        if (daysRemaining < 0) {
+            status = 'expired';
+        } else if (daysRemaining <= this.EXPIRY_WARNING_DAYS) {
+            status = 'expiring';
+        }
+
+        return { status, daysRemaining };
+    }
+
+    /**
+     * Warn (console and 'calibration-expiry-warning' event) if a profile is expired or expiring
+     * @param {Object} profile - Calibration profile
+     * @returns {Object} Expiry status
+     */
+    checkExpiry(profile) {
+        const expiry = this.getExpiryStatus(profile);
+
+        if (expiry.status !== 'valid') {
+            const message = expiry.status === 'expired'
+                ? `Calibration "${profile.name}" expired ${-expiry.daysRemaining} days ago - recalibrate before clinical use`
+                : `Calibration "${profile.name}" expires in ${expiry.daysRemaining} days`;
+            console.warn(`⚠️ ${message}`);
+
+            document.dispatchEvent(new CustomEvent('calibration-expiry-warning', {
+                detail: { profileId: profile.id, name: profile.name, ...expiry, message }
+            }));
+        }
+
+        return expiry;
+    }
+}
@@ -0,0 +1,385 @@
+/**
+ * Stimulus Processor (AudioWorklet)
+ * Renders every stimulus sample by sample on the audio thread: tones with their rise/fall
+ * envelopes, pulse trains and warble, contralateral masking noise and per-ear gain
+ * A pulse train with an unlimited pulse count repeats until the tone ends (Békésy tracking)
+ * Reports the audio-clock frame of each stimulus onset and offset back to the main thread
+ * Loaded by AudioGenerator with audioWorklet.addModule() - runs in the AudioWorkletGlobalScope
+ *
+ * Messages (port or processorOptions.messages):
+ *   { command: 'tone', id, frequency, gains: [left, right], startTime, endTime, settings }
+ *   { command: 'stop', id }                         - fade out a tone (all tones without id)
+ *   { command: 'tone-update', id, gains, frequency, rampTime } - glide a tracking tone's level and frequency
+ *   { command: 'noise-start', id, ear, filters, fadeTime }
+ *   { command: 'noise-level', id, gain, rampTime }
+ *   { command: 'noise-stop', id, fadeTime }        - a replaced masker fades out under the new one
+ * Events posted back:
+ *   { event: 'onset' | 'offset', kind: 'tone' | 'noise', id, frame, time, late, stopped }
+ */
+class StimulusProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.tones = [];            // Scheduled, sounding and releasing tones
+        this.noises = [];           // Active and fading maskers
+        this.STOP_FADE_TIME = 0.005; // s - fade applied when a tone is stopped early
+
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+
+        // Messages passed at construction are scheduled before the first render quantum
+        // (used for offline rendering, where port messages could arrive too late)
+        (options?.processorOptions?.messages || []).forEach(message => this.handleMessage(message));
+    }
+
+    handleMessage(message) {
+        switch (message.command) {
+            case 'tone':
+                this.addTone(message);
+                break;
+            case 'tone-update': {
+                const tone = this.tones.find(t => t.id === message.id && !t.release && !t.finished);
+                if (tone) this.setToneTarget(tone, message);
+                break;
+            }
+            case 'stop':
+                this.tones
+                    .filter(tone => message.id === undefined || tone.id === message.id)
+                    .forEach(tone => this.releaseTone(tone));
+                break;
+            case 'noise-start':
+                this.startNoise(message);
+                break;
+            case 'noise-level': {
+                const noise = this.noises.find(masker => masker.id === message.id && !masker.stopping);
+                if (noise) this.setNoiseGain(noise, message.gain, message.rampTime);
+                break;
+            }
+            case 'noise-stop': {
+                const noise = this.noises.find(masker => masker.id === message.id);
+                if (noise) {
+                    noise.stopping = true;
+                    this.setNoiseGain(noise, 0, message.fadeTime);
+                }
+                break;
+            }
+        }
+    }
+
+    // ==================== TONES ====================
+
+    /**
+     * Schedule a tone in sample frames
+     * A tone that arrives after its start time is shifted as a whole, so pulse timing is kept
+     */
+    addTone({ id, frequency, gains, startTime, endTime, settings }) {
+        const scheduledFrame = Math.round(startTime * sampleRate);
+        const delay = Math.max(0, currentFrame - scheduledFrame);
+        const startFrame = scheduledFrame + delay;
+        const endFrame = Math.round(endTime * sampleRate) + delay;
+
+        // Unlimited pulse trains repeat the first burst every on + off period
+        const pulse = settings.type === 'pulsed' ? settings.pulse : null;
+        const period = pulse && !Number.isFinite(pulse.count)
+            ? Math.round((pulse.onDuration + pulse.offDuration) / 1000 * sampleRate)
+            : null;
+
+        this.tones.push({
+            id,
+            frequency,
+            gains: [...gains],
+            settings,
+            startFrame,
+            endFrame,
+            period,
+            glide: null,
+            bursts: this.getBursts(startFrame, endFrame, period ? { ...settings, pulse: { ...pulse, count: 1 } } : settings),
+            late: delay > 0,
+            phase: 0,
+            modulatorPhase: 0,
+            envelope: 0,
+            release: null,
+            started: false,
+            finished: false
+        });
+    }
+
+    /**
+     * Burst on/off frames and ramp length (one burst, or each pulse of a train)
+     */
+    getBursts(startFrame, endFrame, settings) {
+        const rampFrames = settings.rampDuration / 1000 * sampleRate;
+        const windows = [];
+
+        if (settings.type === 'pulsed') {
+            const { onDuration, offDuration, count } = settings.pulse;
+            for (let i = 0; i < count; i++) {
+                const on = startFrame + Math.round(i * (onDuration + offDuration) / 1000 * sampleRate);
+                windows.push([on, Math.min(on + Math.round(onDuration / 1000 * sampleRate), endFrame)]);
+            }
+        } else {
+            windows.push([startFrame, endFrame]);
+        }
+
+        // The ramp is shortened if the burst is too short to hold both ramps
+        return windows
+            .filter(([on, off]) => off > on)
+            .map(([on, off]) => ({ on, off, ramp: Math.max(1, Math.min(rampFrames, (off - on) / 2)) }));
+    }
+
+    /**
+     * Glide a tone's per-ear gains and frequency linearly to new values
+     */
+    setToneTarget(tone, { gains = tone.gains, frequency = tone.frequency, rampTime = 0.05 }) {
+        const frames = Math.max(1, Math.round(rampTime * sampleRate));
+        tone.glide = {
+            remaining: frames,
+            gains: [...gains],
+            frequency,
+            gainSteps: gains.map((gain, i) => (gain - tone.gains[i]) / frames),
+            frequencyStep: (frequency - tone.frequency) / frames
+        };
+    }
+
+    /**
+     * Advance a glide by one frame
+     */
+    advanceGlide(tone) {
+        const glide = tone.glide;
+        glide.remaining--;
+        if (glide.remaining <= 0) {
+            tone.gains = glide.gains;
+            tone.frequency = glide.frequency;
+            tone.glide = null;
+            return;
+        }
+        tone.gains[0] += glide.gainSteps[0];
+        tone.gains[1] += glide.gainSteps[1];
+        tone.frequency += glide.frequencyStep;
+    }
+
+    /**
+     * Start a fade-out from the current envelope value
+     */
+    releaseTone(tone) {
+        if (tone.release || tone.finished) return;
+
+        if (!tone.started) {
+            // Never sounded - drop it without an onset
+            this.finishTone(tone, currentFrame, true);
+            return;
+        }
+        tone.release = {
+            startFrame: currentFrame,
+            frames: Math.max(1, Math.round(this.STOP_FADE_TIME * sampleRate)),
+            from: tone.envelope
+        };
+    }
+
+    /**
+     * One output sample of a tone (before per-ear gain)
+     */
+    renderTone(tone, frame) {
+        if (frame < tone.startFrame) return 0;
+
+        if (!tone.started && tone.bursts.length > 0) {
+            tone.started = true;
+            this.postEvent('onset', 'tone', tone.id, frame, { late: tone.late });
+        }
+
+        let envelope;
+        if (tone.release) {
+            const progress = (frame - tone.release.startFrame) / tone.release.frames;
+            if (progress >= 1 || tone.release.from === 0) {
+                this.finishTone(tone, frame, true);
+                return 0;
+            }
+            envelope = tone.release.from * (1 - this.rampValue(progress, tone.settings.rampShape));
+        } else {
+            if (frame >= tone.endFrame) {
+                this.finishTone(tone, tone.endFrame, false);
+                return 0;
+            }
+            envelope = this.getEnvelope(tone, frame);
+        }
+        tone.envelope = envelope;
+        if (tone.glide) this.advanceGlide(tone);
+
+        // Sine carrier; warble modulates the instantaneous frequency
+        const sample = Math.sin(tone.phase) * envelope;
+        let frequency = tone.frequency;
+        if (tone.settings.type === 'warble') {
+            const { rate, depth } = tone.settings.warble;
+            frequency += tone.frequency * depth / 100 * Math.sin(tone.modulatorPhase);
+            tone.modulatorPhase = (tone.modulatorPhase + 2 * Math.PI * rate / sampleRate) % (2 * Math.PI);
+        }
+        tone.phase = (tone.phase + 2 * Math.PI * frequency / sampleRate) % (2 * Math.PI);
+
+        return sample;
+    }
+
+    /**
+     * Envelope value at a frame: rise - plateau - fall within each burst, silent between bursts
+     */
+    getEnvelope(tone, frame) {
+        if (tone.period) {
+            frame = tone.startFrame + (frame - tone.startFrame) % tone.period;
+        }
+        for (const burst of tone.bursts) {
+            if (frame < burst.on || frame >= burst.off) continue;
+
+            const position = Math.min(1, (frame - burst.on) / burst.ramp, (burst.off - frame) / burst.ramp);
+            return this.rampValue(position, tone.settings.rampShape);
+        }
+        return 0;
+    }
+
+    /**
+     * Ramp shape from 0 to 1
+     * @param {number} x - Position in the ramp (0-1)
+     * @param {string} shape - 'linear' or 'raised-cosine'
+     */
+    rampValue(x, shape) {
+        return shape === 'raised-cosine' ? 0.5 - 0.5 * Math.cos(Math.PI * x) : x;
+    }
+
+    finishTone(tone, frame, stopped) {
+        tone.finished = true;
+        this.postEvent('offset', 'tone', tone.id, frame, { stopped, started: tone.started });
+    }
+
+    // ==================== MASKING NOISE ====================
+
+    startNoise({ id, ear, filters, fadeTime = 0.05 }) {
+        this.noises.push({
+            id,
+            channel: ear === 'left' ? 0 : 1,
+            biquads: filters.map(filter => this.createBiquad(filter)),
+            gain: 0,
+            target: 0,
+            step: 0,
+            remaining: 0,
+            fadeTime,
+            started: false,
+            stopping: false,
+            finished: false
+        });
+    }
+
+    /**
+     * Ramp the masker gain linearly to a new value
+     */
+    setNoiseGain(noise, target, rampTime = 0.02) {
+        // The first level after start fades in over the start fade time
+        const time = noise.started ? rampTime : Math.max(rampTime, noise.fadeTime);
+        noise.remaining = Math.max(1, Math.round(time * sampleRate));
+        noise.target = target;
+        noise.step = (target - noise.gain) / noise.remaining;
+    }
+
+    /**
+     * One output sample of the masker (white noise through its shaping filters)
+     */
+    renderNoise(noise, frame) {
+        if (!noise.started && noise.remaining > 0 && !noise.stopping) {
+            noise.started = true;
+            this.postEvent('onset', 'noise', noise.id, frame);
+        }
+
+        if (noise.remaining > 0) {
+            noise.remaining--;
+            noise.gain = noise.remaining === 0 ? noise.target : noise.gain + noise.step;
+        } else if (noise.stopping) {
+            noise.finished = true;
+            this.postEvent('offset', 'noise', noise.id, frame, { stopped: true });
+            return 0;
+        }
+
+        let sample = Math.random() * 2 - 1;
+        for (const biquad of noise.biquads) {
+            sample = this.processBiquad(biquad, sample);
+        }
+        return sample * noise.gain;
+    }
+
+    /**
+     * Biquad section with the coefficients of the Web Audio BiquadFilterNode
+     * (bandpass Q is linear; lowpass and highpass Q is in dB)
+     * @param {Object} filter - { type: 'bandpass' | 'lowpass' | 'highpass', frequency, Q }
+     */
+    createBiquad({ type, frequency, Q }) {
+        const w0 = 2 * Math.PI * frequency / sampleRate;
+        const cosW0 = Math.cos(w0);
+        const alpha = type === 'bandpass'
+            ? Math.sin(w0) / (2 * Q)
+            : Math.sin(w0) / (2 * Math.pow(10, Q / 20));
+
+        let b;
+        switch (type) {
+            case 'bandpass':
+                b = [alpha, 0, -alpha];
+                break;
+            case 'lowpass':
+                b = [(1 - cosW0) / 2, 1 - cosW0, (1 - cosW0) / 2];
+                break;
+            case 'highpass':
+                b = [(1 + cosW0) / 2, -(1 + cosW0), (1 + cosW0) / 2];
+                break;
+            default:
+                throw new Error(`Unsupported masking filter: ${type}`);
+        }
+
+        const a0 = 1 + alpha;
+        return {
+            b0: b[0] / a0, b1: b[1] / a0, b2: b[2] / a0,
+            a1: -2 * cosW0 / a0, a2: (1 - alpha) / a0,
+            x1: 0, x2: 0, y1: 0, y2: 0
+        };
+    }
+
+    processBiquad(f, x) {
+        const y = f.b0 * x + f.b1 * f.x1 + f.b2 * f.x2 - f.a1 * f.y1 - f.a2 * f.y2;
+        f.x2 = f.x1;
+        f.x1 = x;
+        f.y2 = f.y1;
+        f.y1 = y;
+        return y;
+    }
+
+    // ==================== RENDERING ====================
+
+    process(inputs, outputs) {
+        const [left, right] = outputs[0];
+
+        for (let i = 0; i < left.length; i++) {
+            const frame = currentFrame + i;
+            let leftSample = 0;
+            let rightSample = 0;
+
+            for (const tone of this.tones) {
+                if (tone.finished) continue;
+                const sample = this.renderTone(tone, frame);
+                leftSample += sample * tone.gains[0];
+                rightSample += sample * tone.gains[1];
+            }
+
+            for (const noise of this.noises) {
+                if (noise.finished) continue;
+                const sample = this.renderNoise(noise, frame);
+                if (noise.channel === 0) leftSample += sample;
+                else rightSample += sample;
+            }
+
+            left[i] = leftSample;
+            if (right) right[i] = rightSample;
+        }
+
+        this.tones = this.tones.filter(tone => !tone.finished);
+        this.noises = this.noises.filter(noise => !noise.finished);
+        return true;
+    }
+
+    postEvent(event, kind, id, frame, details = {}) {
+        this.port.postMessage({ event, kind, id, frame, time: frame / sampleRate, ...details });
+    }
+}
+
+registerProcessor('stimulus-processor', StimulusProcessor);
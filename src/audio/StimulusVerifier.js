@@ -0,0 +1,459 @@
+/**
+ * Stimulus Verification
+ * Renders tones through the AudioGenerator stimulus engine in an OfflineAudioContext
+ * and measures what was actually produced: level, frequency, ramps, distortion and crosstalk
+ * Needs no audio device or user gesture, so it runs in headless browsers
+ * Tones are verified as steady bursts using the generator's ramp shape and duration
+ * Uses the AudioWorklet stimulus processor when the offline context supports it, else the node graph
+ */
+export class StimulusVerifier {
+    /**
+     * @param {AudioGenerator} audioGenerator - Generator whose graph and calibration are verified
+     * @param {Object} options
+     * @param {number} options.sampleRate - Render sample rate (Hz)
+     * @param {Function} options.OfflineAudioContext - Constructor (e.g. from node-web-audio-api when run outside a browser)
+     * @param {Function} options.AudioWorkletNode - Constructor matching the OfflineAudioContext implementation
+     */
+    constructor(audioGenerator, { sampleRate = 48000, OfflineAudioContext = null, AudioWorkletNode = null } = {}) {
+        this.audioGenerator = audioGenerator;
+        this.sampleRate = sampleRate;
+        this.OfflineContext = OfflineAudioContext || globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+        this.WorkletNode = AudioWorkletNode || globalThis.AudioWorkletNode;
+        this.engine = null; // Stimulus engine used for the last render
+
+        // Pass/fail limits
+        this.limits = {
+            levelToleranceDb: 0.5,          // Digital path should match the dB HL calculation closely
+            frequencyTolerancePercent: 1,   // IEC 60645-1 frequency accuracy
+            maxThdPercent: 2.5,             // IEC 60645-1 air-conduction harmonic distortion
+            minChannelIsolationDb: 70,      // IEC 60645-1 crosstalk attenuation
+            rampTolerancePercent: 25,       // Rise/fall time vs configured ramp (after ramp-shape factor)
+            maxPeakAmplitude: 1.0           // Digital full scale - higher values clip at the output
+        };
+
+        // Render timing (seconds)
+        this.leadTime = 0.05;       // Silence before tone onset
+        this.tailTime = 0.05;       // Silence after tone offset
+        this.settleTime = 0.005;    // Excluded after the ramps when measuring the steady state
+        this.harmonicCount = 5;     // Harmonics 2..5 included in THD
+        
+        // 10-90 % rise time as a fraction of the ramp duration, per ramp shape
+        this.rampShapeFactors = {
+            'linear': 0.8,
+            'raised-cosine': 0.5903   // (acos(-0.8) - acos(0.8)) / π
+        };
+    }
+
+    // ==================== VERIFICATION ====================
+
+    /**
+     * Render and measure one tone
+     * @param {Object} stimulus
+     * @param {number} stimulus.frequency - Frequency in Hz
+     * @param {number} stimulus.levelDbHl - Level in dB HL
+     * @param {string} stimulus.ear - 'left', 'right' or 'both'
+     * @param {number} stimulus.duration - Tone duration in ms
+     * @returns {Promise<Object>} Measurements and pass/fail per check
+     */
+    async verifyTone({ frequency, levelDbHl, ear, duration = 500 }) {
+        const generator = this.audioGenerator;
+        const stimulus = generator.getToneStimulus(frequency, levelDbHl, ear);
+        const channels = await this.renderTone(stimulus, ear, duration / 1000);
+
+        const startSample = Math.round(this.leadTime * this.sampleRate);
+        const endSample = startSample + Math.round(duration / 1000 * this.sampleRate);
+        const rampSeconds = generator.getStimulusSettings().rampDuration / 1000;
+        const steadyFrom = startSample + Math.ceil((rampSeconds + this.settleTime) * this.sampleRate);
+        const steadyTo = endSample - Math.ceil((rampSeconds + this.settleTime) * this.sampleRate);
+
+        const testedEars = ear === 'both' ? ['left', 'right'] : [ear];
+        const expectedAmplitude = { left: stimulus.amplitude, right: stimulus.rightAmplitude };
+
+        const result = {
+            frequency,
+            levelDbHl: stimulus.levelDbHl,
+            ear,
+            conduction: generator.getConductionMode(),
+            rampShape: generator.getStimulusSettings().rampShape,
+            channels: {},
+            checks: {},
+            passed: true
+        };
+
+        testedEars.forEach(side => {
+            const samples = channels[side === 'left' ? 0 : 1];
+            result.channels[side] = this.measureChannel(samples, frequency, expectedAmplitude[side], stimulus.levelDbHl, steadyFrom, steadyTo);
+        });
+
+        // Crosstalk into the ear that should be silent
+        if (ear !== 'both') {
+            const opposite = channels[ear === 'left' ? 1 : 0];
+            const testRms = result.channels[ear].rms;
+            const leakageRms = this.measureRms(opposite, steadyFrom, steadyTo);
+            result.leakageDb = 20 * Math.log10((leakageRms + 1e-12) / testRms);
+        }
+
+        this.evaluateChecks(result, testedEars);
+        return result;
+    }
+
+    /**
+     * Verify a set of frequencies and ears and build a calibration-check report
+     * @param {Object} options
+     * @param {Array<number>} options.frequencies - Frequencies to verify (default: generator test frequencies)
+     * @param {number} options.levelDbHl - Presentation level in dB HL
+     * @param {Array<string>} options.ears - Ears to verify
+     * @param {number} options.duration - Tone duration in ms
+     * @returns {Promise<Object>} Report with per-stimulus results and overall pass/fail
+     */
+    async runCalibrationCheck({ frequencies = null, levelDbHl = 40, ears = ['left', 'right'], duration = 500 } = {}) {
+        const generator = this.audioGenerator;
+        const testFrequencies = frequencies || (generator.getConductionMode() === 'bone'
+            ? generator.getBoneFrequencies()
+            : generator.getTestFrequencies());
+
+        console.log(`🔬 Stimulus verification: ${testFrequencies.length} frequencies × ${ears.length} ears at ${levelDbHl} dB HL`);
+
+        const results = [];
+        for (const ear of ears) {
+            for (const frequency of testFrequencies) {
+                const result = await this.verifyTone({ frequency, levelDbHl, ear, duration });
+                results.push(result);
+                console.log(`${result.passed ? '✅' : '❌'} ${ear} ${frequency} Hz`, this.describeFailures(result) || 'all checks passed');
+            }
+        }
+
+        const failed = results.filter(result => !result.passed).length;
+        const calibration = generator.getCalibrationProfile();
+
+        return {
+            timestamp: new Date().toISOString(),
+            sampleRate: this.sampleRate,
+            transducer: generator.getTransducerLabel(),
+            conduction: generator.getConductionMode(),
+            engine: this.engine,
+            envelope: `${generator.getStimulusSettings().rampDuration} ms ${generator.getStimulusSettings().rampShape}`,
+            calibrationProfile: calibration ? `${calibration.name} (${calibration.createdAt.slice(0, 10)})` : null,
+            levelDbHl,
+            limits: { ...this.limits },
+            results,
+            summary: {
+                total: results.length,
+                passed: results.length - failed,
+                failed
+            },
+            passed: failed === 0
+        };
+    }
+
+    /**
+     * Render a tone through a fresh copy of the stimulus engine and channel graph
+     * @returns {Promise<Array<Float32Array>>} [left, right] channel samples
+     */
+    async renderTone(stimulus, ear, durationSeconds) {
+        if (!this.OfflineContext) {
+            throw new Error('OfflineAudioContext is not available - pass one in the StimulusVerifier options');
+        }
+
+        const length = Math.ceil((this.leadTime + durationSeconds + this.tailTime) * this.sampleRate);
+        const context = new this.OfflineContext(2, length, this.sampleRate);
+        const graph = this.audioGenerator.createChannelGraph(context);
+
+        // Level and spectrum are defined on a steady tone; pulse and warble settings are not applied
+        const settings = { ...this.audioGenerator.getStimulusSettings(), type: 'steady' };
+        const endTime = this.leadTime + durationSeconds;
+
+        try {
+            // The tone is passed at construction so it is scheduled before rendering starts
+            const message = this.audioGenerator.getToneMessage(0, stimulus, ear, this.leadTime, endTime, settings);
+            await this.audioGenerator.createStimulusNode(context, graph.masterGain, { WorkletNode: this.WorkletNode, messages: [message] });
+            this.engine = 'audio-worklet';
+        } catch (error) {
+            // No AudioWorklet in this context - verify the node graph used as the live fallback
+            this.audioGenerator.scheduleTone(graph, context, stimulus, ear, this.leadTime, endTime, settings);
+            this.engine = 'node-graph';
+        }
+
+        const buffer = await context.startRendering();
+        return [buffer.getChannelData(0), buffer.getChannelData(1)];
+    }
+
+    // ==================== MEASUREMENTS ====================
+
+    /**
+     * Level, frequency, distortion, ramps and headroom of one rendered channel
+     */
+    measureChannel(samples, frequency, expectedAmplitude, levelDbHl, steadyFrom, steadyTo) {
+        const rms = this.measureRms(samples, steadyFrom, steadyTo);
+        const expectedRms = expectedAmplitude / Math.SQRT2;
+        const levelErrorDb = 20 * Math.log10((rms + 1e-12) / expectedRms);
+
+        const spectrum = this.analyzeSpectrum(samples.subarray(steadyFrom, steadyTo), frequency);
+        const ramps = this.measureRampTimes(samples, frequency);
+
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+
+        return {
+            rms,
+            expectedRms,
+            levelErrorDb,
+            measuredDbHl: levelDbHl + levelErrorDb,
+            peakFrequency: spectrum.peakFrequency,
+            frequencyErrorPercent: 100 * (spectrum.peakFrequency - frequency) / frequency,
+            thdPercent: spectrum.thdPercent,
+            riseTimeMs: ramps.riseTimeMs,
+            fallTimeMs: ramps.fallTimeMs,
+            peakAmplitude: peak
+        };
+    }
+
+    measureRms(samples, from, to) {
+        let sumSquares = 0;
+        for (let i = from; i < to; i++) {
+            sumSquares += samples[i] * samples[i];
+        }
+        return Math.sqrt(sumSquares / Math.max(1, to - from));
+    }
+
+    /**
+     * Peak frequency and THD from a Hann-windowed FFT of the steady-state segment
+     * @param {Float32Array} segment - Steady-state samples
+     * @param {number} frequency - Nominal tone frequency (Hz)
+     * @returns {Object} { peakFrequency, thdPercent }
+     */
+    analyzeSpectrum(segment, frequency) {
+        // Largest power of two that fits in the segment
+        const size = Math.pow(2, Math.floor(Math.log2(segment.length)));
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            re[i] = segment[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1)));
+        }
+        this.fft(re, im);
+
+        const binWidth = this.sampleRate / size;
+        const power = new Float64Array(size / 2);
+        for (let k = 0; k < size / 2; k++) {
+            power[k] = re[k] * re[k] + im[k] * im[k];
+        }
+
+        // Peak bin near the nominal frequency, refined by Gaussian interpolation
+        const searchFrom = Math.max(1, Math.floor(frequency * 0.9 / binWidth));
+        const searchTo = Math.min(size / 2 - 2, Math.ceil(frequency * 1.1 / binWidth));
+        let peakBin = searchFrom;
+        for (let k = searchFrom; k <= searchTo; k++) {
+            if (power[k] > power[peakBin]) peakBin = k;
+        }
+        const [a, b, c] = [power[peakBin - 1], power[peakBin], power[peakBin + 1]].map(p => Math.log(p + 1e-30));
+        const denominator = a - 2 * b + c;
+        const offset = denominator !== 0 ? 0.5 * (a - c) / denominator : 0;
+        const peakFrequency = (peakBin + offset) * binWidth;
+
+        // Harmonic power relative to the fundamental (Hann main lobe spans ±2 bins)
+        const bandPower = (centre) => {
+            const bin = Math.round(centre / binWidth);
+            let sum = 0;
+            for (let k = Math.max(1, bin - 4); k <= Math.min(size / 2 - 1, bin + 4); k++) {
+                sum += power[k];
+            }
+            return sum;
+        };
+        const fundamental = bandPower(peakFrequency);
+        let harmonics = 0;
+        for (let h = 2; h <= this.harmonicCount && h * peakFrequency < this.sampleRate / 2 - 4 * binWidth; h++) {
+            harmonics += bandPower(h * peakFrequency);
+        }
+
+        return {
+            peakFrequency,
+            thdPercent: fundamental > 0 ? 100 * Math.sqrt(harmonics / fundamental) : 0
+        };
+    }
+
+    /**
+     * 10-90 % rise and 90-10 % fall times of the tone envelope
+     * Envelope is the magnitude of the analytic signal (Hilbert transform via FFT)
+     * @returns {Object} { riseTimeMs, fallTimeMs }
+     */
+    measureRampTimes(samples, frequency) {
+        const envelope = this.computeEnvelope(samples);
+
+        // Steady amplitude: median envelope over the middle half of the tone
+        const active = [];
+        const floor = envelope.reduce((max, value) => Math.max(max, value), 0) * 0.5;
+        envelope.forEach((value, i) => { if (value > floor) active.push(i); });
+        const first = active[0];
+        const last = active[active.length - 1];
+        const middle = Array.from(envelope.subarray(first + Math.floor((last - first) / 4), last - Math.floor((last - first) / 4))).sort((x, y) => x - y);
+        const steady = middle[Math.floor(middle.length / 2)];
+
+        const firstAbove = (level) => envelope.findIndex(value => value >= level * steady);
+        const lastAbove = (level) => {
+            for (let i = envelope.length - 1; i >= 0; i--) {
+                if (envelope[i] >= level * steady) return i;
+            }
+            return -1;
+        };
+
+        const msPerSample = 1000 / this.sampleRate;
+        return {
+            riseTimeMs: (firstAbove(0.9) - firstAbove(0.1)) * msPerSample,
+            fallTimeMs: (lastAbove(0.1) - lastAbove(0.9)) * msPerSample
+        };
+    }
+
+    computeEnvelope(samples) {
+        const size = Math.pow(2, Math.ceil(Math.log2(samples.length)));
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        re.set(samples);
+        this.fft(re, im);
+
+        // Keep DC and Nyquist, double positive frequencies, remove negative frequencies
+        for (let k = 1; k < size / 2; k++) {
+            re[k] *= 2;
+            im[k] *= 2;
+        }
+        for (let k = size / 2 + 1; k < size; k++) {
+            re[k] = 0;
+            im[k] = 0;
+        }
+        this.fft(re, im, true);
+
+        const envelope = new Float64Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            envelope[i] = Math.hypot(re[i], im[i]);
+        }
+        return envelope;
+    }
+
+    /**
+     * In-place iterative radix-2 FFT
+     * @param {Float64Array} re - Real parts (length must be a power of two)
+     * @param {Float64Array} im - Imaginary parts
+     * @param {boolean} inverse - Inverse transform (scaled by 1/N)
+     */
+    fft(re, im, inverse = false) {
+        const n = re.length;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = (inverse ? 2 : -2) * Math.PI / length;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let start = 0; start < n; start += length) {
+                let uRe = 1;
+                let uIm = 0;
+                for (let k = 0; k < length / 2; k++) {
+                    const evenIndex = start + k;
+                    const oddIndex = evenIndex + length / 2;
+                    const tRe = re[oddIndex] * uRe - im[oddIndex] * uIm;
+                    const tIm = re[oddIndex] * uIm + im[oddIndex] * uRe;
+                    re[oddIndex] = re[evenIndex] - tRe;
+                    im[oddIndex] = im[evenIndex] - tIm;
+                    re[evenIndex] += tRe;
+                    im[evenIndex] += tIm;
+                    [uRe, uIm] = [uRe * wRe - uIm * wIm, uRe * wIm + uIm * wRe];
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+
+    // ==================== PASS / FAIL ====================
+
+    evaluateChecks(result, testedEars) {
+        const limits = this.limits;
+        const { rampShape, rampDuration } = this.audioGenerator.getStimulusSettings();
+        const expectedRampMs = rampDuration * this.rampShapeFactors[rampShape];
+        const rampTolerance = expectedRampMs * limits.rampTolerancePercent / 100;
+
+        testedEars.forEach(side => {
+            const channel = result.channels[side];
+            const prefix = testedEars.length > 1 ? `${side}_` : '';
+
+            result.checks[`${prefix}level`] = Math.abs(channel.levelErrorDb) <= limits.levelToleranceDb;
+            result.checks[`${prefix}frequency`] = Math.abs(channel.frequencyErrorPercent) <= limits.frequencyTolerancePercent;
+            result.checks[`${prefix}distortion`] = channel.thdPercent <= limits.maxThdPercent;
+            result.checks[`${prefix}rise`] = Math.abs(channel.riseTimeMs - expectedRampMs) <= rampTolerance;
+            result.checks[`${prefix}fall`] = Math.abs(channel.fallTimeMs - expectedRampMs) <= rampTolerance;
+            result.checks[`${prefix}headroom`] = channel.peakAmplitude <= limits.maxPeakAmplitude;
+        });
+
+        if (result.leakageDb !== undefined) {
+            result.checks.isolation = -result.leakageDb >= limits.minChannelIsolationDb;
+        }
+
+        result.passed = Object.values(result.checks).every(Boolean);
+    }
+
+    describeFailures(result) {
+        return Object.entries(result.checks)
+            .filter(([, passed]) => !passed)
+            .map(([check]) => check)
+            .join(', ');
+    }
+
+    /**
+     * Format a calibration-check report as printable lines
+     * @param {Object} report - From runCalibrationCheck()
+     * @returns {Array<string>} Report lines
+     */
+    formatReport(report) {
+        const lines = [
+            '═══════════════════════════════════════════════════════════════════',
+            '                 STIMULUS VERIFICATION REPORT',
+            '═══════════════════════════════════════════════════════════════════',
+            `DATE: ${report.timestamp}`,
+            `TRANSDUCER: ${report.transducer} (${report.conduction.toUpperCase()})`,
+            `ENGINE: ${report.engine === 'audio-worklet' ? 'AUDIOWORKLET' : 'NODE GRAPH'}    ENVELOPE: ${report.envelope}`,
+            `CALIBRATION: ${report.calibrationProfile || 'NONE'}`,
+            `LEVEL: ${report.levelDbHl} dB HL    SAMPLE RATE: ${report.sampleRate} Hz`,
+            '───────────────────────────────────────────────────────────────────',
+            'EAR   FREQ    LEVEL ERR  PEAK FREQ   THD    RISE/FALL    XTALK  RESULT'
+        ];
+
+        report.results.forEach(result => {
+            const ears = result.ear === 'both' ? ['left', 'right'] : [result.ear];
+            ears.forEach(side => {
+                const c = result.channels[side];
+                const xtalk = result.leakageDb !== undefined ? `${Math.max(result.leakageDb, -199).toFixed(0)} dB` : '--';
+                lines.push([
+                    side.toUpperCase().padEnd(5),
+                    `${result.frequency}`.padStart(5),
+                    `${c.levelErrorDb >= 0 ? '+' : ''}${c.levelErrorDb.toFixed(2)} dB`.padStart(11),
+                    `${c.peakFrequency.toFixed(1)} Hz`.padStart(11),
+                    `${c.thdPercent.toFixed(2)}%`.padStart(7),
+                    `${c.riseTimeMs.toFixed(1)}/${c.fallTimeMs.toFixed(1)} ms`.padStart(12),
+                    xtalk.padStart(8),
+                    `  ${result.passed ? 'PASS' : 'FAIL ' + this.describeFailures(result)}`
+                ].join(' '));
+            });
+        });
+
+        lines.push('───────────────────────────────────────────────────────────────────');
+        lines.push(`RESULT: ${report.passed ? 'PASS' : 'FAIL'} (${report.summary.passed}/${report.summary.total} stimuli within limits)`);
+        return lines;
+    }
+}
@@ -2,8 +2,15 @@
  * Enhanced Audiogram Plotting Module
  * Renders audiogram charts with comprehensive confidence metrics and visual indicators
  */
+import { EventBus } from '../events/EventBus.js';
+
 export class AudiogramPlotter {
-    constructor(containerId = 'audiogram-container') {
+    /**
+     * @param {string} containerId - Element that receives the canvas
+     * @param {EventBus} eventBus - Channel for audiogram-updated
+     */
+    constructor(containerId = 'audiogram-container', eventBus = new EventBus()) {
+        this.eventBus = eventBus;
         this.containerId = containerId;
         this.canvas = null;
         this.ctx = null;
@@ -12,6 +19,8 @@ export class AudiogramPlotter {
         
         // Standard audiometric frequencies (categorical, evenly spaced)
         this.frequencies = [125, 250, 500, 1000, 2000, 4000, 8000];
+        // Frequencies plotted: octaves on the grid lines, inter-octaves between them
+        this.plotFrequencies = [125, 250, 500, 750, 1000, 1500, 2000, 3000, 4000, 6000, 8000];
         this.dbRange = { min: -10, max: 110 }; // Standard clinical range
         
         // Optimized margins for better space usage
@@ -38,6 +47,29 @@ export class AudiogramPlotter {
         // Enhanced threshold data structure
         this.thresholdData = new Map(); // key -> ThresholdPoint object
         
+        // Earlier audiograms of the patient behind the current one (ThresholdShiftAnalyzer result)
+        this.trend = null;
+        this.trendStyle = {
+            earlierAlpha: 0.25,
+            baselineAlpha: 0.7,
+            earlierDash: [2, 4],
+            baselineDash: [6, 4],
+            stsColor: '#ff0000'
+        };
+        
+        // Audiogram symbols (unmasked / masked air conduction)
+        this.earSymbols = {
+            left: { unmasked: '●', masked: '□' },
+            right: { unmasked: '▲', masked: '△' }
+        };
+        
+        // Bone-conduction symbols (ASHA): drawn beside the frequency line, never connected
+        this.boneSymbols = {
+            left: { unmasked: '>', masked: ']' },
+            right: { unmasked: '<', masked: '[' }
+        };
+        this.boneSymbolOffset = 10; // px - right ear bone to the left of the line, left ear to the right
+        
         // Confidence visualization settings
         this.confidenceSettings = {
             showErrorBars: true,
@@ -66,6 +98,14 @@ export class AudiogramPlotter {
      * @property {string} decisionBasis - How threshold was determined
      * @property {number} timestamp - When threshold was established
      * @property {number} testDuration - Time spent testing this frequency (ms)
+     * @property {boolean} masked - Threshold obtained with contralateral masking
+     * @property {number|null} maskingLevel - Final masking level (dB EM)
+     * @property {number|null} unmaskedThreshold - Threshold before masked retest
+     * @property {boolean} maskingDilemma - Plateau could not be established
+     * @property {boolean} noResponse - No response at the output limit (drawn with a downward arrow)
+     * @property {boolean} bone - Bone-conduction threshold
+     * @property {Object|null} interval - Threshold interval { lower, upper, level } (dB HL) - drawn as the error bar
+     * @property {Object|null} fit - Psychometric-function fit { threshold, slope, guessRate, lapseRate, ... }
      */
 
     initialize() {
@@ -294,16 +334,42 @@ export class AudiogramPlotter {
         
         // Left ear
         ctx.fillStyle = this.colors.leftEar;
-        ctx.fillText('●', legendX, yPos);
+        ctx.fillText(this.earSymbols.left.unmasked, legendX, yPos);
         ctx.fillStyle = this.colors.text;
         ctx.fillText('Left', legendX + 15, yPos);
         yPos += lineHeight;
         
         // Right ear
         ctx.fillStyle = this.colors.rightEar;
-        ctx.fillText('▲', legendX, yPos);
+        ctx.fillText(this.earSymbols.right.unmasked, legendX, yPos);
         ctx.fillStyle = this.colors.text;
         ctx.fillText('Right', legendX + 15, yPos);
+        yPos += lineHeight;
+        
+        // Masked symbols
+        ctx.fillStyle = this.colors.leftEar;
+        ctx.fillText(this.earSymbols.left.masked, legendX, yPos);
+        ctx.fillStyle = this.colors.rightEar;
+        ctx.fillText(this.earSymbols.right.masked, legendX + 8, yPos);
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText('Masked', legendX + 20, yPos);
+        yPos += lineHeight;
+        
+        // Bone conduction symbols
+        ctx.fillStyle = this.colors.leftEar;
+        ctx.fillText(this.boneSymbols.left.unmasked, legendX, yPos);
+        ctx.fillStyle = this.colors.rightEar;
+        ctx.fillText(this.boneSymbols.right.unmasked, legendX + 8, yPos);
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText('Bone', legendX + 20, yPos);
+        yPos += lineHeight;
+        
+        ctx.fillStyle = this.colors.leftEar;
+        ctx.fillText(this.boneSymbols.left.masked, legendX, yPos);
+        ctx.fillStyle = this.colors.rightEar;
+        ctx.fillText(this.boneSymbols.right.masked, legendX + 8, yPos);
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText('Bone Masked', legendX + 20, yPos);
         yPos += lineHeight + 8;
         
         // Confidence section
@@ -354,7 +420,7 @@ export class AudiogramPlotter {
         ctx.lineTo(legendX + 4, yPos + 4);
         ctx.stroke();
         ctx.fillStyle = this.colors.text;
-        ctx.fillText('Error Bars', legendX + 12, yPos);
+        ctx.fillText('Threshold CI', legendX + 12, yPos);
         yPos += lineHeight;
         
         // Normal hearing range
@@ -388,7 +454,7 @@ export class AudiogramPlotter {
             return;
         }
         
-        const key = `${ear}_${frequency}`;
+        const key = this.getPointKey(ear, frequency, additionalData.bone);
         
         // Create threshold point with defaults for real-time plotting
         const thresholdPoint = {
@@ -411,6 +477,20 @@ export class AudiogramPlotter {
             falseResponseAnalysis: additionalData.falseResponseAnalysis || null,
             decisionBasis: additionalData.decisionBasis || 'Real-time update',
             
+            // Masking
+            masked: additionalData.masked || false,
+            maskingLevel: additionalData.maskingLevel ?? null,
+            unmaskedThreshold: additionalData.unmaskedThreshold ?? null,
+            maskingDilemma: additionalData.maskingDilemma || false,
+            noResponse: additionalData.noResponse || false,
+            
+            // Conduction
+            bone: additionalData.bone || false,
+            
+            // Threshold interval and psychometric fit
+            interval: additionalData.interval ?? null,
+            fit: additionalData.fit ?? null,
+            
             // Metadata
             timestamp: Date.now(),
             testDuration: additionalData.testDuration || 0,
@@ -418,24 +498,33 @@ export class AudiogramPlotter {
             // Visual properties
             opacity: this.calculateOpacity(confidence),
             color: this.getConfidenceColor(confidence),
-            errorBarSize: this.calculateErrorBarSize(confidence)
+            errorBarSize: this.getIntervalWidth(additionalData.interval)
         };
         
         this.thresholdData.set(key, thresholdPoint);
         
-        console.log(`📊 Real-time plot: ${frequency} Hz (${ear}) = ${threshold} dB HL (${confidence}% confidence)`);
+        console.log(`📊 Real-time plot: ${frequency} Hz (${ear}${thresholdPoint.bone ? ', bone' : ''}) = ${threshold} dB HL (${confidence}% confidence)`);
         
         // Immediate redraw for real-time updates
         this.redrawAudiogram();
         
         // Dispatch update event
-        document.dispatchEvent(new CustomEvent('audiogram-updated', {
-            detail: { ear, frequency, thresholdPoint, realTime: true }
-        }));
+        this.eventBus.emit('audiogram-updated', { ear, frequency, thresholdPoint, realTime: true });
         
         return thresholdPoint;
     }
 
+    /**
+     * Remove every threshold and the trend (a new test, or a past session from the patient records)
+     */
+    clear() {
+        this.thresholdData.clear();
+        this.trend = null;
+        if (this.ctx && this.canvas) {
+            this.redrawAudiogram();
+        }
+    }
+
     /**
      * Update threshold with comprehensive confidence metrics
      * @param {string} ear - 'left' or 'right'
@@ -443,7 +532,7 @@ export class AudiogramPlotter {
      * @param {Object} thresholdData - Enhanced threshold data
      */
     updateThreshold(ear, frequency, thresholdData) {
-        const key = `${ear}_${frequency}`;
+        const key = this.getPointKey(ear, frequency, thresholdData.bone);
         
         // Create comprehensive threshold point
         const thresholdPoint = {
@@ -466,6 +555,20 @@ export class AudiogramPlotter {
             falseResponseAnalysis: thresholdData.falseResponseAnalysis || null,
             decisionBasis: thresholdData.decisionBasis || 'Standard procedure',
             
+            // Masking
+            masked: thresholdData.masked || false,
+            maskingLevel: thresholdData.maskingLevel ?? null,
+            unmaskedThreshold: thresholdData.unmaskedThreshold ?? null,
+            maskingDilemma: thresholdData.maskingDilemma || false,
+            noResponse: thresholdData.noResponse || false,
+            
+            // Conduction
+            bone: thresholdData.bone || false,
+            
+            // Threshold interval and psychometric fit
+            interval: thresholdData.interval ?? null,
+            fit: thresholdData.fit ?? null,
+            
             // Metadata
             timestamp: Date.now(),
             testDuration: thresholdData.testDuration || 0,
@@ -473,7 +576,7 @@ export class AudiogramPlotter {
             // Visual properties (calculated)
             opacity: this.calculateOpacity(thresholdData.enhancedConfidence || Math.round((thresholdData.confidence || 0.5) * 100)),
             color: this.getConfidenceColor(thresholdData.enhancedConfidence || Math.round((thresholdData.confidence || 0.5) * 100)),
-            errorBarSize: this.calculateErrorBarSize(thresholdData.enhancedConfidence || Math.round((thresholdData.confidence || 0.5) * 100))
+            errorBarSize: this.getIntervalWidth(thresholdData.interval)
         };
         
         this.thresholdData.set(key, thresholdPoint);
@@ -483,9 +586,7 @@ export class AudiogramPlotter {
         this.redrawAudiogram();
         
         // Dispatch update event with detailed information
-        document.dispatchEvent(new CustomEvent('audiogram-updated', {
-            detail: { ear, frequency, thresholdPoint }
-        }));
+        this.eventBus.emit('audiogram-updated', { ear, frequency, thresholdPoint });
     }
 
     /**
@@ -600,14 +701,46 @@ export class AudiogramPlotter {
     }
 
     /**
-     * Calculate error bar size based on confidence
+     * Width of a threshold interval
+     * @param {Object|null} interval - { lower, upper } in dB HL
+     * @returns {number|null} dB, or null without an interval
      */
-    calculateErrorBarSize(confidence) {
-        // Map confidence (0-100) to error bar size (2-15 dB)
-        const maxErrorBar = 15;
-        const minErrorBar = 2;
-        const errorBar = maxErrorBar - ((confidence / 100) * (maxErrorBar - minErrorBar));
-        return Math.max(minErrorBar, Math.min(maxErrorBar, errorBar));
+    getIntervalWidth(interval) {
+        return interval ? Math.round((interval.upper - interval.lower) * 10) / 10 : null;
+    }
+
+    /**
+     * Canvas y coordinate of a level
+     * @param {number} level - dB HL
+     * @returns {number} px
+     */
+    levelToY(level) {
+        const height = this.currentHeight || this.canvas.height;
+        const margins = this.scaledMargins || this.margins;
+        const plotHeight = height - margins.top - margins.bottom;
+        const clamped = Math.max(this.dbRange.min, Math.min(this.dbRange.max, level));
+        return margins.top + ((clamped - this.dbRange.min) / (this.dbRange.max - this.dbRange.min)) * plotHeight;
+    }
+
+    /**
+     * Canvas x coordinate of a frequency
+     * Inter-octave frequencies sit between their octave lines on a log scale (3000 Hz at 0.58 of 2000-4000)
+     * @param {number} frequency - Hz
+     * @returns {number} px
+     */
+    frequencyToX(frequency) {
+        const width = this.currentWidth || this.canvas.width;
+        const margins = this.scaledMargins || this.margins;
+        const plotWidth = width - margins.left - margins.right;
+        const last = this.frequencies.length - 1;
+        
+        const clamped = Math.max(this.frequencies[0], Math.min(this.frequencies[last], frequency));
+        const upper = this.frequencies.findIndex(octave => octave >= clamped);
+        const position = upper === 0
+            ? 0
+            : upper - 1 + Math.log2(clamped / this.frequencies[upper - 1]) / Math.log2(this.frequencies[upper] / this.frequencies[upper - 1]);
+        
+        return margins.left + (position / last) * plotWidth;
     }
 
     redrawAudiogram() {
@@ -630,14 +763,122 @@ export class AudiogramPlotter {
         const plotWidth = width - margins.left - margins.right;
         const plotHeight = height - margins.top - margins.bottom;
         
+        // Earlier audiograms of the patient behind the current thresholds
+        this.drawTrend();
+        
         // Plot left ear
-        this.plotEarData('left', this.colors.leftEar, '●');
+        this.plotEarData('left', this.colors.leftEar);
         
         // Plot right ear
-        this.plotEarData('right', this.colors.rightEar, '▲');
+        this.plotEarData('right', this.colors.rightEar);
+        
+        // Bone conduction over the air curves
+        this.plotEarData('left', this.colors.leftEar, true);
+        this.plotEarData('right', this.colors.rightEar, true);
     }
 
-    plotEarData(ear, baseColor, symbol) {
+    /**
+     * Show a patient's earlier audiograms behind the current one
+     * @param {Object|null} trend - ThresholdShiftAnalyzer.analyze() result whose last audiogram is the one plotted; null removes it
+     */
+    setTrend(trend) {
+        this.trend = trend;
+        if (this.ctx && this.canvas) {
+            this.redrawAudiogram();
+        }
+    }
+
+    /**
+     * Earlier audiograms as faint dotted lines, the baseline of the current one dashed with its symbols
+     */
+    drawTrend() {
+        if (!this.trend) return;
+        
+        const ctx = this.ctx;
+        const { earlierAlpha, baselineAlpha, earlierDash, baselineDash } = this.trendStyle;
+        const earlier = this.trend.audiograms.slice(0, -1);
+        
+        ['right', 'left'].forEach(ear => {
+            const color = ear === 'right' ? this.colors.rightEar : this.colors.leftEar;
+            const baselineId = this.trend.ears[ear].latest?.baseline.sessionId;
+            
+            earlier.forEach(audiogram => {
+                const isBaseline = audiogram.sessionId === baselineId;
+                const points = this.plotFrequencies
+                    .filter(freq => freq in audiogram.thresholds[ear])
+                    .map(freq => ({ x: this.frequencyToX(freq), y: this.levelToY(audiogram.thresholds[ear][freq]) }));
+                if (points.length === 0) return;
+                
+                ctx.save();
+                ctx.strokeStyle = color;
+                ctx.globalAlpha = isBaseline ? baselineAlpha : earlierAlpha;
+                ctx.lineWidth = isBaseline ? 2 : 1;
+                ctx.setLineDash(isBaseline ? baselineDash : earlierDash);
+                ctx.beginPath();
+                points.forEach((point, index) => index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+                ctx.stroke();
+                
+                if (isBaseline) {
+                    ctx.fillStyle = color;
+                    ctx.font = '10px monospace';
+                    ctx.textAlign = 'center';
+                    points.forEach(point => ctx.fillText(this.earSymbols[ear].unmasked, point.x, point.y + 4));
+                }
+                ctx.restore();
+            });
+        });
+        
+        this.drawTrendCaption();
+    }
+
+    /**
+     * Baseline dates and STS flags in the top-left corner of the plot
+     */
+    drawTrendCaption() {
+        const ctx = this.ctx;
+        const margins = this.scaledMargins || this.margins;
+        const baselineDate = ear => {
+            const baseline = this.trend.ears[ear].latest?.baseline;
+            return baseline ? baseline.date : '--';
+        };
+        const shifted = ['right', 'left'].filter(ear => this.trend.ears[ear].latest?.sts);
+        
+        ctx.save();
+        ctx.font = '9px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(`BASELINE R ${baselineDate('right')}  L ${baselineDate('left')}`, margins.left + 4, margins.top + 12);
+        if (shifted.length > 0) {
+            ctx.fillStyle = this.trendStyle.stsColor;
+            ctx.fillText(`STS: ${shifted.map(ear => ear.toUpperCase()).join(' + ')}`, margins.left + 4, margins.top + 24);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Get audiogram symbol for an ear
+     * @param {string} ear - 'left' or 'right'
+     * @param {boolean} masked - Whether the threshold was masked
+     * @param {boolean} bone - Whether the threshold is bone conduction
+     * @returns {string} Symbol character
+     */
+    getEarSymbol(ear, masked = false, bone = false) {
+        const symbols = bone ? this.boneSymbols : this.earSymbols;
+        return symbols[ear][masked ? 'masked' : 'unmasked'];
+    }
+
+    /**
+     * Build the thresholdData key for a point
+     * @param {string} ear - 'left' or 'right'
+     * @param {number} frequency - Frequency in Hz
+     * @param {boolean} bone - Whether the threshold is bone conduction
+     * @returns {string} Point key
+     */
+    getPointKey(ear, frequency, bone = false) {
+        return bone ? `${ear}_${frequency}_bone` : `${ear}_${frequency}`;
+    }
+
+    plotEarData(ear, baseColor, bone = false) {
         const ctx = this.ctx;
         const width = this.currentWidth || this.canvas.width;
         const height = this.currentHeight || this.canvas.height;
@@ -647,14 +888,19 @@ export class AudiogramPlotter {
         
         const points = [];
         
+        // Bone symbols sit beside the frequency line so air and bone stay readable
+        const xOffset = bone ? (ear === 'right' ? -this.boneSymbolOffset : this.boneSymbolOffset) : 0;
+        
         // Collect points for this ear with enhanced data
-        this.frequencies.forEach((freq, index) => {
-            const key = `${ear}_${freq}`;
+        this.plotFrequencies.forEach((freq, index) => {
+            const key = this.getPointKey(ear, freq, bone);
             const thresholdPoint = this.thresholdData.get(key);
             
             if (thresholdPoint) {
-                const x = margins.left + (index / (this.frequencies.length - 1)) * plotWidth;
-                const y = margins.top + ((thresholdPoint.threshold - this.dbRange.min) / (this.dbRange.max - this.dbRange.min)) * plotHeight;
+                const x = this.frequencyToX(freq) + xOffset;
+                // A no-response sits at the foot of the chart; its arrow says the threshold lies beyond it
+                const level = thresholdPoint.noResponse ? Math.min(thresholdPoint.threshold, this.dbRange.max) : thresholdPoint.threshold;
+                const y = margins.top + ((level - this.dbRange.min) / (this.dbRange.max - this.dbRange.min)) * plotHeight;
                 
                 points.push({ 
                     x, y, 
@@ -665,12 +911,15 @@ export class AudiogramPlotter {
             }
         });
         
-        // Draw connecting lines with confidence-based styling
-        if (points.length > 1) {
+        // Draw connecting lines with confidence-based styling (air conduction only)
+        if (points.length > 1 && !bone) {
             points.forEach((point, i) => {
                 if (i < points.length - 1) {
                     const nextPoint = points[i + 1];
                     
+                    // No-response symbols are not joined to the threshold line
+                    if (point.thresholdPoint.noResponse || nextPoint.thresholdPoint.noResponse) return;
+                    
                     // Use average confidence for line segment
                     const avgConfidence = (point.thresholdPoint.confidence + nextPoint.thresholdPoint.confidence) / 2;
                     const lineOpacity = this.calculateOpacity(avgConfidence);
@@ -692,7 +941,7 @@ export class AudiogramPlotter {
         }
         
         // Draw error bars first (behind symbols)
-        if (this.confidenceSettings.showErrorBars) {
+        if (this.confidenceSettings.showErrorBars && !bone) {
             points.forEach(point => {
                 this.drawErrorBars(ctx, point.x, point.y, point.thresholdPoint);
             });
@@ -700,8 +949,19 @@ export class AudiogramPlotter {
         
         // Draw symbols with confidence-based styling
         points.forEach(point => {
+            const symbol = this.getEarSymbol(ear, point.thresholdPoint.masked, bone);
             this.drawEnhancedSymbol(ctx, point.x, point.y, symbol, baseColor, point.thresholdPoint);
             
+            if (point.thresholdPoint.noResponse) {
+                this.drawNoResponseArrow(ctx, point.x, point.y, ear, baseColor);
+            }
+            
+            if (bone) {
+                // Bone value below the symbol, clear of the air label above
+                this.drawBoneLabel(ctx, point.x, point.y, point.thresholdPoint);
+                return;
+            }
+            
             // Draw threshold value with confidence indicator
             this.drawThresholdLabel(ctx, point.x, point.y, point.thresholdPoint);
             
@@ -713,14 +973,15 @@ export class AudiogramPlotter {
     }
 
     /**
-     * Draw error bars based on confidence level
+     * Draw the threshold interval as an error bar (from its lower to its upper level, so it can be asymmetric)
+     * Thresholds without an interval (masked, Békésy, or no fit) get no bar
      */
     drawErrorBars(ctx, x, y, thresholdPoint) {
-        const errorBarSize = thresholdPoint.errorBarSize;
-        const height = this.currentHeight || this.canvas.height;
-        const margins = this.scaledMargins || this.margins;
-        const plotHeight = height - margins.top - margins.bottom;
-        const errorBarPixels = (errorBarSize / (this.dbRange.max - this.dbRange.min)) * plotHeight;
+        const interval = thresholdPoint.interval;
+        if (!interval) return;
+        
+        const top = this.levelToY(interval.lower);
+        const bottom = this.levelToY(interval.upper);
         
         ctx.strokeStyle = this.colors.confidence;
         ctx.lineWidth = 2;
@@ -728,17 +989,17 @@ export class AudiogramPlotter {
         
         // Vertical error bar
         ctx.beginPath();
-        ctx.moveTo(x, y - errorBarPixels / 2);
-        ctx.lineTo(x, y + errorBarPixels / 2);
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
         ctx.stroke();
         
         // Horizontal caps
         const capWidth = this.confidenceSettings.errorBarWidth;
         ctx.beginPath();
-        ctx.moveTo(x - capWidth / 2, y - errorBarPixels / 2);
-        ctx.lineTo(x + capWidth / 2, y - errorBarPixels / 2);
-        ctx.moveTo(x - capWidth / 2, y + errorBarPixels / 2);
-        ctx.lineTo(x + capWidth / 2, y + errorBarPixels / 2);
+        ctx.moveTo(x - capWidth / 2, top);
+        ctx.lineTo(x + capWidth / 2, top);
+        ctx.moveTo(x - capWidth / 2, bottom);
+        ctx.lineTo(x + capWidth / 2, bottom);
         ctx.stroke();
         
         ctx.globalAlpha = 1.0;
@@ -779,6 +1040,34 @@ export class AudiogramPlotter {
         ctx.globalAlpha = 1.0;
     }
 
+    /**
+     * Draw the no-response arrow: down from the symbol and away from it, to the left for the right ear
+     */
+    drawNoResponseArrow(ctx, x, y, ear, color) {
+        const direction = ear === 'right' ? -1 : 1;
+        const start = { x: x + direction * 4, y: y + 6 };
+        const tip = { x: x + direction * 12, y: y + 16 };
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(tip.x, tip.y);
+        // Arrowhead
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(tip.x - direction * 6, tip.y - 1);
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(tip.x - direction * 1, tip.y - 6);
+        ctx.stroke();
+    }
+
+    /**
+     * Threshold value as labelled on the chart ('NR' for a no-response)
+     */
+    getThresholdText(thresholdPoint) {
+        return thresholdPoint.noResponse ? 'NR' : thresholdPoint.threshold.toString();
+    }
+
     /**
      * Draw threshold label with confidence percentage
      */
@@ -788,7 +1077,7 @@ export class AudiogramPlotter {
         ctx.textAlign = 'center';
         
         // Main threshold value
-        ctx.fillText(thresholdPoint.threshold.toString(), x, y - 20);
+        ctx.fillText(this.getThresholdText(thresholdPoint), x, y - 20);
         
         // Confidence percentage (smaller text)
         ctx.font = '8px monospace';
@@ -796,6 +1085,16 @@ export class AudiogramPlotter {
         ctx.fillText(`${thresholdPoint.confidence}%`, x, y - 10);
     }
 
+    /**
+     * Draw bone threshold value below its symbol
+     */
+    drawBoneLabel(ctx, x, y, thresholdPoint) {
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '8px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.getThresholdText(thresholdPoint), x, y + 16);
+    }
+
     /**
      * Draw additional metrics (reversals, responses)
      */
@@ -847,21 +1146,23 @@ export class AudiogramPlotter {
         
         // Draw confidence bands/regions
         ['left', 'right'].forEach(ear => {
-            this.frequencies.forEach((freq, index) => {
+            this.plotFrequencies.forEach(freq => {
                 const key = `${ear}_${freq}`;
                 const thresholdPoint = this.thresholdData.get(key);
                 
                 if (thresholdPoint) {
-                    const x = margins.left + (index / (this.frequencies.length - 1)) * plotWidth;
+                    const x = this.frequencyToX(freq);
                     const y = margins.top + ((thresholdPoint.threshold - this.dbRange.min) / (this.dbRange.max - this.dbRange.min)) * plotHeight;
                     
-                    // Draw confidence region (uncertainty band)
-                    const bandSize = thresholdPoint.errorBarSize;
-                    const bandHeight = (bandSize / (this.dbRange.max - this.dbRange.min)) * plotHeight;
-                    
-                    ctx.fillStyle = thresholdPoint.color;
-                    ctx.globalAlpha = 0.15;
-                    ctx.fillRect(x - 12, y - bandHeight/2, 24, bandHeight);
+                    // Draw confidence region (threshold interval band)
+                    if (thresholdPoint.interval) {
+                        const top = this.levelToY(thresholdPoint.interval.lower);
+                        const bottom = this.levelToY(thresholdPoint.interval.upper);
+                        
+                        ctx.fillStyle = thresholdPoint.color;
+                        ctx.globalAlpha = 0.15;
+                        ctx.fillRect(x - 12, top, 24, bottom - top);
+                    }
                     
                     // Draw gradient confidence indicator
                     if (this.confidenceSettings.showOpacityGradient) {
@@ -1006,9 +1307,21 @@ export class AudiogramPlotter {
                 decisionBasis: thresholdPoint.decisionBasis,
                 testDuration: thresholdPoint.testDuration,
                 
+                // Masking
+                masked: thresholdPoint.masked,
+                maskingLevel: thresholdPoint.maskingLevel,
+                unmaskedThreshold: thresholdPoint.unmaskedThreshold,
+                maskingDilemma: thresholdPoint.maskingDilemma,
+                noResponse: thresholdPoint.noResponse,
+                
+                // Conduction
+                bone: thresholdPoint.bone,
+                
                 // Visual properties
                 opacity: thresholdPoint.opacity,
                 errorBarSize: thresholdPoint.errorBarSize,
+                interval: thresholdPoint.interval,
+                fit: thresholdPoint.fit,
                 
                 // Metadata
                 timestamp: thresholdPoint.timestamp
@@ -1026,8 +1339,8 @@ export class AudiogramPlotter {
     /**
      * Get detailed threshold information for a specific point
      */
-    getThresholdDetails(ear, frequency) {
-        const key = `${ear}_${frequency}`;
+    getThresholdDetails(ear, frequency, bone = false) {
+        const key = this.getPointKey(ear, frequency, bone);
         const thresholdPoint = this.thresholdData.get(key);
         
         if (!thresholdPoint) return null;
@@ -1037,7 +1350,8 @@ export class AudiogramPlotter {
                 ear,
                 frequency,
                 threshold: thresholdPoint.threshold,
-                confidence: thresholdPoint.confidence
+                confidence: thresholdPoint.confidence,
+                conduction: thresholdPoint.bone ? 'bone' : 'air'
             },
             procedure: {
                 reversals: thresholdPoint.reversals,
@@ -1045,6 +1359,13 @@ export class AudiogramPlotter {
                 responseConsistency: Math.round(thresholdPoint.responseConsistency * 100),
                 decisionBasis: thresholdPoint.decisionBasis
             },
+            masking: {
+                masked: thresholdPoint.masked,
+                maskingLevel: thresholdPoint.maskingLevel,
+                unmaskedThreshold: thresholdPoint.unmaskedThreshold,
+                maskingDilemma: thresholdPoint.maskingDilemma,
+                noResponse: thresholdPoint.noResponse
+            },
             timing: {
                 averageReactionTime: thresholdPoint.reactionTimeAvg,
                 reactionTimeStd: thresholdPoint.reactionTimeStd,
@@ -1052,13 +1373,15 @@ export class AudiogramPlotter {
             },
             quality: {
                 confidenceLevel: this.getConfidenceLevel(thresholdPoint.confidence),
-                errorBarSize: Math.round(thresholdPoint.errorBarSize),
+                errorBarSize: thresholdPoint.errorBarSize,
+                interval: thresholdPoint.interval,
+                fit: thresholdPoint.fit,
                 reliability: thresholdPoint.confidence >= 70 ? 'Reliable' : 'Questionable'
             },
             visual: {
                 color: thresholdPoint.color,
                 opacity: Math.round(thresholdPoint.opacity * 100),
-                symbol: ear === 'left' ? '●' : '▲'
+                symbol: this.getEarSymbol(ear, thresholdPoint.masked, thresholdPoint.bone)
             }
         };
     }
@@ -0,0 +1,383 @@
+/**
+ * Békésy Strip-Chart Plotter
+ * Draws Békésy tracings as they are recorded: level (dB HL, increasing downwards) against
+ * time for fixed-frequency runs, or against frequency (log scale) for sweep runs
+ * Continuous-tone tracings are solid and pulsed-tone tracings dashed, in the ear colours;
+ * the tracked threshold of a finished run is drawn as a horizontal line (per frequency for sweeps)
+ */
+export class BekesyPlotter {
+    constructor(containerId = 'bekesy-container') {
+        this.containerId = containerId;
+        this.canvas = null;
+        this.ctx = null;
+
+        this.dbRange = { min: -10, max: 110 };
+        this.margins = { top: 40, right: 120, bottom: 60, left: 60 };
+        this.defaultTimeSpan = 60000; // ms - Time axis of a fixed-frequency run until its samples run past it
+
+        // Colors match the audiogram (retro theme)
+        this.colors = {
+            background: '#2a2a2a',
+            grid: '#4a4a4a',
+            leftEar: '#ff6b6b',
+            rightEar: '#4ecdc4',
+            threshold: '#ffd93d',
+            text: '#ffffff'
+        };
+        this.toneDash = {
+            continuous: [],
+            pulsed: [6, 4]
+        };
+
+        // Tracings by ear, frequency (or sweep) and tone - see getTraceKey()
+        this.traces = new Map();
+        this.view = null; // { ear, mode, frequency, sweep } of the run on display
+        this.drawPending = false;
+
+        this.onRunStarted = (event) => this.startTrace(event.detail);
+        this.onTraceSample = (event) => this.addSample(event.detail);
+        this.onRunCompleted = (event) => this.completeTrace(event.detail);
+    }
+
+    initialize() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            throw new Error(`Container ${this.containerId} not found`);
+        }
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.border = '2px solid #666';
+        this.canvas.style.borderRadius = '8px';
+        this.canvas.style.maxWidth = '100%';
+        this.canvas.style.maxHeight = '100%';
+
+        container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.setupResponsiveCanvas();
+        this.draw();
+
+        document.addEventListener('bekesy-run-started', this.onRunStarted);
+        document.addEventListener('bekesy-trace-sample', this.onTraceSample);
+        document.addEventListener('bekesy-run-completed', this.onRunCompleted);
+        window.addEventListener('resize', () => this.handleResize());
+    }
+
+    setupResponsiveCanvas() {
+        const container = document.getElementById(this.containerId);
+        if (!container || !this.canvas) return;
+
+        // A hidden container has no size - keep the fallback until it is shown
+        const containerRect = container.getBoundingClientRect();
+        const width = containerRect.width > 20 ? containerRect.width - 20 : 380;
+        const height = containerRect.height > 20 ? containerRect.height - 20 : 280;
+
+        this.canvas.width = Math.max(width, 300);
+        this.canvas.height = Math.max(height, 250);
+    }
+
+    /**
+     * Resize to the container (call when the view is shown) and redraw
+     */
+    handleResize() {
+        clearTimeout(this.resizeTimeout);
+        this.resizeTimeout = setTimeout(() => {
+            this.setupResponsiveCanvas();
+            this.draw();
+        }, 100);
+    }
+
+    /**
+     * Remove all tracings
+     */
+    clear() {
+        this.traces.clear();
+        this.view = null;
+        this.draw();
+    }
+
+    // ==================== TRACE DATA ====================
+
+    getTraceKey(ear, frequency, tone) {
+        return `${ear}_${frequency ?? 'sweep'}_${tone}`;
+    }
+
+    /**
+     * @param {Object} info - bekesy-run-started detail (BekesyTracker.getRunInfo())
+     */
+    startTrace(info) {
+        this.traces.set(this.getTraceKey(info.ear, info.frequency, info.tone), {
+            ear: info.ear,
+            tone: info.tone,
+            mode: info.mode,
+            frequency: info.frequency,
+            sweep: info.sweep,
+            duration: info.duration,
+            samples: [{ time: 0, level: info.startLevel, frequency: info.sweep ? info.sweep.from : info.frequency }],
+            thresholds: null
+        });
+        this.view = { ear: info.ear, mode: info.mode, frequency: info.frequency, sweep: info.sweep, duration: info.duration };
+        this.scheduleDraw();
+    }
+
+    /**
+     * @param {Object} sample - bekesy-trace-sample detail
+     */
+    addSample(sample) {
+        const trace = this.traces.get(this.getTraceKey(sample.ear, sample.mode === 'fixed' ? sample.frequency : null, sample.tone));
+        if (!trace) return;
+
+        trace.samples.push({ time: sample.time, level: sample.level, frequency: sample.frequency });
+        this.scheduleDraw();
+    }
+
+    /**
+     * @param {Object} result - bekesy-run-completed detail (BekesyTracker.buildRunResult())
+     */
+    completeTrace(result) {
+        const trace = this.traces.get(this.getTraceKey(result.ear, result.frequency, result.tone));
+        if (!trace) return;
+
+        // The full trace replaces the live samples (it includes the limit points between samples)
+        if (result.trace?.length) {
+            trace.samples = result.trace.map(({ time, level, frequency }) => ({ time, level, frequency }));
+        }
+        trace.thresholds = result.thresholds;
+        this.scheduleDraw();
+    }
+
+    // ==================== DRAWING ====================
+
+    /**
+     * Samples arrive every 50 ms - redraw at most once per frame
+     */
+    scheduleDraw() {
+        if (this.drawPending) return;
+        this.drawPending = true;
+        requestAnimationFrame(() => {
+            this.drawPending = false;
+            this.draw();
+        });
+    }
+
+    draw() {
+        if (!this.ctx) return;
+
+        const area = this.getPlotArea();
+        this.drawGrid(area);
+
+        if (this.view) {
+            this.getViewTraces().forEach(trace => this.drawTrace(trace, area));
+        }
+        this.drawLegend();
+    }
+
+    getPlotArea() {
+        const { width, height } = this.canvas;
+        return {
+            left: this.margins.left,
+            top: this.margins.top,
+            width: width - this.margins.left - this.margins.right,
+            height: height - this.margins.top - this.margins.bottom
+        };
+    }
+
+    /**
+     * Tracings sharing the ear and frequency (or sweep) of the run on display
+     * @returns {Array<Object>}
+     */
+    getViewTraces() {
+        return [...this.traces.values()].filter(trace =>
+            trace.ear === this.view.ear && trace.mode === this.view.mode && trace.frequency === this.view.frequency);
+    }
+
+    levelToY(level, area) {
+        const clamped = Math.max(this.dbRange.min, Math.min(this.dbRange.max, level));
+        return area.top + ((clamped - this.dbRange.min) / (this.dbRange.max - this.dbRange.min)) * area.height;
+    }
+
+    /**
+     * X position of a sample: time for fixed-frequency runs, log frequency for sweeps
+     */
+    sampleToX(sample, area) {
+        if (this.view.mode === 'sweep') {
+            const { from, to } = this.view.sweep;
+            return area.left + (Math.log2(sample.frequency / from) / Math.log2(to / from)) * area.width;
+        }
+        return area.left + Math.min(1, sample.time / this.getTimeSpan()) * area.width;
+    }
+
+    getTimeSpan() {
+        const longest = Math.max(0, ...this.getViewTraces().map(trace => trace.samples[trace.samples.length - 1].time));
+        return Math.max(this.view?.duration || this.defaultTimeSpan, longest);
+    }
+
+    drawGrid(area) {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '12px monospace';
+
+        // dB HL lines
+        ctx.textAlign = 'right';
+        for (let db = this.dbRange.min; db <= this.dbRange.max; db += 10) {
+            const y = this.levelToY(db, area);
+            ctx.beginPath();
+            ctx.moveTo(area.left, y);
+            ctx.lineTo(area.left + area.width, y);
+            ctx.stroke();
+            if ((db - this.dbRange.min) % 20 === 0) {
+                ctx.fillText(db.toString(), area.left - 8, y + 4);
+            }
+        }
+
+        // Time (10 s) or frequency (octave) lines
+        ctx.textAlign = 'center';
+        this.getXTicks().forEach(tick => {
+            const x = this.sampleToX(tick, area);
+            ctx.beginPath();
+            ctx.moveTo(x, area.top);
+            ctx.lineTo(x, area.top + area.height);
+            ctx.stroke();
+            ctx.fillText(tick.label, x, area.top + area.height + 20);
+        });
+
+        ctx.font = '14px monospace';
+        ctx.fillText(this.view?.mode === 'sweep' ? 'Frequency (Hz)' : 'Time (s)', width / 2, height - 15);
+
+        ctx.save();
+        ctx.translate(15, height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('Hearing Level (dB HL)', 0, 0);
+        ctx.restore();
+
+        ctx.font = 'bold 16px monospace';
+        ctx.fillText(this.getTitle(), width / 2, 25);
+    }
+
+    getXTicks() {
+        if (!this.view) return [];
+
+        if (this.view.mode === 'sweep') {
+            const ticks = [];
+            for (let freq = this.view.sweep.from; freq <= this.view.sweep.to * 1.001; freq *= 2) {
+                ticks.push({ frequency: freq, label: Math.round(freq).toString() });
+            }
+            return ticks;
+        }
+
+        const span = this.getTimeSpan();
+        const step = span > 120000 ? 30000 : 10000;
+        const ticks = [];
+        for (let time = 0; time <= span; time += step) {
+            ticks.push({ time, label: (time / 1000).toString() });
+        }
+        return ticks;
+    }
+
+    getTitle() {
+        if (!this.view) return 'BÉKÉSY TRACKING';
+        const position = this.view.mode === 'sweep'
+            ? `${this.view.sweep.from}-${this.view.sweep.to} Hz SWEEP`
+            : `${this.view.frequency} Hz`;
+        return `BÉKÉSY ${this.view.ear.toUpperCase()} ${position}`;
+    }
+
+    drawTrace(trace, area) {
+        const ctx = this.ctx;
+        const color = trace.ear === 'left' ? this.colors.leftEar : this.colors.rightEar;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(this.toneDash[trace.tone] || []);
+        ctx.beginPath();
+        trace.samples.forEach((sample, index) => {
+            const x = this.sampleToX(sample, area);
+            const y = this.levelToY(sample.level, area);
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        if (trace.thresholds) {
+            this.drawThresholds(trace, area, color);
+        }
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Threshold line across a fixed-frequency run, or a short mark at each sweep frequency
+     */
+    drawThresholds(trace, area, color) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = this.colors.threshold;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+
+        Object.entries(trace.thresholds).forEach(([freq, item]) => {
+            if (item.threshold === null) return;
+
+            const y = this.levelToY(item.threshold, area);
+            const [x1, x2] = trace.mode === 'sweep'
+                ? [-12, 12].map(offset => this.sampleToX({ frequency: Number(freq) }, area) + offset)
+                : [area.left, area.left + area.width];
+
+            ctx.beginPath();
+            ctx.moveTo(x1, y);
+            ctx.lineTo(x2, y);
+            ctx.stroke();
+            ctx.fillText(`${item.threshold}`, x2 + 4, y + 3);
+        });
+    }
+
+    drawLegend() {
+        const ctx = this.ctx;
+        const legendX = this.canvas.width - this.margins.right + 15;
+        let yPos = this.margins.top + 10;
+
+        ctx.setLineDash([]);
+        ctx.fillStyle = this.colors.text;
+        ctx.font = 'bold 11px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('LEGEND', legendX, yPos);
+        yPos += 20;
+
+        ctx.font = '9px monospace';
+        [['continuous', 'Continuous'], ['pulsed', 'Pulsed']].forEach(([tone, label]) => {
+            ctx.strokeStyle = this.colors.text;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(this.toneDash[tone]);
+            ctx.beginPath();
+            ctx.moveTo(legendX, yPos - 3);
+            ctx.lineTo(legendX + 20, yPos - 3);
+            ctx.stroke();
+            ctx.fillText(label, legendX + 26, yPos);
+            yPos += 14;
+        });
+
+        ctx.setLineDash([]);
+        ctx.strokeStyle = this.colors.threshold;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(legendX, yPos - 3);
+        ctx.lineTo(legendX + 20, yPos - 3);
+        ctx.stroke();
+        ctx.fillText('Threshold', legendX + 26, yPos);
+        yPos += 20;
+
+        ctx.fillText('Held: level falls', legendX, yPos);
+        ctx.fillText('Released: rises', legendX, yPos + 12);
+    }
+}
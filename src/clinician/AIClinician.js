@@ -7,21 +7,37 @@ import { MalingeringDetector } from './MalingeringDetector.js';
 import { ResponseAnalyzer } from './ResponseAnalyzer.js';
 import { FalseResponseDetector } from './FalseResponseDetector.js';
 import { ClinicalExplainer } from './ClinicalExplainer.js';
+import { BekesyTracker } from './BekesyTracker.js';
+import { PsiEstimator } from './PsiEstimator.js';
+import { PsychometricFitter } from './PsychometricFitter.js';
+import { EventBus } from '../events/EventBus.js';
+import { RealClock } from '../time/RealClock.js';
+import { SeededRandom } from '../random/SeededRandom.js';
+import { ResponseLog } from './ResponseLog.js';
 
 export class AIClinician {
-    constructor() {
-        this.protocol = new TestProtocol();
-        this.malingeringDetector = new MalingeringDetector();
-        this.responseAnalyzer = new ResponseAnalyzer();
-        this.falseResponseDetector = new FalseResponseDetector();
+    /**
+     * @param {EventBus} eventBus - Channel for clinician events and patient responses (see docs/EVENT_BUS.md)
+     * @param {RealClock|VirtualClock} clock - Time source and timers of the test (see docs/CLOCK.md)
+     */
+    constructor(eventBus = new EventBus(), clock = new RealClock()) {
+        this.eventBus = eventBus;
+        this.clock = clock;
+        this.random = new SeededRandom();   // Reseeded for each test; shared with the detectors and fitter
+        this.responseLog = new ResponseLog(eventBus, clock);
+        this.protocol = new TestProtocol(clock);
+        this.malingeringDetector = new MalingeringDetector(clock);
+        this.responseAnalyzer = new ResponseAnalyzer(clock);
+        this.falseResponseDetector = new FalseResponseDetector(eventBus, clock, this.random);
         this.clinicalExplainer = new ClinicalExplainer();
+        this.bekesyTracker = new BekesyTracker(eventBus, clock);
         
         // Test state
         this.isTestActive = false;
         this.currentState = 'IDLE';
         this.testResults = new Map();
         
-        // Autonomous decision parameters
+        // Autonomous decision parameters (set from the selected protocol by applyProtocol)
         this.INITIAL_LEVEL = 40; // dB HL - Clinical standard starting point
         this.STEP_UP = 10;       // dB increase on no response - Hughson-Westlake rule
         this.STEP_DOWN = 5;      // dB decrease on response - Hughson-Westlake rule
@@ -34,9 +50,29 @@ export class AIClinician {
         this.MAX_TIME_PER_FREQUENCY = 60000;     // 60 seconds maximum per frequency (ms)
         this.FORCE_THRESHOLD_CONFIDENCE = 0.6;   // Force threshold if confidence >= 60%
         
-        // Autonomous test sequence (clinically optimized)
+        // Clinical masking parameters (Hood plateau method)
+        this.INTERAURAL_ATTENUATION = 40;    // dB - Fallback when the audio engine has no transducer profile
+        this.SHADOW_CURVE_MARGIN = 10;       // dB - Measured shadow curves often sit within 10 dB of IA
+        this.MASKING_SAFETY_FACTOR = 10;     // dB EM above non-test ear threshold for initial masking
+        this.MASKING_STEP = 5;               // dB change per plateau step (tone or masker)
+        this.PLATEAU_WIDTH = 15;             // dB of masking increase the response must survive
+        this.MAX_MASKED_PRESENTATIONS = 20;  // Presentation limit for a single plateau search
+        this.MASKING_NOISE_TYPE = 'narrowband';
+        
+        // Bone-conduction masking parameters
+        this.BONE_INTERAURAL_ATTENUATION = 0; // dB - Vibrator stimulates both cochleae almost equally
+        this.AIR_BONE_GAP_MASKING = 10;       // dB - Mask bone conduction when the gap exceeds this
+        this.occlusionEffect = new Map([      // dB added to bone masking when the non-test ear is covered
+            [250, 15], [500, 15], [1000, 10]
+        ]);
+        
+        // Autonomous test sequence (clinically optimized, set from the selected protocol)
         this.testEars = ['right', 'left']; // Right ear first (clinical standard)
         this.frequencies = [1000, 2000, 4000, 500, 250, 8000]; // Standard audiometric sequence
+        this.boneFrequencies = [1000, 2000, 4000, 500, 250];    // Protocol frequencies in the bone vibrator range
+        this.BONE_FREQUENCY_RANGE = { min: 250, max: 4000 };    // Hz - Bone vibrator range
+        this.includeBoneConduction = false; // Bone phase runs after air conduction when enabled
+        this.conduction = 'air';            // Current transducer: 'air' or 'bone'
         
         // Current autonomous test position
         this.currentEarIndex = 0;
@@ -56,15 +92,62 @@ export class AIClinician {
         
         // False response detection
         this.presentationCount = 0;
-        this.lastToneStartTime = null;
+        
+        // Reaction timing (clock.now(), ms)
+        this.lastToneStartTime = null;            // Acoustic onset of the last tone
+        this.lastResponseTime = null;             // First patient response since that presentation
+        this.responseListener = null;             // Open response window (see openResponseWindow)
+        this.lastPresentation = null;             // Tone awaiting its response, presented again if a pause cuts its trial short
         
         // Autonomous timing control
         this.responseTimeout = 3000; // ms - Standard clinical response window
         this.responseTimer = null;
         this.interStimulusDelay = 1500; // ms - Pause between tones
         
+        // Threshold confirmation and familiarization (set from the selected protocol)
+        this.confirmationRule = { rule: '2of3', required: 2, presentations: 3, label: '2 out of 3' };
+        this.familiarization = { frequency: 1000, level: 60, ear: 'both', duration: 1000 };
+        this.FAMILIARIZATION_TIMEOUT = 4000; // ms - Longer window while the patient learns the task
+        
+        // Pause and resume (see pause()): the test position is held until the patient is re-familiarized
+        this.isPaused = false;
+        this.pauseCount = 0;                      // Pauses so far in this test
+        this.pauseRecord = null;                  // Break in progress (open until re-familiarization ends)
+        this.pauseGate = null;                    // Resolves on resume()
+        this.releasePause = null;
+        this.pauses = [];                         // Completed breaks of this test
+        
+        // Procedures the state machine can run (see TestProtocol.getProcedure)
+        this.supportedProcedures = new Set(['threshold', 'screening', 'bekesy']);
+        this.procedure = 'threshold';
+        
+        // Threshold search level choice: Hughson-Westlake steps or the psi method (see PSI METHOD)
+        this.thresholdMethod = 'hughson-westlake';
+        this.psiParams = null;
+        this.psiEstimator = null;                 // Posterior of the frequency under test
+        this.psiStopReason = null;
+        this.GUESS_PRIOR_WEIGHT = 10;             // Catch trials' worth of weight on the protocol guess rate
+        
+        // Active screening run and the last completed one (see SCREENING STATES)
+        this.screeningContext = null;
+        this.lastScreeningResult = null;
+        
+        // Active Békésy tracking sequence and the last completed one (see BÉKÉSY STATES)
+        this.bekesyContext = null;
+        this.lastBekesyResult = null;
+        
+        // Active plateau masking search (null when testing unmasked)
+        this.maskingContext = null;
+        
         // Clinical decision logging
         this.decisionLog = [];
+        this.testDecisionStart = 0;               // First decisionLog entry of the current test
+        
+        // Crash recovery: the state is saved with the session at each frequency and every few decisions (see CHECKPOINTS)
+        this.CHECKPOINT_VERSION = 1;
+        this.CHECKPOINT_INTERVAL = 10000;         // ms of test time between checkpoints after decisions
+        this.resumePoint = null;                  // State at the start of the frequency under test
+        this.lastCheckpointTime = null;           // clock.now() of the last saved checkpoint
         
         // State machine definition (fully autonomous)
         this.states = {
@@ -74,33 +157,116 @@ export class AIClinician {
             WAIT_RESPONSE: this.handleWaitResponseState.bind(this),
             PROCESS_RESPONSE: this.handleProcessResponseState.bind(this),
             CONFIRM_THRESHOLD: this.handleConfirmThresholdState.bind(this),
+            CHECK_MASKING: this.handleCheckMaskingState.bind(this),
+            MASKING_PRESENT: this.handleMaskingPresentState.bind(this),
+            MASKING_PROCESS: this.handleMaskingProcessState.bind(this),
+            MASKED_THRESHOLD: this.handleMaskedThresholdState.bind(this),
+            SCREEN_PRESENT: this.handleScreenPresentState.bind(this),
+            SCREEN_PROCESS: this.handleScreenProcessState.bind(this),
+            SCREEN_COMPLETE: this.handleScreenCompleteState.bind(this),
+            BEKESY_TRACK: this.handleBekesyTrackState.bind(this),
+            BEKESY_COMPLETE: this.handleBekesyCompleteState.bind(this),
             NEXT_FREQUENCY: this.handleNextFrequencyState.bind(this),
             NEXT_EAR: this.handleNextEarState.bind(this),
             TEST_COMPLETE: this.handleTestCompleteState.bind(this)
         };
+        
+        this.applyProtocol();
     }
 
     /**
-     * Begin Hughson-Westlake audiometric testing
+     * Begin audiometric testing with the selected protocol
+     * @param {Object} audioEngine - AudioGenerator
+     * @param {TestSession} session - Session that records the results
+     * @param {Object} options - { screening: { level, ears, rescreenOf } } for a rescreen (see rescreen()),
+     *                           { seed } to re-run a test with its recorded random seed (see SessionReplay),
+     *                           { checkpoint } to continue an interrupted test (see resumeFromCheckpoint()),
+     *                           { patientInfo } for the worker of an occupational test run without a session
+     * @throws {Error} For an occupational protocol whose worker, test type or noise-free period is missing
      */
-    async beginProtocol(audioEngine, session) {
+    async beginProtocol(audioEngine, session, options = {}) {
         if (this.isTestActive) {
             console.warn('Test already in progress');
             return;
         }
+        
+        // An occupational test is filed under the worker with its test type; a baseline needs its noise-free period
+        const patientInfo = session?.patientInfo ?? options.patientInfo ?? null;
+        const occupationalProblems = this.protocol.validateOccupationalInfo(patientInfo);
+        if (occupationalProblems.length > 0) {
+            throw new Error(`Cannot start ${this.protocol.getProtocol(this.protocol.currentProtocol).name}: ${occupationalProblems.join('. ')}`);
+        }
 
         this.isTestActive = true;
         this.audioEngine = audioEngine;
         this.session = session;
         
+        // Every random choice of this test comes from one recorded seed
+        this.random.reseed(options.seed ?? SeededRandom.createSeed());
+        this.session?.setRandomSeed?.(this.random.seed);
+        this.responseLog.start();
+        
+        // Re-read the protocol in case it was edited or imported since it was selected
+        const plan = this.applyProtocol();
+        this.session?.setProtocol?.(plan);
+        
         // Initialize test state
         this.currentEarIndex = 0;
         this.currentFrequencyIndex = 0;
         this.testResults.clear();
+        this.maskingContext = null;
+        this.isPaused = false;
+        this.pauseCount = 0;
+        this.pauseRecord = null;
+        this.pauses = [];
+        this.resumePoint = null;
+        this.lastCheckpointTime = null;
+        this.testDecisionStart = this.decisionLog.length;
+        this.screeningContext = this.procedure === 'screening' ? this.createScreeningContext(plan, options.screening) : null;
+        this.bekesyContext = this.procedure === 'bekesy' ? this.createBekesyContext(plan) : null;
+        this.setConduction('air');
+        
+        if (this.session && this.audioEngine.getTransducer) {
+            this.session.setTransducer(this.audioEngine.getTransducer());
+        }
+        if (this.session && this.audioEngine.getCalibrationProfile) {
+            this.session.setCalibrationProfile(this.audioEngine.getCalibrationProfile());
+        }
+        if (this.audioEngine.setStimulusSettings) {
+            this.audioEngine.setStimulusSettings(this.protocol.getStimulusSettings());
+            this.session?.setStimulusSettings(this.audioEngine.getStimulusSettings());
+        }
+        if (!options.checkpoint && this.protocol.getNoiseFreeStatus(patientInfo) === 'overridden') {
+            this.session?.logEvent('noise_free_period_overridden', { ...patientInfo.occupational.noiseFree });
+        }
         
-        console.log('🎧 Starting Hughson-Westlake Audiometry');
+        console.log(`🎧 Starting ${plan.name}`);
         console.log(`📋 Test sequence: ${this.frequencies.join(', ')} Hz`);
+        if (this.screeningContext) {
+            const { level, attemptsPerFrequency, responsesToPass } = this.screeningContext;
+            console.log(`📐 Screening: ${level} dB HL, ${responsesToPass} of up to ${attemptsPerFrequency} presentations per frequency${this.screeningContext.rescreenOf ? ' (rescreen)' : ''}`);
+        } else if (this.bekesyContext) {
+            const { trackingMode, attenuationRate, tones, sweepRange, sweepRate } = this.bekesyContext;
+            console.log(`📐 Békésy: ${trackingMode === 'sweep' ? `sweep ${sweepRange[0]}-${sweepRange[1]} Hz at ${sweepRate} oct/min` : 'fixed frequency'}, ${attenuationRate} dB/s, ${tones.join(' + ')} tone, start ${this.INITIAL_LEVEL} dB HL`);
+        } else {
+            console.log(`📐 Levels: start ${this.INITIAL_LEVEL} dB HL, +${this.STEP_UP}/-${this.STEP_DOWN} dB, ${this.confirmationRule.label} rule, ${this.responseTimeout / 1000}s response window`);
+        }
+        if (this.includeBoneConduction && this.procedure === 'threshold') {
+            console.log(`🦴 Bone conduction: ${this.boneFrequencies.join(', ')} Hz`);
+        }
         console.log(`👂 Ears: ${this.testEars.join(' → ')}`);
+        if (this.audioEngine.getTransducerLabel) {
+            console.log(`🎧 Transducer: ${this.audioEngine.getTransducerLabel()}`);
+        }
+        if (this.audioEngine.getCalibrationProfile) {
+            const calibration = this.audioEngine.getCalibrationProfile();
+            console.log(`📏 Calibration: ${calibration ? `${calibration.name} (${calibration.createdAt.slice(0, 10)})` : 'none - uncorrected reference output'}`);
+        }
+        
+        // An interrupted test continues from the start of its frequency, after familiarization
+        if (options.checkpoint) {
+            this.restoreCheckpoint(options.checkpoint);
+        }
         
         // Start state machine
         this.setState('FAMILIARIZATION');
@@ -111,7 +277,8 @@ export class AIClinician {
      * Finite State Machine Controller
      */
     async runStateMachine() {
-        while (this.isTestActive && this.currentState !== 'TEST_COMPLETE') {
+        // TEST_COMPLETE handler clears isTestActive after reporting
+        while (this.isTestActive) {
             console.log(`🔄 State: ${this.currentState}`);
             
             const stateHandler = this.states[this.currentState];
@@ -135,14 +302,12 @@ export class AIClinician {
         this.currentState = newState;
         
         // Dispatch state change event
-        document.dispatchEvent(new CustomEvent('clinician-state-change', {
-            detail: { 
-                state: newState,
-                ear: this.getCurrentEar(),
-                frequency: this.getCurrentFrequency(),
-                level: this.currentLevel
-            }
-        }));
+        this.eventBus.emit('clinician-state-change', {
+            state: newState,
+            ear: this.getCurrentEar(),
+            frequency: this.getCurrentFrequency(),
+            level: this.currentLevel
+        });
     }
 
     // ==================== STATE HANDLERS ====================
@@ -159,20 +324,29 @@ export class AIClinician {
      * FAMILIARIZATION State - Patient instruction and practice
      */
     async handleFamiliarizationState() {
-        console.log('👋 Familiarization: 1000 Hz at 60 dB HL (both ears)');
+        const { frequency, level, ear, duration } = this.familiarization;
+        const safeLevel = Math.min(level, this.getMaxLevel(frequency));
+        console.log(`👋 Familiarization: ${frequency} Hz at ${safeLevel} dB HL (${ear === 'both' ? 'both ears' : `${ear} ear`})`);
         
         // Present clear, audible tone for familiarization
-        await this.presentTone(1000, 60, 'both', 1000);
+        await this.presentTone(frequency, safeLevel, ear, duration);
         
         // Wait for response
-        const response = await this.waitForResponse(4000);
+        const response = await this.waitForResponse(this.FAMILIARIZATION_TIMEOUT);
         
         if (response) {
             console.log('✅ Patient familiarization successful');
-            this.initializeFrequencyTest();
-            this.setState('PRESENT_TONE');
         } else {
             console.log('⚠️ No familiarization response - proceeding anyway');
+        }
+        
+        if (this.screeningContext) {
+            this.initializeScreeningFrequency();
+            this.setState('SCREEN_PRESENT');
+        } else if (this.bekesyContext) {
+            this.initializeBekesyRun();
+            this.setState('BEKESY_TRACK');
+        } else {
             this.initializeFrequencyTest();
             this.setState('PRESENT_TONE');
         }
@@ -244,7 +418,8 @@ export class AIClinician {
         return await this.falseResponseDetector.executeCatchTrial(
             catchTrialDecision,
             this.presentTone.bind(this),
-            this.waitForResponse.bind(this)
+            this.waitForResponse.bind(this),
+            () => this.lastResponseTime
         );
     }
 
@@ -274,15 +449,15 @@ export class AIClinician {
         
         console.log(`🔊 Presenting ${frequency} Hz at ${this.currentLevel} dB HL (${ear} ear) [#${this.presentationCount}]`);
         
-        this.recordToneStartTime();
         await this.presentTone(frequency, this.currentLevel, ear, 1000);
     }
 
     /**
      * Record tone start time for reaction time measurement
+     * presentTone() replaces it with the acoustic onset reported by the audio engine
      */
     recordToneStartTime() {
-        this.lastToneStartTime = Date.now();
+        this.lastToneStartTime = this.clock.now();
     }
 
     /**
@@ -312,8 +487,8 @@ export class AIClinician {
      * @returns {number|null} Reaction time in milliseconds or null
      */
     calculateReactionTime(response) {
-        return response && this.lastToneStartTime 
-            ? Date.now() - this.lastToneStartTime 
+        return response && this.lastToneStartTime !== null && this.lastResponseTime !== null
+            ? Math.round(this.lastResponseTime - this.lastToneStartTime)
             : null;
     }
 
@@ -330,14 +505,15 @@ export class AIClinician {
             this.currentLevel,
             this.getCurrentEar(),
             response,
-            reactionTime
+            reactionTime,
+            this.lastToneStartTime
         );
 
         return {
             level: this.currentLevel,
             response: response,
             reactionTime: reactionTime,
-            timestamp: Date.now(),
+            timestamp: this.getResponseTimestamp(response),
             frequency: this.getCurrentFrequency(),
             ear: this.getCurrentEar(),
             presentationCount: this.presentationCount
@@ -359,11 +535,27 @@ export class AIClinician {
             {
                 ear: responseData.ear,
                 presentationCount: responseData.presentationCount,
-                testDuration: Date.now() - (this.session?.startTime || Date.now())
+                testDuration: this.getTestDuration()
             }
         );
     }
 
+    /**
+     * Time of the response being processed (clock.now())
+     * @param {boolean} response - Whether the patient responded
+     * @returns {number} Response time, or the current time when there was no response
+     */
+    getResponseTimestamp(response) {
+        return response && this.lastResponseTime !== null ? this.lastResponseTime : this.clock.now();
+    }
+
+    /**
+     * Time since the session started (ms), or 0 without a started session
+     */
+    getTestDuration() {
+        return this.session?.startTime ? this.clock.wallTime() - this.session.startTime : 0;
+    }
+
     /**
      * Handle clinical alerts based on response analysis
      * @param {Object} responseAnalysis - Analysis results
@@ -449,6 +641,11 @@ export class AIClinician {
     async handleProcessResponseState() {
         const lastResponse = this.responsesAtLevel[this.responsesAtLevel.length - 1];
         
+        if (this.psiEstimator) {
+            await this.processPsiResponse(lastResponse);
+            return;
+        }
+        
         // Apply Hughson-Westlake intensity adjustment rules
         const intensityDecision = this.determineIntensityAdjustment(lastResponse);
         this.applyIntensityAdjustment(intensityDecision);
@@ -484,7 +681,7 @@ export class AIClinician {
         return {
             type: 'INTENSITY_DECREASE',
             reason: 'Patient responded - seeking lower threshold',
-            rule: 'Hughson-Westlake: Decrease 5 dB on response',
+            rule: `Hughson-Westlake: Decrease ${this.STEP_DOWN} dB on response`,
             from: oldLevel,
             to: oldLevel - this.STEP_DOWN,
             adjustment: -this.STEP_DOWN
@@ -500,7 +697,7 @@ export class AIClinician {
         return {
             type: 'INTENSITY_INCREASE',
             reason: 'No response - tone too quiet',
-            rule: 'Hughson-Westlake: Increase 10 dB on no response',
+            rule: `Hughson-Westlake: Increase ${this.STEP_UP} dB on no response`,
             from: oldLevel,
             to: oldLevel + this.STEP_UP,
             adjustment: this.STEP_UP
@@ -547,7 +744,7 @@ export class AIClinician {
      */
     applySafetyLimits(decision) {
         const beforeLimit = this.currentLevel;
-        this.currentLevel = Math.max(this.MIN_LEVEL, Math.min(this.MAX_LEVEL, this.currentLevel));
+        this.currentLevel = Math.max(this.MIN_LEVEL, Math.min(this.getMaxLevel(), this.currentLevel));
         
         if (beforeLimit !== this.currentLevel) {
             decision.limitApplied = true;
@@ -563,8 +760,9 @@ export class AIClinician {
      * @returns {string} Safety limit reason
      */
     getSafetyLimitReason() {
-        if (this.currentLevel === this.MAX_LEVEL) {
-            return 'Maximum safe level reached';
+        if (this.currentLevel === this.getMaxLevel()) {
+            if (this.conduction === 'bone') return 'Maximum bone vibrator output reached';
+            return this.currentLevel < this.MAX_LEVEL ? 'Maximum transducer output reached' : 'Maximum safe level reached';
         } else if (this.currentLevel === this.MIN_LEVEL) {
             return 'Minimum equipment level reached';
         }
@@ -590,8 +788,8 @@ export class AIClinician {
     createThresholdConfirmationAction() {
         return {
             type: 'THRESHOLD_CONFIRMATION',
-            reason: '2 out of 3 responses at same level detected',
-            rule: 'Hughson-Westlake: Confirm threshold with 2/3 rule',
+            reason: `${this.confirmationRule.label} responses at same level detected`,
+            rule: `Hughson-Westlake: Confirm threshold with ${this.confirmationRule.required}/${this.confirmationRule.presentations} rule`,
             responsesCollected: this.responsesAtLevel.length,
             nextState: 'CONFIRM_THRESHOLD'
         };
@@ -660,7 +858,7 @@ export class AIClinician {
         
         // Check if this was triggered by efficiency constraints
         const efficiencyConstraints = this.checkEfficiencyConstraints();
-        if (efficiencyConstraints.forceThreshold) {
+        if (efficiencyConstraints.forceThreshold && !this.psiEstimator) {
             this.logEfficiencyConstraintDecision(efficiencyConstraints, threshold, thresholdContext.confidence);
         }
         
@@ -672,7 +870,8 @@ export class AIClinician {
         this.updateSessionAndAnalysis(thresholdData, thresholdContext);
         this.dispatchThresholdEvent(thresholdContext, decision, thresholdData);
         
-        this.setState('NEXT_FREQUENCY');
+        // Cross-hearing check before moving on
+        this.setState('CHECK_MASKING');
     }
     
     /**
@@ -722,6 +921,7 @@ export class AIClinician {
             threshold: threshold,
             ear: this.getCurrentEar(),
             frequency: this.getCurrentFrequency(),
+            conduction: this.conduction,
             confidence: this.calculateConfidence(),
             responses: this.responsesAtLevel.length
         };
@@ -733,14 +933,19 @@ export class AIClinician {
      * @returns {Object} Decision object
      */
     createThresholdDecision(context) {
+        if (this.psiEstimator) {
+            return this.createPsiThresholdDecision(context);
+        }
+        
         return {
             type: 'THRESHOLD_FINALIZED',
-            reason: '2 out of 3 responses confirmed at threshold level',
-            rule: 'Hughson-Westlake: Lowest level with 2+ positive responses',
+            reason: `${this.confirmationRule.label} responses confirmed at threshold level`,
+            rule: `Hughson-Westlake: Lowest level with ${this.confirmationRule.required}+ positive responses`,
             threshold: context.threshold,
             confidence: Math.round(context.confidence * 100),
             ear: context.ear,
             frequency: context.frequency,
+            conduction: context.conduction,
             totalResponses: context.responses
         };
     }
@@ -760,6 +965,7 @@ export class AIClinician {
      * @returns {Object} Complete threshold data
      */
     async buildThresholdData(context) {
+        const fit = this.fitPsychometricFunction(context);
         const enhancedConfidence = this.falseResponseDetector.calculateConfidenceScore(
             { threshold: context.threshold, confidence: context.confidence },
             context.frequency,
@@ -768,13 +974,19 @@ export class AIClinician {
 
         return {
             threshold: context.threshold,
-            confidence: context.confidence / 100, // Original confidence (0-1)
+            confidence: context.confidence, // Original confidence (0-1)
             enhancedConfidence: enhancedConfidence, // Enhanced confidence (0-100)
             responses: context.responses,
+            conduction: context.conduction,
+            bone: context.conduction === 'bone',
             malingeringRisk: 0, // Will be calculated by MalingeringDetector
-            decisionBasis: '2 out of 3 rule',
+            decisionBasis: this.psiEstimator ? this.getPsiDecisionBasis() : `${this.confirmationRule.label} rule`,
             responsePattern: this.getResponsePattern(),
-            falseResponseAnalysis: this.falseResponseDetector.getDetectionReport()
+            falseResponseAnalysis: this.falseResponseDetector.getDetectionReport(),
+            fit,
+            interval: fit?.interval ?? null,
+            // The psi credible interval takes the place of the bootstrap interval
+            ...(this.psiEstimator && this.buildPsiThresholdFields())
         };
     }
 
@@ -784,7 +996,7 @@ export class AIClinician {
      * @param {Object} context - Threshold context
      */
     storeThresholdResult(thresholdData, context) {
-        const key = `${context.ear}_${context.frequency}`;
+        const key = this.getResultKey(context.ear, context.frequency, context.conduction);
         this.testResults.set(key, thresholdData);
     }
 
@@ -799,8 +1011,10 @@ export class AIClinician {
             this.session.updateThreshold(context.ear, context.frequency, thresholdData);
         }
         
-        // Analyze for malingering
-        this.malingeringDetector.analyzeResponse(thresholdData, context.frequency, context.ear);
+        // Analyze for malingering (patterns are defined on the air-conduction audiogram)
+        if (!thresholdData.bone) {
+            this.malingeringDetector.analyzeResponse(thresholdData, context.frequency, context.ear);
+        }
     }
 
     /**
@@ -825,21 +1039,28 @@ export class AIClinician {
                 responsePattern: thresholdData.responsePattern,
                 falseResponseAnalysis: thresholdData.falseResponseAnalysis,
                 decisionBasis: thresholdData.decisionBasis,
-                malingeringRisk: thresholdData.malingeringRisk
+                malingeringRisk: thresholdData.malingeringRisk,
+                bone: thresholdData.bone || false,
+                conduction: thresholdData.conduction,
+                masked: thresholdData.masked || false,
+                maskingLevel: thresholdData.maskingLevel,
+                unmaskedThreshold: thresholdData.unmaskedThreshold,
+                maskingDilemma: thresholdData.maskingDilemma || false,
+                interval: thresholdData.interval ?? null,
+                fit: thresholdData.fit ?? null,
+                retest: thresholdData.maskingOutcome !== undefined
             }),
             
             // Clinical decision context
             decision,
             
             // Timestamp for real-time updates
-            timestamp: Date.now()
+            timestamp: this.clock.wallTime()
         };
 
-        console.log(`📊 Dispatching threshold event: ${context.frequency} Hz (${context.ear}) = ${context.threshold} dB HL`);
+        console.log(`📊 Dispatching threshold event: ${context.frequency} Hz (${context.ear}${thresholdData?.bone ? ', bone' : ''}) = ${context.threshold} dB HL`);
         
-        document.dispatchEvent(new CustomEvent('threshold-established', {
-            detail: eventPayload
-        }));
+        this.eventBus.emit('threshold-established', eventPayload);
     }
 
     /**
@@ -862,13 +1083,186 @@ export class AIClinician {
     createContinueSearchDecision() {
         return {
             type: 'CONTINUE_THRESHOLD_SEARCH',
-            reason: '2 out of 3 rule not yet satisfied',
-            rule: 'Hughson-Westlake: Require 2+ positive responses at same level',
+            reason: `${this.confirmationRule.label} rule not yet satisfied`,
+            rule: `Hughson-Westlake: Require ${this.confirmationRule.required}+ positive responses at same level`,
             currentResponses: this.responsesAtLevel.length,
             nextAction: 'Continue stimulus presentation'
         };
     }
 
+    // ==================== MASKING STATES ====================
+
+    /**
+     * CHECK_MASKING State - Decide whether the poorer ear needs a masked retest
+     * Masking is required when the interaural difference at this frequency
+     * reaches the interaural attenuation (cross-hearing possible), or for
+     * bone conduction when the test ear shows an air-bone gap
+     */
+    async handleCheckMaskingState() {
+        const maskingNeed = this.evaluateMaskingNeed(this.getCurrentFrequency());
+        
+        if (!maskingNeed.required) {
+            this.setState('NEXT_FREQUENCY');
+            return;
+        }
+        
+        this.initializeMaskingSearch(maskingNeed);
+        this.logDecision(this.createMaskingRequiredDecision(this.maskingContext));
+        
+        if (this.maskingContext.outcome === 'DILEMMA') {
+            // Minimum masking already overmasks - no plateau can be found
+            this.setState('MASKED_THRESHOLD');
+            return;
+        }
+        
+        this.startMasking(this.maskingContext);
+        await this.delay(this.interStimulusDelay);
+        this.setState('MASKING_PRESENT');
+    }
+
+    /**
+     * MASKING_PRESENT State - Present tone to test ear with noise in non-test ear
+     */
+    async handleMaskingPresentState() {
+        const context = this.maskingContext;
+        context.presentations++;
+        this.currentLevel = context.toneLevel;
+        
+        console.log(`🔊 Masked presentation: ${context.frequency} Hz at ${context.toneLevel} dB HL (${context.testEar} ear), ` +
+                    `${context.maskingLevel} dB EM (${context.maskedEar} ear) [#${context.presentations}]`);
+        
+        await this.presentTone(context.frequency, context.toneLevel, context.testEar, 1000);
+        
+        const response = await this.waitForResponse(this.responseTimeout);
+        const timestamp = this.getResponseTimestamp(response);
+        context.responses.push({
+            toneLevel: context.toneLevel,
+            maskingLevel: context.maskingLevel,
+            response: response,
+            reactionTime: this.calculateReactionTime(response),
+            timestamp
+        });
+        this.responseAnalyzer.addResponse(context.frequency, context.toneLevel, response, timestamp, this.lastToneStartTime, {
+            ear: context.testEar,
+            maskingLevel: context.maskingLevel
+        });
+        
+        console.log(`📝 Masked response at ${context.toneLevel} dB HL / ${context.maskingLevel} dB EM: ${response ? 'YES' : 'NO'}`);
+        this.setState('MASKING_PROCESS');
+    }
+
+    /**
+     * MASKING_PROCESS State - Apply plateau rules (AUTONOMOUS DECISION)
+     * Response: raise masking 5 dB. No response: raise tone 5 dB.
+     * Threshold is the tone level heard across a 15 dB masking plateau.
+     */
+    async handleMaskingProcessState() {
+        const context = this.maskingContext;
+        const lastResponse = context.responses[context.responses.length - 1];
+        
+        if (context.presentations >= this.MAX_MASKED_PRESENTATIONS) {
+            context.outcome = 'PRESENTATION_LIMIT';
+            this.setState('MASKED_THRESHOLD');
+            return;
+        }
+        
+        if (lastResponse.response) {
+            this.processMaskedResponse(context);
+        } else {
+            this.processMaskedNoResponse(context);
+        }
+        
+        if (context.outcome) {
+            this.setState('MASKED_THRESHOLD');
+        } else {
+            await this.delay(this.interStimulusDelay);
+            this.setState('MASKING_PRESENT');
+        }
+    }
+
+    /**
+     * Handle a response during the plateau search
+     * @param {Object} context - Active masking context
+     */
+    processMaskedResponse(context) {
+        if (context.plateauStart === null) {
+            context.plateauStart = context.maskingLevel;
+        }
+        
+        if (context.maskingLevel - context.plateauStart >= this.PLATEAU_WIDTH) {
+            context.outcome = 'PLATEAU';
+            return;
+        }
+        
+        const nextMasking = context.maskingLevel + this.MASKING_STEP;
+        const maximumMasking = this.getMaximumMasking(context);
+        
+        if (nextMasking > maximumMasking) {
+            // Plateau cannot be completed without overmasking the test ear
+            context.outcome = 'DILEMMA';
+            context.maximumMasking = maximumMasking;
+            return;
+        }
+        
+        const decision = this.createMaskingIncreaseDecision(context, nextMasking);
+        context.maskingLevel = nextMasking;
+        this.applyMaskingLevel(context);
+        this.logDecision(decision);
+    }
+
+    /**
+     * Handle no response during the plateau search
+     * The previous response was cross-heard, so the tone is raised and the plateau restarts
+     * @param {Object} context - Active masking context
+     */
+    processMaskedNoResponse(context) {
+        const nextTone = context.toneLevel + this.MASKING_STEP;
+        
+        if (nextTone > this.getMaxLevel(context.frequency)) {
+            context.outcome = 'NO_RESPONSE';
+            return;
+        }
+        
+        const decision = this.createMaskedToneIncreaseDecision(context, nextTone);
+        context.toneLevel = nextTone;
+        context.plateauStart = null;
+        this.currentLevel = nextTone;
+        this.logDecision(decision);
+    }
+
+    /**
+     * MASKED_THRESHOLD State - Record masked threshold and resume the test sequence
+     */
+    async handleMaskedThresholdState() {
+        const context = this.maskingContext;
+        this.stopMasking();
+        
+        const decision = this.createMaskingOutcomeDecision(context);
+        const logEntry = this.logDecision(decision);
+        
+        const thresholdData = this.buildMaskedThresholdData(context, logEntry.explanation);
+        const thresholdContext = {
+            threshold: thresholdData.threshold,
+            ear: context.testEar,
+            frequency: context.frequency,
+            conduction: context.conduction,
+            confidence: thresholdData.confidence,
+            responses: context.responses.length
+        };
+        
+        this.testResults.set(this.getResultKey(context.testEar, context.frequency, context.conduction), thresholdData);
+        if (this.session) {
+            this.session.updateThreshold(context.testEar, context.frequency, thresholdData);
+        }
+        this.dispatchThresholdEvent(thresholdContext, decision, thresholdData);
+        
+        console.log(`✅ AI Decision: Masked threshold ${thresholdData.threshold} dB HL (${context.testEar} ear, ${context.frequency} Hz) - ${context.outcome}`);
+        
+        this.maskingContext = null;
+        await this.delay(this.interStimulusDelay);
+        this.setState('NEXT_FREQUENCY');
+    }
+
     /**
      * NEXT_FREQUENCY State - Move to next frequency (AUTONOMOUS DECISION)
      */
@@ -888,7 +1282,7 @@ export class AIClinician {
      * @returns {boolean} True if more frequencies remain
      */
     hasMoreFrequenciesToTest() {
-        return this.currentFrequencyIndex < this.frequencies.length;
+        return this.currentFrequencyIndex < this.getActiveFrequencies().length;
     }
 
     /**
@@ -944,7 +1338,8 @@ export class AIClinician {
             type: 'EAR_COMPLETION',
             reason: 'All frequencies tested for current ear',
             ear: this.getCurrentEar(),
-            frequenciesCompleted: this.frequencies.length,
+            conduction: this.conduction,
+            frequenciesCompleted: this.getActiveFrequencies().length,
             nextAction: 'Switch to opposite ear'
         };
     }
@@ -958,6 +1353,8 @@ export class AIClinician {
         
         if (this.hasMoreEarsToTest()) {
             await this.switchToNextEar(currentEar);
+        } else if (this.shouldStartBoneConduction()) {
+            await this.startBoneConductionPhase();
         } else {
             await this.completeEntireTest();
         }
@@ -1000,7 +1397,8 @@ export class AIClinician {
             rule: 'Clinical standard: Test both ears independently',
             from: fromEar,
             to: toEar,
-            completedFrequencies: this.frequencies.length
+            conduction: this.conduction,
+            completedFrequencies: this.getActiveFrequencies().length
         };
     }
 
@@ -1012,6 +1410,49 @@ export class AIClinician {
         this.initializeFrequencyTest();
     }
 
+    /**
+     * Check if the bone-conduction phase should follow air conduction
+     * @returns {boolean} True if bone testing is enabled and not yet done
+     */
+    shouldStartBoneConduction() {
+        return this.includeBoneConduction && this.conduction === 'air';
+    }
+
+    /**
+     * Switch to bone conduction and restart the ear sequence
+     */
+    async startBoneConductionPhase() {
+        const decision = this.createConductionChangeDecision('air', 'bone');
+        
+        this.setConduction('bone');
+        this.currentEarIndex = 0;
+        
+        this.logDecision(decision);
+        console.log(`🦴 AI Decision: Air conduction complete - bone conduction ${this.boneFrequencies.join(', ')} Hz`);
+        
+        this.resetForNewEar();
+        await this.delay(2000);
+        this.setState('PRESENT_TONE');
+    }
+
+    /**
+     * Create conduction change decision object
+     * @param {string} fromConduction - Previous transducer
+     * @param {string} toConduction - Next transducer
+     * @returns {Object} Decision object
+     */
+    createConductionChangeDecision(fromConduction, toConduction) {
+        return {
+            type: 'CONDUCTION_CHANGE',
+            reason: 'Air conduction complete - bone conduction required for loss classification',
+            rule: 'Clinical standard: Compare air and bone thresholds (air-bone gap)',
+            from: fromConduction,
+            to: toConduction,
+            ear: this.testEars[0],
+            frequencies: [...this.boneFrequencies]
+        };
+    }
+
     /**
      * Complete entire audiometric test
      */
@@ -1033,7 +1474,7 @@ export class AIClinician {
             reason: 'All ears and frequencies tested',
             rule: 'Complete audiometric assessment achieved',
             totalTests: this.testResults.size,
-            expectedTests: this.testEars.length * this.frequencies.length
+            expectedTests: this.getExpectedTestCount()
         };
     }
 
@@ -1042,84 +1483,864 @@ export class AIClinician {
      */
     async handleTestCompleteState() {
         console.log('🎉 Hughson-Westlake test completed');
+        this.setConduction('air');
         await this.completeTest();
         this.isTestActive = false;
     }
 
-    // ==================== HELPER METHODS ====================
+    // ==================== SCREENING STATES ====================
 
     /**
-     * Initialize test for new frequency
+     * Create the context for a screening run
+     * @param {Object} plan - Test plan from TestProtocol.getFullTestPlan()
+     * @param {Object} rescreen - { level, ears, rescreenOf } for a rescreen, undefined for a first screen
+     * @returns {Object} Screening context
      */
-    initializeFrequencyTest() {
-        this.currentLevel = this.INITIAL_LEVEL;
-        this.responsesAtLevel = [];
-        this.thresholdConfirmed = false;
-        this.confirmedThreshold = null;
+    createScreeningContext(plan, rescreen = undefined) {
+        const params = this.protocol.getScreeningParams();
+        const ears = rescreen?.ears?.length ? [...rescreen.ears] : [...plan.ears];
+        this.testEars = ears;
+
+        return {
+            ...params,
+            level: rescreen?.level ?? params.level,
+            criterionLevel: params.level,
+            protocol: plan.name,
+            protocolId: plan.protocol,
+            ears,
+            rescreenOf: rescreen?.rescreenOf || null,
+            results: Object.fromEntries(ears.map(ear => [ear, Object.fromEntries(
+                this.frequencies.map(frequency => [frequency, { attempts: 0, responses: 0, reactionTimes: [], heard: null }])
+            )]))
+        };
+    }
+
+    /**
+     * Start screening the current frequency
+     */
+    initializeScreeningFrequency() {
+        this.currentLevel = Math.min(this.screeningContext.level, this.getMaxLevel());
         this.lastToneStartTime = null;
-        
-        // Reset clinical efficiency tracking for new frequency
-        this.frequencyStartTime = Date.now();
-        this.reversalCount = 0;
         this.presentationCount = 0;
-        this.lastLevelDirection = null;
-        
+        this.markResumePoint();
+
+        console.log(`\n🎯 Screening ${this.getCurrentFrequency()} Hz at ${this.currentLevel} dB HL (${this.getCurrentEar()} ear)`);
+    }
+
+    /**
+     * SCREEN_PRESENT State - Present the fixed-level tone and wait for a response
+     */
+    async handleScreenPresentState() {
         const ear = this.getCurrentEar();
         const frequency = this.getCurrentFrequency();
-        console.log(`\n🎯 Starting threshold search: ${frequency} Hz (${ear} ear)`);
-        console.log(`📊 Efficiency limits: ${this.MAX_REVERSALS_PER_FREQUENCY} reversals, ${this.MAX_PRESENTATIONS_PER_FREQUENCY} presentations, ${this.MAX_TIME_PER_FREQUENCY/1000}s`);
+        const item = this.screeningContext.results[ear][frequency];
+
+        item.attempts++;
+        this.presentationCount++;
+        console.log(`🔊 Screening ${frequency} Hz at ${this.currentLevel} dB HL (${ear} ear) [attempt ${item.attempts}/${this.screeningContext.attemptsPerFrequency}]`);
+
+        await this.presentTone(frequency, this.currentLevel, ear, 1000);
+        const response = await this.waitForResponse(this.responseTimeout);
+        const reactionTime = this.calculateReactionTime(response);
+
+        this.falseResponseDetector.recordResponse(frequency, this.currentLevel, ear, response, reactionTime, this.lastToneStartTime);
+        if (response) {
+            item.responses++;
+            if (reactionTime !== null) item.reactionTimes.push(reactionTime);
+        }
+        this.logResponseResult({ level: this.currentLevel, response, reactionTime });
+
+        this.setState('SCREEN_PROCESS');
     }
 
     /**
-     * Check if threshold should be confirmed (2 out of 3 responses at same level)
-     * Now includes clinical efficiency constraints
+     * SCREEN_PROCESS State - Pass the frequency, present again, or record it as not heard
      */
-    shouldConfirmThreshold() {
-        // Check clinical efficiency constraints first
-        const efficiencyConstraints = this.checkEfficiencyConstraints();
-        if (efficiencyConstraints.forceThreshold) {
-            console.log(`⏰ Clinical Efficiency: ${efficiencyConstraints.reason} - forcing threshold estimation`);
-            return true;
-        }
-        
-        // Check traditional maximum responses
-        if (this.hasExceededMaximumResponses()) {
-            return true;
+    async handleScreenProcessState() {
+        const context = this.screeningContext;
+        const ear = this.getCurrentEar();
+        const frequency = this.getCurrentFrequency();
+        const item = context.results[ear][frequency];
+        const attemptsLeft = context.attemptsPerFrequency - item.attempts;
+
+        if (item.responses >= context.responsesToPass) {
+            item.heard = true;
+        } else if (item.responses + attemptsLeft < context.responsesToPass) {
+            item.heard = false;
+        } else {
+            await this.delay(this.interStimulusDelay);
+            this.setState('SCREEN_PRESENT');
+            return;
         }
-        
-        // Check standard 2 out of 3 rule
-        const levelGroups = this.groupResponsesByLevel();
-        const hasValidConfirmation = this.hasValidThresholdConfirmation(levelGroups);
-        
-        // Also check if we have sufficient confidence to proceed
-        if (hasValidConfirmation) {
-            const currentConfidence = this.calculateConfidence();
-            if (currentConfidence >= this.FORCE_THRESHOLD_CONFIDENCE) {
-                console.log(`✅ Sufficient confidence (${Math.round(currentConfidence * 100)}%) - confirming threshold`);
-                return true;
+
+        this.logDecision(this.createScreeningFrequencyDecision(ear, frequency, item));
+        this.eventBus.emit('screening-frequency-completed', { ear, frequency, level: this.currentLevel, ...item });
+
+        await this.advanceScreening();
+    }
+
+    /**
+     * Create decision object for a screened frequency
+     * @param {string} ear - Test ear
+     * @param {number} frequency - Test frequency
+     * @param {Object} item - { attempts, responses, heard }
+     * @returns {Object} Decision object
+     */
+    createScreeningFrequencyDecision(ear, frequency, item) {
+        return {
+            type: item.heard ? 'SCREENING_FREQUENCY_PASS' : 'SCREENING_FREQUENCY_MISSED',
+            reason: item.heard
+                ? `${item.responses} response(s) in ${item.attempts} presentation(s) at ${this.currentLevel} dB HL`
+                : `No reliable response in ${item.attempts} presentations at ${this.currentLevel} dB HL`,
+            rule: `Screening: ${this.screeningContext.responsesToPass} response(s) in up to ${this.screeningContext.attemptsPerFrequency} presentations`,
+            ear,
+            frequency,
+            level: this.currentLevel
+        };
+    }
+
+    /**
+     * Move to the next screening frequency or ear, or finish the screen
+     */
+    async advanceScreening() {
+        const previousEar = this.getCurrentEar();
+        this.currentFrequencyIndex++;
+
+        if (!this.hasMoreFrequenciesToTest()) {
+            this.currentEarIndex++;
+            this.currentFrequencyIndex = 0;
+
+            if (!this.hasMoreEarsToTest()) {
+                this.setState('SCREEN_COMPLETE');
+                return;
             }
+
+            this.logDecision(this.createEarSwitchDecision(previousEar, this.getCurrentEar()));
+            console.log(`👂 AI Decision: Screening ear switch ${previousEar} → ${this.getCurrentEar()}`);
+            await this.delay(2000);
+        } else {
+            await this.delay(1000);
         }
-        
-        return hasValidConfirmation;
+
+        this.initializeScreeningFrequency();
+        this.setState('SCREEN_PRESENT');
     }
 
     /**
-     * Check clinical efficiency constraints
-     * @returns {Object} Constraint check results
+     * SCREEN_COMPLETE State - Per-ear PASS/REFER outcome
      */
-    checkEfficiencyConstraints() {
-        const timeElapsed = Date.now() - this.frequencyStartTime;
-        
-        // Check time constraint
-        if (timeElapsed >= this.MAX_TIME_PER_FREQUENCY) {
-            return {
-                forceThreshold: true,
-                reason: `Maximum time limit reached (${this.MAX_TIME_PER_FREQUENCY/1000}s)`,
-                constraint: 'TIME_LIMIT',
-                value: timeElapsed
-            };
-        }
-        
+    async handleScreenCompleteState() {
+        const result = this.buildScreeningResult(this.screeningContext);
+        this.lastScreeningResult = result;
+        this.screeningContext = null;
+
+        this.logDecision({
+            type: 'SCREENING_COMPLETE',
+            reason: result.referredEars.length > 0
+                ? `Refer: ${result.referredEars.join(' and ')} ear`
+                : 'Pass: all frequencies heard in each screened ear',
+            rule: `Screening at ${result.level} dB HL: an ear passes when every frequency is heard`,
+            outcome: result.outcome
+        });
+        console.log(`🩺 Screening complete: ${Object.values(result.ears).map(r => `${r.ear} ${r.outcome}`).join(', ')}`);
+
+        this.session?.recordScreeningResult?.(result);
+        this.finishResponseLog();
+        this.session?.clearCheckpoint?.();
+        this.eventBus.emit('screening-completed', result);
+        this.isTestActive = false;
+    }
+
+    /**
+     * Build the per-ear PASS/REFER result with reasons
+     * @param {Object} context - Screening context
+     * @returns {Object} Screening result
+     */
+    buildScreeningResult(context) {
+        const ears = {};
+
+        context.ears.forEach(ear => {
+            const frequencies = context.results[ear];
+            const missed = Object.keys(frequencies).filter(freq => !frequencies[freq].heard);
+            const reasons = missed.map(freq =>
+                `No response at ${freq} Hz (${context.level} dB HL, ${frequencies[freq].attempts} presentations)`);
+
+            if (context.level > context.criterionLevel) {
+                reasons.push(`Rescreened at ${context.level} dB HL - above the ${context.criterionLevel} dB HL screening level`);
+            }
+
+            ears[ear] = {
+                ear,
+                outcome: missed.length === 0 ? 'PASS' : 'REFER',
+                level: context.level,
+                frequencies,
+                missedFrequencies: missed.map(Number),
+                reasons
+            };
+        });
+
+        const referredEars = context.ears.filter(ear => ears[ear].outcome === 'REFER');
+        const nextLevel = Math.min(context.level + context.rescreenStep, context.maxLevel);
+
+        return {
+            protocol: context.protocol,
+            protocolId: context.protocolId,
+            date: new Date(this.clock.wallTime()).toISOString(),
+            level: context.level,
+            criterionLevel: context.criterionLevel,
+            frequencies: [...this.frequencies],
+            ears,
+            outcome: referredEars.length > 0 ? 'REFER' : 'PASS',
+            referredEars,
+            rescreen: context.rescreenOf !== null,
+            previousLevel: context.rescreenOf?.level ?? null,
+            rescreenLevel: referredEars.length > 0 && nextLevel > context.level ? nextLevel : null,
+            transducer: this.audioEngine?.getTransducer?.() || null,
+            calibration: this.audioEngine?.getCalibrationProfile?.() || null,
+            stimulus: this.audioEngine?.getStimulusSettings?.() || null
+        };
+    }
+
+    /**
+     * Rescreen the referred ears of the last screen at a higher level
+     * @param {Object} audioEngine - AudioGenerator
+     * @param {TestSession} session - Session that records the results
+     * @param {Object} options - { level } to override the protocol's rescreen step
+     * @returns {Promise<boolean>} False if there is nothing to rescreen
+     */
+    async rescreen(audioEngine, session, { level = null } = {}) {
+        const previous = this.lastScreeningResult;
+        const rescreenLevel = level ?? previous?.rescreenLevel;
+
+        if (!previous || previous.referredEars.length === 0) {
+            console.warn('No referred ears to rescreen');
+            return false;
+        }
+        if (rescreenLevel === null || rescreenLevel === undefined) {
+            console.warn(`Maximum screening level reached (${previous.level} dB HL) - refer for full audiometry`);
+            return false;
+        }
+        if (previous.protocolId !== this.protocol.currentProtocol && !this.setProtocol(previous.protocolId)) {
+            return false;
+        }
+
+        console.log(`🔁 Rescreening ${previous.referredEars.join(' and ')} ear at ${rescreenLevel} dB HL`);
+        await this.beginProtocol(audioEngine, session, {
+            screening: { level: rescreenLevel, ears: previous.referredEars, rescreenOf: previous }
+        });
+        return true;
+    }
+
+    // ==================== BÉKÉSY STATES ====================
+
+    /**
+     * Create the context for a Békésy tracking sequence
+     * Fixed mode runs each tone at each frequency; sweep mode runs each tone once per ear
+     * @param {Object} plan - Test plan from TestProtocol.getFullTestPlan()
+     * @returns {Object} Békésy context
+     */
+    createBekesyContext(plan) {
+        const params = this.protocol.getBekesyParams();
+        const runs = this.testEars.flatMap(ear => params.trackingMode === 'sweep'
+            ? params.tones.map(tone => ({ ear, tone, frequency: null }))
+            : this.frequencies.flatMap(frequency => params.tones.map(tone => ({ ear, tone, frequency }))));
+
+        return {
+            ...params,
+            protocol: plan.name,
+            protocolId: plan.protocol,
+            // Pulsed tracings are least affected by adaptation, so they give the audiogram threshold
+            thresholdTone: params.tones.includes('pulsed') ? 'pulsed' : params.tones[0],
+            runs,
+            runIndex: 0,
+            results: []
+        };
+    }
+
+    /**
+     * Point the test position at the next tracking run
+     */
+    initializeBekesyRun() {
+        const run = this.bekesyContext.runs[this.bekesyContext.runIndex];
+        this.currentEarIndex = this.testEars.indexOf(run.ear);
+        this.currentFrequencyIndex = run.frequency === null ? 0 : this.frequencies.indexOf(run.frequency);
+        this.currentLevel = Math.min(this.INITIAL_LEVEL, this.getMaxLevel());
+        this.markResumePoint();
+
+        console.log(`\n📈 Békésy run ${this.bekesyContext.runIndex + 1}/${this.bekesyContext.runs.length}: ${run.frequency === null ? 'sweep' : `${run.frequency} Hz`}, ${run.tone} tone (${run.ear} ear)`);
+    }
+
+    /**
+     * BEKESY_TRACK State - The patient tracks one tone until the run is complete
+     */
+    async handleBekesyTrackState() {
+        const context = this.bekesyContext;
+        const run = context.runs[context.runIndex];
+
+        const result = await this.bekesyTracker.track(this.audioEngine, {
+            ear: run.ear,
+            tone: run.tone,
+            frequency: run.frequency,
+            sweepRange: context.sweepRange,
+            sweepRate: context.sweepRate,
+            sweepWindow: context.sweepWindow,
+            frequencies: this.frequencies,
+            startLevel: this.currentLevel,
+            attenuationRate: context.attenuationRate,
+            minLevel: this.MIN_LEVEL,
+            getMaxLevel: frequency => this.getMaxLevel(frequency),
+            excursions: context.excursionsPerRun,
+            maxDuration: context.maxRunDuration
+        });
+
+        // Stopped with the test, or cut short by a pause (the run is tracked again after the break)
+        if (!this.isTestActive || result.stopped) return;
+
+        context.results.push(result);
+        this.session?.recordBekesyRun?.(result);
+        this.logDecision(this.createBekesyRunDecision(result));
+
+        // Thresholds are recorded once every tone of the frequency (or sweep) has been tracked
+        const next = context.runs[context.runIndex + 1];
+        if (!next || next.ear !== run.ear || next.frequency !== run.frequency) {
+            this.storeBekesyThresholds(run.ear, run.frequency);
+        }
+
+        context.runIndex++;
+        if (!next) {
+            this.setState('BEKESY_COMPLETE');
+            return;
+        }
+
+        // Rest between runs; the patient releases the button while the tone is off
+        await this.delay(next.ear !== run.ear ? 2000 : 1000);
+        if (!this.isTestActive) return;
+
+        this.initializeBekesyRun();
+        this.setState('BEKESY_TRACK');
+    }
+
+    /**
+     * Create decision object for a completed tracking run
+     * @param {Object} result - From BekesyTracker.track()
+     * @returns {Object} Decision object
+     */
+    createBekesyRunDecision(result) {
+        const count = result.excursions.length;
+        const reasons = {
+            'complete': `${count} excursions tracked`,
+            'time-limit': `Run limit reached after ${count} excursions`,
+            'no-response': `No response at the output limit`,
+            'at-floor': `Button held at the ${this.MIN_LEVEL} dB HL floor`
+        };
+
+        return {
+            type: 'BEKESY_RUN_COMPLETE',
+            reason: `${reasons[result.reason] || result.reason}${result.meanWidth !== null ? `, mean excursion ${result.meanWidth} dB` : ''}`,
+            rule: `Békésy: threshold = mean midpoint of at least ${this.bekesyTracker.MIN_EXCURSIONS} excursions at ${result.attenuationRate} dB/s`,
+            ear: result.ear,
+            frequency: result.frequency,
+            tone: result.tone,
+            excursions: count
+        };
+    }
+
+    /**
+     * Record the audiogram thresholds of a tracked frequency, or of every frequency in a sweep
+     * Each frequency takes the threshold-tone tracing, or the other tone where that one has too few excursions
+     * @param {string} ear - Test ear
+     * @param {number|null} frequency - Tracked frequency, null for a sweep
+     */
+    storeBekesyThresholds(ear, frequency) {
+        const context = this.bekesyContext;
+        const runs = context.results
+            .filter(result => result.ear === ear && result.frequency === frequency)
+            .sort((a, b) => (b.tone === context.thresholdTone) - (a.tone === context.thresholdTone));
+
+        Object.keys(runs[0].thresholds).forEach(key => {
+            const freq = Number(key);
+            const source = runs.find(result => result.thresholds[key].threshold !== null);
+            if (!source) {
+                const { noResponse } = runs[0].thresholds[key];
+                console.log(`📈 Békésy ${freq} Hz (${ear} ear): ${noResponse ? 'no response at the output limit' : 'too few excursions for a threshold'}`);
+                return;
+            }
+
+            const item = source.thresholds[key];
+            const thresholdData = this.buildBekesyThresholdData(item, source.tone);
+            const decision = {
+                type: 'THRESHOLD_FINALIZED',
+                reason: `Mean midpoint of ${item.excursions} ${source.tone}-tone excursions (${item.threshold} dB HL)`,
+                rule: 'Békésy: threshold = mean excursion midpoint',
+                method: 'Békésy tracking',
+                threshold: thresholdData.threshold,
+                confidence: thresholdData.enhancedConfidence,
+                ear,
+                frequency: freq,
+                conduction: 'air',
+                totalResponses: item.excursions
+            };
+
+            const thresholdContext = {
+                threshold: thresholdData.threshold,
+                ear,
+                frequency: freq,
+                conduction: 'air',
+                confidence: thresholdData.confidence,
+                responses: item.excursions
+            };
+
+            this.testResults.set(this.getResultKey(ear, freq, 'air'), thresholdData);
+            if (this.session) {
+                this.session.updateThreshold(ear, freq, thresholdData);
+            }
+            this.logDecision(decision);
+            this.dispatchThresholdEvent(thresholdContext, decision, thresholdData);
+
+            console.log(`✅ AI Decision: Békésy threshold ${thresholdData.threshold} dB HL (${ear} ear, ${freq} Hz)`);
+        });
+    }
+
+    /**
+     * Threshold data for a tracked threshold
+     * Confidence falls as the excursion midpoints scatter (1 - SD / 10 dB, 30-95 %)
+     * @param {Object} item - From BekesyTracker.summarizeExcursions()
+     * @param {string} tone - Tone that gave the threshold
+     * @returns {Object} Threshold data in the shape of the Hughson-Westlake results
+     */
+    buildBekesyThresholdData(item, tone) {
+        const confidence = Math.max(0.3, Math.min(0.95, 1 - (item.sd ?? 0) / 10));
+
+        return {
+            threshold: Math.round(item.threshold),
+            confidence,
+            enhancedConfidence: Math.round(confidence * 100),
+            responses: item.excursions,
+            conduction: 'air',
+            bone: false,
+            malingeringRisk: 0,
+            decisionBasis: `Békésy ${tone} tracking (${item.excursions} excursion midpoints)`,
+            responsePattern: [],
+            falseResponseAnalysis: null,
+            bekesy: {
+                tone,
+                trackedThreshold: item.threshold,
+                excursions: item.excursions,
+                meanWidth: item.meanWidth,
+                sd: item.sd,
+                atFloor: item.atFloor
+            }
+        };
+    }
+
+    /**
+     * BEKESY_COMPLETE State - Compare the tracings, then finish like a threshold test
+     */
+    async handleBekesyCompleteState() {
+        const result = this.buildBekesyResult(this.bekesyContext);
+        this.lastBekesyResult = result;
+        this.bekesyContext = null;
+
+        this.logDecision({
+            type: 'BEKESY_COMPLETE',
+            reason: `${result.runs.length} tracking runs, ${result.tones.join(' and ')} tone`,
+            rule: `Békésy ${result.trackingMode === 'sweep' ? 'sweep-frequency' : 'fixed-frequency'} tracking at ${result.attenuationRate} dB/s`
+        });
+
+        this.eventBus.emit('bekesy-completed', result);
+        this.setState('TEST_COMPLETE');
+    }
+
+    /**
+     * Per-ear, per-frequency continuous and pulsed thresholds with their separation
+     * @param {Object} context - Békésy context
+     * @returns {Object} Békésy result
+     */
+    buildBekesyResult(context) {
+        const thresholds = {};
+
+        context.results.forEach(result => {
+            Object.entries(result.thresholds).forEach(([freq, item]) => {
+                thresholds[result.ear] = thresholds[result.ear] || {};
+                const entry = thresholds[result.ear][freq] = thresholds[result.ear][freq] || { continuous: null, pulsed: null };
+                entry[result.tone] = item;
+            });
+        });
+
+        // Separation: continuous minus pulsed threshold (positive when the continuous tracing is poorer)
+        Object.values(thresholds).forEach(frequencies => {
+            Object.values(frequencies).forEach(entry => {
+                const continuous = entry.continuous?.threshold;
+                const pulsed = entry.pulsed?.threshold;
+                entry.threshold = entry[context.thresholdTone]?.threshold ?? null;
+                entry.separation = continuous != null && pulsed != null
+                    ? Math.round((continuous - pulsed) * 10) / 10
+                    : null;
+            });
+        });
+
+        return {
+            protocol: context.protocol,
+            protocolId: context.protocolId,
+            date: new Date(this.clock.wallTime()).toISOString(),
+            trackingMode: context.trackingMode,
+            attenuationRate: context.attenuationRate,
+            tones: [...context.tones],
+            thresholdTone: context.thresholdTone,
+            sweepRange: context.trackingMode === 'sweep' ? [...context.sweepRange] : null,
+            sweepRate: context.trackingMode === 'sweep' ? context.sweepRate : null,
+            thresholds,
+            runs: context.results,
+            transducer: this.audioEngine?.getTransducer?.() || null,
+            calibration: this.audioEngine?.getCalibrationProfile?.() || null
+        };
+    }
+
+    // ==================== PSI METHOD ====================
+
+    /**
+     * Create the posterior for the frequency under test
+     * Levels run from the protocol floor to the transducer limit at this frequency
+     * @returns {PsiEstimator}
+     */
+    createPsiEstimator() {
+        const { levelStep, slopes, guessRate, lapseRate, credibleLevel, targetInterval, minTrials, maxTrials } = this.psiParams;
+
+        const estimator = new PsiEstimator({
+            minLevel: this.MIN_LEVEL,
+            maxLevel: this.getMaxLevel(),
+            levelStep,
+            slopes,
+            guessRate,
+            lapseRate,
+            credibleLevel,
+            targetInterval,
+            minTrials,
+            maxTrials
+        });
+        estimator.setGuessRate(this.estimateGuessRate());
+        return estimator;
+    }
+
+    /**
+     * Guess rate from the silent catch trials so far
+     * The protocol guess rate counts as GUESS_PRIOR_WEIGHT catch trials, so a few trials move it gradually
+     * (tone catch trials are left out - a -5 dB HL or opposite-ear tone can be heard)
+     * @returns {number} Probability of a response without a tone
+     */
+    estimateGuessRate() {
+        const silent = this.getSilentCatchTrials();
+        const falseAlarms = silent.filter(trial => trial.response).length;
+        const prior = this.psiParams.guessRate;
+
+        return (falseAlarms + prior * this.GUESS_PRIOR_WEIGHT) / (silent.length + this.GUESS_PRIOR_WEIGHT);
+    }
+
+    /**
+     * PROCESS_RESPONSE with the psi method - update the posterior, then stop or choose the next level
+     * @param {Object} lastResponse - Most recent patient response
+     */
+    async processPsiResponse(lastResponse) {
+        const psi = this.psiEstimator;
+        psi.setGuessRate(this.estimateGuessRate());
+        psi.addTrial(lastResponse.level, lastResponse.response);
+
+        const estimate = psi.getEstimate();
+        const stopReason = psi.getStopReason() ||
+            (this.clock.now() - this.frequencyStartTime >= this.MAX_TIME_PER_FREQUENCY ? 'time-limit' : null);
+
+        if (stopReason) {
+            this.psiStopReason = stopReason;
+            this.logDecision(this.createPsiStopDecision(estimate, stopReason));
+            console.log(`✓ AI Decision: Psi search complete (${stopReason}) - threshold ${estimate.threshold} dB HL, ${Math.round(estimate.interval.level * 100)}% CI ${estimate.interval.lower}-${estimate.interval.upper}`);
+            this.setState('CONFIRM_THRESHOLD');
+            return;
+        }
+
+        const oldLevel = this.currentLevel;
+        this.currentLevel = psi.getNextLevel(this.getMaxLevel());
+        this.logDecision({
+            type: 'PSI_LEVEL_SELECTED',
+            reason: `Estimate ${estimate.threshold} dB HL (${Math.round(estimate.interval.level * 100)}% CI ${estimate.interval.lower}-${estimate.interval.upper}) - most informative next level ${this.currentLevel} dB HL`,
+            rule: 'Psi method: present the level with the lowest expected posterior entropy',
+            from: oldLevel,
+            to: this.currentLevel,
+            trials: estimate.trials,
+            guessRate: estimate.guessRate
+        });
+        console.log(`🎲 AI Decision: Psi level ${this.currentLevel} dB HL (trial ${estimate.trials + 1}, CI width ${estimate.width} dB)`);
+
+        await this.delay(this.interStimulusDelay);
+        this.setState('PRESENT_TONE');
+    }
+
+    /**
+     * @param {Object} estimate - From PsiEstimator.getEstimate()
+     * @param {string} stopReason - 'interval', 'max-trials' or 'time-limit'
+     * @returns {Object} Decision object
+     */
+    createPsiStopDecision(estimate, stopReason) {
+        const reasons = {
+            'interval': `Credible interval ${estimate.width} dB wide (target ${this.psiParams.targetInterval} dB)`,
+            'max-trials': `Trial limit (${this.psiParams.maxTrials}) reached - interval ${estimate.width} dB wide`,
+            'time-limit': `Time limit reached - interval ${estimate.width} dB wide`
+        };
+
+        return {
+            type: 'PSI_SEARCH_COMPLETE',
+            reason: reasons[stopReason],
+            rule: `Psi method: stop when the ${Math.round(estimate.interval.level * 100)}% credible interval is ${this.psiParams.targetInterval} dB or narrower`,
+            stopReason,
+            trials: estimate.trials
+        };
+    }
+
+    /**
+     * Audiogram threshold: the posterior mean, rounded to the whole dB and kept within the output limit
+     * @returns {number} dB HL
+     */
+    getPsiThreshold() {
+        const { threshold } = this.psiEstimator.getEstimate();
+        return Math.max(this.MIN_LEVEL, Math.min(this.getMaxLevel(), Math.round(threshold)));
+    }
+
+    /**
+     * @param {Object} context - Threshold context
+     * @returns {Object} Decision object
+     */
+    createPsiThresholdDecision(context) {
+        const estimate = this.psiEstimator.getEstimate();
+
+        return {
+            type: 'THRESHOLD_FINALIZED',
+            reason: `Posterior mean ${estimate.threshold} dB HL, ${Math.round(estimate.interval.level * 100)}% credible interval ${estimate.interval.lower}-${estimate.interval.upper} dB HL`,
+            rule: 'Psi method: posterior mean of the psychometric-function threshold',
+            method: 'Psi (Bayesian adaptive)',
+            threshold: context.threshold,
+            confidence: Math.round(context.confidence * 100),
+            ear: context.ear,
+            frequency: context.frequency,
+            conduction: context.conduction,
+            totalResponses: context.responses
+        };
+    }
+
+    getPsiDecisionBasis() {
+        const { interval, trials } = this.psiEstimator.getEstimate();
+        return `Psi method (${trials} trials, ${Math.round(interval.level * 100)}% CI ${interval.lower}-${interval.upper} dB HL)`;
+    }
+
+    /**
+     * Psi fields added to the threshold data
+     * @returns {Object} { interval, psi: { threshold, slope, sd, guessRate, lapseRate, trials, stopReason } }
+     */
+    buildPsiThresholdFields() {
+        const estimate = this.psiEstimator.getEstimate();
+
+        return {
+            interval: { ...estimate.interval },
+            psi: {
+                threshold: estimate.threshold,
+                slope: estimate.slope,
+                sd: estimate.sd,
+                guessRate: estimate.guessRate,
+                lapseRate: estimate.lapseRate,
+                trials: estimate.trials,
+                stopReason: this.psiStopReason || null
+            }
+        };
+    }
+
+    // ==================== PSYCHOMETRIC FIT ====================
+
+    /**
+     * Catch trials without a tone (tone catch trials are left out - a -5 dB HL or opposite-ear tone can be heard)
+     * @returns {Array<Object>} Catch trial results
+     */
+    getSilentCatchTrials() {
+        return this.falseResponseDetector.catchTrialHistory
+            .filter(trial => trial.type === 'SILENCE' || trial.type === 'DELAYED_SILENCE');
+    }
+
+    /**
+     * Fit a logistic psychometric function to every trial of the frequency under test
+     * The silent catch trials at the same ear and frequency set the guess rate
+     * @param {Object} context - Threshold context
+     * @returns {Object|null} PsychometricFitter result, or null without both heard and missed tones
+     */
+    fitPsychometricFunction(context) {
+        const fitter = new PsychometricFitter({ minLevel: this.MIN_LEVEL, maxLevel: this.getMaxLevel(), random: () => this.random.next() });
+        const catchTrials = this.getSilentCatchTrials()
+            .filter(trial => trial.ear === context.ear && trial.frequency === context.frequency);
+        const fit = fitter.fit(this.responsesAtLevel, catchTrials);
+
+        if (fit) {
+            console.log(`📈 Psychometric fit: ${fit.threshold} dB HL, slope ${fit.slope}/dB, ${Math.round(fit.interval.level * 100)}% CI ${fit.interval.lower}-${fit.interval.upper} (${fit.trials} trials, ${fit.catchTrials} catch)`);
+        } else {
+            console.log('📈 Psychometric fit: needs both heard and missed tones - no interval');
+        }
+        return fit;
+    }
+
+    // ==================== PROTOCOL ====================
+
+    /**
+     * Select the protocol for the next test
+     * @param {string} protocolId - Protocol id from TestProtocol (built-in or imported)
+     * @returns {boolean} True if the protocol was selected
+     */
+    setProtocol(protocolId) {
+        if (this.isTestActive) {
+            console.warn('Cannot change protocol during a test');
+            return false;
+        }
+        if (!this.canRunProtocol(protocolId)) {
+            console.warn(`❌ Protocol not supported by the AI clinician: ${protocolId}`);
+            return false;
+        }
+
+        this.protocol.setProtocol(protocolId);
+        this.applyProtocol();
+        return true;
+    }
+
+    /**
+     * Check whether the state machine can run a protocol's procedure
+     * @param {string} protocolId - Protocol id
+     * @returns {boolean} True if the protocol exists and its procedure is supported
+     */
+    canRunProtocol(protocolId) {
+        return this.protocol.getProtocol(protocolId) !== null &&
+            this.supportedProcedures.has(this.protocol.getProcedure(protocolId));
+    }
+
+    /**
+     * List protocols for the protocol picker
+     * @returns {Array} { id, name, description, procedure, supported }
+     */
+    getAvailableProtocols() {
+        return this.protocol.getAllProtocols().map(({ id, name, description }) => ({
+            id,
+            name,
+            description,
+            procedure: this.protocol.getProcedure(id),
+            supported: this.canRunProtocol(id)
+        }));
+    }
+
+    /**
+     * Load test sequence, step sizes, limits, confirmation rule, timeouts and
+     * familiarization from the current protocol (missing values keep the Hughson-Westlake defaults)
+     * @returns {Object} Test plan from TestProtocol.getFullTestPlan()
+     */
+    applyProtocol() {
+        const plan = this.protocol.getFullTestPlan();
+        const protocol = this.protocol.getCurrentProtocol();
+
+        this.INITIAL_LEVEL = protocol.initialLevel ?? 40;
+        this.STEP_UP = protocol.stepUp ?? 10;
+        this.STEP_DOWN = protocol.stepDown ?? 5;
+        this.MAX_LEVEL = protocol.maxLevel ?? 120;
+        this.MIN_LEVEL = protocol.minLevel ?? -10;
+        this.responseTimeout = protocol.responseTimeout ?? 3000;
+        this.confirmationRule = this.protocol.getConfirmationRule();
+        this.familiarization = this.protocol.getFamiliarizationParams();
+        this.procedure = this.protocol.getProcedure();
+        this.thresholdMethod = this.protocol.getThresholdMethod();
+        this.psiParams = this.thresholdMethod === 'psi' ? this.protocol.getPsiParams() : null;
+
+        this.testEars = [...plan.ears];
+        this.frequencies = [...plan.frequencies];
+        this.boneFrequencies = protocol.boneFrequencies
+            ? [...protocol.boneFrequencies]
+            : this.frequencies.filter(freq => freq >= this.BONE_FREQUENCY_RANGE.min && freq <= this.BONE_FREQUENCY_RANGE.max);
+
+        console.log(`📋 AI clinician protocol: ${plan.name} (${this.testEars.join(' → ')}, ${this.frequencies.length} frequencies)`);
+        return plan;
+    }
+
+    // ==================== HELPER METHODS ====================
+
+    /**
+     * Initialize test for new frequency
+     */
+    initializeFrequencyTest() {
+        this.currentLevel = Math.min(this.INITIAL_LEVEL, this.getMaxLevel());
+        this.responsesAtLevel = [];
+        this.thresholdConfirmed = false;
+        this.confirmedThreshold = null;
+        this.lastToneStartTime = null;
+        
+        // Reset clinical efficiency tracking for new frequency
+        this.frequencyStartTime = this.clock.now();
+        this.reversalCount = 0;
+        this.presentationCount = 0;
+        this.lastLevelDirection = null;
+        
+        // The psi method chooses every level, including the first
+        this.psiEstimator = this.psiParams ? this.createPsiEstimator() : null;
+        this.psiStopReason = null;
+        if (this.psiEstimator) {
+            this.currentLevel = this.psiEstimator.getNextLevel(this.getMaxLevel());
+        }
+        this.markResumePoint();
+        
+        const ear = this.getCurrentEar();
+        const frequency = this.getCurrentFrequency();
+        console.log(`\n🎯 Starting threshold search: ${frequency} Hz (${ear} ear${this.conduction === 'bone' ? ', bone' : ''})${this.psiEstimator ? ' - psi method' : ''}`);
+        console.log(`📊 Efficiency limits: ${this.MAX_REVERSALS_PER_FREQUENCY} reversals, ${this.MAX_PRESENTATIONS_PER_FREQUENCY} presentations, ${this.MAX_TIME_PER_FREQUENCY/1000}s`);
+    }
+
+    /**
+     * Check if threshold should be confirmed (e.g. 2 out of 3 responses at same level)
+     * Now includes clinical efficiency constraints
+     */
+    shouldConfirmThreshold() {
+        // Check clinical efficiency constraints first
+        const efficiencyConstraints = this.checkEfficiencyConstraints();
+        if (efficiencyConstraints.forceThreshold) {
+            console.log(`⏰ Clinical Efficiency: ${efficiencyConstraints.reason} - forcing threshold estimation`);
+            return true;
+        }
+        
+        // Check traditional maximum responses
+        if (this.hasExceededMaximumResponses()) {
+            return true;
+        }
+        
+        // Check the protocol's confirmation rule
+        const levelGroups = this.groupResponsesByLevel();
+        const hasValidConfirmation = this.hasValidThresholdConfirmation(levelGroups);
+        
+        // Also check if we have sufficient confidence to proceed
+        if (hasValidConfirmation) {
+            const currentConfidence = this.calculateConfidence();
+            if (currentConfidence >= this.FORCE_THRESHOLD_CONFIDENCE) {
+                console.log(`✅ Sufficient confidence (${Math.round(currentConfidence * 100)}%) - confirming threshold`);
+                return true;
+            }
+        }
+        
+        return hasValidConfirmation;
+    }
+
+    /**
+     * Check clinical efficiency constraints
+     * @returns {Object} Constraint check results
+     */
+    checkEfficiencyConstraints() {
+        const timeElapsed = this.clock.now() - this.frequencyStartTime;
+        
+        // Check time constraint
+        if (timeElapsed >= this.MAX_TIME_PER_FREQUENCY) {
+            return {
+                forceThreshold: true,
+                reason: `Maximum time limit reached (${this.MAX_TIME_PER_FREQUENCY/1000}s)`,
+                constraint: 'TIME_LIMIT',
+                value: timeElapsed
+            };
+        }
+        
         // Check presentation count constraint
         if (this.presentationCount >= this.MAX_PRESENTATIONS_PER_FREQUENCY) {
             return {
@@ -1165,7 +2386,7 @@ export class AIClinician {
      * @returns {Object} Responses grouped by level
      */
     groupResponsesByLevel() {
-        const recentResponses = this.responsesAtLevel.slice(-6);
+        const recentResponses = this.responsesAtLevel.slice(-this.confirmationRule.presentations * 2);
         const levelGroups = {};
         
         recentResponses.forEach(r => {
@@ -1179,7 +2400,7 @@ export class AIClinician {
     }
 
     /**
-     * Check if any level has valid threshold confirmation (2 out of 3 rule)
+     * Check if any level has valid threshold confirmation (protocol confirmation rule)
      * @param {Object} levelGroups - Responses grouped by level
      * @returns {boolean} True if threshold can be confirmed
      */
@@ -1204,7 +2425,7 @@ export class AIClinician {
      * @returns {boolean} True if minimum responses met
      */
     hasMinimumResponsesAtLevel(responses) {
-        return responses.length >= 3;
+        return responses.length >= this.confirmationRule.presentations;
     }
 
     /**
@@ -1217,18 +2438,22 @@ export class AIClinician {
     }
 
     /**
-     * Check if responses meet 2 out of 3 confirmation rule
+     * Check if responses meet the protocol confirmation rule (e.g. 2 out of 3)
      * @param {number} positiveResponses - Number of positive responses
      * @returns {boolean} True if rule is satisfied
      */
     meetsConfirmationRule(positiveResponses) {
-        return positiveResponses >= 2;
+        return positiveResponses >= this.confirmationRule.required;
     }
 
     /**
-     * Calculate threshold using 2 out of 3 rule with efficiency constraints
+     * Calculate threshold using the confirmation rule with efficiency constraints
      */
     calculateThreshold() {
+        if (this.psiEstimator) {
+            return this.getPsiThreshold();
+        }
+        
         const levelGroups = this.buildLevelResponseGroups();
         const primaryThreshold = this.findPrimaryThreshold(levelGroups);
         
@@ -1254,7 +2479,7 @@ export class AIClinician {
     calculateForcedThreshold(constraints) {
         console.log(`⚠️ Calculating forced threshold due to: ${constraints.reason}`);
         
-        // Use best available evidence even if not meeting 2/3 rule
+        // Use best available evidence even if not meeting the confirmation rule
         const bestEstimate = this.findBestAvailableThreshold();
         
         if (bestEstimate !== null) {
@@ -1317,7 +2542,7 @@ export class AIClinician {
         } else {
             // No recent positive responses - threshold likely above current level
             // Estimate conservatively
-            return Math.min(this.currentLevel + 10, this.MAX_LEVEL);
+            return Math.min(this.currentLevel + 10, this.getMaxLevel());
         }
     }
 
@@ -1342,7 +2567,7 @@ export class AIClinician {
     }
 
     /**
-     * Find primary threshold using 2 out of 3 rule
+     * Find primary threshold using the confirmation rule
      * @param {Object} levelGroups - Response groups by level
      * @returns {number|null} Primary threshold or null if not found
      */
@@ -1367,7 +2592,7 @@ export class AIClinician {
      * @returns {boolean} True if level is valid for threshold
      */
     isValidThresholdLevel(group) {
-        return group.total >= 3 && group.positive >= 2;
+        return group.total >= this.confirmationRule.presentations && group.positive >= this.confirmationRule.required;
     }
 
     /**
@@ -1419,13 +2644,18 @@ export class AIClinician {
      */
     handleNoResponsesDetected() {
         console.log('⚠️ No responses detected - threshold > max level');
-        return this.MAX_LEVEL;
+        return this.getMaxLevel();
     }
 
     /**
      * Calculate confidence based on response consistency and efficiency constraints
      */
     calculateConfidence() {
+        // Psi: posterior probability that the threshold is within ±5 dB of the estimate
+        if (this.psiEstimator) {
+            return this.psiEstimator.getEstimate().confidence;
+        }
+        
         if (this.responsesAtLevel.length < 3) return 0.5;
         
         // Calculate base consistency confidence
@@ -1477,38 +2707,429 @@ export class AIClinician {
         const confidence = totalGroups > 0 ? consistencyScore / totalGroups : 0.5;
         return Math.min(0.95, Math.max(0.3, confidence));
     }
-    
+    
+    /**
+     * Calculate confidence penalty based on efficiency constraints
+     * @returns {number} Penalty amount (0-0.3)
+     */
+    calculateEfficiencyPenalty() {
+        let penalty = 0;
+        
+        // Penalty for excessive reversals (indicates inconsistent responses)
+        const reversalRatio = this.reversalCount / this.MAX_REVERSALS_PER_FREQUENCY;
+        if (reversalRatio > 0.75) {
+            penalty += 0.15; // High reversal penalty
+        } else if (reversalRatio > 0.5) {
+            penalty += 0.1;  // Moderate reversal penalty
+        }
+        
+        // Penalty for excessive presentations (indicates difficulty establishing threshold)
+        const presentationRatio = this.presentationCount / this.MAX_PRESENTATIONS_PER_FREQUENCY;
+        if (presentationRatio > 0.8) {
+            penalty += 0.1; // High presentation penalty
+        } else if (presentationRatio > 0.6) {
+            penalty += 0.05; // Moderate presentation penalty
+        }
+        
+        // Penalty for time pressure (may affect response quality)
+        const timeElapsed = this.clock.now() - this.frequencyStartTime;
+        const timeRatio = timeElapsed / this.MAX_TIME_PER_FREQUENCY;
+        if (timeRatio > 0.8) {
+            penalty += 0.05; // Time pressure penalty
+        }
+        
+        return Math.min(0.3, penalty); // Cap total penalty at 30%
+    }
+
+    /**
+     * Evaluate whether masking is required at a frequency
+     * Uses the unmasked thresholds of both ears from getEarThresholds()
+     * @param {number} frequency - Test frequency
+     * @returns {Object} Masking need with test/non-test ear details
+     */
+    evaluateMaskingNeed(frequency) {
+        if (this.conduction === 'bone') {
+            return this.evaluateBoneMaskingNeed(frequency);
+        }
+        
+        const rightThreshold = this.getEarThresholds('right')[frequency];
+        const leftThreshold = this.getEarThresholds('left')[frequency];
+        
+        // Both ears must be measured before crossover can be judged
+        if (rightThreshold === undefined || leftThreshold === undefined || rightThreshold === leftThreshold) {
+            return { required: false };
+        }
+        
+        const testEar = leftThreshold > rightThreshold ? 'left' : 'right';
+        const maskedEar = testEar === 'left' ? 'right' : 'left';
+        const testThreshold = Math.max(leftThreshold, rightThreshold);
+        const nonTestThreshold = Math.min(leftThreshold, rightThreshold);
+        const difference = testThreshold - nonTestThreshold;
+        const interauralAttenuation = this.getInterauralAttenuation(frequency);
+        
+        // Each frequency is masked once
+        if (this.testResults.get(`${testEar}_${frequency}`)?.maskingOutcome) {
+            return { required: false };
+        }
+        
+        let criterion = null;
+        if (difference >= interauralAttenuation) {
+            criterion = 'INTERAURAL_ATTENUATION_EXCEEDED';
+        } else if (difference >= interauralAttenuation - this.SHADOW_CURVE_MARGIN) {
+            criterion = 'SIGNIFICANT_ASYMMETRY';
+        }
+        
+        return {
+            required: criterion !== null,
+            criterion,
+            conduction: 'air',
+            frequency,
+            testEar,
+            maskedEar,
+            testThreshold,
+            nonTestThreshold,
+            difference,
+            interauralAttenuation
+        };
+    }
+
+    /**
+     * Evaluate whether the bone threshold just measured needs masking
+     * Bone interaural attenuation is near 0 dB, so an unmasked bone threshold may
+     * belong to either cochlea; mask whenever the test ear shows an air-bone gap
+     * @param {number} frequency - Test frequency
+     * @returns {Object} Masking need with test/non-test ear details
+     */
+    evaluateBoneMaskingNeed(frequency) {
+        const testEar = this.getCurrentEar();
+        const maskedEar = testEar === 'left' ? 'right' : 'left';
+        const boneResult = this.testResults.get(this.getResultKey(testEar, frequency, 'bone'));
+        const airThreshold = this.getEarThresholds(testEar)[frequency];
+        const nonTestAirThreshold = this.getEarThresholds(maskedEar)[frequency];
+        
+        if (!boneResult || boneResult.maskingOutcome || airThreshold === undefined || nonTestAirThreshold === undefined) {
+            return { required: false };
+        }
+        
+        const airBoneGap = airThreshold - boneResult.threshold;
+        
+        return {
+            required: airBoneGap > this.AIR_BONE_GAP_MASKING,
+            criterion: 'AIR_BONE_GAP',
+            conduction: 'bone',
+            frequency,
+            testEar,
+            maskedEar,
+            testThreshold: boneResult.threshold,
+            nonTestThreshold: nonTestAirThreshold,
+            difference: airBoneGap,
+            airThreshold,
+            // Masker is air-conducted, so overmasking is limited by air interaural attenuation
+            interauralAttenuation: this.getInterauralAttenuation(frequency),
+            occlusionEffect: this.occlusionEffect.get(frequency) || 0
+        };
+    }
+
+    /**
+     * Interaural attenuation for air-conducted tones with the active transducer
+     * @param {number} frequency - Test frequency
+     * @returns {number} Interaural attenuation in dB
+     */
+    getInterauralAttenuation(frequency) {
+        return this.audioEngine?.getInterauralAttenuation?.(frequency) ?? this.INTERAURAL_ATTENUATION;
+    }
+
+    /**
+     * Set up plateau search state with initial, minimum and maximum masking levels
+     * @param {Object} maskingNeed - Result of evaluateMaskingNeed()
+     */
+    initializeMaskingSearch(maskingNeed) {
+        const minimumMasking = maskingNeed.nonTestThreshold + this.MASKING_SAFETY_FACTOR + (maskingNeed.occlusionEffect || 0);
+        
+        this.maskingContext = {
+            ...maskingNeed,
+            noiseType: this.MASKING_NOISE_TYPE,
+            initialMasking: minimumMasking,
+            minimumMasking: minimumMasking,
+            maximumMasking: null,
+            maskingLevel: minimumMasking,
+            toneLevel: maskingNeed.testThreshold,
+            plateauStart: null,
+            presentations: 0,
+            responses: [],
+            outcome: null
+        };
+        
+        this.maskingContext.maximumMasking = this.getMaximumMasking(this.maskingContext);
+        
+        if (minimumMasking >= this.maskingContext.maximumMasking) {
+            this.maskingContext.outcome = 'DILEMMA';
+        }
+        
+        this.currentLevel = this.maskingContext.toneLevel;
+    }
+
+    /**
+     * Maximum masking before the masker crosses back and masks the test ear
+     * @param {Object} context - Active masking context
+     * @returns {number} Maximum masking level in dB EM
+     */
+    getMaximumMasking(context) {
+        const overmaskingLimit = context.toneLevel + context.interauralAttenuation - this.MASKING_STEP;
+        const equipmentLimit = this.audioEngine?.MAX_MASKING_LEVEL ?? overmaskingLimit;
+        return Math.min(overmaskingLimit, equipmentLimit);
+    }
+
+    /**
+     * Start masking noise in the non-test ear
+     * @param {Object} context - Active masking context
+     */
+    startMasking(context) {
+        try {
+            this.audioEngine.startMaskingNoise({
+                type: context.noiseType,
+                frequency: context.frequency,
+                levelDbEm: context.maskingLevel,
+                ear: context.maskedEar
+            });
+        } catch (error) {
+            console.error('Failed to start masking noise:', error);
+        }
+    }
+
+    /**
+     * Apply the current masking level to the running masker
+     * @param {Object} context - Active masking context
+     */
+    applyMaskingLevel(context) {
+        try {
+            this.audioEngine.setMaskingLevel(context.maskingLevel);
+        } catch (error) {
+            console.error('Failed to change masking level:', error);
+        }
+    }
+
+    /**
+     * Stop masking noise if running
+     */
+    stopMasking() {
+        try {
+            this.audioEngine?.stopMaskingNoise?.();
+        } catch (error) {
+            console.warn('Failed to stop masking noise:', error);
+        }
+    }
+
+    /**
+     * Get active masking for event payloads and logs
+     * @returns {Object|null} Masker ear, level and type, or null when unmasked
+     */
+    getActiveMasking() {
+        if (!this.maskingContext || (this.maskingContext.outcome === 'DILEMMA' && this.maskingContext.presentations === 0)) {
+            return null;
+        }
+        
+        return {
+            ear: this.maskingContext.maskedEar,
+            levelDbEm: this.maskingContext.maskingLevel,
+            type: this.maskingContext.noiseType
+        };
+    }
+
+    /**
+     * Create masking required decision
+     * @param {Object} context - Masking context
+     * @returns {Object} Decision object
+     */
+    createMaskingRequiredDecision(context) {
+        const reasons = {
+            INTERAURAL_ATTENUATION_EXCEEDED: `Interaural difference ${context.difference} dB >= interaural attenuation ${context.interauralAttenuation} dB`,
+            SIGNIFICANT_ASYMMETRY: `Significant interaural difference ${context.difference} dB - possible shadow curve`,
+            AIR_BONE_GAP: `Air-bone gap ${context.difference} dB > ${this.AIR_BONE_GAP_MASKING} dB - bone interaural attenuation ~${this.BONE_INTERAURAL_ATTENUATION} dB`
+        };
+        
+        return {
+            type: 'MASKING_REQUIRED',
+            reason: reasons[context.criterion],
+            rule: context.conduction === 'bone'
+                ? 'Mask bone conduction whenever the test ear shows an air-bone gap'
+                : 'Mask when test-ear threshold minus interaural attenuation approaches the non-test ear threshold',
+            criterion: context.criterion,
+            conduction: context.conduction,
+            ear: context.testEar,
+            frequency: context.frequency,
+            testEar: context.testEar,
+            maskedEar: context.maskedEar,
+            difference: context.difference,
+            interauralAttenuation: context.interauralAttenuation,
+            unmaskedThreshold: context.testThreshold,
+            nonTestThreshold: context.nonTestThreshold,
+            initialMasking: context.initialMasking,
+            minimumMasking: context.minimumMasking,
+            maximumMasking: context.maximumMasking,
+            occlusionEffect: context.occlusionEffect,
+            noiseType: context.noiseType
+        };
+    }
+
+    /**
+     * Create masking increase decision (tone still heard)
+     * @param {Object} context - Masking context
+     * @param {number} nextMasking - New masking level
+     * @returns {Object} Decision object
+     */
+    createMaskingIncreaseDecision(context, nextMasking) {
+        return {
+            type: 'MASKING_LEVEL_INCREASE',
+            reason: 'Tone heard with masking - raising masking to test for plateau',
+            rule: 'Plateau method: Increase masking 5 dB on response',
+            ear: context.testEar,
+            frequency: context.frequency,
+            maskedEar: context.maskedEar,
+            toneLevel: context.toneLevel,
+            from: context.maskingLevel,
+            to: nextMasking,
+            plateauStart: context.plateauStart,
+            plateauWidth: this.PLATEAU_WIDTH,
+            maximumMasking: this.getMaximumMasking(context)
+        };
+    }
+
     /**
-     * Calculate confidence penalty based on efficiency constraints
-     * @returns {number} Penalty amount (0-0.3)
+     * Create masked tone increase decision (tone masked out)
+     * @param {Object} context - Masking context
+     * @param {number} nextTone - New tone level
+     * @returns {Object} Decision object
      */
-    calculateEfficiencyPenalty() {
-        let penalty = 0;
-        
-        // Penalty for excessive reversals (indicates inconsistent responses)
-        const reversalRatio = this.reversalCount / this.MAX_REVERSALS_PER_FREQUENCY;
-        if (reversalRatio > 0.75) {
-            penalty += 0.15; // High reversal penalty
-        } else if (reversalRatio > 0.5) {
-            penalty += 0.1;  // Moderate reversal penalty
-        }
+    createMaskedToneIncreaseDecision(context, nextTone) {
+        return {
+            type: 'MASKED_TONE_INCREASE',
+            reason: 'No response with masking - previous response was cross-heard',
+            rule: 'Plateau method: Increase tone 5 dB on no response',
+            ear: context.testEar,
+            frequency: context.frequency,
+            maskedEar: context.maskedEar,
+            maskingLevel: context.maskingLevel,
+            from: context.toneLevel,
+            to: nextTone
+        };
+    }
+
+    /**
+     * Create the decision that closes the plateau search
+     * @param {Object} context - Masking context with outcome set
+     * @returns {Object} Decision object
+     */
+    createMaskingOutcomeDecision(context) {
+        const base = {
+            ear: context.testEar,
+            frequency: context.frequency,
+            conduction: context.conduction,
+            testEar: context.testEar,
+            maskedEar: context.maskedEar,
+            unmaskedThreshold: context.testThreshold,
+            maskingLevel: context.maskingLevel,
+            minimumMasking: context.minimumMasking,
+            maximumMasking: context.maximumMasking,
+            interauralAttenuation: context.interauralAttenuation,
+            presentations: context.presentations
+        };
         
-        // Penalty for excessive presentations (indicates difficulty establishing threshold)
-        const presentationRatio = this.presentationCount / this.MAX_PRESENTATIONS_PER_FREQUENCY;
-        if (presentationRatio > 0.8) {
-            penalty += 0.1; // High presentation penalty
-        } else if (presentationRatio > 0.6) {
-            penalty += 0.05; // Moderate presentation penalty
+        switch (context.outcome) {
+            case 'PLATEAU':
+                return {
+                    ...base,
+                    type: 'MASKING_PLATEAU_REACHED',
+                    reason: `Response maintained across ${this.PLATEAU_WIDTH} dB of masking`,
+                    rule: 'Plateau method: Masked threshold is the tone level heard across the plateau',
+                    threshold: context.toneLevel,
+                    plateauStart: context.plateauStart,
+                    plateauEnd: context.maskingLevel,
+                    plateauWidth: this.PLATEAU_WIDTH
+                };
+                
+            case 'DILEMMA':
+                return {
+                    ...base,
+                    type: 'MASKING_DILEMMA',
+                    reason: 'Minimum effective masking reaches maximum masking - overmasking unavoidable',
+                    rule: 'Masking dilemma: Plateau cannot be established without overmasking',
+                    threshold: context.toneLevel
+                };
+                
+            case 'NO_RESPONSE':
+                return {
+                    ...base,
+                    type: 'MASKED_NO_RESPONSE',
+                    reason: 'No response at maximum output with masking',
+                    rule: 'Plateau method: Record no response at audiometer limit',
+                    threshold: this.getMaxLevel(context.frequency)
+                };
+                
+            default:
+                return {
+                    type: 'EFFICIENCY_CONSTRAINT_TRIGGERED',
+                    constraint: 'PRESENTATION_LIMIT',
+                    value: context.presentations,
+                    limit: this.MAX_MASKED_PRESENTATIONS,
+                    reason: `Maximum masked presentations reached (${this.MAX_MASKED_PRESENTATIONS})`,
+                    forcedThreshold: context.toneLevel,
+                    confidence: 0.5,
+                    clinicalRationale: this.getEfficiencyRationale('PRESENTATION_LIMIT'),
+                    ear: context.testEar,
+                    frequency: context.frequency
+                };
         }
+    }
+
+    /**
+     * Build threshold data for a masked retest
+     * Keeps the unmasked result alongside the masked threshold
+     * @param {Object} context - Completed masking context
+     * @param {Object} explanation - Explanation of the closing decision
+     * @returns {Object} Threshold data
+     */
+    buildMaskedThresholdData(context, explanation) {
+        const unmaskedData = this.testResults.get(this.getResultKey(context.testEar, context.frequency, context.conduction)) || {};
+        const outcomeThresholds = {
+            PLATEAU: context.toneLevel,
+            DILEMMA: context.toneLevel,
+            NO_RESPONSE: this.getMaxLevel(context.frequency),
+            PRESENTATION_LIMIT: context.toneLevel
+        };
+        const outcomeConfidence = {
+            PLATEAU: unmaskedData.confidence ?? 0.8,
+            DILEMMA: Math.min(unmaskedData.confidence ?? 0.4, 0.4),
+            NO_RESPONSE: (unmaskedData.confidence ?? 0.8) * 0.75,
+            PRESENTATION_LIMIT: 0.5
+        };
         
-        // Penalty for time pressure (may affect response quality)
-        const timeElapsed = Date.now() - this.frequencyStartTime;
-        const timeRatio = timeElapsed / this.MAX_TIME_PER_FREQUENCY;
-        if (timeRatio > 0.8) {
-            penalty += 0.05; // Time pressure penalty
-        }
+        const confidence = outcomeConfidence[context.outcome];
         
-        return Math.min(0.3, penalty); // Cap total penalty at 30%
+        return {
+            ...unmaskedData,
+            threshold: outcomeThresholds[context.outcome],
+            confidence: confidence,
+            enhancedConfidence: context.outcome === 'PLATEAU'
+                ? unmaskedData.enhancedConfidence ?? Math.round(confidence * 100)
+                : Math.min(unmaskedData.enhancedConfidence ?? 100, Math.round(confidence * 100)),
+            masked: context.outcome !== 'DILEMMA' || context.presentations > 0,
+            maskingOutcome: context.outcome,
+            maskingDilemma: context.outcome === 'DILEMMA',
+            noResponse: context.outcome === 'NO_RESPONSE',
+            unmaskedThreshold: context.testThreshold,
+            interval: null, // The interval and fit belong to the unmasked search
+            fit: null,
+            maskingLevel: context.maskingLevel,
+            maskedEar: context.maskedEar,
+            maskingNoiseType: context.noiseType,
+            plateau: context.outcome === 'PLATEAU' 
+                ? { start: context.plateauStart, end: context.maskingLevel } 
+                : null,
+            maskingResponses: context.responses,
+            decisionBasis: 'Plateau masking method',
+            maskingExplanation: explanation?.primary || null
+        };
     }
 
     /**
@@ -1522,7 +3143,83 @@ export class AIClinician {
      * Get current frequency being tested
      */
     getCurrentFrequency() {
-        return this.frequencies[this.currentFrequencyIndex];
+        return this.getActiveFrequencies()[this.currentFrequencyIndex];
+    }
+
+    /**
+     * Get frequency sequence for the current conduction phase
+     * @returns {number[]} Frequencies in test order
+     */
+    getActiveFrequencies() {
+        return this.conduction === 'bone' ? this.boneFrequencies : this.frequencies;
+    }
+
+    /**
+     * Total thresholds expected across ears and conduction phases
+     * @returns {number} Expected threshold count
+     */
+    getExpectedTestCount() {
+        if (this.procedure === 'screening') {
+            return this.testEars.length * this.frequencies.length;
+        }
+        if (this.procedure === 'bekesy') {
+            // A sweep reports the protocol frequencies inside its range
+            const { trackingMode, sweepRange } = this.protocol.getBekesyParams();
+            const frequencies = trackingMode === 'sweep'
+                ? this.frequencies.filter(freq => freq >= sweepRange[0] && freq <= sweepRange[1])
+                : this.frequencies;
+            return this.testEars.length * frequencies.length;
+        }
+        const boneCount = this.includeBoneConduction ? this.boneFrequencies.length : 0;
+        return this.testEars.length * (this.frequencies.length + boneCount);
+    }
+
+    /**
+     * Build the testResults key for a threshold
+     * Bone thresholds carry a '_bone' suffix so air results keep their original keys
+     * @param {string} ear - Ear identifier
+     * @param {number} frequency - Test frequency
+     * @param {string} conduction - 'air' or 'bone'
+     * @returns {string} Result key
+     */
+    getResultKey(ear, frequency, conduction = this.conduction) {
+        return conduction === 'bone' ? `${ear}_${frequency}_bone` : `${ear}_${frequency}`;
+    }
+
+    /**
+     * Maximum presentation level for the current transducer
+     * Bone vibrators saturate far below earphone output, especially at low frequencies
+     * @param {number} frequency - Test frequency
+     * @returns {number} Maximum level in dB HL
+     */
+    getMaxLevel(frequency = this.getCurrentFrequency()) {
+        const equipmentLimit = this.audioEngine?.getMaxOutputLevel?.(frequency);
+        return equipmentLimit !== undefined ? Math.min(this.MAX_LEVEL, equipmentLimit) : this.MAX_LEVEL;
+    }
+
+    /**
+     * Switch transducer for the clinician and the audio engine
+     * @param {string} conduction - 'air' or 'bone'
+     */
+    setConduction(conduction) {
+        this.conduction = conduction;
+        try {
+            this.audioEngine?.setConductionMode?.(conduction);
+        } catch (error) {
+            console.error('Failed to change conduction mode:', error);
+        }
+    }
+
+    /**
+     * Enable or disable the bone-conduction phase (applies to the next test)
+     * @param {boolean} enabled - Run bone conduction after air conduction
+     */
+    setBoneConductionEnabled(enabled) {
+        if (this.isTestActive) {
+            console.warn('Cannot change bone conduction setting during a test');
+            return;
+        }
+        this.includeBoneConduction = Boolean(enabled);
     }
 
     /**
@@ -1530,7 +3227,7 @@ export class AIClinician {
      */
     logDecision(decision) {
         const logEntry = {
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.clock.wallTime()).toISOString(),
             state: this.currentState,
             ear: this.getCurrentEar(),
             frequency: this.getCurrentFrequency(),
@@ -1550,12 +3247,13 @@ export class AIClinician {
         }
         
         // Dispatch decision event with explanation for UI
-        document.dispatchEvent(new CustomEvent('clinical-decision', {
-            detail: {
-                ...logEntry,
-                explanation: explanation
-            }
-        }));
+        this.eventBus.emit('clinical-decision', {
+            ...logEntry,
+            explanation: explanation
+        });
+        
+        this.saveCheckpoint();
+        return logEntry;
     }
 
     /**
@@ -1592,7 +3290,7 @@ export class AIClinician {
                         reversals: this.countReversals(),
                         ear: decision.ear,
                         frequency: decision.frequency,
-                        method: 'Hughson-Westlake',
+                        method: decision.method || 'Hughson-Westlake',
                         responsePattern: this.getResponsePattern(),
                         reactionTimeAnalysis: this.responseAnalyzer.getTimingStatistics()
                     }, {
@@ -1607,7 +3305,7 @@ export class AIClinician {
                         fromFrequency: decision.from,
                         toFrequency: decision.to,
                         completedThreshold: this.confirmedThreshold,
-                        testSequence: this.frequencies,
+                        testSequence: this.getActiveFrequencies(),
                         ear: decision.ear,
                         rationale: decision.reason
                     }),
@@ -1619,8 +3317,10 @@ export class AIClinician {
                     this.clinicalExplainer.explainEarSwitch({
                         fromEar: decision.from,
                         toEar: decision.to,
-                        completedFrequencies: this.frequencies,
-                        thresholds: this.getEarThresholds(decision.from),
+                        completedFrequencies: this.getActiveFrequencies(),
+                        thresholds: decision.conduction === 'bone'
+                            ? this.getBoneThresholds(decision.from)
+                            : this.getEarThresholds(decision.from),
                         bilateralComparison: true
                     }),
                     `Switched from ${decision.from} ear to ${decision.to} ear testing`
@@ -1653,13 +3353,36 @@ export class AIClinician {
                     `Efficiency constraint triggered: ${decision.reason}`
                 );
                 
+            case 'MASKING_REQUIRED':
+            case 'MASKING_LEVEL_INCREASE':
+            case 'MASKED_TONE_INCREASE':
+            case 'MASKING_PLATEAU_REACHED':
+            case 'MASKING_DILEMMA':
+            case 'MASKED_NO_RESPONSE':
+                return this.safeExplainerCall(() => 
+                    this.clinicalExplainer.explainMaskingDecision(decision),
+                    this.createFallbackExplanation(decision).primary
+                );
+                
+            case 'CONDUCTION_CHANGE':
+                return this.safeExplainerCall(() => 
+                    this.clinicalExplainer.explainConductionChange({
+                        boneFrequencies: decision.frequencies,
+                        airThresholds: {
+                            right: this.getEarThresholds('right'),
+                            left: this.getEarThresholds('left')
+                        }
+                    }),
+                    this.createFallbackExplanation(decision).primary
+                );
+                
             case 'TEST_COMPLETION':
                 return this.safeExplainerCall(() => 
                     this.clinicalExplainer.explainTestCompletion({
                         totalMeasurements: decision.totalTests,
                         ears: this.testEars,
                         overallConfidence: this.calculateOverallConfidence(),
-                        testDuration: Date.now() - (this.session?.startTime || Date.now()),
+                        testDuration: this.getTestDuration(),
                         qualityMetrics: this.getQualityMetrics(),
                         clinicalFindings: this.getClinicalFindings()
                     }),
@@ -1720,6 +3443,13 @@ export class AIClinician {
             'EAR_SWITCH': `Switched from ${decision.from || 'previous'} ear to ${decision.to || 'next'} ear`,
             'CATCH_TRIAL_EXECUTED': `Catch trial executed - ${decision.catchType || 'validity check'}`,
             'EFFICIENCY_CONSTRAINT_TRIGGERED': `Clinical efficiency limit reached - ${reason || 'proceeding with available data'}`,
+            'MASKING_REQUIRED': `Masking required - retesting ${decision.testEar || 'poorer'} ear with contralateral noise`,
+            'MASKING_LEVEL_INCREASE': `Masking increased to ${decision.to ?? 'next'} dB EM`,
+            'MASKED_TONE_INCREASE': `Masked tone increased to ${decision.to ?? 'next'} dB HL`,
+            'MASKING_PLATEAU_REACHED': `Masked threshold established at ${decision.threshold ?? 'unknown'} dB HL`,
+            'MASKING_DILEMMA': 'Masking dilemma - threshold could not be isolated',
+            'MASKED_NO_RESPONSE': 'No response with masking at maximum output',
+            'CONDUCTION_CHANGE': 'Air conduction complete - switching to bone conduction',
             'TEST_COMPLETION': 'Audiometric assessment completed'
         };
 
@@ -1772,7 +3502,7 @@ export class AIClinician {
      * @returns {Object} Test progress data
      */
     getTestProgress() {
-        const totalTests = this.testEars.length * this.frequencies.length;
+        const totalTests = this.getExpectedTestCount();
         const completedTests = this.testResults.size;
         
         return {
@@ -1840,7 +3570,25 @@ export class AIClinician {
         const thresholds = {};
         
         this.testResults.forEach((result, key) => {
-            if (key.startsWith(ear)) {
+            if (key.startsWith(ear) && !key.endsWith('_bone')) {
+                const frequency = key.split('_')[1];
+                thresholds[frequency] = result.threshold;
+            }
+        });
+        
+        return thresholds;
+    }
+
+    /**
+     * Get bone-conduction thresholds for a specific ear
+     * @param {string} ear - Ear identifier
+     * @returns {Object} Bone thresholds keyed by frequency
+     */
+    getBoneThresholds(ear) {
+        const thresholds = {};
+        
+        this.testResults.forEach((result, key) => {
+            if (key.startsWith(ear) && key.endsWith('_bone')) {
                 const frequency = key.split('_')[1];
                 thresholds[frequency] = result.threshold;
             }
@@ -1926,32 +3674,88 @@ export class AIClinician {
             
             case 'PRESENT_TONE':
                 return {
-                    action: `Presenting ${frequency} Hz at ${this.currentLevel} dB HL`,
+                    action: `Presenting ${frequency} Hz at ${this.currentLevel} dB HL${this.conduction === 'bone' ? ' (bone)' : ''}`,
                     reason: `Testing hearing threshold for ${ear} ear`,
-                    clinical: 'Hughson-Westlake method: Systematic threshold determination'
+                    clinical: this.psiEstimator
+                        ? 'Psi method: Most informative level from the threshold posterior'
+                        : 'Hughson-Westlake method: Systematic threshold determination'
                 };
             
             case 'WAIT_RESPONSE':
                 return {
                     action: 'Waiting for patient response',
                     reason: 'Collecting behavioral response data',
-                    clinical: '3-second response window per clinical standards'
+                    clinical: `${this.responseTimeout / 1000}-second response window per protocol`
                 };
             
             case 'PROCESS_RESPONSE':
+                if (this.psiEstimator) {
+                    return {
+                        action: 'Updating threshold posterior',
+                        reason: 'Applying the psi method',
+                        clinical: `Stop at a ${this.psiParams.targetInterval} dB credible interval or ${this.psiParams.maxTrials} trials`
+                    };
+                }
                 return {
                     action: 'Analyzing response and adjusting level',
                     reason: 'Applying Hughson-Westlake intensity rules',
-                    clinical: 'Response: -5dB, No response: +10dB'
+                    clinical: `Response: -${this.STEP_DOWN}dB, No response: +${this.STEP_UP}dB`
                 };
             
             case 'CONFIRM_THRESHOLD':
                 return {
-                    action: 'Confirming threshold using 2/3 rule',
+                    action: `Confirming threshold using ${this.confirmationRule.required}/${this.confirmationRule.presentations} rule`,
                     reason: 'Ensuring reliable threshold measurement',
-                    clinical: 'Require 2+ positive responses at same level'
+                    clinical: `Require ${this.confirmationRule.required}+ positive responses at same level`
+                };
+            
+            case 'CHECK_MASKING':
+                return {
+                    action: 'Checking for cross-hearing',
+                    reason: 'Comparing thresholds between ears',
+                    clinical: `Mask when interaural difference is within ${this.SHADOW_CURVE_MARGIN} dB of IA (${this.getInterauralAttenuation(frequency)} dB)`
+                };
+            
+            case 'MASKING_PRESENT':
+            case 'MASKING_PROCESS':
+                return {
+                    action: this.maskingContext
+                        ? `Masked ${frequency} Hz at ${this.maskingContext.toneLevel} dB HL, ${this.maskingContext.maskingLevel} dB EM`
+                        : 'Masked threshold search',
+                    reason: 'Isolating the test ear from cross-hearing',
+                    clinical: 'Plateau method: Response +5 dB masking, No response +5 dB tone'
                 };
             
+            case 'MASKED_THRESHOLD':
+                return {
+                    action: 'Recording masked threshold',
+                    reason: 'Plateau search complete',
+                    clinical: 'Masked threshold replaces unmasked result'
+                };
+            
+            case 'SCREEN_PRESENT':
+            case 'SCREEN_PROCESS':
+                return {
+                    action: `Screening ${frequency} Hz at ${this.currentLevel} dB HL`,
+                    reason: `Pass/refer screening for ${ear} ear`,
+                    clinical: this.screeningContext
+                        ? `Pass with ${this.screeningContext.responsesToPass} response(s) in up to ${this.screeningContext.attemptsPerFrequency} presentations`
+                        : 'Fixed-level screening'
+                };
+            
+            case 'BEKESY_TRACK': {
+                const run = this.bekesyContext?.runs[this.bekesyContext.runIndex];
+                return {
+                    action: run
+                        ? `Békésy tracking ${run.frequency === null ? 'sweep' : `${run.frequency} Hz`} (${run.tone} tone)`
+                        : 'Békésy tracking',
+                    reason: `Patient-controlled threshold tracking for ${ear} ear`,
+                    clinical: this.bekesyContext
+                        ? `Held: level falls, released: level rises at ${this.bekesyContext.attenuationRate} dB/s - threshold from excursion midpoints`
+                        : 'Continuous threshold tracking'
+                };
+            }
+            
             default:
                 return {
                     action: this.currentState,
@@ -1961,80 +3765,272 @@ export class AIClinician {
         }
     }
 
+    // ==================== CHECKPOINTS ====================
+
+    /**
+     * Continue an interrupted test from the start of the frequency it was on
+     * Results, detector histories, decisions and the random sequence are restored as they were
+     * when that frequency started; the patient is familiarized again first
+     * @param {Object} audioEngine - AudioGenerator
+     * @param {TestSession} session - The interrupted session (TestSession.getInterruptedSession())
+     * @param {Object} checkpoint - Its saved checkpoint
+     * @returns {Promise<boolean>} Whether the test could be resumed (resolves when it ends)
+     */
+    async resumeFromCheckpoint(audioEngine, session, checkpoint) {
+        const point = checkpoint?.resumePoint;
+        if (checkpoint?.version !== this.CHECKPOINT_VERSION || !point) {
+            console.warn('Checkpoint cannot be resumed (missing, or saved by another version)');
+            return false;
+        }
+        if (!this.setProtocol(point.protocolId)) {
+            return false;
+        }
+        this.setBoneConductionEnabled(point.includeBoneConduction);
+        
+        console.log(`♻️ Resuming interrupted test at ${point.position.ear} ear, ${point.position.frequency} Hz (${point.testResults.length} results kept)`);
+        session?.recoverTest?.(checkpoint);
+        await this.beginProtocol(audioEngine, session, { seed: point.random.seed, checkpoint: point });
+        return true;
+    }
+
+    /**
+     * Full clinician state, as plain data
+     * @returns {Object} Checkpoint state (restoreCheckpoint() takes it back)
+     */
+    createCheckpoint() {
+        return JSON.parse(JSON.stringify({
+            savedAt: new Date(this.clock.wallTime()).toISOString(),
+            protocolId: this.protocol.currentProtocol,
+            procedure: this.procedure,
+            includeBoneConduction: this.includeBoneConduction,
+            testEars: this.testEars,
+            position: {
+                state: this.currentState,
+                earIndex: this.currentEarIndex,
+                frequencyIndex: this.currentFrequencyIndex,
+                ear: this.getCurrentEar(),
+                frequency: this.getCurrentFrequency(),
+                conduction: this.conduction,
+                level: this.currentLevel,
+                responsesAtLevel: this.responsesAtLevel,
+                reversalCount: this.reversalCount,
+                presentationCount: this.presentationCount,
+                lastLevelDirection: this.lastLevelDirection
+            },
+            testResults: [...this.testResults],
+            screeningContext: this.screeningContext,
+            bekesyContext: this.bekesyContext,
+            detectors: {
+                malingering: this.malingeringDetector.getState(),
+                responses: this.responseAnalyzer.getState(),
+                falseResponses: this.falseResponseDetector.getState()
+            },
+            random: this.random.getState(),
+            responseLog: this.responseLog.getState(),
+            pauses: this.pauses,
+            // Explanations are long; their summary line is enough for the record
+            decisionLog: this.decisionLog.slice(this.testDecisionStart).map(({ explanation, ...decision }) => ({
+                ...decision,
+                explanation: { primary: explanation?.primary }
+            }))
+        }));
+    }
+
+    /**
+     * Take back a checkpoint state (called by beginProtocol() before the state machine starts)
+     * The search state of the frequency is not restored: familiarization starts it afresh
+     * @param {Object} checkpoint - From createCheckpoint()
+     */
+    restoreCheckpoint(checkpoint) {
+        const { position, detectors } = checkpoint;
+        
+        this.testEars = [...checkpoint.testEars];
+        this.currentEarIndex = position.earIndex;
+        this.currentFrequencyIndex = position.frequencyIndex;
+        this.setConduction(position.conduction);
+        this.testResults = new Map(checkpoint.testResults);
+        this.screeningContext = checkpoint.screeningContext;
+        this.bekesyContext = checkpoint.bekesyContext;
+        
+        this.malingeringDetector.setState(detectors.malingering);
+        this.responseAnalyzer.setState(detectors.responses);
+        this.falseResponseDetector.setState(detectors.falseResponses);
+        this.random.setState(checkpoint.random);
+        this.responseLog.resume(checkpoint.responseLog);
+        this.pauses = checkpoint.pauses.map(pause => ({ ...pause }));
+        this.decisionLog = checkpoint.decisionLog.map(decision => ({ ...decision }));
+        this.testDecisionStart = 0;
+        
+        // Session thresholds of the interrupted frequency are measured again
+        this.eventBus.emit('test-recovered', {
+            savedAt: checkpoint.savedAt,
+            ear: position.ear,
+            frequency: position.frequency,
+            conduction: position.conduction,
+            testResults: Object.fromEntries(this.testResults)
+        });
+    }
+
+    /**
+     * Remember the state at the start of a frequency (or Békésy run), where a recovered test resumes
+     * The new resume point is saved at once
+     */
+    markResumePoint() {
+        this.resumePoint = this.createCheckpoint();
+        this.saveCheckpoint(true);
+    }
+
+    /**
+     * Save the current state and the resume point with the session
+     * After a decision the save is skipped until CHECKPOINT_INTERVAL has passed: copying the
+     * state and writing localStorage would otherwise hold up every trial
+     * @param {boolean} force - Save even within the interval (a new resume point)
+     */
+    saveCheckpoint(force = false) {
+        if (!this.isTestActive || !this.resumePoint || !this.session?.saveCheckpoint) return;
+        
+        const now = this.clock.now();
+        if (!force && this.lastCheckpointTime !== null && now - this.lastCheckpointTime < this.CHECKPOINT_INTERVAL) return;
+        this.lastCheckpointTime = now;
+        
+        this.session.saveCheckpoint({
+            version: this.CHECKPOINT_VERSION,
+            savedAt: new Date(this.clock.wallTime()).toISOString(),
+            current: this.createCheckpoint(),
+            resumePoint: this.resumePoint
+        });
+    }
+
     // ==================== AUDIO & RESPONSE METHODS ====================
 
     /**
      * Present tone stimulus (supports catch trials)
+     * @returns {Promise<number|null>} Onset time on the clock.now() clock
      */
     async presentTone(frequency, level, ear, duration = 1000) {
         if (!this.audioEngine) {
             console.error('Audio engine not available');
-            return;
+            return null;
         }
         
+        // Listen from the presentation on, so a response during the tone is kept
+        this.openResponseWindow();
+        this.recordToneStartTime();
+        this.lastPresentation = { frequency, level, ear, duration, pauseCount: this.pauseCount };
+        
         // Dispatch event for UI updates
-        document.dispatchEvent(new CustomEvent('tone-presented', {
-            detail: { frequency, level, ear, duration, isCatchTrial: level < 0 }
-        }));
+        this.eventBus.emit('tone-presented', { frequency, level, ear, duration, isCatchTrial: level < 0, conduction: this.conduction, masking: this.getActiveMasking(), stimulus: this.audioEngine.getStimulusSettings?.().type });
         
         try {
             // Only present tone if level is above minimum threshold
             // (catch trials with very low levels may not actually play)
             if (level >= this.MIN_LEVEL) {
-                await this.audioEngine.playTone(frequency, level, duration, ear);
+                const timing = await this.audioEngine.playTone(frequency, level, duration, ear);
+                
+                // Reaction times run from the onset heard at the earphone
+                if (timing?.acousticOnset != null) {
+                    this.lastToneStartTime = timing.acousticOnset;
+                }
             } else {
-                // Simulate presentation time for catch trials
-                await this.delay(duration);
+                // Simulate presentation time for catch trials (a pulse train lasts as long as a real one)
+                await this.delay(this.audioEngine.getPresentationDuration?.(duration) ?? duration);
             }
         } catch (error) {
             console.error('Failed to present tone:', error);
         }
+        
+        return this.lastToneStartTime;
+    }
+
+    /**
+     * Open the response window at stimulus presentation
+     * The first response is timestamped on the clock.now() clock, using the
+     * press time sent by the UI when it has one
+     */
+    openResponseWindow() {
+        this.closeResponseWindow();
+        this.lastResponseTime = null;
+        
+        const listener = (response) => {
+            if (this.lastResponseTime !== null || !this.isTestActive || this.isPaused) return;
+            
+            // A press cannot be later than now (rejects timestamps from other clocks)
+            const pressTime = response?.timestamp;
+            this.lastResponseTime = pressTime <= this.clock.now() ? pressTime : this.clock.now();
+            listener.onResponse?.();
+        };
+        
+        this.responseListener = listener;
+        listener.unsubscribe = this.eventBus.on('patient-response', listener);
+    }
+
+    closeResponseWindow() {
+        if (this.responseListener) {
+            this.responseListener.unsubscribe();
+            this.responseListener = null;
+        }
     }
 
     /**
      * Wait for patient response with timeout
+     * A trial cut short by a pause is presented again once the patient is re-familiarized,
+     * so the held level only ever sees complete trials
+     * @param {number} timeoutMs - Response window after the stimulus
+     * @returns {Promise<boolean>} Whether the patient responded
      */
     async waitForResponse(timeoutMs) {
+        // Silent catch trials present nothing, so there is no presentation to repeat
+        const presentation = this.lastPresentation;
+        this.lastPresentation = null;
+        let pauseCount = presentation ? presentation.pauseCount : this.pauseCount;
+        
+        while (this.isTestActive) {
+            const response = this.isPaused ? false : await this.waitForResponseWindow(timeoutMs);
+            if (!this.isPaused && this.pauseCount === pauseCount) {
+                return response;
+            }
+            
+            this.closeResponseWindow();
+            await this.waitWhilePaused();
+            pauseCount = this.pauseCount;
+            if (presentation && this.isTestActive) {
+                console.log(`🔁 Presenting the interrupted trial again: ${presentation.frequency} Hz at ${presentation.level} dB HL`);
+                await this.presentTone(presentation.frequency, presentation.level, presentation.ear, presentation.duration);
+                this.lastPresentation = null;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Wait for a response in the open window (opened here if none is)
+     * A response already made while the tone was playing ends the wait at once
+     * @param {number} timeoutMs - Response window after the stimulus
+     * @returns {Promise<boolean>} Whether the patient responded
+     */
+    async waitForResponseWindow(timeoutMs) {
+        if (!this.responseListener) {
+            this.openResponseWindow();
+        }
+        const listener = this.responseListener;
+        
         return new Promise((resolve) => {
-            let responseReceived = false;
             let responseTimer = null;
             
-            const responseHandler = (event) => {
-                if (!responseReceived && this.isTestActive) {
-                    responseReceived = true;
-                    clearTimeout(responseTimer);
-                    document.removeEventListener('patient-response', responseHandler);
-                    
-                    // Record response timing
-                    this.responseAnalyzer.addResponse(
-                        this.getCurrentFrequency(),
-                        this.currentLevel,
-                        true,
-                        Date.now()
-                    );
-                    
-                    resolve(true);
-                }
+            const finish = (response) => {
+                this.clock.clearTimeout(responseTimer);
+                this.closeResponseWindow();
+                resolve(response);
             };
             
-            document.addEventListener('patient-response', responseHandler);
+            if (this.lastResponseTime !== null) {
+                finish(true);
+                return;
+            }
             
-            responseTimer = setTimeout(() => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    document.removeEventListener('patient-response', responseHandler);
-                    
-                    // Record no response
-                    this.responseAnalyzer.addResponse(
-                        this.getCurrentFrequency(),
-                        this.currentLevel,
-                        false,
-                        Date.now()
-                    );
-                    
-                    resolve(false);
-                }
-            }, timeoutMs);
+            listener.onResponse = () => finish(true);
+            listener.onPause = () => finish(false);
+            responseTimer = this.clock.setTimeout(() => finish(false), timeoutMs);
         });
     }
 
@@ -2059,26 +4055,38 @@ export class AIClinician {
         console.log('📊 Generating final report...');
         
         // Calculate test duration
-        const testDuration = Date.now() - (this.session?.startTime || Date.now());
+        const testDuration = this.getTestDuration();
+        const responseLog = this.finishResponseLog();
+        this.session?.clearCheckpoint?.();
         
         // Generate comprehensive report with false response analysis
         const report = {
-            protocol: 'Hughson-Westlake',
+            protocol: this.protocol.getCurrentProtocol().name,
+            protocolId: this.protocol.currentProtocol,
+            frequencies: [...this.frequencies],
+            earOrder: [...this.testEars],
+            transducer: this.audioEngine?.getTransducer?.() || null,
+            calibration: this.audioEngine?.getCalibrationProfile?.() || null,
+            stimulus: this.audioEngine?.getStimulusSettings?.() || null,
             testResults: Object.fromEntries(this.testResults),
+            speechResults: this.session?.getAllSpeechResults?.() || null,
+            bekesy: this.procedure === 'bekesy' ? this.lastBekesyResult : null,
             malingeringAnalysis: this.malingeringDetector.getFinalReport(),
             falseResponseAnalysis: this.falseResponseDetector.getDetectionReport(),
             testDuration: testDuration,
             reliability: this.responseAnalyzer.getReliabilityScore(),
-            summary: this.generateTestSummary()
+            summary: this.generateTestSummary(),
+            randomSeed: this.random.seed,
+            includeBoneConduction: this.includeBoneConduction,
+            pauses: this.pauses.map(pause => ({ ...pause })),
+            responseLog
         };
         
         console.log('📋 Test Results Summary:');
         this.logTestSummary();
         
         // Dispatch completion event
-        document.dispatchEvent(new CustomEvent('test-completed', {
-            detail: report
-        }));
+        this.eventBus.emit('test-completed', report);
         
         return report;
     }
@@ -2090,7 +4098,7 @@ export class AIClinician {
         const summary = {
             ears: {},
             overall: {
-                totalFrequencies: this.frequencies.length * this.testEars.length,
+                totalFrequencies: this.getExpectedTestCount(),
                 completedFrequencies: this.testResults.size,
                 averageConfidence: 0
             }
@@ -2115,6 +4123,11 @@ export class AIClinician {
                     averageConfidence: Math.round(avgConfidence * 100),
                     frequenciesTested: earResults.length
                 };
+                
+                const boneThresholds = this.getBoneThresholds(ear);
+                if (Object.keys(boneThresholds).length > 0) {
+                    summary.ears[ear].boneThresholds = boneThresholds;
+                }
             }
         });
         
@@ -2129,6 +4142,17 @@ export class AIClinician {
         return summary;
     }
 
+    /**
+     * Stop recording responses and hand the log to the session
+     * @returns {Array<Object>} Response log entries (see ResponseLog)
+     */
+    finishResponseLog() {
+        this.responseLog.stop();
+        const entries = this.responseLog.getEntries();
+        this.session?.setResponseLog?.(entries);
+        return entries;
+    }
+
     /**
      * Log test summary to console
      */
@@ -2143,22 +4167,174 @@ export class AIClinician {
      */
     stopTest() {
         this.isTestActive = false;
+        this.isPaused = false;
+        this.pauseRecord = null;
+        this.releasePause?.();
+        this.finishResponseLog();
+        this.session?.clearCheckpoint?.();
+        this.closeResponseWindow();
+        this.stopMasking();
+        this.maskingContext = null;
+        this.screeningContext = null;
+        this.bekesyContext = null;
+        this.bekesyTracker.stop();
+        this.setConduction('air');
         this.setState('IDLE');
         
         if (this.responseTimer) {
-            clearTimeout(this.responseTimer);
+            this.clock.clearTimeout(this.responseTimer);
             this.responseTimer = null;
         }
         
         console.log('🛑 Test stopped by user');
         
         // Dispatch stop event
-        document.dispatchEvent(new CustomEvent('test-stopped', {
-            detail: { 
-                reason: 'user_initiated',
-                partialResults: Object.fromEntries(this.testResults)
+        this.eventBus.emit('test-stopped', {
+            reason: 'user_initiated',
+            partialResults: Object.fromEntries(this.testResults)
+        });
+    }
+
+    /**
+     * Pause the running test (operator initiated)
+     * Audio stops at once and the test position - ear, frequency, level, responses at the level and
+     * reversal count - is held. A trial cut short is presented again after the break, a Békésy run is
+     * tracked again, and the per-frequency time limit does not run while paused
+     * @param {string} reason - Recorded with the pause
+     * @returns {boolean} Whether the test was paused
+     */
+    pause(reason = 'operator') {
+        if (!this.isTestActive || this.isPaused) return false;
+        
+        this.isPaused = true;
+        this.pauseCount++;
+        this.pauseGate = new Promise(resolve => { this.releasePause = resolve; });
+        
+        // A break resumed but not yet re-familiarized continues as the same break
+        if (!this.pauseRecord) {
+            this.pauseRecord = {
+                pausedAt: this.clock.now(),
+                state: this.currentState,
+                ear: this.getCurrentEar(),
+                frequency: this.getCurrentFrequency(),
+                level: this.currentLevel,
+                conduction: this.conduction,
+                masking: this.getActiveMasking() !== null,
+                reason
+            };
+        }
+        
+        // Silence everything; presses are ignored until the test resumes
+        this.responseListener?.onPause?.();
+        this.closeResponseWindow();
+        this.bekesyTracker.stop();
+        try {
+            this.audioEngine?.stopTone?.();
+        } catch (error) {
+            console.warn('Failed to stop tone:', error);
+        }
+        this.stopMasking();
+        
+        console.log(`⏸️ Test paused at ${this.getCurrentEar()} ear, ${this.getCurrentFrequency()} Hz, ${this.currentLevel} dB HL`);
+        this.logDecision({
+            type: 'TEST_PAUSED',
+            reason: `Test paused (${reason}) - position held`,
+            rule: 'Paused tests resume at the same ear, frequency and level after re-familiarization'
+        });
+        this.session?.pauseTest?.();
+        this.eventBus.emit('test-paused', {
+            state: this.currentState,
+            ear: this.getCurrentEar(),
+            frequency: this.getCurrentFrequency(),
+            level: this.currentLevel,
+            reason
+        });
+        return true;
+    }
+
+    /**
+     * Resume a paused test: the patient is re-familiarized, then the held trial continues
+     * @returns {boolean} Whether the test was resumed
+     */
+    resume() {
+        if (!this.isTestActive || !this.isPaused) return false;
+        
+        this.isPaused = false;
+        this.session?.resumeTest?.();
+        console.log(`▶️ Test resumed after ${((this.clock.now() - this.pauseRecord.pausedAt) / 1000).toFixed(1)}s`);
+        this.eventBus.emit('test-resumed', {
+            state: this.currentState,
+            pausedFor: this.clock.now() - this.pauseRecord.pausedAt
+        });
+        this.releasePause();
+        return true;
+    }
+
+    /**
+     * Hold the state machine while paused, then re-familiarize the patient and close the break
+     * Called at every trial boundary (delay() and waitForResponse())
+     */
+    async waitWhilePaused() {
+        while (this.isTestActive && this.pauseRecord) {
+            if (this.isPaused) {
+                await this.pauseGate;
+                continue;
             }
-        }));
+            
+            await this.refamiliarize();
+            if (this.isPaused || !this.pauseRecord) continue;
+            
+            // The break (with re-familiarization) does not count against the frequency time limit
+            const record = this.pauseRecord;
+            const duration = this.clock.now() - record.pausedAt;
+            if (this.frequencyStartTime !== null) {
+                this.frequencyStartTime += duration;
+            }
+            if (record.masking && this.maskingContext) {
+                this.startMasking(this.maskingContext);
+            }
+            
+            this.pauseRecord = null;
+            this.pauses.push({
+                startedAt: new Date(this.clock.toWallTime(record.pausedAt)).toISOString(),
+                duration,
+                state: record.state,
+                ear: record.ear,
+                frequency: record.frequency,
+                level: record.level,
+                conduction: record.conduction,
+                reason: record.reason
+            });
+            this.logDecision({
+                type: 'TEST_RESUMED',
+                pausedFor: duration,
+                reason: `Test resumed after ${Math.round(duration / 1000)}s - continuing at ${record.level} dB HL`,
+                rule: 'One familiarization tone re-instructs the patient before testing continues'
+            });
+        }
+    }
+
+    /**
+     * One familiarization tone in the test ear after a break (it does not count as a trial)
+     * @returns {Promise<boolean>} Whether the patient responded
+     */
+    async refamiliarize() {
+        const { frequency, level, duration } = this.familiarization;
+        const ear = this.getCurrentEar() || 'both';
+        const safeLevel = Math.min(level, this.getMaxLevel(frequency));
+        console.log(`👋 Re-familiarization: ${frequency} Hz at ${safeLevel} dB HL (${ear} ear)`);
+        
+        // The held trial's tone still awaits its response
+        const heldPresentation = this.lastPresentation;
+        await this.presentTone(frequency, safeLevel, ear, duration);
+        const response = this.isPaused ? false : await this.waitForResponseWindow(this.FAMILIARIZATION_TIMEOUT);
+        this.closeResponseWindow();
+        this.lastPresentation = heldPresentation;
+        
+        if (!this.isPaused) {
+            await this.clock.delay(this.interStimulusDelay);
+        }
+        return response;
     }
 
     /**
@@ -2167,6 +4343,7 @@ export class AIClinician {
     getTestStatus() {
         return {
             isActive: this.isTestActive,
+            isPaused: this.isPaused,
             state: this.currentState,
             currentEar: this.getCurrentEar(),
             currentFrequency: this.getCurrentFrequency(),
@@ -2175,7 +4352,8 @@ export class AIClinician {
                 earIndex: this.currentEarIndex,
                 frequencyIndex: this.currentFrequencyIndex,
                 totalEars: this.testEars.length,
-                totalFrequencies: this.frequencies.length
+                totalFrequencies: this.getActiveFrequencies().length,
+                conduction: this.conduction
             },
             completedTests: this.testResults.size
         };
@@ -2198,8 +4376,10 @@ export class AIClinician {
 
     /**
      * Utility delay function
+     * A paused test is held here until the patient is re-familiarized
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async delay(ms) {
+        await this.clock.delay(ms);
+        await this.waitWhilePaused();
     }
 }
\ No newline at end of file
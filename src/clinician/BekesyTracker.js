@@ -0,0 +1,402 @@
+/**
+ * Békésy Tracking
+ * Patient-controlled continuous threshold tracking: the tone level rises at a fixed dB/s rate
+ * while the response button is released and falls while it is held
+ * Fixed-frequency runs track one frequency; sweep runs glide through a frequency range
+ * Thresholds are the mean midpoint of the tracking excursions - the level swing between
+ * one reversal (press or release) and the next
+ */
+import { EventBus } from '../events/EventBus.js';
+import { RealClock } from '../time/RealClock.js';
+
+export class BekesyTracker {
+    /**
+     * @param {EventBus} eventBus - Channel for the button presses and the trace events
+     * @param {RealClock|VirtualClock} clock - Time source of the trace and its update timer
+     */
+    constructor(eventBus = new EventBus(), clock = new RealClock()) {
+        this.eventBus = eventBus;
+        this.clock = clock;
+        this.audioEngine = null;
+        this.run = null;                // Active run (see track())
+
+        this.UPDATE_INTERVAL = 50;      // ms - Attenuator update and trace sampling period
+        this.MIN_EXCURSIONS = 2;        // Excursions needed for a threshold
+        this.LIMIT_HOLD_TIME = 5000;    // ms - Pinned at the output limit or the floor this long ends a fixed-frequency run
+        this.SWEEP_MARGIN = 1000;       // ms - Tone safety limit beyond the sweep duration
+
+        this.onPress = (response) => this.handlePress(response?.timestamp);
+        this.onRelease = (release) => this.handleRelease(release?.timestamp);
+        this.unsubscribers = [];        // Button listeners of the active run
+    }
+
+    // ==================== RUN CONTROL ====================
+
+    /**
+     * Track one tone in one ear until the run is complete or stopped
+     * @param {Object} audioEngine - AudioGenerator (startTrackingTone / setTrackingTone / stopTrackingTone)
+     * @param {Object} options
+     * @param {string} options.ear - 'left' or 'right'
+     * @param {string} options.tone - 'continuous' or 'pulsed'
+     * @param {number|null} options.frequency - Fixed-frequency run (Hz); null for a sweep
+     * @param {Array<number>|null} options.sweepRange - [from, to] in Hz for a sweep
+     * @param {number} options.sweepRate - Octaves per minute
+     * @param {number} options.sweepWindow - Octaves of sweep averaged around each threshold frequency
+     * @param {Array<number>} options.frequencies - Frequencies to report from a sweep
+     * @param {number} options.startLevel - dB HL
+     * @param {number} options.attenuationRate - dB/s
+     * @param {number} options.minLevel - dB HL floor
+     * @param {Function} options.getMaxLevel - frequency -> dB HL output limit
+     * @param {number} options.excursions - Fixed frequency: excursions that complete the run
+     * @param {number} options.maxDuration - Fixed frequency: run limit in ms
+     * @returns {Promise<Object>} Run result (see buildRunResult())
+     */
+    async track(audioEngine, {
+        ear, tone = 'continuous', frequency = null, sweepRange = null, sweepRate = 1, sweepWindow = 0.5,
+        frequencies = [], startLevel = 20, attenuationRate = 2.5, minLevel = -10,
+        getMaxLevel = () => 120, excursions = 6, maxDuration = 60000
+    }) {
+        if (this.run) {
+            throw new Error('Békésy run already in progress');
+        }
+        if (!['continuous', 'pulsed'].includes(tone)) {
+            throw new Error(`Invalid Békésy tone: ${tone}. Use 'continuous' or 'pulsed'`);
+        }
+        if (!(attenuationRate > 0)) {
+            throw new Error('Békésy attenuation rate must be greater than 0 dB/s');
+        }
+
+        const sweep = frequency === null ? { from: sweepRange[0], to: sweepRange[1], rate: sweepRate } : null;
+        const startFrequency = sweep ? sweep.from : frequency;
+        const runDuration = sweep
+            ? Math.log2(sweep.to / sweep.from) / sweep.rate * 60000
+            : maxDuration;
+
+        const now = this.clock.now();
+        const run = {
+            ear,
+            tone,
+            mode: sweep ? 'sweep' : 'fixed',
+            sweep,
+            sweepWindow,
+            frequencies: sweep ? frequencies.filter(freq => freq >= sweep.from && freq <= sweep.to) : [frequency],
+            attenuationRate,
+            minLevel,
+            getMaxLevel,
+            targetExcursions: excursions,
+            duration: runDuration,
+            startLevel: Math.min(startLevel, getMaxLevel(startFrequency)),
+            startTime: now,
+            lastTime: now,
+            frequency: startFrequency,
+            level: Math.min(startLevel, getMaxLevel(startFrequency)),
+            pressed: false,
+            limit: null,                // 'max' or 'min' while pinned at a level limit
+            limitSince: null,
+            trace: [],                  // Vertices of the tracing: start, reversals, limit changes, end
+            reversals: [],
+            timer: null,
+            resolve: null
+        };
+
+        audioEngine.startTrackingTone(run.frequency, run.level, ear, {
+            pulsed: tone === 'pulsed',
+            maxDuration: runDuration + this.SWEEP_MARGIN
+        });
+
+        this.audioEngine = audioEngine;
+        this.run = run;
+        this.addTracePoint(run);
+        this.unsubscribers = [
+            this.eventBus.on('patient-response', this.onPress),
+            this.eventBus.on('patient-release', this.onRelease)
+        ];
+
+        console.log(`📈 Békésy ${run.mode === 'sweep' ? `sweep ${sweep.from}-${sweep.to} Hz at ${sweep.rate} oct/min` : `${frequency} Hz`} (${ear} ear, ${tone} tone) from ${run.level} dB HL at ${attenuationRate} dB/s`);
+        this.eventBus.emit('bekesy-run-started', this.getRunInfo(run));
+
+        return new Promise((resolve) => {
+            run.resolve = resolve;
+            run.timer = this.clock.setTimeout(() => this.tick(), this.UPDATE_INTERVAL);
+        });
+    }
+
+    /**
+     * End the active run early (the partial tracing is analysed and returned by track())
+     */
+    stop() {
+        if (this.run) {
+            this.finish('stopped');
+        }
+    }
+
+    isTracking() {
+        return this.run !== null;
+    }
+
+    /**
+     * Attenuator update: move the level, glide the tone and check for the end of the run
+     */
+    tick() {
+        const run = this.run;
+        if (!run) return;
+
+        this.advance(run, this.clock.now());
+        this.audioEngine.setTrackingTone({
+            frequency: run.frequency,
+            levelDbHl: run.level,
+            rampTime: this.UPDATE_INTERVAL / 1000
+        });
+
+        this.eventBus.emit('bekesy-trace-sample', { ear: run.ear, tone: run.tone, mode: run.mode, ...this.getPoint(run) });
+
+        const reason = this.getEndReason(run);
+        if (reason) {
+            this.finish(reason);
+        } else {
+            run.timer = this.clock.setTimeout(() => this.tick(), this.UPDATE_INTERVAL);
+        }
+    }
+
+    /**
+     * Why the run should end now, if it should
+     * @returns {string|null} 'complete', 'time-limit', 'no-response', 'at-floor' or null
+     */
+    getEndReason(run) {
+        const elapsed = run.lastTime - run.startTime;
+
+        if (run.mode === 'sweep') {
+            return run.frequency >= run.sweep.to ? 'complete' : null;
+        }
+        if (run.reversals.length - 1 >= run.targetExcursions) {
+            return 'complete';
+        }
+        if (run.limit && run.lastTime - run.limitSince >= this.LIMIT_HOLD_TIME) {
+            return run.limit === 'max' ? 'no-response' : 'at-floor';
+        }
+        return elapsed >= run.duration ? 'time-limit' : null;
+    }
+
+    finish(reason) {
+        const run = this.run;
+        this.clock.clearTimeout(run.timer);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.audioEngine.stopTrackingTone();
+
+        this.addTracePoint(run);
+        this.run = null;
+
+        const result = this.buildRunResult(run, reason);
+        const summary = Object.entries(result.thresholds)
+            .map(([freq, item]) => `${freq} Hz ${item.threshold ?? (item.noResponse ? 'NR' : '--')}`)
+            .join(', ');
+        console.log(`📈 Békésy run ${reason} (${run.ear} ear, ${run.tone}): ${summary}`);
+
+        this.eventBus.emit('bekesy-run-completed', result);
+        run.resolve(result);
+    }
+
+    // ==================== TRACKING ====================
+
+    /**
+     * Move the attenuator from the last update to a time
+     * Held: the level falls; released: the level rises - limited to the floor and the output limit
+     * @param {Object} run - Active run
+     * @param {number} time - clock.now() time (ms)
+     */
+    advance(run, time) {
+        const dt = (time - run.lastTime) / 1000;
+        if (dt <= 0) return;
+        run.lastTime = time;
+
+        if (run.sweep) {
+            const octaves = run.sweep.rate * (time - run.startTime) / 60000;
+            run.frequency = Math.min(run.sweep.to, run.sweep.from * Math.pow(2, octaves));
+        }
+
+        const maxLevel = run.getMaxLevel(run.frequency);
+        const direction = run.pressed ? -1 : 1;
+        run.level = Math.min(maxLevel, Math.max(run.minLevel, run.level + direction * run.attenuationRate * dt));
+
+        const limit = !run.pressed && run.level >= maxLevel ? 'max'
+            : run.pressed && run.level <= run.minLevel ? 'min'
+            : null;
+
+        // Entering or leaving a limit bends the tracing; while pinned, the limit itself can
+        // change with frequency during a sweep, so every update is kept
+        if (limit !== run.limit || limit) {
+            if (limit !== run.limit) {
+                run.limitSince = limit ? time : null;
+            }
+            run.limit = limit;
+            this.addTracePoint(run);
+        }
+    }
+
+    /**
+     * Patient pressed: the tone is heard, so the level starts to fall
+     * @param {number} timestamp - Press time on the clock.now() clock
+     */
+    handlePress(timestamp) {
+        this.reverse(timestamp, true);
+    }
+
+    /**
+     * Patient released: the tone is gone, so the level starts to rise
+     * @param {number} timestamp - Release time on the clock.now() clock
+     */
+    handleRelease(timestamp) {
+        this.reverse(timestamp, false);
+    }
+
+    reverse(timestamp, pressed) {
+        const run = this.run;
+        if (!run || run.pressed === pressed) return;
+
+        // A press cannot be later than now, or earlier than the last attenuator update
+        const now = this.clock.now();
+        const time = Math.max(run.lastTime, timestamp <= now ? timestamp : now);
+        this.advance(run, time);
+
+        run.pressed = pressed;
+        run.limit = null;
+        run.limitSince = null;
+
+        const reversal = { ...this.getPoint(run), type: pressed ? 'press' : 'release' };
+        run.reversals.push(reversal);
+        run.trace.push(reversal);
+    }
+
+    getPoint(run) {
+        return {
+            time: Math.round(run.lastTime - run.startTime),
+            level: Math.round(run.level * 10) / 10,
+            frequency: Math.round(run.frequency),
+            pressed: run.pressed
+        };
+    }
+
+    addTracePoint(run) {
+        run.trace.push(this.getPoint(run));
+    }
+
+    // ==================== ANALYSIS ====================
+
+    /**
+     * Excursions between consecutive reversals
+     * The approach to the first reversal is not an excursion
+     * @param {Array<Object>} reversals - { time, level, frequency, type }
+     * @returns {Array<Object>} { start, end, midpoint, width, frequency }
+     */
+    getExcursions(reversals) {
+        return reversals.slice(1).map((reversal, i) => {
+            const previous = reversals[i];
+            return {
+                start: previous.time,
+                end: reversal.time,
+                midpoint: (previous.level + reversal.level) / 2,
+                width: Math.abs(previous.level - reversal.level),
+                frequency: Math.round(Math.sqrt(previous.frequency * reversal.frequency))
+            };
+        });
+    }
+
+    /**
+     * Threshold from a set of excursions
+     * @param {Array<Object>} excursions - From getExcursions()
+     * @returns {Object} { threshold, excursions, meanWidth, sd, noResponse, atFloor }
+     */
+    summarizeExcursions(excursions) {
+        const round = value => Math.round(value * 10) / 10;
+        const count = excursions.length;
+        if (count < this.MIN_EXCURSIONS) {
+            return { threshold: null, excursions: count, meanWidth: null, sd: null, noResponse: false, atFloor: false };
+        }
+
+        const mean = excursions.reduce((sum, e) => sum + e.midpoint, 0) / count;
+        const variance = excursions.reduce((sum, e) => sum + Math.pow(e.midpoint - mean, 2), 0) / count;
+
+        return {
+            threshold: round(mean),
+            excursions: count,
+            meanWidth: round(excursions.reduce((sum, e) => sum + e.width, 0) / count),
+            sd: round(Math.sqrt(variance)),
+            noResponse: false,
+            atFloor: false
+        };
+    }
+
+    /**
+     * Thresholds of a run
+     * Fixed frequency: all excursions. Sweep: the excursions centred within half the sweep
+     * window of each frequency; with none there, a tracing held at the output limit is no response
+     * @param {Object} run - Finished run
+     * @param {Array<Object>} excursions - From getExcursions()
+     * @param {string} reason - End reason from getEndReason() or 'stopped'
+     * @returns {Object} Frequency -> summary from summarizeExcursions()
+     */
+    getThresholds(run, excursions, reason) {
+        if (run.mode === 'fixed') {
+            const [frequency] = run.frequencies;
+            const summary = this.summarizeExcursions(excursions);
+            if (reason === 'no-response') {
+                summary.threshold = null;
+                summary.noResponse = true;
+            } else if (reason === 'at-floor') {
+                summary.threshold = summary.threshold ?? run.minLevel;
+                summary.atFloor = true;
+            }
+            return { [frequency]: summary };
+        }
+
+        const half = run.sweepWindow / 2;
+        const inWindow = (freq, target) => Math.abs(Math.log2(freq / target)) <= half;
+
+        return Object.fromEntries(run.frequencies.map(target => {
+            const summary = this.summarizeExcursions(excursions.filter(e => inWindow(e.frequency, target)));
+            if (summary.threshold === null) {
+                const points = run.trace.filter(point => inWindow(point.frequency, target));
+                summary.noResponse = points.length > 0 &&
+                    points.every(point => !point.pressed && point.level >= run.getMaxLevel(point.frequency) - 0.5);
+            }
+            return [target, summary];
+        }));
+    }
+
+    /**
+     * @returns {Object} { ear, tone, mode, frequency, sweep, startLevel, attenuationRate, duration, reason,
+     *   trace, reversals, excursions, thresholds, meanWidth }
+     */
+    buildRunResult(run, reason) {
+        const excursions = this.getExcursions(run.reversals);
+        const widths = excursions.map(e => e.width);
+
+        return {
+            ...this.getRunInfo(run),
+            reason,
+            stopped: reason === 'stopped',
+            elapsed: Math.round(run.lastTime - run.startTime),
+            trace: run.trace,
+            reversals: run.reversals,
+            excursions: excursions.map(e => ({ ...e, midpoint: Math.round(e.midpoint * 10) / 10, width: Math.round(e.width * 10) / 10 })),
+            meanWidth: widths.length > 0 ? Math.round(widths.reduce((a, b) => a + b, 0) / widths.length * 10) / 10 : null,
+            thresholds: this.getThresholds(run, excursions, reason)
+        };
+    }
+
+    getRunInfo(run) {
+        return {
+            ear: run.ear,
+            tone: run.tone,
+            mode: run.mode,
+            frequency: run.mode === 'fixed' ? run.frequencies[0] : null,
+            sweep: run.sweep ? { ...run.sweep } : null,
+            frequencies: [...run.frequencies],
+            startLevel: run.startLevel,
+            minLevel: run.minLevel,
+            attenuationRate: run.attenuationRate,
+            duration: run.duration
+        };
+    }
+}
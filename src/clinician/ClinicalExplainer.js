@@ -17,7 +17,15 @@ export class ClinicalExplainer {
             testComplete: "Audiometric assessment completed: {totalMeasurements} thresholds established across {ears} ears with {overallConfidence}% overall reliability.",
             fatigueDetected: "Patient fatigue detected ({fatigueLevel}% level) - response times increased by {slowdown}% from baseline.",
             attentionConcern: "Attention concerns noted ({attentionLevel}% level) - {anticipatoryRate}% anticipatory responses detected.",
-            malingeringAlert: "Malingering indicators present: {indicators} (confidence reduced to {adjustedConfidence}%)."
+            malingeringAlert: "Malingering indicators present: {indicators} (confidence reduced to {adjustedConfidence}%).",
+            maskingRequired: "Masking required at {frequency} Hz: {difference} dB interaural difference ({criterion}) - retesting {testEar} ear with {initialMasking} dB EM in {maskedEar} ear.",
+            maskingIncrease: "Masking raised to {level} dB EM (tone still heard at {toneLevel} dB HL - plateau search).",
+            maskedToneIncrease: "Tone raised to {level} dB HL (no response with {maskingLevel} dB EM - previous response was cross-heard).",
+            maskingPlateau: "Masked threshold {threshold} dB HL: response maintained from {plateauStart} to {plateauEnd} dB EM masking plateau.",
+            maskingDilemma: "Masking dilemma at {frequency} Hz: effective masking of the {maskedEar} ear would overmask the {testEar} ear (maximum {maximumMasking} dB EM).",
+            maskedNoResponse: "No response at {threshold} dB HL with {maskingLevel} dB EM masking - masked threshold beyond audiometer limits.",
+            boneMaskingRequired: "Bone masking required at {frequency} Hz: {difference} dB air-bone gap in {testEar} ear - retesting with {initialMasking} dB EM in {maskedEar} ear (includes {occlusionEffect} dB occlusion effect).",
+            conductionChange: "Air conduction complete - switching to bone conduction at {frequencies} Hz to separate conductive from sensorineural loss."
         };
 
         // Clinical decision rationales
@@ -27,7 +35,9 @@ export class ClinicalExplainer {
             safetyLimit: "Applying maximum safe presentation level (120 dB HL limit)",
             falseResponsePrevention: "Implementing catch trials for response validity assessment",
             fatigueManagement: "Monitoring patient fatigue for test reliability",
-            bilateralAssessment: "Conducting bilateral assessment per diagnostic protocol"
+            bilateralAssessment: "Conducting bilateral assessment per diagnostic protocol",
+            plateauMasking: "Hood plateau method for contralateral masking (ASHA guidelines)",
+            boneConduction: "Bone conduction bypasses the outer and middle ear - air-bone gap identifies conductive loss"
         };
 
         // Confidence level descriptors
@@ -371,6 +381,123 @@ export class ClinicalExplainer {
         };
     }
 
+    /**
+     * Generate explanation for contralateral masking decisions
+     * @param {Object} maskingData - Masking decision data
+     * @returns {Object} Explanation for masking step or masked threshold
+     */
+    explainMaskingDecision(maskingData) {
+        const {
+            type,
+            frequency,
+            testEar,
+            maskedEar,
+            difference,
+            interauralAttenuation,
+            unmaskedThreshold,
+            initialMasking,
+            minimumMasking,
+            maximumMasking,
+            toneLevel,
+            maskingLevel,
+            to,
+            threshold,
+            plateauStart,
+            plateauEnd,
+            plateauWidth
+        } = maskingData;
+
+        const boneMasking = maskingData.criterion === 'AIR_BONE_GAP';
+
+        const explanations = {
+            MASKING_REQUIRED: boneMasking ? {
+                template: 'boneMaskingRequired',
+                data: {
+                    frequency, difference, testEar, initialMasking, maskedEar,
+                    occlusionEffect: maskingData.occlusionEffect || 0
+                },
+                clinical: `Unmasked bone threshold (${unmaskedThreshold} dB HL) may belong to the ${maskedEar} cochlea - bone interaural attenuation is near 0 dB`,
+                nextStep: `Present bone-conducted tones with narrowband noise in ${maskedEar} ear`
+            } : {
+                template: 'maskingRequired',
+                data: {
+                    frequency, difference, testEar, initialMasking, maskedEar,
+                    criterion: maskingData.criterion === 'SIGNIFICANT_ASYMMETRY'
+                        ? `within 10 dB of ${interauralAttenuation} dB interaural attenuation`
+                        : `meets ${interauralAttenuation} dB interaural attenuation`
+                },
+                clinical: `Unmasked ${testEar} ear threshold (${unmaskedThreshold} dB HL) may reflect cross-hearing by the ${maskedEar} ear`,
+                nextStep: `Present tones to ${testEar} ear with narrowband noise in ${maskedEar} ear`
+            },
+            MASKING_LEVEL_INCREASE: {
+                template: 'maskingIncrease',
+                data: { level: to, toneLevel },
+                clinical: 'A true threshold is still heard as masking rises; a cross-heard tone disappears',
+                nextStep: `Continue until response survives ${plateauWidth} dB of masking`
+            },
+            MASKED_TONE_INCREASE: {
+                template: 'maskedToneIncrease',
+                data: { level: to, maskingLevel },
+                clinical: 'Masking removed the response, so the tone was heard in the non-test ear',
+                nextStep: 'Restart plateau search at the higher tone level'
+            },
+            MASKING_PLATEAU_REACHED: {
+                template: 'maskingPlateau',
+                data: { threshold, plateauStart, plateauEnd },
+                clinical: `Masked threshold replaces unmasked ${unmaskedThreshold} dB HL for ${testEar} ear at ${frequency} Hz`,
+                nextStep: 'Resume standard frequency sequence'
+            },
+            MASKING_DILEMMA: {
+                template: 'maskingDilemma',
+                data: { frequency, maskedEar, testEar, maximumMasking },
+                clinical: `Minimum masking (${minimumMasking} dB EM) leaves no room for a plateau below overmasking (${maximumMasking} dB EM)`,
+                nextStep: 'Report threshold as unreliable - consider insert earphones or objective testing'
+            },
+            MASKED_NO_RESPONSE: {
+                template: 'maskedNoResponse',
+                data: { threshold, maskingLevel },
+                clinical: `${testEar} ear shows no measurable response once cross-hearing is removed`,
+                nextStep: 'Record no response and resume frequency sequence'
+            }
+        };
+
+        const explanation = explanations[type];
+
+        return {
+            primary: this.formatTemplate(explanation.template, explanation.data),
+            rationale: {
+                rule: maskingData.rule || this.rationales.plateauMasking,
+                method: this.rationales.plateauMasking,
+                clinical: explanation.clinical,
+                limits: minimumMasking !== undefined && maximumMasking !== undefined
+                    ? `Minimum ${minimumMasking} dB EM, maximum ${maximumMasking} dB EM (interaural attenuation ${interauralAttenuation} dB)`
+                    : undefined
+            },
+            nextStep: explanation.nextStep
+        };
+    }
+
+    /**
+     * Generate explanation for the switch from air to bone conduction
+     * @param {Object} conductionData - Bone frequencies and completed air thresholds
+     * @returns {Object} Explanation for conduction change
+     */
+    explainConductionChange(conductionData) {
+        const { boneFrequencies, airThresholds } = conductionData;
+
+        return {
+            primary: this.formatTemplate('conductionChange', {
+                frequencies: boneFrequencies.join(', ')
+            }),
+            rationale: {
+                rule: this.rationales.boneConduction,
+                method: "Mastoid bone vibrator calibrated in reference equivalent threshold force levels",
+                clinical: `Air conduction thresholds recorded for ${Object.keys(airThresholds || {}).length} ear(s)`
+            },
+            nextSteps: `Begin bone conduction starting at ${boneFrequencies[0]} Hz`
+        };
+    }
+
     // ==================== HELPER METHODS ====================
 
     /**
@@ -3,8 +3,21 @@
  * Implements catch trials, silence detection, and response consistency analysis
  * Outputs confidence scores (0-100%) for each threshold measurement
  */
+import { EventBus } from '../events/EventBus.js';
+import { RealClock } from '../time/RealClock.js';
+import { SeededRandom } from '../random/SeededRandom.js';
+
 export class FalseResponseDetector {
-    constructor() {
+    /**
+     * @param {EventBus} eventBus - Channel for catch-trial results
+     * @param {RealClock|VirtualClock} clock - Time source of trial timestamps and delays
+     * @param {SeededRandom} random - Source of catch-trial insertion and type (the clinician's)
+     */
+    constructor(eventBus = new EventBus(), clock = new RealClock(), random = new SeededRandom()) {
+        this.eventBus = eventBus;
+        this.clock = clock;
+        this.random = random;
+        
         // Catch trial configuration
         this.catchTrialProbability = 0.15; // 15% chance of catch trial
         this.catchTrialHistory = [];
@@ -55,7 +68,7 @@ export class FalseResponseDetector {
         
         // Check recent catch trial history to avoid clustering
         const recentCatchTrials = this.catchTrialHistory.filter(
-            trial => Date.now() - trial.timestamp < 30000 // Last 30 seconds
+            trial => this.clock.now() - trial.timestamp < 30000 // Last 30 seconds
         );
         
         if (recentCatchTrials.length >= 2) {
@@ -63,7 +76,7 @@ export class FalseResponseDetector {
         }
         
         // Random insertion based on probability
-        const random = Math.random();
+        const random = this.random.next();
         
         if (random < this.catchTrialProbability) {
             // Determine catch trial type
@@ -132,7 +145,7 @@ export class FalseResponseDetector {
         
         // Weighted random selection
         const totalWeight = types.reduce((sum, type) => sum + type.weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = this.random.next() * totalWeight;
         
         for (const type of types) {
             random -= type.weight;
@@ -147,12 +160,14 @@ export class FalseResponseDetector {
     /**
      * Execute catch trial and record result
      * @param {Object} catchTrial - Catch trial configuration
-     * @param {Function} presentStimulus - Function to present audio stimulus
+     * @param {Function} presentStimulus - Function to present audio stimulus (resolves with its onset time)
      * @param {Function} waitForResponse - Function to wait for patient response
+     * @param {Function} getResponseTime - Time of the last response (clock.now() clock)
      * @returns {Object} - Catch trial result
      */
-    async executeCatchTrial(catchTrial, presentStimulus, waitForResponse) {
-        const startTime = Date.now();
+    async executeCatchTrial(catchTrial, presentStimulus, waitForResponse, getResponseTime = () => this.clock.now()) {
+        // Reaction time runs from the catch stimulus onset, or from the start of a silent window
+        let onsetTime = this.clock.now();
         
         console.log(`🎯 Executing catch trial: ${catchTrial.type}`);
         
@@ -170,7 +185,7 @@ export class FalseResponseDetector {
                 case 'VERY_LOW_INTENSITY':
                     // Present tone at implausibly low level
                     console.log(`🔉 Catch trial: Very low intensity (${catchTrial.parameters.level} dB HL)`);
-                    await presentStimulus(
+                    onsetTime = await presentStimulus(
                         catchTrial.parameters.frequency,
                         catchTrial.parameters.level,
                         catchTrial.parameters.ear,
@@ -182,7 +197,7 @@ export class FalseResponseDetector {
                 case 'WRONG_EAR':
                     // Present tone to opposite ear
                     console.log(`👂 Catch trial: Wrong ear (${catchTrial.parameters.ear})`);
-                    await presentStimulus(
+                    onsetTime = await presentStimulus(
                         catchTrial.parameters.frequency,
                         catchTrial.parameters.level,
                         catchTrial.parameters.ear,
@@ -194,12 +209,13 @@ export class FalseResponseDetector {
                 case 'DELAYED_SILENCE':
                     // Wait, then present silence
                     console.log(`⏱️ Catch trial: Delayed silence (${catchTrial.parameters.delay}ms delay)`);
-                    await new Promise(resolve => setTimeout(resolve, catchTrial.parameters.delay));
+                    await this.clock.delay(catchTrial.parameters.delay);
+                    onsetTime = this.clock.now();
                     response = await waitForResponse(3000);
                     break;
             }
             
-            reactionTime = response ? Date.now() - startTime : null;
+            reactionTime = response && onsetTime != null ? Math.round(getResponseTime() - onsetTime) : null;
             
         } catch (error) {
             console.error('Catch trial execution error:', error);
@@ -212,7 +228,7 @@ export class FalseResponseDetector {
             parameters: catchTrial.parameters,
             response: response,
             reactionTime: reactionTime,
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             frequency: this.currentFrequency,
             ear: this.currentEar,
             expectedResponse: false // Catch trials should not elicit responses
@@ -229,9 +245,7 @@ export class FalseResponseDetector {
         }
         
         // Dispatch catch trial event
-        document.dispatchEvent(new CustomEvent('catch-trial-completed', {
-            detail: result
-        }));
+        this.eventBus.emit('catch-trial-completed', result);
         
         return result;
     }
@@ -243,15 +257,17 @@ export class FalseResponseDetector {
      * @param {string} ear - Test ear
      * @param {boolean} response - Patient response
      * @param {number} reactionTime - Response time in ms
+     * @param {number} toneStartTime - Acoustic onset of the tone (clock.now() clock)
      */
-    recordResponse(frequency, level, ear, response, reactionTime) {
+    recordResponse(frequency, level, ear, response, reactionTime, toneStartTime = null) {
         const responseData = {
             frequency,
             level,
             ear,
             response,
             reactionTime,
-            timestamp: Date.now(),
+            toneStartTime,
+            timestamp: this.clock.now(),
             isCatchTrial: false
         };
         
@@ -554,7 +570,7 @@ export class FalseResponseDetector {
             catchTrialHistory: this.catchTrialHistory.map(trial => ({
                 type: trial.type,
                 response: trial.response,
-                timestamp: new Date(trial.timestamp).toISOString()
+                timestamp: new Date(this.clock.toWallTime(trial.timestamp)).toISOString()
             }))
         };
     }
@@ -647,4 +663,43 @@ export class FalseResponseDetector {
         
         console.log('🔄 False response detector reset');
     }
+
+    /**
+     * Catch-trial and response histories, for checkpoints
+     * Trial timestamps are on clock.now(), which restarts with the page; savedAt lets setState() shift them
+     * @returns {Object} Plain data
+     */
+    getState() {
+        return {
+            savedAt: this.clock.now(),
+            catchTrialHistory: [...this.catchTrialHistory],
+            silenceTrialHistory: [...this.silenceTrialHistory],
+            responseHistory: [...this.responseHistory],
+            falsePositiveCount: this.falsePositiveCount,
+            totalCatchTrials: this.totalCatchTrials,
+            currentFrequency: this.currentFrequency,
+            currentEar: this.currentEar,
+            currentTestResponses: [...this.currentTestResponses]
+        };
+    }
+
+    /**
+     * Continue from a checkpoint
+     * @param {Object} state - From getState()
+     */
+    setState(state) {
+        const shift = this.clock.now() - (state.savedAt ?? this.clock.now());
+        const rebase = trials => (trials || []).map(trial => typeof trial.timestamp === 'number'
+            ? { ...trial, timestamp: trial.timestamp + shift }
+            : { ...trial });
+        
+        this.catchTrialHistory = rebase(state.catchTrialHistory);
+        this.silenceTrialHistory = rebase(state.silenceTrialHistory);
+        this.responseHistory = rebase(state.responseHistory);
+        this.falsePositiveCount = state.falsePositiveCount || 0;
+        this.totalCatchTrials = state.totalCatchTrials || 0;
+        this.currentFrequency = state.currentFrequency ?? null;
+        this.currentEar = state.currentEar ?? null;
+        this.currentTestResponses = rebase(state.currentTestResponses);
+    }
 }
\ No newline at end of file
@@ -2,11 +2,18 @@
  * Malingering Detection Module
  * Analyzes response patterns to detect potential false responses
  */
+import { RealClock } from '../time/RealClock.js';
+
 export class MalingeringDetector {
-    constructor() {
+    /**
+     * @param {RealClock|VirtualClock} clock - Time source of the response history
+     */
+    constructor(clock = new RealClock()) {
+        this.clock = clock;
         this.responseHistory = [];
         this.suspiciousPatterns = [];
         this.riskScores = new Map(); // frequency_ear -> risk score
+        this.speechAgreement = new Map(); // ear -> SRT-PTA agreement
         
         // Detection thresholds
         this.thresholds = {
@@ -14,10 +21,37 @@ export class MalingeringDetector {
             minReactionTime: 150,
             consistencyThreshold: 0.7,
             thresholdVariability: 15, // dB
-            crossFrequencyVariability: 20 // dB
+            crossFrequencyVariability: 20, // dB
+            srtPtaAgreement: 10, // dB - SRT and PTA normally agree within ±10 dB (ASHA 1988)
+            srtPtaDiscrepancy: 15, // dB - SRT this much better than the PTA: strong non-organic sign
+            slopingSpread: 20 // dB - 500-2000 Hz spread at which the two-frequency average is used
+        };
+    }
+
+    /**
+     * Histories and risk scores, for checkpoints
+     * @returns {Object} Plain data (Maps as entry arrays)
+     */
+    getState() {
+        return {
+            responseHistory: [...this.responseHistory],
+            suspiciousPatterns: [...this.suspiciousPatterns],
+            riskScores: [...this.riskScores],
+            speechAgreement: [...this.speechAgreement]
         };
     }
 
+    /**
+     * Continue from a checkpoint
+     * @param {Object} state - From getState()
+     */
+    setState(state) {
+        this.responseHistory = [...(state.responseHistory || [])];
+        this.suspiciousPatterns = [...(state.suspiciousPatterns || [])];
+        this.riskScores = new Map(state.riskScores || []);
+        this.speechAgreement = new Map(state.speechAgreement || []);
+    }
+
     analyzeResponse(thresholdData, frequency, ear) {
         const key = `${ear}_${frequency}`;
         
@@ -28,7 +62,7 @@ export class MalingeringDetector {
             threshold: thresholdData.threshold,
             confidence: thresholdData.confidence,
             responses: thresholdData.responses,
-            timestamp: Date.now()
+            timestamp: this.clock.wallTime()
         });
 
         let riskScore = 0;
@@ -181,6 +215,63 @@ export class MalingeringDetector {
         return 0;
     }
 
+    /**
+     * Compare the speech recognition threshold with the pure-tone average
+     * An SRT much better than the PTA is a classic sign of non-organic hearing loss;
+     * sloping losses are compared with the best two-frequency (Fletcher) average
+     * @param {string} ear - Test ear
+     * @param {number} srt - Speech recognition threshold (dB HL)
+     * @param {Object} thresholds - Air thresholds of the ear, keyed by frequency ({ threshold })
+     * @returns {Object|null} Agreement, or null without thresholds at 500, 1000 and 2000 Hz
+     */
+    checkSrtPtaAgreement(ear, srt, thresholds) {
+        const values = [500, 1000, 2000].map(f => thresholds[f]?.threshold);
+        if (!values.every(Number.isFinite)) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const pta = Math.round(values.reduce((sum, t) => sum + t, 0) / values.length);
+        const twoFrequencyAverage = Math.round((sorted[0] + sorted[1]) / 2);
+        const sloping = sorted[2] - sorted[0] >= this.thresholds.slopingSpread;
+        const reference = sloping ? twoFrequencyAverage : pta;
+
+        // Negative difference: speech understood below the tone thresholds
+        const difference = srt - reference;
+        const agrees = Math.abs(difference) <= this.thresholds.srtPtaAgreement;
+        const srtBetter = difference < -this.thresholds.srtPtaAgreement;
+
+        const flags = [];
+        let risk = 0;
+        if (srtBetter) {
+            flags.push('SRT better than pure-tone average');
+            risk = -difference >= this.thresholds.srtPtaDiscrepancy ? 0.8 : 0.5;
+        } else if (!agrees) {
+            // Poorer SRT points to word recognition or comprehension problems rather than exaggeration
+            flags.push('SRT poorer than pure-tone average');
+        }
+
+        const result = {
+            srt,
+            pta,
+            twoFrequencyAverage,
+            reference,
+            referenceType: sloping ? 'two-frequency' : 'pta',
+            difference,
+            agrees,
+            nonOrganicSign: srtBetter,
+            risk
+        };
+        this.speechAgreement.set(ear, result);
+
+        this.riskScores.set(`${ear}_srt`, {
+            totalRisk: risk,
+            flags,
+            components: { srtPta: risk }
+        });
+
+        console.log(`🕵️ SRT-PTA ${ear} ear: SRT ${srt} vs ${sloping ? '2-frequency average' : 'PTA'} ${reference} dB HL (${difference > 0 ? '+' : ''}${difference} dB)${srtBetter ? ' - non-organic sign' : ''}`);
+        return result;
+    }
+
     getAdjacentFrequencies(frequency) {
         const freqs = [125, 250, 500, 750, 1000, 1500, 2000, 3000, 4000, 6000, 8000];
         const index = freqs.indexOf(frequency);
@@ -235,6 +326,7 @@ export class MalingeringDetector {
             riskLevel: this.getRiskLevel(overallRisk),
             flaggedFrequencies,
             recommendations: this.generateRecommendations(overallRisk, flaggedFrequencies),
+            srtPtaAgreement: Object.fromEntries(this.speechAgreement),
             detailedAnalysis: Object.fromEntries(this.riskScores)
         };
     }
@@ -286,6 +378,11 @@ export class MalingeringDetector {
             recommendations.push('Consider objective testing methods');
         }
         
+        const srtBetterEars = [...this.speechAgreement].filter(([, result]) => result.nonOrganicSign).map(([ear]) => ear);
+        if (srtBetterEars.length > 0) {
+            recommendations.push(`SRT better than PTA (${srtBetterEars.join(' and ')} ear) - reinstruct and retest pure tones`);
+        }
+        
         return recommendations;
     }
 }
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * Psi Method Threshold Estimation
+ * Bayesian adaptive procedure (Kontsevich & Tyler, 1999): keeps a posterior over threshold and
+ * slope of a logistic psychometric function and presents the level that minimises the expected
+ * entropy of the posterior after the next response
+ *
+ * P(yes | level) = guess + (1 - guess - lapse) / (1 + exp(-slope × (level - threshold)))
+ * The guess rate comes from catch trials and can change between trials; the lapse rate is fixed
+ */
+export class PsiEstimator {
+    /**
+     * @param {Object} options
+     * @param {number} options.minLevel - Lowest level and threshold (dB HL)
+     * @param {number} options.maxLevel - Highest level and threshold (dB HL)
+     * @param {number} options.levelStep - Spacing of the presentation levels (dB)
+     * @param {number} options.thresholdStep - Spacing of the threshold grid (dB)
+     * @param {Array<number>} options.slopes - Slope grid (per dB)
+     * @param {number} options.guessRate - Initial probability of a response without hearing the tone
+     * @param {number} options.lapseRate - Probability of missing a clearly audible tone
+     * @param {number} options.credibleLevel - Probability mass of the threshold interval
+     * @param {number} options.targetInterval - Interval width (dB) that ends the search
+     * @param {number} options.confidenceWindow - ± dB around the estimate for the confidence score
+     * @param {number} options.minTrials - Trials before the interval can end the search
+     * @param {number} options.maxTrials - Trials that end the search regardless of the interval
+     */
+    constructor({
+        minLevel = -10, maxLevel = 120, levelStep = 2, thresholdStep = 1,
+        slopes = [0.1, 0.2, 0.35, 0.6, 1.0], guessRate = 0.02, lapseRate = 0.02,
+        credibleLevel = 0.95, targetInterval = 10, confidenceWindow = 5, minTrials = 8, maxTrials = 30
+    } = {}) {
+        if (!(maxLevel > minLevel)) {
+            throw new Error(`Invalid psi level range: ${minLevel} to ${maxLevel} dB HL`);
+        }
+
+        this.thresholds = this.buildGrid(minLevel, maxLevel, thresholdStep);
+        this.levels = this.buildGrid(minLevel, maxLevel, levelStep);
+        this.slopes = [...slopes];
+        this.lapseRate = lapseRate;
+        this.guessRate = guessRate;
+        this.credibleLevel = credibleLevel;
+        this.targetInterval = targetInterval;
+        this.confidenceWindow = confidenceWindow;
+        this.minTrials = minTrials;
+        this.maxTrials = maxTrials;
+
+        this.trials = [];               // { level, response }
+        this.buildLikelihoodTable();
+        this.posterior = this.computePosterior();
+    }
+
+    buildGrid(min, max, step) {
+        const grid = [];
+        for (let value = min; value <= max + 1e-9; value += step) {
+            grid.push(Math.round(value * 10) / 10);
+        }
+        return grid;
+    }
+
+    // ==================== MODEL ====================
+
+    /**
+     * Probability of a response at a level
+     * @param {number} level - Presentation level (dB HL)
+     * @param {number} threshold - 50 % point of the underlying function (dB HL)
+     * @param {number} slope - Logistic slope (per dB)
+     * @returns {number}
+     */
+    probability(level, threshold, slope) {
+        const detection = 1 / (1 + Math.exp(-slope * (level - threshold)));
+        return this.guessRate + (1 - this.guessRate - this.lapseRate) * detection;
+    }
+
+    /**
+     * P(yes) for every level × (threshold, slope) pair - rebuilt when the guess rate changes
+     */
+    buildLikelihoodTable() {
+        const size = this.thresholds.length * this.slopes.length;
+        this.likelihood = this.levels.map(level => {
+            const row = new Float64Array(size);
+            this.thresholds.forEach((threshold, t) => {
+                this.slopes.forEach((slope, s) => {
+                    row[t * this.slopes.length + s] = this.probability(level, threshold, slope);
+                });
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Posterior from a flat prior and every trial so far
+     * @returns {Float64Array}
+     */
+    computePosterior() {
+        const size = this.thresholds.length * this.slopes.length;
+        const posterior = new Float64Array(size).fill(1 / size);
+        this.trials.forEach(trial => this.applyTrial(posterior, trial));
+        return posterior;
+    }
+
+    applyTrial(posterior, { level, response }) {
+        const row = this.getLikelihoodRow(level);
+        let total = 0;
+        for (let i = 0; i < posterior.length; i++) {
+            posterior[i] *= response ? row[i] : 1 - row[i];
+            total += posterior[i];
+        }
+        for (let i = 0; i < posterior.length; i++) {
+            posterior[i] /= total;
+        }
+    }
+
+    /**
+     * Likelihood row of a level - levels off the presentation grid are computed directly
+     */
+    getLikelihoodRow(level) {
+        const index = this.levels.indexOf(level);
+        if (index !== -1) return this.likelihood[index];
+
+        const row = new Float64Array(this.thresholds.length * this.slopes.length);
+        this.thresholds.forEach((threshold, t) => {
+            this.slopes.forEach((slope, s) => {
+                row[t * this.slopes.length + s] = this.probability(level, threshold, slope);
+            });
+        });
+        return row;
+    }
+
+    // ==================== TRIALS ====================
+
+    /**
+     * Change the guess rate (from catch trials) and re-evaluate every trial with it
+     * @param {number} rate - Probability of a response without hearing the tone
+     */
+    setGuessRate(rate) {
+        const clamped = Math.max(0, Math.min(0.5, rate));
+        if (Math.abs(clamped - this.guessRate) < 1e-6) return;
+
+        this.guessRate = clamped;
+        this.buildLikelihoodTable();
+        this.posterior = this.computePosterior();
+    }
+
+    /**
+     * @param {number} level - Presentation level (dB HL)
+     * @param {boolean} response - Patient responded
+     */
+    addTrial(level, response) {
+        const trial = { level, response: Boolean(response) };
+        this.trials.push(trial);
+        this.applyTrial(this.posterior, trial);
+    }
+
+    /**
+     * Level with the lowest expected posterior entropy after the next response
+     * @param {number} maxLevel - Output limit for this presentation (dB HL)
+     * @returns {number} dB HL
+     */
+    getNextLevel(maxLevel = Infinity) {
+        let bestLevel = null;
+        let bestEntropy = Infinity;
+
+        this.levels.forEach((level, index) => {
+            if (level > maxLevel) return;
+
+            const row = this.likelihood[index];
+            let pYes = 0;
+            for (let i = 0; i < row.length; i++) {
+                pYes += this.posterior[i] * row[i];
+            }
+
+            const entropy = pYes * this.conditionalEntropy(row, true, pYes) +
+                (1 - pYes) * this.conditionalEntropy(row, false, 1 - pYes);
+            if (entropy < bestEntropy - 1e-12) {
+                bestEntropy = entropy;
+                bestLevel = level;
+            }
+        });
+
+        return bestLevel ?? this.levels[0];
+    }
+
+    /**
+     * Entropy of the posterior after a response (or no response) at a level
+     */
+    conditionalEntropy(row, response, evidence) {
+        if (evidence <= 0) return 0;
+
+        let entropy = 0;
+        for (let i = 0; i < row.length; i++) {
+            const p = this.posterior[i] * (response ? row[i] : 1 - row[i]) / evidence;
+            if (p > 0) entropy -= p * Math.log(p);
+        }
+        return entropy;
+    }
+
+    // ==================== ESTIMATE ====================
+
+    /**
+     * Marginal posterior of the threshold
+     * @returns {Array<number>} Probability per threshold grid point
+     */
+    getThresholdMarginal() {
+        return this.thresholds.map((_, t) => {
+            let sum = 0;
+            for (let s = 0; s < this.slopes.length; s++) {
+                sum += this.posterior[t * this.slopes.length + s];
+            }
+            return sum;
+        });
+    }
+
+    /**
+     * Posterior mean threshold and slope with the credible interval of the threshold
+     * Confidence is the posterior probability that the threshold lies within ±confidenceWindow of the estimate
+     * @returns {Object} { threshold, slope, sd, interval: { lower, upper, level }, width, confidence, guessRate, lapseRate, trials }
+     */
+    getEstimate() {
+        const marginal = this.getThresholdMarginal();
+        const mean = marginal.reduce((sum, p, t) => sum + p * this.thresholds[t], 0);
+        const variance = marginal.reduce((sum, p, t) => sum + p * Math.pow(this.thresholds[t] - mean, 2), 0);
+
+        let slope = 0;
+        for (let i = 0; i < this.posterior.length; i++) {
+            slope += this.posterior[i] * this.slopes[i % this.slopes.length];
+        }
+
+        const tail = (1 - this.credibleLevel) / 2;
+        const lower = this.getQuantile(marginal, tail);
+        const upper = this.getQuantile(marginal, 1 - tail);
+        const confidence = marginal.reduce((sum, p, t) =>
+            Math.abs(this.thresholds[t] - mean) <= this.confidenceWindow ? sum + p : sum, 0);
+
+        return {
+            threshold: Math.round(mean * 10) / 10,
+            slope: Math.round(slope * 1000) / 1000,
+            sd: Math.round(Math.sqrt(variance) * 10) / 10,
+            interval: { lower, upper, level: this.credibleLevel },
+            width: Math.round((upper - lower) * 10) / 10,
+            confidence: Math.round(confidence * 1000) / 1000,
+            guessRate: Math.round(this.guessRate * 1000) / 1000,
+            lapseRate: this.lapseRate,
+            trials: this.trials.length
+        };
+    }
+
+    getQuantile(marginal, probability) {
+        let cumulative = 0;
+        for (let t = 0; t < marginal.length; t++) {
+            cumulative += marginal[t];
+            if (cumulative >= probability) return this.thresholds[t];
+        }
+        return this.thresholds[this.thresholds.length - 1];
+    }
+
+    /**
+     * Why the search should end, or null to continue
+     * @returns {string|null} 'interval' (credible interval narrow enough) or 'max-trials'
+     */
+    getStopReason() {
+        if (this.trials.length >= this.maxTrials) return 'max-trials';
+        if (this.trials.length >= this.minTrials && this.getEstimate().width <= this.targetInterval) return 'interval';
+        return null;
+    }
+}
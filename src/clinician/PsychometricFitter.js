@@ -0,0 +1,296 @@
+/**
+ * Psychometric Function Fit
+ * Maximum-likelihood fit of a logistic psychometric function to the trials of one ear and frequency,
+ * with a parametric bootstrap confidence interval for the threshold (Wichmann & Hill, 2001)
+ *
+ * P(yes | level) = guess + (1 - guess - lapse) / (1 + exp(-slope × (level - threshold)))
+ * Silent catch trials have no tone, so P(yes) = guess - they pin down the guess rate
+ *
+ * A staircase often separates perfectly (every tone above some level heard, every tone below missed),
+ * where the plain likelihood keeps rising as the slope grows. A weak log-normal prior on the slope
+ * keeps the fit and its interval finite (penalised maximum likelihood)
+ */
+export class PsychometricFitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.minLevel - Lowest threshold the fit can return (dB HL)
+     * @param {number} options.maxLevel - Highest threshold the fit can return (dB HL)
+     * @param {Array<number>} options.slopeRange - [min, max] slope (per dB)
+     * @param {Object} options.slopePrior - { mean, sd } of the log-normal slope prior (sd in natural-log units)
+     * @param {number} options.maxGuessRate - Upper bound of the guess rate
+     * @param {number} options.maxLapseRate - Upper bound of the lapse rate
+     * @param {number} options.minTrials - Tone trials needed for a fit
+     * @param {number} options.bootstrapSamples - Simulated data sets for the confidence interval
+     * @param {number} options.confidenceLevel - Coverage of the threshold interval
+     * @param {Function} options.random - Uniform [0, 1) source for the bootstrap
+     */
+    constructor({
+        minLevel = -10, maxLevel = 120, slopeRange = [0.02, 3], slopePrior = { mean: 0.3, sd: 1 },
+        maxGuessRate = 0.5, maxLapseRate = 0.1,
+        minTrials = 4, bootstrapSamples = 200, confidenceLevel = 0.95, random = Math.random
+    } = {}) {
+        if (!(maxLevel > minLevel)) {
+            throw new Error(`Invalid fit level range: ${minLevel} to ${maxLevel} dB HL`);
+        }
+
+        this.minLevel = minLevel;
+        this.maxLevel = maxLevel;
+        this.slopeRange = slopeRange;
+        this.slopePrior = slopePrior;
+        this.maxGuessRate = maxGuessRate;
+        this.maxLapseRate = maxLapseRate;
+        this.minTrials = minTrials;
+        this.bootstrapSamples = bootstrapSamples;
+        this.confidenceLevel = confidenceLevel;
+        this.random = random;
+
+        // Starting grid for the optimiser
+        this.startSlopes = [0.05, 0.1, 0.2, 0.4, 0.8, 1.6];
+        this.startGuessRate = 0.02;
+        this.startLapseRate = 0.01;
+    }
+
+    // ==================== FIT ====================
+
+    /**
+     * Fit threshold, slope, guess and lapse rate to the trials
+     * A fit needs at least one response and one missed tone; otherwise the threshold lies outside the
+     * tested levels and there is no finite estimate
+     * @param {Array<Object>} trials - Tone trials { level, response }
+     * @param {Array<Object>} catchTrials - Silent catch trials { response }
+     * @returns {Object|null} { threshold, slope, guessRate, lapseRate, logLikelihood, interval, sd, trials, catchTrials, bootstrapSamples }
+     */
+    fit(trials, catchTrials = []) {
+        const data = {
+            trials: trials.map(trial => ({ level: trial.level, response: Boolean(trial.response) })),
+            catchTrials: catchTrials.map(trial => Boolean(trial.response))
+        };
+
+        const responses = data.trials.filter(trial => trial.response).length;
+        if (data.trials.length < this.minTrials || responses === 0 || responses === data.trials.length) {
+            return null;
+        }
+
+        const start = this.findStartPoint(data);
+        const best = this.fitParameters(data, start);
+        const params = this.toParams(best.point);
+        const bootstrap = this.bootstrapThresholds(data, params, best.point);
+
+        return {
+            threshold: this.round(params.threshold, 10),
+            slope: this.round(params.slope, 1000),
+            guessRate: this.round(params.guess, 1000),
+            lapseRate: this.round(params.lapse, 1000),
+            logLikelihood: this.round(-this.negativeLogLikelihood(data, params), 100),
+            interval: bootstrap.interval,
+            sd: bootstrap.sd,
+            trials: data.trials.length,
+            catchTrials: data.catchTrials.length,
+            bootstrapSamples: this.bootstrapSamples
+        };
+    }
+
+    /**
+     * Probability of a response at a level
+     * @param {number} level - Presentation level (dB HL)
+     * @param {Object} params - { threshold, slope, guess, lapse }
+     * @returns {number}
+     */
+    probability(level, { threshold, slope, guess, lapse }) {
+        return guess + (1 - guess - lapse) / (1 + Math.exp(-slope * (level - threshold)));
+    }
+
+    /**
+     * Negative log-likelihood of the data
+     */
+    negativeLogLikelihood(data, params) {
+        let total = 0;
+        data.trials.forEach(({ level, response }) => {
+            const p = this.clampProbability(this.probability(level, params));
+            total -= Math.log(response ? p : 1 - p);
+        });
+
+        const guess = this.clampProbability(params.guess);
+        data.catchTrials.forEach(response => {
+            total -= Math.log(response ? guess : 1 - guess);
+        });
+        return total;
+    }
+
+    /**
+     * Value the optimiser minimises: negative log-likelihood plus the slope prior
+     */
+    negativeLogPosterior(data, params) {
+        const z = (Math.log(params.slope) - Math.log(this.slopePrior.mean)) / this.slopePrior.sd;
+        return this.negativeLogLikelihood(data, params) + 0.5 * z * z;
+    }
+
+    clampProbability(p) {
+        return Math.max(1e-9, Math.min(1 - 1e-9, p));
+    }
+
+    // ==================== PARAMETERS ====================
+
+    /**
+     * The optimiser works on unbounded values; each maps into its range through a logistic function
+     * @param {Array<number>} point - [threshold, slope, guess, lapse] (unbounded)
+     * @returns {Object} { threshold, slope, guess, lapse }
+     */
+    toParams([u0, u1, u2, u3]) {
+        const [minSlope, maxSlope] = this.slopeRange;
+        return {
+            threshold: this.minLevel + (this.maxLevel - this.minLevel) * this.sigmoid(u0),
+            slope: minSlope * Math.pow(maxSlope / minSlope, this.sigmoid(u1)),
+            guess: this.maxGuessRate * this.sigmoid(u2),
+            lapse: this.maxLapseRate * this.sigmoid(u3)
+        };
+    }
+
+    toPoint({ threshold, slope, guess, lapse }) {
+        const [minSlope, maxSlope] = this.slopeRange;
+        return [
+            this.logit((threshold - this.minLevel) / (this.maxLevel - this.minLevel)),
+            this.logit(Math.log(slope / minSlope) / Math.log(maxSlope / minSlope)),
+            this.logit(guess / this.maxGuessRate),
+            this.logit(lapse / this.maxLapseRate)
+        ];
+    }
+
+    sigmoid(x) {
+        return 1 / (1 + Math.exp(-x));
+    }
+
+    logit(p) {
+        const clamped = Math.max(1e-6, Math.min(1 - 1e-6, p));
+        return Math.log(clamped / (1 - clamped));
+    }
+
+    // ==================== OPTIMISATION ====================
+
+    /**
+     * Best point of a coarse threshold × slope grid around the tested levels
+     */
+    findStartPoint(data) {
+        const levels = data.trials.map(trial => trial.level);
+        const low = Math.max(this.minLevel, Math.min(...levels) - 10);
+        const high = Math.min(this.maxLevel, Math.max(...levels) + 10);
+
+        let best = null;
+        for (let threshold = low; threshold <= high; threshold += 2) {
+            this.startSlopes.forEach(slope => {
+                const params = { threshold, slope, guess: this.startGuessRate, lapse: this.startLapseRate };
+                const value = this.negativeLogPosterior(data, params);
+                if (!best || value < best.value) best = { params, value };
+            });
+        }
+        return this.toPoint(best.params);
+    }
+
+    fitParameters(data, start) {
+        return this.nelderMead(point => this.negativeLogPosterior(data, this.toParams(point)), start);
+    }
+
+    /**
+     * Nelder-Mead simplex minimisation
+     * @param {Function} objective - f(point) to minimise
+     * @param {Array<number>} start - Starting point
+     * @returns {Object} { point, value }
+     */
+    nelderMead(objective, start, { maxIterations = 400, tolerance = 1e-7, step = 0.5 } = {}) {
+        const n = start.length;
+        let simplex = [start, ...start.map((_, i) => start.map((x, j) => (i === j ? x + step : x)))]
+            .map(point => ({ point, value: objective(point) }));
+
+        const combine = (a, b, t) => a.map((x, i) => x + t * (b[i] - x));
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            simplex.sort((a, b) => a.value - b.value);
+            const best = simplex[0];
+            const worst = simplex[n];
+            if (Math.abs(worst.value - best.value) < tolerance) break;
+
+            // Centroid of every vertex but the worst
+            const centroid = start.map((_, i) => simplex.slice(0, n).reduce((sum, v) => sum + v.point[i], 0) / n);
+
+            const reflected = combine(centroid, worst.point, -1);
+            const reflectedValue = objective(reflected);
+
+            if (reflectedValue < best.value) {
+                const expanded = combine(centroid, worst.point, -2);
+                const expandedValue = objective(expanded);
+                simplex[n] = expandedValue < reflectedValue
+                    ? { point: expanded, value: expandedValue }
+                    : { point: reflected, value: reflectedValue };
+            } else if (reflectedValue < simplex[n - 1].value) {
+                simplex[n] = { point: reflected, value: reflectedValue };
+            } else {
+                const contracted = combine(centroid, worst.point, 0.5);
+                const contractedValue = objective(contracted);
+                if (contractedValue < worst.value) {
+                    simplex[n] = { point: contracted, value: contractedValue };
+                } else {
+                    // Shrink towards the best vertex
+                    simplex = simplex.map((v, i) => {
+                        if (i === 0) return v;
+                        const point = combine(best.point, v.point, 0.5);
+                        return { point, value: objective(point) };
+                    });
+                }
+            }
+        }
+
+        simplex.sort((a, b) => a.value - b.value);
+        return simplex[0];
+    }
+
+    // ==================== BOOTSTRAP ====================
+
+    /**
+     * Parametric bootstrap: simulate every trial from the fitted function, refit, and take the
+     * percentile interval of the refitted thresholds
+     * @returns {Object} { interval: { lower, upper, level }, sd }
+     */
+    bootstrapThresholds(data, params, fittedPoint) {
+        const thresholds = [];
+
+        for (let b = 0; b < this.bootstrapSamples; b++) {
+            const sample = {
+                trials: data.trials.map(({ level }) => ({
+                    level,
+                    response: this.random() < this.probability(level, params)
+                })),
+                catchTrials: data.catchTrials.map(() => this.random() < params.guess)
+            };
+            const refit = this.fitParameters(sample, fittedPoint);
+            thresholds.push(this.toParams(refit.point).threshold);
+        }
+
+        thresholds.sort((a, b) => a - b);
+        const tail = (1 - this.confidenceLevel) / 2;
+        const mean = thresholds.reduce((sum, t) => sum + t, 0) / thresholds.length;
+        const variance = thresholds.reduce((sum, t) => sum + Math.pow(t - mean, 2), 0) / thresholds.length;
+
+        return {
+            interval: {
+                lower: this.round(this.getPercentile(thresholds, tail), 10),
+                upper: this.round(this.getPercentile(thresholds, 1 - tail), 10),
+                level: this.confidenceLevel
+            },
+            sd: this.round(Math.sqrt(variance), 10)
+        };
+    }
+
+    /**
+     * Percentile of sorted values (linear interpolation)
+     */
+    getPercentile(sorted, probability) {
+        const position = probability * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    round(value, factor) {
+        return Math.round(value * factor) / factor;
+    }
+}
@@ -3,13 +3,19 @@
  * Comprehensive analysis of patient response patterns and timing for audiometric testing
  * Tracks reaction times, delayed responses, anticipatory responses, and fatigue indicators
  */
+import { RealClock } from '../time/RealClock.js';
+
 export class ResponseAnalyzer {
-    constructor() {
+    /**
+     * @param {RealClock|VirtualClock} clock - Time source of the test start
+     */
+    constructor(clock = new RealClock()) {
+        this.clock = clock;
         this.responses = [];
         this.reactionTimes = [];
         this.falsePositives = 0;
         this.missedResponses = 0;
-        this.testStartTime = Date.now();
+        this.testStartTime = clock.now();
         
         // Clinical timing thresholds (based on audiometric research)
         this.timingThresholds = {
@@ -60,13 +66,14 @@ export class ResponseAnalyzer {
      * @param {number} frequency - Test frequency in Hz
      * @param {number} level - Test level in dB HL
      * @param {boolean} response - Patient response (true/false)
-     * @param {number} timestamp - Response timestamp
-     * @param {number} toneStartTime - Tone onset timestamp
+     * @param {number} timestamp - Response time (clock.now(), ms)
+     * @param {number} toneStartTime - Acoustic tone onset on the same clock
      * @param {Object} additionalData - Optional additional response data
      * @returns {Object} Comprehensive response analysis
      */
     addResponse(frequency, level, response, timestamp, toneStartTime = null, additionalData = {}) {
-        const reactionTime = toneStartTime ? timestamp - toneStartTime : null;
+        // Only a response has a reaction time - a timeout is not a very slow response
+        const reactionTime = response && toneStartTime !== null ? Math.round(timestamp - toneStartTime) : null;
         const testDuration = timestamp - this.testStartTime;
         
         const responseData = {
@@ -567,7 +574,7 @@ export class ResponseAnalyzer {
         if (this.reactionTimes.length === 0) return 0.5;
         
         const normalTimes = this.reactionTimes.filter(rt => 
-            rt >= this.normalReactionTime.min && rt <= this.normalReactionTime.max
+            rt >= this.timingThresholds.normal.min && rt <= this.timingThresholds.normal.max
         );
         
         return normalTimes.length / this.reactionTimes.length;
@@ -817,4 +824,40 @@ export class ResponseAnalyzer {
         this.falsePositives = 0;
         this.missedResponses = 0;
     }
+
+    /**
+     * Response history and pattern counters, for checkpoints
+     * The test start is kept as elapsed time, since clock.now() restarts with the page
+     * @returns {Object} Plain data
+     */
+    getState() {
+        return {
+            responses: [...this.responses],
+            reactionTimes: [...this.reactionTimes],
+            falsePositives: this.falsePositives,
+            missedResponses: this.missedResponses,
+            elapsed: this.clock.now() - this.testStartTime,
+            responsePatterns: {
+                ...this.responsePatterns,
+                reactionTimeVariability: [...this.responsePatterns.reactionTimeVariability]
+            }
+        };
+    }
+
+    /**
+     * Continue from a checkpoint
+     * @param {Object} state - From getState()
+     */
+    setState(state) {
+        this.responses = [...(state.responses || [])];
+        this.reactionTimes = [...(state.reactionTimes || [])];
+        this.falsePositives = state.falsePositives || 0;
+        this.missedResponses = state.missedResponses || 0;
+        this.testStartTime = this.clock.now() - (state.elapsed || 0);
+        this.responsePatterns = {
+            ...this.responsePatterns,
+            ...state.responsePatterns,
+            reactionTimeVariability: [...(state.responsePatterns?.reactionTimeVariability || [])]
+        };
+    }
 }
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Response Log
+ * Trial-level record of the patient's button presses and releases, kept so a test can be re-run
+ * from its seed and responses (SessionReplay)
+ *
+ * Each press or release is stored against the last stimulus (tone-presented or bekesy-run-started)
+ * as { type, anchor, delay }: anchor counts the stimuli before it (0: before the first) and delay is
+ * the time since that stimulus (ms). A replay presses at the same delay after the same stimulus, so
+ * small timing differences between a live test and its replay do not add up over the session.
+ * Pauses and resumes are stored the same way, so a replay pauses where the test did
+ */
+import { RealClock } from '../time/RealClock.js';
+
+export class ResponseLog {
+    /**
+     * @param {EventBus} eventBus - The clinician's event bus
+     * @param {RealClock|VirtualClock} clock - The clinician's clock
+     */
+    constructor(eventBus, clock = new RealClock()) {
+        this.eventBus = eventBus;
+        this.clock = clock;
+
+        this.ANCHOR_EVENTS = ['tone-presented', 'bekesy-run-started'];
+        this.RESPONSE_EVENTS = { 'patient-response': 'press', 'patient-release': 'release' };
+        this.CONTROL_EVENTS = { 'test-paused': 'pause', 'test-resumed': 'resume' };
+
+        this.entries = [];
+        this.anchor = 0;                // Stimuli so far
+        this.anchorTime = null;         // clock.now() of the last stimulus (or of start())
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Clear the log and start recording
+     */
+    start() {
+        this.stop();
+        this.entries = [];
+        this.anchor = 0;
+        this.anchorTime = this.clock.now();
+
+        this.unsubscribers = [
+            ...this.ANCHOR_EVENTS.map(type => this.eventBus.on(type, () => this.recordAnchor())),
+            ...Object.entries(this.RESPONSE_EVENTS).map(([type, entryType]) =>
+                this.eventBus.on(type, (payload) => this.recordResponse(entryType, payload))),
+            ...Object.entries(this.CONTROL_EVENTS).map(([type, entryType]) =>
+                this.eventBus.on(type, () => this.recordResponse(entryType)))
+        ];
+    }
+
+    /**
+     * Start recording after the entries of an interrupted test (see AIClinician checkpoints)
+     * @param {Object} state - From getState()
+     */
+    resume(state) {
+        this.start();
+        this.entries = state.entries.map(entry => ({ ...entry }));
+        this.anchor = state.anchor;
+    }
+
+    stop() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    recordAnchor() {
+        this.anchor++;
+        this.anchorTime = this.clock.now();
+    }
+
+    recordResponse(type, payload) {
+        // Press time from the button when it is on this clock, otherwise the receive time
+        const now = this.clock.now();
+        const time = payload?.timestamp <= now ? payload.timestamp : now;
+
+        this.entries.push({
+            type,
+            anchor: this.anchor,
+            delay: Math.max(0, time - this.anchorTime)
+        });
+    }
+
+    /**
+     * @returns {Array<Object>} Copy of the entries: { type: 'press'|'release'|'pause'|'resume', anchor, delay }
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * @returns {Object} { entries, anchor }, for checkpoints
+     */
+    getState() {
+        return { entries: this.getEntries(), anchor: this.anchor };
+    }
+}
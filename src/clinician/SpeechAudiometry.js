@@ -0,0 +1,562 @@
+/**
+ * Speech Audiometry Procedures
+ * Speech recognition threshold (SRT) with recorded spondees - ASHA (1988) descending method
+ * Word recognition score (WRS) with a monosyllabic word list at a fixed presentation level
+ * The clinician scores each word as correct or incorrect; the procedure then presents the next word
+ */
+import { EventBus } from '../events/EventBus.js';
+import { RealClock } from '../time/RealClock.js';
+import { SeededRandom } from '../random/SeededRandom.js';
+
+export class SpeechAudiometry {
+    /**
+     * @param {Object} audioEngine - AudioGenerator
+     * @param {TestSession|null} session - Session that records the results
+     * @param {MalingeringDetector|null} malingeringDetector - Receives the SRT for the SRT/PTA check
+     * @param {EventBus} eventBus - Channel for speech progress and result events
+     * @param {RealClock|VirtualClock} clock - Time source of the test timestamps
+     * @param {SeededRandom} random - Source of the word order
+     */
+    constructor(audioEngine, session = null, malingeringDetector = null, eventBus = new EventBus(), clock = new RealClock(), random = new SeededRandom()) {
+        this.eventBus = eventBus;
+        this.clock = clock;
+        this.random = random;
+        this.audioEngine = audioEngine;
+        this.session = session;
+        this.malingeringDetector = malingeringDetector;
+
+        this.test = null;           // Running procedure state
+        this.currentItem = null;    // Word awaiting a score
+        this.isPresenting = false;
+
+        this.MIN_LEVEL = -10;       // dB HL
+        this.MAX_ITEMS = 80;        // Safety limit per test
+
+        // SRT preliminary phase: 10 dB descending steps until two words are missed at one level;
+        // the test phase starts 10 dB above that level
+        this.srtSettings = {
+            startSensationLevel: 30,    // dB above the PTA (ASHA: 30-40 dB above the estimated SRT)
+            defaultStartLevel: 50,      // dB HL when no PTA is available
+            preliminaryStep: 10,
+            testPhaseOffset: 10,
+            startRaise: 10,             // Raise when any of the first five test-phase words is missed
+            maxStartRaises: 2
+        };
+
+        // SRT test phase per step size: words per level, Spearman-Kärber correction and stop rule
+        // (stop when stopMisses of the last stopWindow words are missed)
+        this.srtStepSizes = new Map([
+            [2, { wordsPerStep: 2, correction: 1, stopWindow: 6, stopMisses: 5 }],
+            [5, { wordsPerStep: 5, correction: 2, stopWindow: 5, stopMisses: 5 }]
+        ]);
+
+        // WRS presentation level above the SRT (or PTA), and score categories
+        this.wrsSettings = {
+            sensationLevel: 40,
+            defaultLevel: 60            // dB HL when neither SRT nor PTA is available
+        };
+        this.wrsCategories = [
+            { min: 90, label: 'Excellent' },
+            { min: 78, label: 'Good' },
+            { min: 66, label: 'Fair' },
+            { min: 54, label: 'Poor' },
+            { min: 0, label: 'Very poor' }
+        ];
+    }
+
+    // ==================== TEST CONTROL ====================
+
+    /**
+     * Start a speech recognition threshold (spondee material)
+     * @param {Object} options
+     * @param {string} options.ear - 'left' or 'right'
+     * @param {string} options.materialId - Loaded spondee material
+     * @param {string} options.listId - List within the material
+     * @param {number|null} options.startLevel - Preliminary start level (default PTA + 30 dB)
+     * @param {number} options.stepSize - Test-phase step: 2 or 5 dB
+     * @param {number|null} options.maskingLevel - Speech noise in the non-test ear (dB EM);
+     *   undefined uses getRecommendedMasking(), null presents unmasked
+     * @returns {Object} Progress of the started test
+     */
+    startSRT({ ear, materialId, listId, startLevel = null, stepSize = 2, maskingLevel = undefined }) {
+        const step = this.srtStepSizes.get(stepSize);
+        if (!step) {
+            throw new Error(`Invalid SRT step size: ${stepSize}. Use 2 or 5 dB`);
+        }
+
+        const level = this.clampLevel(startLevel ?? this.getDefaultLevel('srt', ear));
+        const words = this.shuffle(this.getWords('srt', ear, materialId, listId));
+
+        return this.begin({
+            type: 'srt',
+            ear,
+            materialId,
+            listId,
+            words,
+            level,
+            maskingLevel,
+            phase: 'preliminary',
+            stepSize,
+            step,
+            preliminaryStartLevel: level,
+            levelMisses: 0,
+            testStartLevel: null,
+            testTrials: [],
+            startRaises: 0
+        });
+    }
+
+    /**
+     * Start a word recognition score (monosyllable material) at a fixed level
+     * @param {Object} options
+     * @param {string} options.ear - 'left' or 'right'
+     * @param {string} options.materialId - Loaded monosyllable material
+     * @param {string} options.listId - List within the material (presented in recorded order)
+     * @param {number|null} options.level - Presentation level (default SRT + 40 dB, or PTA + 40 dB)
+     * @param {number|null} options.itemCount - Words to present (default the whole list, e.g. 25 or 50)
+     * @param {number|null} options.maskingLevel - As for startSRT()
+     * @returns {Object} Progress of the started test
+     */
+    startWRS({ ear, materialId, listId, level = null, itemCount = null, maskingLevel = undefined }) {
+        const words = this.getWords('wrs', ear, materialId, listId);
+
+        return this.begin({
+            type: 'wrs',
+            ear,
+            materialId,
+            listId,
+            words: itemCount ? words.slice(0, itemCount) : words,
+            level: this.clampLevel(level ?? this.getDefaultLevel('wrs', ear)),
+            maskingLevel,
+            phase: 'scoring'
+        });
+    }
+
+    begin(test) {
+        if (this.test) {
+            throw new Error('A speech test is already running');
+        }
+
+        // Masking is set for the first presentation level and held for the whole test
+        if (test.maskingLevel === undefined) {
+            test.maskingLevel = this.getRecommendedMasking(test.ear, test.level);
+        }
+        if (test.maskingLevel !== null) {
+            const masking = this.audioEngine.startMaskingNoise({
+                type: 'speech',
+                frequency: 1000,
+                levelDbEm: test.maskingLevel,
+                ear: this.audioEngine.getOppositeEar(test.ear)
+            });
+            test.maskingLevel = masking.levelDbEm;
+        }
+
+        this.test = { ...test, wordIndex: 0, trials: [], startedAt: new Date(this.clock.wallTime()) };
+
+        const material = this.audioEngine.getSpeechMaterial(test.materialId);
+        console.log(`🗣️ ${test.type.toUpperCase()} started: ${test.ear} ear, ${material.name} list ${test.listId}, ${test.level} dB HL` +
+            (test.maskingLevel !== null ? `, speech noise ${test.maskingLevel} dB EM` : ''));
+
+        this.presentNext();
+        return this.getProgress();
+    }
+
+    /**
+     * Score the word just presented and present the next one
+     * @param {boolean} correct - Patient repeated the word correctly
+     * @returns {Object} Recorded trial
+     */
+    scoreItem(correct) {
+        const test = this.test;
+        if (!test || !this.currentItem) {
+            throw new Error('No word is waiting to be scored');
+        }
+
+        this.audioEngine.stopSpeech();
+
+        const trial = {
+            number: test.trials.length + 1,
+            word: this.currentItem.item.word,
+            level: this.currentItem.level,
+            phase: this.currentItem.phase,
+            correct: !!correct,
+            repeats: this.currentItem.repeats
+        };
+        test.trials.push(trial);
+        this.currentItem = null;
+
+        this.eventBus.emit('speech-item-scored', { test: test.type, ear: test.ear, trial });
+
+        if (test.type === 'srt') {
+            this.updateSRT(trial.correct);
+        } else {
+            this.updateWRS();
+        }
+
+        if (this.test && !this.test.finished) {
+            this.presentNext();
+        }
+        return trial;
+    }
+
+    /**
+     * Present the current word again (not scored twice)
+     */
+    async repeatItem() {
+        if (!this.test || !this.currentItem) {
+            throw new Error('No word to repeat');
+        }
+        this.currentItem.repeats++;
+        await this.playCurrentItem();
+    }
+
+    /**
+     * Abandon the running test without recording a result
+     */
+    stop() {
+        if (!this.test) return;
+
+        const { type, ear } = this.test;
+        this.audioEngine.stopSpeech();
+        this.stopMasking();
+        this.test = null;
+        this.currentItem = null;
+
+        console.log(`🗣️ ${type.toUpperCase()} stopped (${ear} ear) - no result recorded`);
+        this.eventBus.emit('speech-test-stopped', { test: type, ear });
+    }
+
+    isRunning() {
+        return !!this.test;
+    }
+
+    /**
+     * Current procedure state for the panel
+     * @returns {Object|null} { test, ear, phase, level, itemNumber, totalItems, correct, maskingLevel }
+     */
+    getProgress() {
+        const test = this.test;
+        if (!test) return null;
+
+        return {
+            test: test.type,
+            ear: test.ear,
+            phase: test.phase,
+            level: test.level,
+            itemNumber: test.trials.length + (this.currentItem ? 1 : 0),
+            totalItems: test.type === 'wrs' ? test.words.length : null,
+            correct: test.trials.filter(trial => trial.correct).length,
+            maskingLevel: test.maskingLevel,
+            word: this.currentItem?.item.word ?? null
+        };
+    }
+
+    // ==================== PRESENTATION ====================
+
+    presentNext() {
+        const test = this.test;
+        if (test.trials.length >= this.MAX_ITEMS) {
+            console.warn(`⚠️ ${test.type.toUpperCase()} stopped after ${this.MAX_ITEMS} words`);
+            this.finish({ incomplete: true });
+            return;
+        }
+
+        this.currentItem = {
+            item: this.nextWord(test),
+            level: test.level,
+            phase: test.phase,
+            repeats: 0
+        };
+
+        this.eventBus.emit('speech-item-presented', this.getProgress());
+
+        this.playCurrentItem();
+    }
+
+    async playCurrentItem() {
+        const { item, level } = this.currentItem;
+
+        this.isPresenting = true;
+        try {
+            return await this.audioEngine.playSpeech(this.test.materialId, item, level, this.test.ear);
+        } catch (error) {
+            console.error('Failed to present word:', error);
+            return null;
+        } finally {
+            this.isPresenting = false;
+        }
+    }
+
+    /**
+     * Next word: SRT cycles through the shuffled spondees (reshuffled when used up);
+     * WRS presents the list in recorded order
+     */
+    nextWord(test) {
+        if (test.wordIndex >= test.words.length) {
+            test.words = this.shuffle(test.words);
+            test.wordIndex = 0;
+        }
+        return test.words[test.wordIndex++];
+    }
+
+    // ==================== SRT (ASHA 1988) ====================
+
+    updateSRT(correct) {
+        const test = this.test;
+
+        if (test.phase === 'preliminary') {
+            if (correct) {
+                test.levelMisses = 0;
+                const nextLevel = test.level - this.srtSettings.preliminaryStep;
+                if (nextLevel < this.MIN_LEVEL) {
+                    // Words still understood at the lowest level
+                    this.beginTestPhase(this.MIN_LEVEL + this.srtSettings.testPhaseOffset);
+                } else {
+                    test.level = nextLevel;
+                }
+                return;
+            }
+
+            // A miss is followed by a second word at the same level; two misses end the phase
+            test.levelMisses++;
+            if (test.levelMisses >= 2) {
+                this.beginTestPhase(test.level + this.srtSettings.testPhaseOffset);
+            }
+            return;
+        }
+
+        const { stepSize, step } = test;
+        test.testTrials.push(correct);
+
+        // The first five test-phase words should all be repeated correctly; otherwise start higher
+        if (!correct && test.testTrials.length <= 5 &&
+            test.startRaises < this.srtSettings.maxStartRaises &&
+            test.testStartLevel < this.audioEngine.getMaxSpeechLevel()) {
+            test.startRaises++;
+            console.log(`🗣️ SRT: test-phase word missed at start - raising start level by ${this.srtSettings.startRaise} dB`);
+            this.beginTestPhase(test.testStartLevel + this.srtSettings.startRaise);
+            return;
+        }
+
+        // Level changes only after a full block of words
+        if (test.testTrials.length % step.wordsPerStep !== 0) return;
+
+        const recent = test.testTrials.slice(-step.stopWindow);
+        const misses = recent.filter(result => !result).length;
+        if (recent.length === step.stopWindow && misses >= step.stopMisses) {
+            this.finish();
+            return;
+        }
+
+        const nextLevel = test.level - stepSize;
+        if (nextLevel < this.MIN_LEVEL) {
+            this.finish({ atFloor: true });
+            return;
+        }
+        test.level = nextLevel;
+    }
+
+    beginTestPhase(startLevel) {
+        const test = this.test;
+        test.phase = 'test';
+        test.testStartLevel = this.clampLevel(startLevel);
+        test.level = test.testStartLevel;
+        test.testTrials = [];
+        console.log(`🗣️ SRT test phase from ${test.testStartLevel} dB HL (${test.stepSize} dB steps)`);
+    }
+
+    /**
+     * Spearman-Kärber estimate: start level - words correct × (step / words per step) + correction
+     * @returns {number|null} SRT in dB HL, null before the test phase
+     */
+    calculateSRT(test) {
+        if (test.testStartLevel === null) return null;
+
+        const { stepSize, step } = test;
+        const correct = test.testTrials.filter(Boolean).length;
+        return test.testStartLevel - correct * stepSize / step.wordsPerStep + step.correction;
+    }
+
+    // ==================== WRS ====================
+
+    updateWRS() {
+        if (this.test.trials.length >= this.test.words.length) {
+            this.finish();
+        }
+    }
+
+    getWrsCategory(score) {
+        return this.wrsCategories.find(category => score >= category.min).label;
+    }
+
+    // ==================== RESULTS ====================
+
+    finish({ atFloor = false, incomplete = false } = {}) {
+        const test = this.test;
+        test.finished = true;
+        this.audioEngine.stopSpeech();
+        this.stopMasking();
+
+        const material = this.audioEngine.getSpeechMaterial(test.materialId);
+        const correct = test.trials.filter(trial => trial.correct).length;
+        const result = {
+            test: test.type,
+            ear: test.ear,
+            material: { id: material.id, name: material.name, list: test.listId },
+            maskingLevel: test.maskingLevel,
+            masked: test.maskingLevel !== null,
+            transducer: this.audioEngine.getTransducer?.().model || null,
+            correct,
+            total: test.trials.length,
+            trials: test.trials,
+            incomplete,
+            completedAt: new Date(this.clock.wallTime()).toISOString()
+        };
+
+        if (test.type === 'srt') {
+            const srt = incomplete ? null : this.calculateSRT(test);
+            const noResponse = srt !== null && srt > this.audioEngine.getMaxSpeechLevel();
+            Object.assign(result, {
+                srt: noResponse ? null : srt,
+                noResponse,
+                atFloor,
+                stepSize: test.stepSize,
+                preliminaryStartLevel: test.preliminaryStartLevel,
+                testStartLevel: test.testStartLevel,
+                pta: this.getPureToneAverage(test.ear),
+                ptaAgreement: null
+            });
+
+            // Cross-check with the pure-tone results (non-organic hearing loss screen)
+            if (result.srt !== null && this.malingeringDetector) {
+                result.ptaAgreement = this.malingeringDetector.checkSrtPtaAgreement(test.ear, result.srt, this.getAirThresholds(test.ear));
+            }
+        } else {
+            const score = result.total > 0 ? Math.round(correct / result.total * 100) : 0;
+            Object.assign(result, {
+                level: test.level,
+                score,
+                category: this.getWrsCategory(score)
+            });
+        }
+
+        this.test = null;
+        this.currentItem = null;
+
+        this.session?.recordSpeechResult(result);
+
+        console.log(test.type === 'srt'
+            ? `🗣️ SRT ${result.ear} ear: ${result.srt ?? 'NR'} dB HL${result.ptaAgreement ? ` (PTA ${result.ptaAgreement.reference} dB HL, ${result.ptaAgreement.agrees ? 'agrees' : 'disagrees'})` : ''}`
+            : `🗣️ WRS ${result.ear} ear: ${result.score}% at ${result.level} dB HL (${result.category})`);
+
+        this.eventBus.emit('speech-test-completed', result);
+        return result;
+    }
+
+    stopMasking() {
+        if (this.test?.maskingLevel !== null && this.audioEngine.getMaskingState()) {
+            this.audioEngine.stopMaskingNoise();
+        }
+    }
+
+    // ==================== LEVELS AND MASKING ====================
+
+    /**
+     * Default start (SRT) or presentation (WRS) level from the pure-tone results
+     * @param {string} type - 'srt' or 'wrs'
+     * @param {string} ear - Test ear
+     * @returns {number} dB HL
+     */
+    getDefaultLevel(type, ear) {
+        const pta = this.getPureToneAverage(ear);
+        let level;
+
+        if (type === 'srt') {
+            level = pta !== null ? pta + this.srtSettings.startSensationLevel : this.srtSettings.defaultStartLevel;
+        } else {
+            const srt = this.session?.getSpeechResult(ear, 'srt')?.srt ?? null;
+            const reference = srt ?? pta;
+            level = reference !== null ? reference + this.wrsSettings.sensationLevel : this.wrsSettings.defaultLevel;
+        }
+        return Math.round(level / 5) * 5;
+    }
+
+    /**
+     * Speech noise needed in the non-test ear (Studebaker: EM = PL - IA + largest air-bone gap of the non-test ear)
+     * Masking is needed when the presentation level minus interaural attenuation reaches
+     * the best bone-conduction threshold (or air threshold without bone results) of the non-test ear
+     * @param {string} ear - Test ear
+     * @param {number} level - Presentation level (dB HL)
+     * @returns {number|null} dB EM, or null when masking is not needed or the non-test ear is untested
+     */
+    getRecommendedMasking(ear, level) {
+        const nonTestEar = this.audioEngine.getOppositeEar(ear);
+        const air = this.getAirThresholds(nonTestEar);
+        const bone = this.session?.getAllBoneThresholds()[nonTestEar] || {};
+        const frequencies = [500, 1000, 2000, 4000];
+
+        const airLevels = frequencies.map(f => air[f]?.threshold).filter(Number.isFinite);
+        if (airLevels.length === 0) return null;
+
+        const boneLevels = frequencies.map(f => bone[f]?.threshold).filter(Number.isFinite);
+        const bestBone = Math.min(...(boneLevels.length > 0 ? boneLevels : airLevels));
+        const interauralAttenuation = this.audioEngine.getInterauralAttenuation(1000);
+        if (level - interauralAttenuation < bestBone) return null;
+
+        const maxAirBoneGap = Math.max(0, ...frequencies
+            .filter(f => Number.isFinite(air[f]?.threshold) && Number.isFinite(bone[f]?.threshold))
+            .map(f => air[f].threshold - bone[f].threshold));
+
+        return Math.ceil((level - interauralAttenuation + maxAirBoneGap) / 5) * 5;
+    }
+
+    /**
+     * Pure-tone average (500, 1000, 2000 Hz) of the ear's air thresholds
+     * @returns {number|null} dB HL, null without thresholds at those frequencies
+     */
+    getPureToneAverage(ear) {
+        const thresholds = this.getAirThresholds(ear);
+        const values = [500, 1000, 2000].map(f => thresholds[f]?.threshold).filter(Number.isFinite);
+        if (values.length === 0) return null;
+        return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    }
+
+    getAirThresholds(ear) {
+        return this.session?.getAllThresholds()[ear] || {};
+    }
+
+    clampLevel(level) {
+        return Math.max(this.MIN_LEVEL, Math.min(level, this.audioEngine.getMaxSpeechLevel()));
+    }
+
+    // ==================== WORD LISTS ====================
+
+    /**
+     * Words of a list, checked against the procedure (SRT needs spondees, WRS monosyllables)
+     */
+    getWords(type, ear, materialId, listId) {
+        if (!['left', 'right'].includes(ear)) {
+            throw new Error(`Invalid test ear: ${ear}. Speech tests are presented to 'left' or 'right'`);
+        }
+
+        const material = this.audioEngine.getSpeechMaterial(materialId);
+        if (!material) {
+            throw new Error(`Speech material not loaded: ${materialId}`);
+        }
+
+        const requiredType = type === 'srt' ? 'spondee' : 'monosyllable';
+        if (material.type !== requiredType) {
+            throw new Error(`${type.toUpperCase()} needs ${requiredType} material - ${material.name} is ${material.type}`);
+        }
+
+        const words = this.audioEngine.getSpeechList(materialId, listId);
+        if (words.length === 0) {
+            throw new Error(`Speech list ${listId} is empty`);
+        }
+        return words;
+    }
+
+    shuffle(items) {
+        return this.random.shuffle(items);
+    }
+}
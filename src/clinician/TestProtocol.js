@@ -2,12 +2,19 @@
  * Test Protocol Module
  * Implements standard audiometric testing protocols with precise Hughson-Westlake rules
  */
+import { RealClock } from '../time/RealClock.js';
+
 export class TestProtocol {
-    constructor() {
+    /**
+     * @param {RealClock|VirtualClock} clock - Time source of validation and export timestamps
+     */
+    constructor(clock = new RealClock()) {
+        this.clock = clock;
         this.protocols = {
             'hughson-westlake': {
                 name: 'Hughson-Westlake Method',
                 description: 'Standard clinical threshold procedure with 2/3 response rule',
+                procedure: 'threshold',     // Run by the AIClinician threshold search
                 initialLevel: 40,           // Start at 40 dB HL
                 stepUp: 10,                 // Increase by 10 dB on no response
                 stepDown: 5,                // Decrease by 5 dB on response
@@ -18,11 +25,17 @@ export class TestProtocol {
                 frequencies: [1000, 2000, 4000, 500, 250, 8000], // Standard sequence
                 earOrder: ['right', 'left'], // Right ear first
                 familiarizationFreq: 1000,  // Familiarization frequency
-                familiarizationLevel: 60    // Familiarization level
+                familiarizationLevel: 60,   // Familiarization level
+                stimulus: {                 // Tone stimulus (see AudioGenerator.setStimulusSettings)
+                    type: 'steady',
+                    rampShape: 'raised-cosine',
+                    rampDuration: 25
+                }
             },
             'modified-hughson-westlake': {
                 name: 'Modified Hughson-Westlake',
                 description: 'Extended frequency range with additional test points',
+                procedure: 'threshold',
                 initialLevel: 40,
                 stepUp: 10,
                 stepDown: 5,
@@ -33,24 +46,109 @@ export class TestProtocol {
                 frequencies: [1000, 2000, 4000, 500, 250, 8000, 6000, 3000, 1500, 750, 125],
                 earOrder: ['right', 'left'],
                 familiarizationFreq: 1000,
-                familiarizationLevel: 60
+                familiarizationLevel: 60,
+                stimulus: {
+                    type: 'pulsed',         // Pulsed tones are easier to detect with tinnitus
+                    rampShape: 'raised-cosine',
+                    rampDuration: 25,
+                    pulse: { onDuration: 200, offDuration: 200, count: 3 }
+                }
+            },
+            'psi': {
+                name: 'Bayesian Adaptive (Psi)',
+                description: 'Psi method: most informative level each trial, ends on a narrow credible interval',
+                procedure: 'threshold',
+                method: 'psi',              // Level choice: 'hughson-westlake' (default) or 'psi'
+                maxLevel: 120,
+                minLevel: -10,
+                responseTimeout: 3000,
+                frequencies: [1000, 2000, 4000, 500, 250, 8000],
+                earOrder: ['right', 'left'],
+                familiarizationFreq: 1000,
+                familiarizationLevel: 60,
+                psi: {                      // See getPsiParams()
+                    levelStep: 2,           // dB - Presentation level spacing
+                    slopes: [0.1, 0.2, 0.35, 0.6, 1.0], // Logistic slope grid (per dB)
+                    guessRate: 0.02,        // Prior guess rate, updated from catch trials
+                    lapseRate: 0.02,        // Misses of clearly audible tones
+                    credibleLevel: 0.95,
+                    targetInterval: 10,     // dB - Credible interval width that ends the search
+                    minTrials: 8,
+                    maxTrials: 30
+                },
+                stimulus: {
+                    type: 'steady',
+                    rampShape: 'raised-cosine',
+                    rampDuration: 25
+                }
+            },
+            'occupational': {
+                name: 'Occupational Hearing Conservation',
+                description: 'Baseline and annual audiograms of noise-exposed workers at 500-6000 Hz (OSHA 29 CFR 1910.95)',
+                procedure: 'threshold',
+                initialLevel: 40,
+                stepUp: 10,
+                stepDown: 5,
+                confirmationRule: '2of3',
+                maxLevel: 120,
+                minLevel: -10,
+                responseTimeout: 3000,
+                frequencies: [1000, 2000, 3000, 4000, 6000, 500], // 1 kHz, the STS frequencies, then down
+                earOrder: ['right', 'left'],
+                familiarizationFreq: 1000,
+                familiarizationLevel: 60,
+                occupational: {             // See getOccupationalParams()
+                    testTypes: ['baseline', 'annual'],
+                    requiredFrequencies: [500, 1000, 2000, 3000, 4000, 6000],
+                    noiseFreePeriod: 14,    // Hours without workplace noise before a baseline (hearing protectors may substitute)
+                    testInterval: 12        // Months to the next annual audiogram
+                },
+                stimulus: {
+                    type: 'steady',
+                    rampShape: 'raised-cosine',
+                    rampDuration: 25
+                }
             },
             'screening': {
                 name: 'Hearing Screening',
                 description: 'Quick pass/fail screening at 25 dB HL',
+                procedure: 'screening',
                 screeningLevel: 25,
+                attemptsPerFrequency: 3,    // Presentations before a frequency counts as not heard
+                responsesToPass: 1,         // Responses needed at a frequency
+                rescreenStep: 10,           // dB added for a rescreen at a higher level
+                maxScreeningLevel: 40,      // Highest rescreen level
                 frequencies: [1000, 2000, 4000],
                 earOrder: ['right', 'left'],
-                responseTimeout: 2000
+                responseTimeout: 2000,
+                stimulus: {
+                    type: 'pulsed',
+                    rampShape: 'raised-cosine',
+                    rampDuration: 25,
+                    pulse: { onDuration: 200, offDuration: 200, count: 3 }
+                }
             },
             'bekesy': {
                 name: 'Békésy Audiometry',
-                description: 'Continuous threshold tracking',
-                initialLevel: 40,
-                stepSize: 2,
-                trackingMode: 'continuous',
+                description: 'Patient-controlled continuous threshold tracking',
+                procedure: 'bekesy',
+                initialLevel: 20,           // Start below most thresholds - the tone rises until heard
+                attenuationRate: 2.5,       // dB/s - Level falls while the button is held, rises while released
+                trackingMode: 'fixed',      // 'fixed' (one run per frequency) or 'sweep' (one run across sweepRange)
+                tones: ['continuous', 'pulsed'], // Every run is tracked with each tone
+                excursionsPerRun: 6,        // Fixed frequency: excursions averaged for the threshold
+                maxRunDuration: 60000,      // ms - Fixed-frequency run limit
+                sweepRange: [250, 8000],    // Hz
+                sweepRate: 1,               // Octaves per minute
+                sweepWindow: 0.5,           // Octaves - Sweep excursions averaged around each frequency
                 frequencies: [500, 1000, 2000, 4000],
-                responseTimeout: 1000
+                earOrder: ['right', 'left'],
+                stimulus: {
+                    type: 'steady',         // Continuous runs; pulsed runs use the pulse on/off times
+                    rampShape: 'raised-cosine',
+                    rampDuration: 25,
+                    pulse: { onDuration: 200, offDuration: 200, count: 3 }
+                }
             }
         };
         
@@ -84,6 +182,23 @@ export class TestProtocol {
         return this.protocols[protocolName] || null;
     }
 
+    /**
+     * Get the procedure that runs a protocol ('threshold', 'screening' or 'bekesy')
+     * Imported protocols without a procedure are threshold searches
+     */
+    getProcedure(protocolName = null) {
+        const protocol = this.getProtocol(protocolName || this.currentProtocol);
+        return protocol?.procedure || 'threshold';
+    }
+
+    /**
+     * Get the level-choice method of a threshold protocol ('hughson-westlake' or 'psi')
+     */
+    getThresholdMethod(protocolName = null) {
+        const protocol = this.getProtocol(protocolName || this.currentProtocol);
+        return protocol?.method || 'hughson-westlake';
+    }
+
     /**
      * Get all available protocols
      */
@@ -140,14 +255,24 @@ export class TestProtocol {
         switch (this.currentProtocol) {
             case 'hughson-westlake':
             case 'modified-hughson-westlake':
+            case 'occupational':
                 avgTimePerFreq = 45; // 45 seconds per frequency
                 break;
+            case 'psi':
+                avgTimePerFreq = 50; // About 15 trials per frequency
+                break;
             case 'screening':
                 avgTimePerFreq = 15; // 15 seconds per frequency
                 break;
-            case 'bekesy':
-                avgTimePerFreq = 90; // 90 seconds per frequency
+            case 'bekesy': {
+                // Each tone is tracked for about 35 s per frequency, or swept once per ear
+                const { trackingMode, tones, sweepRange, sweepRate } = this.getBekesyParams();
+                if (trackingMode === 'sweep') {
+                    return Math.round(numEars * tones.length * Math.log2(sweepRange[1] / sweepRange[0]) / sweepRate);
+                }
+                avgTimePerFreq = 35 * tones.length;
                 break;
+            }
         }
         
         const totalSeconds = numEars * numFreqs * avgTimePerFreq;
@@ -162,7 +287,7 @@ export class TestProtocol {
         
         const validation = {
             valid: typeof response === 'boolean',
-            timestamp: Date.now(),
+            timestamp: this.clock.wallTime(),
             context: context || {},
             protocol: this.currentProtocol
         };
@@ -179,21 +304,41 @@ export class TestProtocol {
      * Check if threshold is confirmed according to protocol rules
      */
     isThresholdConfirmed(responses, level) {
-        const protocol = this.getCurrentProtocol();
+        const rule = this.getConfirmationRule();
         
-        if (protocol.confirmationRule === '2of3') {
-            // Count responses at this specific level
-            const responsesAtLevel = responses.filter(r => r.level === level);
-            
-            if (responsesAtLevel.length >= 3) {
-                const positiveResponses = responsesAtLevel.filter(r => r.response).length;
-                return positiveResponses >= 2; // 2 out of 3 rule
-            }
+        // Count responses at this specific level
+        const responsesAtLevel = responses.filter(r => r.level === level);
+        
+        if (responsesAtLevel.length >= rule.presentations) {
+            const positiveResponses = responsesAtLevel.filter(r => r.response).length;
+            return positiveResponses >= rule.required; // e.g. 2 out of 3 rule
         }
         
         return false;
     }
 
+    /**
+     * Parse a protocol's confirmation rule ('2of3' = 2 responses out of 3 presentations at one level)
+     * @param {string} rule - Rule string (defaults to the current protocol's rule, then '2of3')
+     * @returns {Object} { rule, required, presentations, label }
+     */
+    getConfirmationRule(rule = this.getCurrentProtocol().confirmationRule) {
+        const match = /^(\d+)of(\d+)$/.exec(rule || '2of3');
+        const required = match ? parseInt(match[1], 10) : 0;
+        const presentations = match ? parseInt(match[2], 10) : 0;
+        
+        if (required < 1 || required > presentations) {
+            throw new Error(`Invalid confirmation rule: ${rule} (expected e.g. '2of3')`);
+        }
+        
+        return {
+            rule: `${required}of${presentations}`,
+            required,
+            presentations,
+            label: `${required} out of ${presentations}`
+        };
+    }
+
     /**
      * Get next level according to protocol rules
      */
@@ -231,6 +376,200 @@ export class TestProtocol {
         };
     }
 
+    /**
+     * Get screening parameters (fixed-level pass/refer protocols)
+     * @param {string} protocolName - Protocol id (defaults to the current protocol)
+     * @returns {Object} { level, attemptsPerFrequency, responsesToPass, rescreenStep, maxLevel }
+     */
+    getScreeningParams(protocolName = null) {
+        const protocol = this.getProtocol(protocolName || this.currentProtocol) || {};
+        const level = protocol.screeningLevel ?? 25;
+        const attemptsPerFrequency = protocol.attemptsPerFrequency ?? 3;
+        
+        return {
+            level,
+            attemptsPerFrequency,
+            responsesToPass: Math.min(protocol.responsesToPass ?? 1, attemptsPerFrequency),
+            rescreenStep: protocol.rescreenStep ?? 10,
+            maxLevel: Math.max(protocol.maxScreeningLevel ?? 40, level)
+        };
+    }
+
+    /**
+     * Get psi method parameters (Bayesian adaptive threshold search)
+     * @param {string} protocolName - Protocol id (defaults to the current protocol)
+     * @returns {Object} { levelStep, slopes, guessRate, lapseRate, credibleLevel, targetInterval, minTrials, maxTrials }
+     */
+    getPsiParams(protocolName = null) {
+        const protocol = this.getProtocol(protocolName || this.currentProtocol) || {};
+        return this.parsePsiParams(protocol.psi);
+    }
+
+    /**
+     * Fill in and validate a protocol's psi entry
+     * @param {Object} psi - Protocol psi entry (missing fields take the defaults)
+     * @returns {Object} Psi parameters (see getPsiParams())
+     */
+    parsePsiParams(psi = {}) {
+        const levelStep = psi.levelStep ?? 2;
+        const slopes = psi.slopes ?? [0.1, 0.2, 0.35, 0.6, 1.0];
+        const guessRate = psi.guessRate ?? 0.02;
+        const lapseRate = psi.lapseRate ?? 0.02;
+        const credibleLevel = psi.credibleLevel ?? 0.95;
+        
+        if (!(levelStep > 0) || slopes.length === 0 || !slopes.every(slope => slope > 0)) {
+            throw new Error('Invalid psi parameters: level step and slopes must be greater than 0');
+        }
+        if (guessRate < 0 || lapseRate < 0 || guessRate + lapseRate >= 1) {
+            throw new Error('Invalid psi parameters: guess and lapse rates must be 0 or more and add up to less than 1');
+        }
+        if (!(credibleLevel > 0 && credibleLevel < 1)) {
+            throw new Error(`Invalid psi credible level: ${credibleLevel} (expected e.g. 0.95)`);
+        }
+        
+        return {
+            levelStep,
+            slopes: [...slopes],
+            guessRate,
+            lapseRate,
+            credibleLevel,
+            targetInterval: psi.targetInterval ?? 10,
+            minTrials: psi.minTrials ?? 8,
+            maxTrials: Math.max(psi.maxTrials ?? 30, psi.minTrials ?? 8)
+        };
+    }
+
+    /**
+     * Get Békésy tracking parameters (patient-controlled continuous tracking)
+     * @param {string} protocolName - Protocol id (defaults to the current protocol)
+     * @returns {Object} { attenuationRate, trackingMode, tones, excursionsPerRun, maxRunDuration, sweepRange, sweepRate, sweepWindow }
+     */
+    getBekesyParams(protocolName = null) {
+        const protocol = this.getProtocol(protocolName || this.currentProtocol) || {};
+        const trackingMode = protocol.trackingMode ?? 'fixed';
+        const tones = protocol.tones ?? ['continuous', 'pulsed'];
+        const sweepRange = protocol.sweepRange ?? [250, 8000];
+        
+        if (!['fixed', 'sweep'].includes(trackingMode)) {
+            throw new Error(`Invalid Békésy tracking mode: ${trackingMode} (use 'fixed' or 'sweep')`);
+        }
+        if (tones.length === 0 || !tones.every(tone => ['continuous', 'pulsed'].includes(tone))) {
+            throw new Error("Invalid Békésy tones: use 'continuous' and/or 'pulsed'");
+        }
+        if (!(sweepRange[0] > 0 && sweepRange[1] > sweepRange[0])) {
+            throw new Error('Invalid Békésy sweep range: expected [low, high] in Hz');
+        }
+        
+        return {
+            attenuationRate: protocol.attenuationRate ?? 2.5,
+            trackingMode,
+            tones: [...tones],
+            excursionsPerRun: protocol.excursionsPerRun ?? 6,
+            maxRunDuration: protocol.maxRunDuration ?? 60000,
+            sweepRange: [...sweepRange],
+            sweepRate: protocol.sweepRate ?? 1,
+            sweepWindow: protocol.sweepWindow ?? 0.5
+        };
+    }
+
+    /**
+     * Get hearing conservation parameters (occupational protocols)
+     * @param {string} protocolName - Protocol id (defaults to the current protocol)
+     * @returns {Object|null} { testTypes, requiredFrequencies, noiseFreePeriod, testInterval }, or null for a clinical protocol
+     */
+    getOccupationalParams(protocolName = null) {
+        const protocol = this.getProtocol(protocolName || this.currentProtocol);
+        if (!protocol?.occupational) return null;
+        
+        const occupational = protocol.occupational;
+        return {
+            testTypes: [...(occupational.testTypes ?? ['baseline', 'annual'])],
+            requiredFrequencies: [...(occupational.requiredFrequencies ?? protocol.frequencies)].sort((a, b) => a - b),
+            noiseFreePeriod: occupational.noiseFreePeriod ?? 14,
+            testInterval: occupational.testInterval ?? 12
+        };
+    }
+
+    /**
+     * Whether a baseline test may count on the worker's noise-free period
+     * @param {Object} patientInfo - TestSession.patientInfo, with occupational.noiseFree: { hours, attested, override }
+     * @param {string} protocolName - Protocol id (defaults to the current protocol)
+     * @returns {string|null} 'met' (attested, long enough), 'overridden' (a reason is recorded), 'missing',
+     *                        or null for an annual test or a clinical protocol
+     */
+    getNoiseFreeStatus(patientInfo, protocolName = null) {
+        const params = this.getOccupationalParams(protocolName);
+        if (!params || patientInfo?.occupational?.testType !== 'baseline') return null;
+        
+        const noiseFree = patientInfo.occupational.noiseFree || {};
+        if (noiseFree.attested && noiseFree.hours >= params.noiseFreePeriod) return 'met';
+        return noiseFree.override?.trim() ? 'overridden' : 'missing';
+    }
+
+    /**
+     * Check that a session can start an occupational test: a worker ID, a test type and, for a
+     * baseline, the attested noise-free period or a recorded override
+     * @param {Object} patientInfo - TestSession.patientInfo, with occupational: { testType, noiseFree, ... }
+     * @param {string} protocolName - Protocol id (defaults to the current protocol)
+     * @returns {Array<string>} Problems found (empty when the test can start, or for a clinical protocol)
+     */
+    validateOccupationalInfo(patientInfo, protocolName = null) {
+        const params = this.getOccupationalParams(protocolName);
+        if (!params) return [];
+        
+        const problems = [];
+        if (!patientInfo?.id) {
+            problems.push('An occupational test needs the worker\'s patient ID');
+        }
+        const testType = patientInfo?.occupational?.testType;
+        if (!params.testTypes.includes(testType)) {
+            problems.push(`An occupational test needs a test type (${params.testTypes.join(' or ')})`);
+        }
+        if (this.getNoiseFreeStatus(patientInfo, protocolName) === 'missing') {
+            problems.push(`A baseline test needs the worker's attestation of ${params.noiseFreePeriod} hours without workplace noise, or an override reason`);
+        }
+        return problems;
+    }
+
+    /**
+     * Get tone stimulus settings for a protocol
+     * @param {string} protocolName - Protocol id (defaults to the current protocol)
+     * @returns {Object} Settings for AudioGenerator.setStimulusSettings()
+     */
+    getStimulusSettings(protocolName = null) {
+        const protocol = this.getProtocol(protocolName || this.currentProtocol);
+        const stimulus = protocol?.stimulus || { type: 'steady' };
+        
+        return {
+            ...stimulus,
+            ...(stimulus.pulse && { pulse: { ...stimulus.pulse } }),
+            ...(stimulus.warble && { warble: { ...stimulus.warble } })
+        };
+    }
+
+    /**
+     * Change the tone stimulus for a protocol (merged into its existing settings)
+     * @param {Object} settings - { type, rampShape, rampDuration, pulse, warble }
+     * @param {string} protocolName - Protocol id (defaults to the current protocol)
+     */
+    setStimulusSettings(settings, protocolName = null) {
+        const name = protocolName || this.currentProtocol;
+        const protocol = this.protocols[name];
+        if (!protocol) {
+            throw new Error(`Unknown protocol: ${name}`);
+        }
+        
+        const current = protocol.stimulus || {};
+        protocol.stimulus = {
+            ...current,
+            ...settings,
+            ...((current.pulse || settings.pulse) && { pulse: { ...current.pulse, ...settings.pulse } }),
+            ...((current.warble || settings.warble) && { warble: { ...current.warble, ...settings.warble } })
+        };
+        
+        console.log(`📋 ${protocol.name} stimulus: ${protocol.stimulus.type}`);
+    }
+
     /**
      * Export protocol configuration
      */
@@ -243,7 +582,7 @@ export class TestProtocol {
         return {
             name,
             ...protocol,
-            exportedAt: new Date().toISOString()
+            exportedAt: new Date(this.clock.wallTime()).toISOString()
         };
     }
 
@@ -254,6 +593,23 @@ export class TestProtocol {
         if (!protocolData.name || !protocolData.frequencies) {
             throw new Error('Invalid protocol data: missing required fields');
         }
+        if (!Array.isArray(protocolData.frequencies) || protocolData.frequencies.length === 0 ||
+            !protocolData.frequencies.every(freq => Number.isFinite(freq) && freq > 0)) {
+            throw new Error('Invalid protocol data: frequencies must be a list of frequencies in Hz');
+        }
+        if (protocolData.earOrder && (!Array.isArray(protocolData.earOrder) || protocolData.earOrder.length === 0 ||
+            !protocolData.earOrder.every(ear => ['left', 'right'].includes(ear)))) {
+            throw new Error("Invalid protocol data: earOrder must list 'right' and/or 'left'");
+        }
+        if (protocolData.confirmationRule) {
+            this.getConfirmationRule(protocolData.confirmationRule);
+        }
+        if (protocolData.method && !['hughson-westlake', 'psi'].includes(protocolData.method)) {
+            throw new Error(`Invalid protocol data: unknown method ${protocolData.method} (use 'hughson-westlake' or 'psi')`);
+        }
+        if (protocolData.method === 'psi') {
+            this.parsePsiParams(protocolData.psi);
+        }
         
         const protocolId = protocolData.name.toLowerCase().replace(/\s+/g, '-');
         this.protocols[protocolId] = { ...protocolData };
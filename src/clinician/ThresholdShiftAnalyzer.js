@@ -0,0 +1,291 @@
+/**
+ * Threshold Shift Analyzer
+ * Longitudinal comparison of one patient's audiograms for hearing conservation programmes
+ *
+ * Each ear is compared with its baseline: the first session that measured every STS frequency.
+ * A standard threshold shift (STS, OSHA 29 CFR 1910.95) is an average change of 10 dB or more at
+ * 2000, 3000 and 4000 Hz relative to the baseline, optionally after allowing for the hearing loss
+ * expected from ageing (Appendix F). The baseline is revised when an STS persists on the next test,
+ * or when hearing improves on consecutive tests, and a designated baseline test of a hearing
+ * conservation programme replaces it. An STS is recordable (OSHA 29 CFR 1904.10) when the ear's
+ * hearing level also averages 25 dB HL or more at the STS frequencies
+ */
+export class ThresholdShiftAnalyzer {
+    constructor() {
+        this.STS_CRITERION = {
+            frequencies: [2000, 3000, 4000],
+            averageShift: 10            // dB poorer than the baseline, averaged over the frequencies
+        };
+
+        // 29 CFR 1904.10: an STS is recorded on the OSHA 300 log when the measured hearing level
+        // (not age-corrected) also averages this much at the STS frequencies
+        this.RECORDABLE_CRITERION = {
+            averageLevel: 25            // dB HL
+        };
+
+        this.REVISION_RULES = {
+            persistentShiftTests: 2,    // Consecutive tests with the STS; the later becomes the baseline
+            improvement: 5,             // dB average improvement at the STS frequencies...
+            improvementTests: 2         // ...on consecutive tests; the later becomes the baseline
+        };
+
+        // OSHA 29 CFR 1910.95 Appendix F, Tables F-1 and F-2: presbycusis values (dB) at
+        // 1000, 2000, 3000, 4000 and 6000 Hz, one row per year of age from 20 (or younger) to 60 (or older)
+        this.AGE_CORRECTION_FREQUENCIES = [1000, 2000, 3000, 4000, 6000];
+        this.AGE_RANGE = { min: 20, max: 60 };
+        this.AGE_CORRECTION = {
+            male: [
+                [5, 3, 4, 5, 8], [5, 3, 4, 5, 8], [5, 3, 4, 5, 8], [5, 3, 4, 6, 9], [5, 3, 5, 6, 9],
+                [5, 3, 5, 7, 10], [5, 4, 5, 7, 10], [5, 4, 6, 7, 11], [6, 4, 6, 8, 11], [6, 4, 6, 8, 12],
+                [6, 4, 6, 9, 12], [6, 4, 7, 9, 13], [6, 5, 7, 10, 14], [6, 5, 7, 10, 14], [6, 5, 8, 11, 15],
+                [7, 5, 8, 11, 15], [7, 5, 9, 12, 16], [7, 6, 9, 12, 17], [7, 6, 9, 13, 17], [7, 6, 10, 14, 18],
+                [7, 6, 10, 14, 19], [7, 6, 10, 14, 20], [8, 7, 11, 16, 20], [8, 7, 12, 16, 21], [8, 7, 12, 17, 22],
+                [8, 7, 13, 18, 23], [8, 8, 13, 19, 24], [8, 8, 14, 19, 24], [9, 8, 14, 20, 25], [9, 9, 15, 21, 26],
+                [9, 9, 16, 22, 27], [9, 9, 16, 23, 28], [9, 10, 17, 24, 29], [9, 10, 18, 25, 30], [10, 10, 18, 26, 31],
+                [10, 11, 19, 27, 32], [10, 11, 20, 28, 34], [10, 11, 21, 29, 35], [10, 12, 22, 31, 36], [11, 12, 22, 32, 37],
+                [11, 13, 23, 33, 38]
+            ],
+            female: [
+                [7, 4, 3, 3, 6], [7, 4, 4, 4, 6], [7, 4, 4, 4, 6], [7, 5, 4, 4, 7], [7, 5, 4, 4, 7],
+                [8, 5, 4, 4, 7], [8, 5, 5, 4, 8], [8, 5, 5, 5, 8], [8, 5, 5, 5, 8], [8, 5, 5, 5, 9],
+                [8, 6, 5, 5, 9], [8, 6, 6, 5, 9], [9, 6, 6, 6, 10], [9, 6, 6, 6, 10], [9, 6, 6, 6, 10],
+                [9, 6, 7, 7, 11], [9, 7, 7, 7, 11], [9, 7, 7, 7, 12], [10, 7, 7, 7, 12], [10, 7, 8, 8, 12],
+                [10, 7, 8, 8, 13], [10, 8, 8, 8, 13], [10, 8, 9, 9, 13], [11, 8, 9, 9, 14], [11, 8, 9, 9, 14],
+                [11, 8, 10, 10, 15], [11, 9, 10, 10, 15], [11, 9, 10, 11, 16], [12, 9, 11, 11, 16], [12, 9, 11, 11, 16],
+                [12, 10, 11, 12, 17], [12, 10, 12, 12, 17], [12, 10, 12, 13, 18], [13, 10, 13, 13, 18], [13, 11, 13, 14, 19],
+                [13, 11, 14, 14, 19], [13, 11, 14, 15, 20], [13, 11, 15, 15, 20], [14, 12, 15, 16, 21], [14, 12, 16, 16, 21],
+                [14, 12, 16, 17, 22]
+            ]
+        };
+    }
+
+    // ==================== ANALYSIS ====================
+
+    /**
+     * Compare two or more sessions of one patient
+     * @param {Array<TestSession>} sessions - The patient's sessions; ordered by date (same-day sessions keep their order)
+     * @param {Object} patientInfo - { id, dateOfBirth, sex } - age correction needs the date of birth and sex
+     * @param {Object} options - { ageCorrection } false compares the measured thresholds only
+     * @returns {Object} { patientId, ageCorrection, notes, audiograms, ears: { right, left } }
+     */
+    analyze(sessions, patientInfo = {}, { ageCorrection = true } = {}) {
+        if (sessions.length < 2) {
+            throw new Error('A threshold shift comparison needs two or more sessions');
+        }
+        const patientIds = new Set(sessions.map(session => session.patientInfo?.id || null));
+        if (patientIds.size > 1) {
+            throw new Error('Sessions of different patients cannot be compared');
+        }
+
+        const notes = [];
+        const sex = this.AGE_CORRECTION[patientInfo.sex] ? patientInfo.sex : null;
+        const ageCorrected = ageCorrection && Boolean(sex && patientInfo.dateOfBirth);
+        if (ageCorrection && !ageCorrected) {
+            notes.push('Age correction not applied: it needs the date of birth and sex');
+        }
+
+        const audiograms = sessions
+            .map(session => this.toAudiogram(session, patientInfo.dateOfBirth))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        return {
+            patientId: [...patientIds][0],
+            ageCorrection: ageCorrected ? sex : null,
+            notes,
+            audiograms,
+            ears: {
+                right: this.analyzeEar(audiograms, 'right', ageCorrected ? sex : null),
+                left: this.analyzeEar(audiograms, 'left', ageCorrected ? sex : null)
+            }
+        };
+    }
+
+    /**
+     * Air-conduction thresholds of a session by ear and frequency (no-response thresholds left out)
+     * @returns {Object} { sessionId, date (YYYY-MM-DD test date), age, testType ('baseline', 'annual' or null), thresholds: { right: { 1000: 15, ... }, left } }
+     */
+    toAudiogram(session, dateOfBirth = null) {
+        const date = session.patientInfo?.testDate || new Date(session.startTime).toISOString().slice(0, 10);
+        const all = session.getAllThresholds();
+        const thresholds = {};
+
+        ['right', 'left'].forEach(ear => {
+            thresholds[ear] = {};
+            Object.entries(all[ear] || {}).forEach(([frequency, data]) => {
+                // A no-response holds the output limit as its threshold, which is not a hearing level
+                if (typeof data?.threshold === 'number' && !data.noResponse) {
+                    thresholds[ear][Number(frequency)] = data.threshold;
+                }
+            });
+        });
+
+        return {
+            sessionId: session.sessionId,
+            date,
+            age: dateOfBirth ? this.getAge(dateOfBirth, date) : null,
+            testType: session.patientInfo?.occupational?.testType || null,
+            thresholds
+        };
+    }
+
+    /**
+     * Compare each session with the baseline in effect, revising the baseline as the rules allow
+     * @param {Array<Object>} audiograms - From toAudiogram(), by date
+     * @param {string} ear - 'right' or 'left'
+     * @param {string|null} sex - Age-correction table, or null without age correction
+     * @returns {Object} { baseline, comparisons, revisions, latest }
+     */
+    analyzeEar(audiograms, ear, sex) {
+        const isComplete = audiogram => this.STS_CRITERION.frequencies.every(frequency => frequency in audiogram.thresholds[ear]);
+        let baselineIndex = audiograms.findIndex(isComplete);
+        if (baselineIndex === -1) {
+            baselineIndex = audiograms.findIndex(audiogram => Object.keys(audiogram.thresholds[ear]).length > 0);
+        }
+        if (baselineIndex === -1) {
+            return { baseline: null, comparisons: [], revisions: [], latest: null };
+        }
+
+        const { persistentShiftTests, improvement, improvementTests } = this.REVISION_RULES;
+        const comparisons = [];
+        const revisions = [];
+        let streak = { shift: 0, improvement: 0 };
+
+        for (let index = baselineIndex + 1; index < audiograms.length; index++) {
+            const baseline = audiograms[baselineIndex];
+            const current = audiograms[index];
+            const comparison = this.compare(baseline, audiograms[index - 1], current, ear, sex);
+            comparisons.push(comparison);
+
+            // A designated baseline test starts a new baseline; its shift is not an STS
+            const isBaselineTest = current.testType === 'baseline' && isComplete(current);
+            if (isBaselineTest) {
+                comparison.sts = false;
+                comparison.recordable = false;
+            }
+
+            if (comparison.assessable && !isBaselineTest) {
+                streak = {
+                    shift: comparison.sts ? streak.shift + 1 : 0,
+                    improvement: comparison.averageShift <= -improvement ? streak.improvement + 1 : 0
+                };
+            } else {
+                streak = { shift: 0, improvement: 0 };
+            }
+
+            let reason = null;
+            if (isBaselineTest) {
+                reason = 'baseline-test';
+            } else if (!isComplete(baseline) && isComplete(current)) {
+                reason = 'incomplete-baseline';
+            } else if (streak.shift >= persistentShiftTests) {
+                reason = 'persistent-shift';
+            } else if (streak.improvement >= improvementTests) {
+                reason = 'improvement';
+            }
+
+            if (reason) {
+                comparison.revisesBaseline = reason;
+                revisions.push({
+                    sessionId: comparison.sessionId,
+                    date: comparison.date,
+                    reason,
+                    previousBaseline: { sessionId: baseline.sessionId, date: baseline.date }
+                });
+                baselineIndex = index;
+                streak = { shift: 0, improvement: 0 };
+            }
+        }
+
+        const baseline = audiograms[baselineIndex];
+        return {
+            baseline: { sessionId: baseline.sessionId, date: baseline.date },
+            comparisons,
+            revisions,
+            latest: comparisons.at(-1) ?? null
+        };
+    }
+
+    /**
+     * One session against the baseline (STS) and the session before it (change since last test)
+     * @returns {Object} Per-frequency shifts (positive: poorer), the STS average, the STS flag and recordability
+     */
+    compare(baseline, previous, current, ear, sex = null) {
+        const frequencies = this.STS_CRITERION.frequencies;
+        const shifts = this.getShifts(baseline.thresholds[ear], current.thresholds[ear]);
+        const missingFrequencies = frequencies.filter(frequency => !(frequency in shifts));
+        const assessable = missingFrequencies.length === 0;
+
+        const ageCorrections = assessable && sex && baseline.age !== null && current.age !== null
+            ? Object.fromEntries(frequencies.map(frequency => [
+                frequency,
+                this.getAgeCorrection(sex, current.age, frequency) - this.getAgeCorrection(sex, baseline.age, frequency)
+            ]))
+            : null;
+        const averageShift = assessable ? this.average(frequencies.map(frequency => shifts[frequency])) : null;
+        const correctedShift = ageCorrections
+            ? this.average(frequencies.map(frequency => shifts[frequency] - ageCorrections[frequency]))
+            : averageShift;
+        const hearingLevel = assessable ? this.average(frequencies.map(frequency => current.thresholds[ear][frequency])) : null;
+        const sts = assessable && correctedShift >= this.STS_CRITERION.averageShift;
+
+        return {
+            sessionId: current.sessionId,
+            date: current.date,
+            baseline: { sessionId: baseline.sessionId, date: baseline.date },
+            shifts,
+            previousShifts: this.getShifts(previous.thresholds[ear], current.thresholds[ear]),
+            assessable,
+            missingFrequencies,
+            averageShift,
+            ageCorrections,
+            correctedShift,
+            sts,
+            hearingLevel,
+            recordable: sts && hearingLevel >= this.RECORDABLE_CRITERION.averageLevel,
+            revisesBaseline: null
+        };
+    }
+
+    /**
+     * @returns {Object} Shift (dB, positive: poorer) at every frequency measured in both
+     */
+    getShifts(reference, current) {
+        const shifts = {};
+        Object.entries(current).forEach(([frequency, level]) => {
+            if (frequency in reference) {
+                shifts[frequency] = level - reference[frequency];
+            }
+        });
+        return shifts;
+    }
+
+    average(values) {
+        return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+    }
+
+    // ==================== AGE CORRECTION ====================
+
+    /**
+     * @param {string} dateOfBirth - ISO date
+     * @param {string} date - Test date (YYYY-MM-DD)
+     * @returns {number} Age in whole years on the test date
+     */
+    getAge(dateOfBirth, date) {
+        const birth = new Date(dateOfBirth);
+        const test = new Date(date);
+        const hadBirthday = test.getUTCMonth() > birth.getUTCMonth() ||
+            (test.getUTCMonth() === birth.getUTCMonth() && test.getUTCDate() >= birth.getUTCDate());
+        return test.getUTCFullYear() - birth.getUTCFullYear() - (hadBirthday ? 0 : 1);
+    }
+
+    /**
+     * @param {string} sex - 'male' or 'female'
+     * @param {number} age - Years (outside 20 to 60 the end rows apply)
+     * @param {number} frequency - One of AGE_CORRECTION_FREQUENCIES
+     * @returns {number} Presbycusis value (dB)
+     */
+    getAgeCorrection(sex, age, frequency) {
+        const row = Math.max(this.AGE_RANGE.min, Math.min(this.AGE_RANGE.max, Math.floor(age))) - this.AGE_RANGE.min;
+        return this.AGE_CORRECTION[sex][row][this.AGE_CORRECTION_FREQUENCIES.indexOf(frequency)];
+    }
+}
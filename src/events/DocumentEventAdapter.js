@@ -0,0 +1,60 @@
+/**
+ * Document Event Adapter
+ * Browser wiring of an EventBus: every bus event is re-dispatched on `document` as a CustomEvent
+ * (detail = payload), and the listed document events (the patient button) are emitted on the bus
+ *
+ * Page code that listens with document.addEventListener keeps working unchanged
+ */
+export class DocumentEventAdapter {
+    /**
+     * @param {EventBus} eventBus
+     * @param {Object} options
+     * @param {EventTarget} options.target - Usually `document`
+     * @param {Array<string>} options.inbound - Event types passed from the target to the bus
+     */
+    constructor(eventBus, { target = document, inbound = ['patient-response', 'patient-release'] } = {}) {
+        this.eventBus = eventBus;
+        this.target = target;
+        this.inbound = inbound;
+
+        this.relaying = null;           // Type being passed across - stops it bouncing back
+        this.unsubscribe = null;
+        this.onTargetEvent = (event) => this.handleTargetEvent(event);
+    }
+
+    connect() {
+        if (this.unsubscribe) return;
+
+        this.unsubscribe = this.eventBus.onAny(envelope => this.handleBusEvent(envelope));
+        this.inbound.forEach(type => this.target.addEventListener(type, this.onTargetEvent));
+        console.log(`🔌 Event bus connected to the page (${this.inbound.join(', ')} in)`);
+    }
+
+    disconnect() {
+        if (!this.unsubscribe) return;
+
+        this.unsubscribe();
+        this.unsubscribe = null;
+        this.inbound.forEach(type => this.target.removeEventListener(type, this.onTargetEvent));
+    }
+
+    handleBusEvent({ type, payload }) {
+        if (type === this.relaying) return;
+        this.relay(type, () => this.target.dispatchEvent(new CustomEvent(type, { detail: payload })));
+    }
+
+    handleTargetEvent(event) {
+        if (event.type === this.relaying) return;
+        this.relay(event.type, () => this.eventBus.emit(event.type, event.detail));
+    }
+
+    relay(type, deliver) {
+        const previous = this.relaying;
+        this.relaying = type;
+        try {
+            deliver();
+        } finally {
+            this.relaying = previous;
+        }
+    }
+}
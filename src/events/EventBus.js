@@ -0,0 +1,124 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe channel between the clinical core and whatever hosts it
+ *
+ * The clinician, detectors, session and plotters emit and listen here instead of on `document`,
+ * so the same logic runs in a page, a Web Worker, an iframe or Node. Adapters connect a bus to its
+ * host (DocumentEventAdapter for the page, MessageEventAdapter for workers and frames).
+ * Delivery is synchronous, like document.dispatchEvent, and one failing handler does not stop the others
+ */
+import { EventCatalogue } from './EventCatalogue.js';
+import { RealClock } from '../time/RealClock.js';
+
+export class EventBus {
+    /**
+     * @param {Object} options
+     * @param {EventCatalogue} options.catalogue - Payload schemas
+     * @param {string} options.validation - 'warn' (log schema problems and uncatalogued events once), 'throw' or 'off'
+     * @param {RealClock|VirtualClock} options.clock - Time source of the envelope timestamps
+     */
+    constructor({ catalogue = new EventCatalogue(), validation = 'warn', clock = new RealClock() } = {}) {
+        if (!['warn', 'throw', 'off'].includes(validation)) {
+            throw new Error(`Unknown event validation mode: ${validation} (use 'warn', 'throw' or 'off')`);
+        }
+
+        this.catalogue = catalogue;
+        this.validation = validation;
+        this.clock = clock;
+        this.handlers = new Map();      // Event type -> Set of handlers
+        this.anyHandlers = new Set();   // Handlers of every event (adapters, loggers)
+        this.reportedProblems = new Set();
+    }
+
+    /**
+     * Listen for one event type
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with (payload, envelope)
+     * @returns {Function} Unsubscribe
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.handlers.get(type)?.delete(handler);
+    }
+
+    /**
+     * Listen for the next event of a type only
+     * @returns {Function} Unsubscribe
+     */
+    once(type, handler) {
+        const wrapper = (payload, envelope) => {
+            this.off(type, wrapper);
+            handler(payload, envelope);
+        };
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Listen for every event
+     * @param {Function} handler - Called with the envelope { type, version, payload, timestamp }
+     * @returns {Function} Unsubscribe
+     */
+    onAny(handler) {
+        this.anyHandlers.add(handler);
+        return () => this.anyHandlers.delete(handler);
+    }
+
+    /**
+     * Deliver an event to its handlers
+     * @param {string} type - Event type
+     * @param {*} payload - Event payload (the CustomEvent detail in the browser)
+     * @returns {Object} Envelope { type, version, payload, timestamp }
+     */
+    emit(type, payload = null) {
+        this.checkPayload(type, payload);
+
+        const envelope = {
+            type,
+            version: this.catalogue.getVersion(type),
+            payload,
+            timestamp: this.clock.wallTime()
+        };
+
+        [...(this.handlers.get(type) || [])].forEach(handler => {
+            this.callHandler(() => handler(payload, envelope), type);
+        });
+        [...this.anyHandlers].forEach(handler => {
+            this.callHandler(() => handler(envelope), type);
+        });
+
+        return envelope;
+    }
+
+    callHandler(call, type) {
+        try {
+            call();
+        } catch (error) {
+            console.error(`❌ ${type} handler failed:`, error);
+        }
+    }
+
+    checkPayload(type, payload) {
+        if (this.validation === 'off') return;
+
+        const problems = this.catalogue.validate(type, payload);
+        if (problems.length === 0) return;
+
+        const version = this.catalogue.getVersion(type);
+        const schema = version === null ? 'uncatalogued' : `v${version}`;
+        if (this.validation === 'throw') {
+            throw new Error(`Invalid ${type} payload (${schema}): ${problems.join('; ')}`);
+        }
+        problems.forEach(problem => {
+            if (this.reportedProblems.has(problem)) return;
+            this.reportedProblems.add(problem);
+            console.warn(`⚠️ Event schema: ${problem} (${schema})`);
+        });
+    }
+}
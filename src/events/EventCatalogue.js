@@ -0,0 +1,398 @@
+/**
+ * Event Catalogue
+ * Versioned payload schemas of the events the clinical core emits and listens for.
+ * An event type outside the catalogue fails validation, so every bus event needs a schema here
+ *
+ * Field types: 'number', 'string', 'boolean', 'object', 'array' or 'date', joined with '|'
+ * (e.g. 'number|null'). A trailing '?' marks a field that may be missing. Payloads may carry
+ * fields that are not listed; a new required field or a changed type needs a new version
+ */
+export class EventCatalogue {
+    constructor() {
+        this.events = {
+            'clinician-state-change': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'The state machine entered a new state',
+                fields: {
+                    state: 'string',
+                    ear: 'string?',             // Missing once the test plan is complete
+                    frequency: 'number?',
+                    level: 'number'
+                }
+            },
+            'clinical-decision': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'A decision was logged (decisionLog entry with its explanation)',
+                fields: {
+                    type: 'string',
+                    timestamp: 'string',        // ISO 8601
+                    state: 'string',
+                    ear: 'string?',
+                    frequency: 'number?',
+                    level: 'number',
+                    reason: 'string?',
+                    explanation: 'object'
+                }
+            },
+            'tone-presented': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'A tone started (threshold, masking, screening, familiarization or tone catch trial)',
+                fields: {
+                    frequency: 'number',
+                    level: 'number',            // dB HL; below 0 on a −5 dB HL catch trial
+                    ear: 'string',              // 'right', 'left' or 'both' (familiarization)
+                    duration: 'number',         // ms
+                    isCatchTrial: 'boolean',
+                    conduction: 'string',       // 'air' or 'bone'
+                    masking: 'object|null',     // { ear, levelDbEm, type } in the non-test ear
+                    stimulus: 'string?'         // Stimulus type, when the audio engine reports one
+                }
+            },
+            'threshold-established': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'A threshold was recorded for an ear and frequency',
+                fields: {
+                    ear: 'string',
+                    frequency: 'number',
+                    threshold: 'number|null',   // null: no response at the output limit
+                    confidence: 'number?',
+                    bone: 'boolean?',
+                    conduction: 'string?',
+                    masked: 'boolean?',
+                    interval: 'object|null?',   // { lower, upper, level }
+                    fit: 'object|null?',        // PsychometricFitter result
+                    decision: 'object?',
+                    timestamp: 'number'         // Date.now()
+                }
+            },
+            'catch-trial-completed': {
+                version: 1,
+                emittedBy: 'FalseResponseDetector',
+                description: 'A catch trial ended',
+                fields: {
+                    type: 'string',             // 'SILENCE', 'DELAYED_SILENCE', ...
+                    parameters: 'object?',
+                    response: 'boolean',
+                    reactionTime: 'number|null',
+                    timestamp: 'number',        // performance.now()
+                    frequency: 'number|null',
+                    ear: 'string|null',
+                    expectedResponse: 'boolean'
+                }
+            },
+            'test-completed': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'The test plan finished; the payload is the final report',
+                fields: {
+                    protocol: 'string',
+                    protocolId: 'string',
+                    frequencies: 'array',
+                    earOrder: 'array',
+                    testResults: 'object',      // { 'right_1000': thresholdData, 'left_500_bone': ... }
+                    testDuration: 'number',     // ms
+                    summary: 'object',
+                    reliability: 'number'
+                }
+            },
+            'test-stopped': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'The test was stopped before the plan finished',
+                fields: {
+                    reason: 'string',
+                    partialResults: 'object'
+                }
+            },
+            'test-paused': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'The test was paused; audio is off and the test position is held',
+                fields: {
+                    state: 'string',
+                    ear: 'string?',
+                    frequency: 'number?',
+                    level: 'number',
+                    reason: 'string'
+                }
+            },
+            'test-resumed': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'A paused test resumed; the patient is re-familiarized before the held trial',
+                fields: {
+                    state: 'string',
+                    pausedFor: 'number'         // ms
+                }
+            },
+            'test-recovered': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'An interrupted test was restored from its checkpoint and continues at the frequency it was on',
+                fields: {
+                    savedAt: 'string',          // ISO 8601, start of that frequency
+                    ear: 'string',
+                    frequency: 'number|null',   // null for a Békésy sweep run
+                    conduction: 'string',
+                    testResults: 'object'       // Results kept, keyed like the final report
+                }
+            },
+            'patient-response': {
+                version: 1,
+                emittedBy: 'Patient button, VirtualPatient',
+                description: 'The patient pressed the response button',
+                fields: {
+                    timestamp: 'number',        // Press time on the performance.now() clock
+                    source: 'string?',          // 'button', 'virtual-patient', ...
+                    falseAlarm: 'boolean?'      // VirtualPatient: spontaneous press
+                }
+            },
+            'patient-release': {
+                version: 1,
+                emittedBy: 'Patient button, VirtualPatient',
+                description: 'The patient released the response button (Békésy tracking)',
+                fields: {
+                    timestamp: 'number',        // Release time on the performance.now() clock
+                    source: 'string?'
+                }
+            },
+            'screening-frequency-completed': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'A screened frequency was passed or recorded as not heard',
+                fields: {
+                    ear: 'string',
+                    frequency: 'number',
+                    level: 'number',            // dB HL
+                    attempts: 'number',
+                    responses: 'number',
+                    reactionTimes: 'array',
+                    heard: 'boolean'
+                }
+            },
+            'screening-completed': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'A screening finished with a pass or refer outcome per ear',
+                fields: {
+                    protocol: 'string',
+                    protocolId: 'string',
+                    date: 'string',             // ISO 8601
+                    level: 'number',
+                    criterionLevel: 'number',
+                    frequencies: 'array',
+                    ears: 'object',             // { right: { ear, outcome, reasons, frequencies, ... }, left }
+                    outcome: 'string',          // 'PASS' or 'REFER'
+                    referredEars: 'array',
+                    rescreen: 'boolean',
+                    previousLevel: 'number|null',
+                    rescreenLevel: 'number|null'
+                }
+            },
+            'bekesy-run-started': {
+                version: 1,
+                emittedBy: 'BekesyTracker',
+                description: 'A Békésy tracking run started',
+                fields: {
+                    ear: 'string',
+                    tone: 'string',             // 'continuous' or 'pulsed'
+                    mode: 'string',             // 'fixed' or 'sweep'
+                    frequency: 'number|null',   // null for a sweep run
+                    sweep: 'object|null',       // { from, to, rate }
+                    frequencies: 'array',
+                    startLevel: 'number',
+                    minLevel: 'number',
+                    attenuationRate: 'number',  // dB/s
+                    duration: 'number'          // ms
+                }
+            },
+            'bekesy-trace-sample': {
+                version: 1,
+                emittedBy: 'BekesyTracker',
+                description: 'An attenuator update of the running Békésy trace',
+                fields: {
+                    ear: 'string',
+                    tone: 'string',
+                    mode: 'string',
+                    time: 'number',             // ms since the run started
+                    level: 'number',
+                    frequency: 'number',
+                    pressed: 'boolean'
+                }
+            },
+            'bekesy-run-completed': {
+                version: 1,
+                emittedBy: 'BekesyTracker',
+                description: 'A Békésy run ended; the payload is the run info with its trace and thresholds',
+                fields: {
+                    ear: 'string',
+                    tone: 'string',
+                    mode: 'string',
+                    reason: 'string',           // 'complete', 'time-limit', 'no-response', 'at-floor' or 'stopped'
+                    stopped: 'boolean',
+                    elapsed: 'number',          // ms
+                    trace: 'array',
+                    reversals: 'array',
+                    excursions: 'array',
+                    meanWidth: 'number|null',
+                    thresholds: 'object'        // By frequency
+                }
+            },
+            'bekesy-completed': {
+                version: 1,
+                emittedBy: 'AIClinician',
+                description: 'Every Békésy run of the test finished',
+                fields: {
+                    protocol: 'string',
+                    protocolId: 'string',
+                    date: 'string',             // ISO 8601
+                    trackingMode: 'string',
+                    attenuationRate: 'number',
+                    tones: 'array',
+                    thresholdTone: 'string',
+                    sweepRange: 'array|null',
+                    sweepRate: 'number|null',
+                    thresholds: 'object',
+                    runs: 'array'
+                }
+            },
+            'speech-item-presented': {
+                version: 1,
+                emittedBy: 'SpeechAudiometry',
+                description: 'A speech item was presented (SpeechAudiometry.getProgress())',
+                fields: {
+                    test: 'string',             // 'srt' or 'wrs'
+                    ear: 'string',
+                    phase: 'string|null',
+                    level: 'number',
+                    itemNumber: 'number',
+                    totalItems: 'number|null',  // null for an SRT
+                    correct: 'number',
+                    maskingLevel: 'number|null',
+                    word: 'string|null'
+                }
+            },
+            'speech-item-scored': {
+                version: 1,
+                emittedBy: 'SpeechAudiometry',
+                description: 'The clinician scored the word just presented',
+                fields: {
+                    test: 'string',
+                    ear: 'string',
+                    trial: 'object'             // { number, word, level, phase, correct, repeats }
+                }
+            },
+            'speech-test-completed': {
+                version: 1,
+                emittedBy: 'SpeechAudiometry',
+                description: 'An SRT or WRS finished; SRT results add srt and ptaAgreement, WRS results level and score',
+                fields: {
+                    test: 'string',
+                    ear: 'string',
+                    material: 'object',
+                    maskingLevel: 'number|null',
+                    masked: 'boolean',
+                    correct: 'number',
+                    total: 'number',
+                    trials: 'array',
+                    incomplete: 'boolean',
+                    completedAt: 'string'       // ISO 8601
+                }
+            },
+            'speech-test-stopped': {
+                version: 1,
+                emittedBy: 'SpeechAudiometry',
+                description: 'A speech test was stopped without a result',
+                fields: {
+                    test: 'string',
+                    ear: 'string'
+                }
+            },
+            'audiogram-updated': {
+                version: 1,
+                emittedBy: 'AudiogramPlotter',
+                description: 'A threshold was plotted',
+                fields: {
+                    ear: 'string',
+                    frequency: 'number',
+                    thresholdPoint: 'object',
+                    realTime: 'boolean?'
+                }
+            },
+            'session-event': {
+                version: 1,
+                emittedBy: 'TestSession',
+                description: 'An entry was added to the session event log',
+                fields: {
+                    type: 'string',
+                    timestamp: 'date',
+                    data: 'object'
+                }
+            }
+        };
+    }
+
+    /**
+     * @param {string} type - Event type
+     * @returns {Object|null} Schema { version, emittedBy, description, fields }
+     */
+    getSchema(type) {
+        return this.events[type] || null;
+    }
+
+    /**
+     * @param {string} type - Event type
+     * @returns {number|null} Payload version, or null for an event outside the catalogue
+     */
+    getVersion(type) {
+        return this.events[type]?.version ?? null;
+    }
+
+    getEventTypes() {
+        return Object.keys(this.events);
+    }
+
+    /**
+     * Check a payload against its schema
+     * @param {string} type - Event type
+     * @param {*} payload - Event payload
+     * @returns {Array<string>} Problems found (empty when valid); an event outside the catalogue is a problem
+     */
+    validate(type, payload) {
+        const schema = this.getSchema(type);
+        if (!schema) return [`${type} is not in the event catalogue`];
+        if (!payload || typeof payload !== 'object') {
+            return [`${type} payload must be an object`];
+        }
+
+        const problems = [];
+        Object.entries(schema.fields).forEach(([field, spec]) => {
+            const optional = spec.endsWith('?');
+            const types = (optional ? spec.slice(0, -1) : spec).split('|');
+            const value = payload[field];
+
+            if (value === undefined) {
+                if (!optional) problems.push(`${type}.${field} is missing`);
+                return;
+            }
+            if (!types.some(expected => this.matchesType(value, expected))) {
+                problems.push(`${type}.${field} should be ${types.join(' or ')}`);
+            }
+        });
+        return problems;
+    }
+
+    matchesType(value, expected) {
+        switch (expected) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'date': return value instanceof Date;
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return typeof value === expected;
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Message Event Adapter
+ * Connects an EventBus to another realm over postMessage: a Web Worker, a MessagePort, or an
+ * iframe and its host page
+ *
+ * Bus events are posted as { channel, type, version, payload, timestamp }. Incoming messages on the
+ * same channel are emitted on the local bus if their type is listed and their version matches the
+ * local catalogue; messages with another payload version are dropped with a warning
+ *
+ *   // Page: clinician in a worker, UI in the page
+ *   new MessageEventAdapter(pageBus, worker, { inbound: ['tone-presented', 'test-completed', ...] }).connect();
+ *   // Worker
+ *   new MessageEventAdapter(workerBus, self, { inbound: ['patient-response'] }).connect();
+ */
+export class MessageEventAdapter {
+    /**
+     * @param {EventBus} eventBus
+     * @param {Object} port - Anything with postMessage(): Worker, MessagePort, DedicatedWorkerGlobalScope, Window
+     * @param {Object} options
+     * @param {Array<string>} options.inbound - Event types accepted from the other side
+     * @param {Array<string>|null} options.outbound - Event types posted to the other side (null: all)
+     * @param {EventTarget|null} options.listenTo - Where messages arrive (default: the port; for an iframe, the own window)
+     * @param {string|null} options.targetOrigin - Window targets: postMessage origin, also required of incoming messages
+     * @param {string} options.channel - Tag that tells these messages from others on the same port
+     */
+    constructor(eventBus, port, {
+        inbound = [],
+        outbound = null,
+        listenTo = null,
+        targetOrigin = null,
+        channel = 'audiometer-events'
+    } = {}) {
+        this.eventBus = eventBus;
+        this.port = port;
+        this.inbound = inbound;
+        this.outbound = outbound;
+        this.listenTo = listenTo || port;
+        this.targetOrigin = targetOrigin;
+        this.channel = channel;
+
+        this.relaying = null;           // Type being passed in - not posted back
+        this.unsubscribe = null;
+        this.onMessage = (event) => this.handleMessage(event);
+    }
+
+    connect() {
+        if (this.unsubscribe) return;
+
+        this.unsubscribe = this.eventBus.onAny(envelope => this.post(envelope));
+        this.listenTo.addEventListener('message', this.onMessage);
+        this.listenTo.start?.();        // MessagePort delivers only once started
+    }
+
+    disconnect() {
+        if (!this.unsubscribe) return;
+
+        this.unsubscribe();
+        this.unsubscribe = null;
+        this.listenTo.removeEventListener('message', this.onMessage);
+    }
+
+    post({ type, version, payload, timestamp }) {
+        if (type === this.relaying) return;
+        if (this.outbound && !this.outbound.includes(type)) return;
+
+        const message = { channel: this.channel, type, version, payload, timestamp };
+        try {
+            if (this.targetOrigin) {
+                this.port.postMessage(message, this.targetOrigin);
+            } else {
+                this.port.postMessage(message);
+            }
+        } catch (error) {
+            // Payloads must survive structured cloning (no functions or DOM nodes)
+            console.error(`❌ Could not post ${type}:`, error);
+        }
+    }
+
+    handleMessage(event) {
+        const message = event.data;
+        if (!message || message.channel !== this.channel) return;
+        if (this.targetOrigin && this.targetOrigin !== '*' && event.origin !== this.targetOrigin) return;
+        if (!this.inbound.includes(message.type)) return;
+
+        const version = this.eventBus.catalogue.getVersion(message.type);
+        if (version !== null && message.version !== version) {
+            console.warn(`⚠️ Dropped ${message.type} v${message.version} (this side expects v${version})`);
+            return;
+        }
+
+        const previous = this.relaying;
+        this.relaying = message.type;
+        try {
+            this.eventBus.emit(message.type, message.payload);
+        } finally {
+            this.relaying = previous;
+        }
+    }
+}
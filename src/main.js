@@ -4,14 +4,18 @@ import { AIClinician } from './clinician/AIClinician.js';
 import { AudiogramPlotter } from './audiogram/AudiogramPlotter.js';
 import { RetroUI } from './ui/RetroUI.js';
 import { TestSession } from './state/TestSession.js';
+import { EventBus } from './events/EventBus.js';
+import { DocumentEventAdapter } from './events/DocumentEventAdapter.js';
 
 class RetroAudiometerApp {
     constructor() {
+        this.eventBus = new EventBus();
+        this.documentEventAdapter = new DocumentEventAdapter(this.eventBus);
         this.audioEngine = new AudioGenerator();
-        this.clinician = new AIClinician();
-        this.audiogram = new AudiogramPlotter();
+        this.clinician = new AIClinician(this.eventBus);
+        this.audiogram = new AudiogramPlotter('audiogram-container', this.eventBus);
         this.ui = new RetroUI();
-        this.session = new TestSession();
+        this.session = new TestSession(this.eventBus);
         
         this.init();
     }
@@ -28,9 +32,12 @@ class RetroAudiometerApp {
     }
 
     setupEventListeners() {
+        // Clinician events reach the page (RetroUI) and patient presses reach the clinician
+        this.documentEventAdapter.connect();
+        
         // Patient response handling
-        document.addEventListener('patient-response', (event) => {
-            this.clinician.recordResponse(event.detail);
+        this.eventBus.on('patient-response', (response) => {
+            this.clinician.recordResponse(response);
         });
 
         // Test control events
@@ -0,0 +1,89 @@
+/**
+ * Seeded Random
+ * Seedable pseudo-random source (mulberry32) for every random choice the clinician makes: catch-trial
+ * insertion and type, bootstrap resampling and word order
+ *
+ * The same seed gives the same sequence, so a test re-run with its recorded seed and responses makes
+ * the same decisions (see docs/REPRODUCIBILITY.md). Not for cryptographic use
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - Unsigned 32-bit integer (default: a new random seed)
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this.reseed(seed);
+    }
+
+    /**
+     * New unsigned 32-bit seed from the host's crypto source (Math.random without one)
+     * @returns {number}
+     */
+    static createSeed() {
+        if (globalThis.crypto?.getRandomValues) {
+            return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - Unsigned 32-bit integer
+     */
+    reseed(seed) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            throw new Error(`Random seed must be an unsigned 32-bit integer, got ${seed}`);
+        }
+        this.seed = seed;
+        this.state = seed;
+    }
+
+    /**
+     * @returns {number} Uniform [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Uniform integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Fisher-Yates shuffle
+     * @param {Array} items
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Position in the sequence, for checkpoints
+     * @returns {Object} { seed, state }
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Continue from a saved position
+     * @param {Object} saved - From getState()
+     */
+    setState({ seed, state }) {
+        this.reseed(seed);
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Session Replay
+ * Re-runs a recorded test from its random seed and response log, under virtual time and with a
+ * silent audio engine, so a reported problem can be reproduced and stepped through
+ *
+ * The clinician gets the recorded seed, so catch trials and bootstrap intervals fall as they did,
+ * and every press, release, pause and resume is replayed at its recorded delay after the same
+ * stimulus (see ResponseLog). A simulated test replays exactly; a live test replays the same
+ * decisions unless a press fell within a few milliseconds of the end of a response window
+ *
+ *   const replay = SessionReplay.fromReport(JSON.parse(exportedJson));
+ *   const { report, decisions } = await replay.run();
+ *   console.table(SessionReplay.compare(original, report));
+ */
+import { AIClinician } from '../clinician/AIClinician.js';
+import { EventBus } from '../events/EventBus.js';
+import { VirtualClock } from '../time/VirtualClock.js';
+import { SilentAudioEngine } from './SilentAudioEngine.js';
+
+export class SessionReplay {
+    /**
+     * @param {Object} options
+     * @param {number} options.seed - Recorded random seed (report.randomSeed)
+     * @param {Array<Object>} options.responseLog - Recorded presses and releases (report.responseLog)
+     * @param {string} options.protocol - TestProtocol id
+     * @param {Object|null} options.patientInfo - Worker of an occupational test (session export patientInfo)
+     * @param {boolean} options.includeBoneConduction - Whether the test had a bone phase
+     * @param {Object|null} options.transducer - Earphone profile of the test (output limits, IA)
+     * @param {number} options.maxSessionTime - Virtual time limit (ms)
+     * @param {string} options.eventValidation - EventBus payload validation: 'warn', 'throw' or 'off'
+     */
+    constructor({
+        seed,
+        responseLog,
+        protocol = 'hughson-westlake',
+        patientInfo = null,
+        includeBoneConduction = false,
+        transducer = null,
+        maxSessionTime = 2 * 60 * 60 * 1000,
+        eventValidation = 'warn'
+    } = {}) {
+        if (!Number.isInteger(seed)) {
+            throw new Error('Replay needs the random seed of the test (recorded since seeds were added)');
+        }
+        if (!Array.isArray(responseLog)) {
+            throw new Error('Replay needs the response log of the test');
+        }
+
+        this.seed = seed;
+        this.responseLog = responseLog;
+        this.protocol = protocol;
+        this.patientInfo = patientInfo;
+        this.includeBoneConduction = includeBoneConduction;
+        this.transducer = transducer;
+        this.maxSessionTime = maxSessionTime;
+        this.eventValidation = eventValidation;
+    }
+
+    /**
+     * Replay of a clinician report (test-completed) or a TestSession JSON export
+     * @param {Object} report
+     * @returns {SessionReplay}
+     */
+    static fromReport(report) {
+        const parameters = report.testParameters || {};
+        const boneResults = report.boneResults || {};
+        const hasBone = ['left', 'right'].some(ear => Object.keys(boneResults[ear] || {}).length > 0);
+
+        return new SessionReplay({
+            seed: report.randomSeed ?? parameters.randomSeed,
+            responseLog: report.responseLog,
+            protocol: report.protocolId ?? parameters.protocol,
+            patientInfo: report.patientInfo ?? null,
+            includeBoneConduction: report.includeBoneConduction ?? hasBone,
+            transducer: report.transducer ?? parameters.transducer ?? null
+        });
+    }
+
+    /**
+     * Run the test again
+     * @returns {Promise<Object>} { report, decisions }: the new report (test-completed, or
+     *                            screening-completed for a screen) and its clinical decisions
+     */
+    async run() {
+        const clock = new VirtualClock();
+        const eventBus = new EventBus({ validation: this.eventValidation, clock });
+        const clinician = new AIClinician(eventBus, clock);
+
+        if (!clinician.setProtocol(this.protocol)) {
+            throw new Error(`Cannot replay protocol ${this.protocol} (import custom protocols first)`);
+        }
+        clinician.includeBoneConduction = this.includeBoneConduction;
+
+        let report = null;
+        const decisions = [];
+        const unsubscribers = [
+            eventBus.on('clinical-decision', (decision) => decisions.push(decision)),
+            eventBus.on('test-completed', (payload) => { report = payload; }),
+            eventBus.on('screening-completed', (payload) => { report = payload; }),
+            ...this.scheduleResponses(eventBus, clock, clinician)
+        ];
+
+        console.log(`🔁 Replaying ${this.protocol} with seed ${this.seed} (${this.responseLog.length} responses)`);
+        try {
+            const audioEngine = new SilentAudioEngine({ clock, transducer: this.transducer });
+            await clock.runUntilSettled(clinician.beginProtocol(audioEngine, null, { seed: this.seed, patientInfo: this.patientInfo }), {
+                maxTime: this.maxSessionTime
+            });
+        } finally {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            clinician.isTestActive = false;
+        }
+
+        return { report, decisions };
+    }
+
+    /**
+     * Press, release, pause and resume at the recorded delay after each stimulus
+     * @param {AIClinician} clinician - The replaying clinician (its log names the stimulus and response events)
+     * @returns {Array<Function>} Unsubscribe functions
+     */
+    scheduleResponses(eventBus, clock, clinician) {
+        const log = clinician.responseLog;
+        const eventTypes = Object.fromEntries(Object.entries(log.RESPONSE_EVENTS).map(([type, entryType]) => [entryType, type]));
+        const controls = { pause: () => clinician.pause(), resume: () => clinician.resume() };
+        const byAnchor = new Map();
+        this.responseLog.forEach(entry => {
+            if (!byAnchor.has(entry.anchor)) byAnchor.set(entry.anchor, []);
+            byAnchor.get(entry.anchor).push(entry);
+        });
+
+        let anchor = 0;
+        const scheduleAnchor = () => {
+            (byAnchor.get(anchor) || []).forEach(entry => {
+                clock.setTimeout(() => {
+                    if (controls[entry.type]) {
+                        controls[entry.type]();
+                    } else {
+                        eventBus.emit(eventTypes[entry.type], { timestamp: clock.now(), source: 'replay' });
+                    }
+                }, entry.delay);
+            });
+        };
+
+        scheduleAnchor();
+        return log.ANCHOR_EVENTS.map(type => eventBus.on(type, () => {
+            anchor++;
+            scheduleAnchor();
+        }));
+    }
+
+    // ==================== COMPARISON ====================
+
+    /**
+     * Thresholds that differ between two reports (clinician reports or session exports)
+     * @returns {Array<Object>} { key, original, replayed } per differing threshold (empty: same results)
+     */
+    static compare(original, replayed) {
+        const a = SessionReplay.flattenResults(original);
+        const b = SessionReplay.flattenResults(replayed);
+
+        return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .filter(key => a[key]?.threshold !== b[key]?.threshold)
+            .map(key => ({ key, original: a[key]?.threshold, replayed: b[key]?.threshold }));
+    }
+
+    /**
+     * Results keyed as in AIClinician.testResults: 'right_1000', 'left_2000_bone'
+     */
+    static flattenResults(report) {
+        const results = report?.testResults || {};
+        if (!results.left && !results.right) {
+            return results;
+        }
+
+        const flat = {};
+        [['air', results], ['bone', report.boneResults || {}]].forEach(([conduction, byEar]) => {
+            ['left', 'right'].forEach(ear => {
+                Object.entries(byEar[ear] || {}).forEach(([frequency, data]) => {
+                    flat[conduction === 'bone' ? `${ear}_${frequency}_bone` : `${ear}_${frequency}`] = data;
+                });
+            });
+        });
+        return flat;
+    }
+}
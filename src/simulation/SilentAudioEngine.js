@@ -0,0 +1,140 @@
+/**
+ * Silent Audio Engine
+ * Stand-in for AudioGenerator in simulations and replays: nothing is played, but each tone takes
+ * its presentation time on the clock, and the stimulus settings, masking noise and Békésy tracking
+ * tone behave as the clinician expects
+ *
+ * With a recorded transducer (report.transducer) the air-conduction output limits and interaural
+ * attenuation are those of the original earphone; otherwise every level up to 120 dB HL is available
+ * and the clinician's default interaural attenuation applies
+ */
+export class SilentAudioEngine {
+    /**
+     * @param {Object} options
+     * @param {RealClock|VirtualClock} options.clock - The clinician's clock
+     * @param {Object|null} options.transducer - Earphone profile from AudioGenerator.getTransducer()
+     */
+    constructor({ clock, transducer = null } = {}) {
+        this.clock = clock;
+        this.transducer = transducer || {
+            id: 'silent',
+            name: 'Silent stand-in',
+            model: 'none',
+            standard: null,
+            retspl: {},
+            maxOutput: {},
+            interauralAttenuation: {}
+        };
+
+        this.MAX_MASKING_LEVEL = 110;   // dB EM
+        this.DEFAULT_MAX_OUTPUT = 120;  // dB HL
+
+        this.stimulusSettings = {
+            type: 'steady',
+            rampShape: 'raised-cosine',
+            rampDuration: 25,
+            pulse: { onDuration: 200, offDuration: 200, count: 3 },
+            warble: { rate: 5, depth: 5 }
+        };
+        this.conductionMode = 'air';
+        this.masking = null;
+        this.endTrackingTone = null;
+    }
+
+    // ==================== TONES ====================
+
+    async playTone(frequency, level, duration) {
+        const acousticOnset = this.clock.now();
+        await this.clock.delay(this.getPresentationDuration(duration));
+        return { acousticOnset };
+    }
+
+    getPresentationDuration(duration) {
+        const { type, pulse } = this.stimulusSettings;
+        if (type !== 'pulsed') {
+            return duration;
+        }
+        return pulse.count * pulse.onDuration + (pulse.count - 1) * pulse.offDuration;
+    }
+
+    setStimulusSettings(settings = {}) {
+        this.stimulusSettings = {
+            ...this.stimulusSettings,
+            ...settings,
+            pulse: { ...this.stimulusSettings.pulse, ...settings.pulse },
+            warble: { ...this.stimulusSettings.warble, ...settings.warble }
+        };
+    }
+
+    getStimulusSettings() {
+        const { pulse, warble } = this.stimulusSettings;
+        return { ...this.stimulusSettings, pulse: { ...pulse }, warble: { ...warble } };
+    }
+
+    // ==================== TRANSDUCER ====================
+
+    getTransducer() {
+        return this.transducer;
+    }
+
+    setConductionMode(mode) {
+        this.conductionMode = mode;
+    }
+
+    getMaxOutputLevel(frequency) {
+        if (this.conductionMode === 'bone') {
+            return this.DEFAULT_MAX_OUTPUT;
+        }
+        return this.lookup(this.transducer.maxOutput || {}, frequency) ?? this.DEFAULT_MAX_OUTPUT;
+    }
+
+    getInterauralAttenuation(frequency) {
+        return this.lookup(this.transducer.interauralAttenuation || {}, frequency);
+    }
+
+    /**
+     * Value of a { frequency: value } table, from the nearest lower frequency between entries
+     */
+    lookup(table, frequency) {
+        const entries = Object.entries(table)
+            .map(([key, value]) => [Number(key), value])
+            .sort((a, b) => a[0] - b[0]);
+        if (entries.length === 0) return undefined;
+
+        const below = entries.filter(([key]) => key <= frequency);
+        return below.length > 0 ? below[below.length - 1][1] : entries[0][1];
+    }
+
+    // ==================== MASKING ====================
+
+    startMaskingNoise(options) {
+        this.masking = { ...options };
+    }
+
+    setMaskingLevel(levelDbEm) {
+        if (this.masking) this.masking.levelDbEm = levelDbEm;
+    }
+
+    stopMaskingNoise() {
+        this.masking = null;
+    }
+
+    getMaskingState() {
+        return this.masking;
+    }
+
+    // ==================== BÉKÉSY TRACKING ====================
+
+    startTrackingTone() {
+        return new Promise(resolve => { this.endTrackingTone = resolve; });
+    }
+
+    setTrackingTone({ levelDbHl }) {
+        return levelDbHl;
+    }
+
+    stopTrackingTone() {
+        this.endTrackingTone?.();
+        this.endTrackingTone = null;
+    }
+}
@@ -0,0 +1,432 @@
+/**
+ * Simulation Runner
+ * Headless batch harness: runs the AI clinician against virtual patients many times per
+ * configuration and reports how accurate, how long and how well-calibrated the tests are
+ *
+ * Runs in Node (see cli.js). Each session has its own event bus, so no DOM is needed, and its own
+ * VirtualClock, which jumps straight to the next timer once the clinician and patient are waiting.
+ * A session of several minutes finishes in well under a second
+ */
+import { AIClinician } from '../clinician/AIClinician.js';
+import { TestProtocol } from '../clinician/TestProtocol.js';
+import { VirtualPatient } from './VirtualPatient.js';
+import { EventBus } from '../events/EventBus.js';
+import { VirtualClock } from '../time/VirtualClock.js';
+import { SeededRandom } from '../random/SeededRandom.js';
+import { SilentAudioEngine } from './SilentAudioEngine.js';
+
+export class SimulationRunner {
+    /**
+     * @param {Object} options
+     * @param {number} options.runs - Sessions per configuration
+     * @param {Array<string>} options.profiles - Virtual patient profiles, used in turn
+     * @param {number} options.maxSessionTime - Virtual time limit of one session (ms)
+     * @param {Function|null} options.onProgress - Called after each session with { config, run, runs }
+     * @param {string} options.eventValidation - EventBus payload validation: 'warn', 'throw' or 'off'
+     * @param {number|null} options.seed - Base seed: run n of each configuration uses seed + n (null: new seeds)
+     */
+    constructor({
+        runs = 100,
+        profiles = ['normal', 'sensorineural', 'unilateral', 'fatigued'],
+        maxSessionTime = 2 * 60 * 60 * 1000,
+        onProgress = null,
+        eventValidation = 'warn',
+        seed = null
+    } = {}) {
+        if (!(runs >= 1)) {
+            throw new Error('Simulation needs at least one run per configuration');
+        }
+        if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF)) {
+            throw new Error(`Simulation seed must be an unsigned 32-bit integer, got ${seed}`);
+        }
+        const known = Object.keys(VirtualPatient.getProfiles());
+        profiles.forEach(profile => {
+            if (!known.includes(profile)) {
+                throw new Error(`Unknown virtual patient profile: ${profile} (use ${known.join(', ')})`);
+            }
+        });
+
+        this.runs = runs;
+        this.profiles = profiles;
+        this.maxSessionTime = maxSessionTime;
+        this.onProgress = onProgress;
+        this.eventValidation = eventValidation;
+        this.seed = seed;
+
+        // Confidence bins for the calibration table (lower edges)
+        this.confidenceBins = [0, 0.5, 0.7, 0.85];
+        this.ACCURACY_LIMITS = [5, 10]; // dB - Share of thresholds within these errors
+    }
+
+    /**
+     * One configuration per combination of the listed values, for parameter sweeps
+     * @param {Object} grid - { protocols, maxPresentations, catchTrialRates, stepUps, stepDowns, includeBoneConduction }
+     * @returns {Array<Object>} Configurations for run()
+     */
+    static createConfigGrid({
+        protocols = ['hughson-westlake'],
+        maxPresentations = [null],
+        catchTrialRates = [null],
+        stepUps = [null],
+        stepDowns = [null],
+        includeBoneConduction = false
+    } = {}) {
+        const configs = [];
+
+        protocols.forEach(protocol => maxPresentations.forEach(presentations => catchTrialRates.forEach(catchRate =>
+            stepUps.forEach(stepUp => stepDowns.forEach(stepDown => {
+                const protocolOverrides = {};
+                if (stepUp !== null) protocolOverrides.stepUp = stepUp;
+                if (stepDown !== null) protocolOverrides.stepDown = stepDown;
+
+                const clinician = {};
+                if (presentations !== null) clinician.MAX_PRESENTATIONS_PER_FREQUENCY = presentations;
+
+                const label = [
+                    protocol,
+                    presentations !== null ? `maxPres=${presentations}` : null,
+                    catchRate !== null ? `catch=${catchRate}` : null,
+                    stepUp !== null ? `up=${stepUp}` : null,
+                    stepDown !== null ? `down=${stepDown}` : null,
+                    includeBoneConduction ? 'bone' : null
+                ].filter(Boolean).join(' ');
+
+                configs.push({
+                    name: label,
+                    protocol,
+                    protocolOverrides,
+                    clinician,
+                    catchTrialProbability: catchRate,
+                    includeBoneConduction
+                });
+            }))
+        )));
+
+        return configs;
+    }
+
+    // ==================== BATCH ====================
+
+    /**
+     * Run every configuration
+     * @param {Array<Object>} configs - See runConfig()
+     * @returns {Promise<Array<Object>>} { config, sessions, summary } per configuration
+     */
+    async run(configs) {
+        this.validateConfigs(configs);
+        const results = [];
+        for (const config of configs) {
+            results.push(await this.runConfig(config));
+        }
+        return results;
+    }
+
+    /**
+     * Run one configuration `runs` times, cycling through the patient profiles
+     * @param {Object} config
+     * @param {string} config.name - Label in the report
+     * @param {string} config.protocol - TestProtocol id
+     * @param {Object} config.protocolOverrides - Protocol fields to change, e.g. { stepUp: 5, stepDown: 10 }
+     * @param {Object} config.clinician - AIClinician constants to change, e.g. { MAX_PRESENTATIONS_PER_FREQUENCY: 20 }
+     * @param {number|null} config.catchTrialProbability - FalseResponseDetector catch-trial rate
+     * @param {boolean} config.includeBoneConduction - Add the bone phase
+     * @param {Object} config.patient - VirtualPatient option overrides
+     * @param {Object} config.patientInfo - Worker of an occupational protocol ({ id, occupational })
+     * @returns {Promise<Object>} { config, sessions, summary }
+     */
+    async runConfig(config) {
+        this.validateConfigs([config]);
+        const sessions = [];
+
+        for (let run = 0; run < this.runs; run++) {
+            const profile = this.profiles[run % this.profiles.length];
+            const seed = this.seed === null ? SeededRandom.createSeed() : (this.seed + run) >>> 0;
+            sessions.push(await this.runSession(config, profile, seed));
+            this.onProgress?.({ config, run: run + 1, runs: this.runs });
+        }
+
+        return { config, sessions, summary: this.summarize(sessions) };
+    }
+
+    /**
+     * Check every configuration's protocol before any session runs
+     * Screening protocols end in pass/refer outcomes (screening-completed), not thresholds to score
+     * @param {Array<Object>} configs - See runConfig()
+     * @throws {Error} For an unknown protocol, a screening protocol, or an occupational protocol without a valid worker
+     */
+    validateConfigs(configs) {
+        const protocols = new TestProtocol();
+        configs.forEach(config => {
+            const protocolId = config.protocol || 'hughson-westlake';
+            if (!protocols.getProtocol(protocolId)) {
+                throw new Error(`Unknown protocol: ${protocolId}`);
+            }
+            if (protocols.getProcedure(protocolId) === 'screening') {
+                throw new Error(`Protocol ${protocolId} is a pass/refer screening: the simulation runner scores thresholds, so use a threshold or Békésy protocol`);
+            }
+            const occupationalProblems = protocols.validateOccupationalInfo(config.patientInfo ?? null, protocolId);
+            if (occupationalProblems.length > 0) {
+                throw new Error(`Protocol ${protocolId} needs config.patientInfo for the worker: ${occupationalProblems.join('. ')}`);
+            }
+        });
+    }
+
+    /**
+     * Run one complete test against one virtual patient
+     * The seed drives both the clinician and the patient, so a session can be repeated exactly
+     * @returns {Promise<Object>} { profile, seed, rows, presentations, catchTrials, falseAlarms, duration }
+     */
+    async runSession(config, profile, seed = SeededRandom.createSeed()) {
+        const clock = new VirtualClock();
+        const eventBus = new EventBus({ validation: this.eventValidation, clock });
+        const clinician = this.createClinician(config, eventBus, clock);
+        // Offset so the patient's draws differ from the clinician's
+        const patientRandom = new SeededRandom((seed + 0x9E3779B9) >>> 0);
+        const patient = VirtualPatient.fromProfile(profile, {
+            random: () => patientRandom.next(),
+            ...config.patient,
+            eventBus,
+            clock
+        });
+
+        let report = null;
+        eventBus.once('test-completed', (payload) => { report = payload; });
+
+        try {
+            patient.start();
+            const audioEngine = new SilentAudioEngine({ clock });
+            await clock.runUntilSettled(clinician.beginProtocol(audioEngine, null, { seed, patientInfo: config.patientInfo ?? null }), {
+                maxTime: this.maxSessionTime
+            });
+        } finally {
+            patient.stop();
+            clinician.isTestActive = false;
+        }
+
+        if (!report) {
+            throw new Error(`Simulated session did not complete (${config.name}, ${profile}, seed ${seed})`);
+        }
+
+        return {
+            profile,
+            seed,
+            rows: patient.compareThresholds(report.testResults),
+            presentations: patient.presentations.length,
+            catchTrials: clinician.falseResponseDetector.catchTrialHistory.length,
+            falseAlarms: patient.falseAlarms,
+            duration: clock.now()
+        };
+    }
+
+    /**
+     * AI clinician with the configuration's protocol and constants
+     * Protocol overrides go into an imported copy of the protocol, because beginProtocol()
+     * re-reads step sizes and levels from the protocol
+     */
+    createClinician(config, eventBus, clock) {
+        const clinician = new AIClinician(eventBus, clock);
+
+        let protocolId = config.protocol || 'hughson-westlake';
+        const base = clinician.protocol.getProtocol(protocolId);
+        if (!base) {
+            throw new Error(`Unknown protocol: ${protocolId}`);
+        }
+        if (config.protocolOverrides && Object.keys(config.protocolOverrides).length > 0) {
+            protocolId = clinician.protocol.importProtocol({ ...base, ...config.protocolOverrides, name: 'simulation' });
+        }
+        if (!clinician.setProtocol(protocolId)) {
+            throw new Error(`The AI clinician cannot run protocol ${protocolId}`);
+        }
+
+        Object.entries(config.clinician || {}).forEach(([key, value]) => {
+            if (!(key in clinician)) {
+                throw new Error(`Unknown AI clinician setting: ${key}`);
+            }
+            clinician[key] = value;
+        });
+        if (config.catchTrialProbability !== null && config.catchTrialProbability !== undefined) {
+            clinician.falseResponseDetector.catchTrialProbability = config.catchTrialProbability;
+        }
+        clinician.includeBoneConduction = Boolean(config.includeBoneConduction);
+
+        return clinician;
+    }
+
+    // ==================== STATISTICS ====================
+
+    /**
+     * Accuracy, effort and confidence calibration of one configuration
+     * Thresholds without a response (no estimate) are counted but left out of the error statistics
+     * @param {Array<Object>} sessions - runSession() results
+     * @returns {Object} Summary (see docs/SIMULATION.md)
+     */
+    summarize(sessions) {
+        const rows = sessions.flatMap(session => session.rows);
+        const measured = rows.filter(row => row.error !== null && !row.noResponse);
+        const errors = measured.map(row => row.error);
+        const absoluteErrors = errors.map(Math.abs);
+
+        const byProfile = {};
+        this.profiles.forEach(profile => {
+            const profileErrors = sessions
+                .filter(session => session.profile === profile)
+                .flatMap(session => session.rows)
+                .filter(row => row.error !== null && !row.noResponse)
+                .map(row => row.error);
+            if (profileErrors.length > 0) {
+                byProfile[profile] = {
+                    thresholds: profileErrors.length,
+                    bias: this.round(this.mean(profileErrors)),
+                    sd: this.round(this.sd(profileErrors))
+                };
+            }
+        });
+
+        const thresholdCount = rows.length;
+        const presentations = sessions.map(session => session.presentations);
+        const durations = sessions.map(session => session.duration / 60000);
+
+        return {
+            sessions: sessions.length,
+            thresholds: thresholdCount,
+            noResponse: rows.filter(row => row.noResponse).length,
+            error: {
+                bias: this.round(this.mean(errors)),
+                sd: this.round(this.sd(errors)),
+                meanAbsolute: this.round(this.mean(absoluteErrors)),
+                rms: this.round(Math.sqrt(this.mean(errors.map(error => error * error)))),
+                within: Object.fromEntries(this.ACCURACY_LIMITS.map(limit => [
+                    limit,
+                    this.round(absoluteErrors.filter(error => error <= limit).length / (absoluteErrors.length || 1), 1000)
+                ]))
+            },
+            presentations: {
+                perSession: this.round(this.mean(presentations)),
+                sd: this.round(this.sd(presentations)),
+                perThreshold: this.round(presentations.reduce((sum, n) => sum + n, 0) / (thresholdCount || 1))
+            },
+            duration: {
+                meanMinutes: this.round(this.mean(durations), 100),
+                sdMinutes: this.round(this.sd(durations), 100)
+            },
+            catchTrials: this.round(this.mean(sessions.map(session => session.catchTrials))),
+            falseAlarms: this.round(this.mean(sessions.map(session => session.falseAlarms))),
+            confidence: this.summarizeConfidence(measured),
+            byProfile
+        };
+    }
+
+    /**
+     * How well the clinician's confidence score and interval track the actual error
+     * - correlation: Pearson r of confidence against |error| (negative when confidence is informative)
+     * - calibration: mean |error| per confidence bin
+     * - intervalCoverage: share of true thresholds inside the threshold's interval
+     */
+    summarizeConfidence(rows) {
+        const scored = rows.filter(row => typeof row.confidence === 'number');
+        const confidences = scored.map(row => row.confidence);
+        const absoluteErrors = scored.map(row => Math.abs(row.error));
+
+        const calibration = this.confidenceBins.map((lower, i) => {
+            const upper = this.confidenceBins[i + 1] ?? Infinity;
+            const binErrors = scored
+                .filter(row => row.confidence >= lower && row.confidence < upper)
+                .map(row => Math.abs(row.error));
+            return {
+                range: `${lower}-${upper === Infinity ? 1 : upper}`,
+                thresholds: binErrors.length,
+                meanAbsoluteError: binErrors.length ? this.round(this.mean(binErrors)) : null
+            };
+        });
+
+        const withInterval = rows.filter(row => row.interval);
+        const covered = withInterval.filter(row => row.true >= row.interval.lower && row.true <= row.interval.upper);
+
+        return {
+            mean: this.round(this.mean(confidences), 1000),
+            correlation: this.round(this.correlation(confidences, absoluteErrors), 1000),
+            calibration,
+            intervalCoverage: withInterval.length ? this.round(covered.length / withInterval.length, 1000) : null,
+            intervalWidth: withInterval.length
+                ? this.round(this.mean(withInterval.map(row => row.interval.upper - row.interval.lower)))
+                : null,
+            intervals: withInterval.length
+        };
+    }
+
+    mean(values) {
+        return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    sd(values) {
+        if (values.length < 2) return null;
+        const mean = this.mean(values);
+        return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1));
+    }
+
+    correlation(xs, ys) {
+        if (xs.length < 3) return null;
+        const mx = this.mean(xs);
+        const my = this.mean(ys);
+        let sxy = 0, sxx = 0, syy = 0;
+        xs.forEach((x, i) => {
+            sxy += (x - mx) * (ys[i] - my);
+            sxx += (x - mx) * (x - mx);
+            syy += (ys[i] - my) * (ys[i] - my);
+        });
+        return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+    }
+
+    round(value, factor = 10) {
+        return value === null || !Number.isFinite(value) ? null : Math.round(value * factor) / factor;
+    }
+
+    // ==================== REPORT ====================
+
+    /**
+     * Plain-text table of the configuration summaries
+     * @param {Array<Object>} results - run() results
+     * @returns {string}
+     */
+    formatReport(results) {
+        const header = ['Configuration', 'Runs', 'Thr', 'Bias', 'SD', '|Err|', '≤5dB', '≤10dB', 'Pres', 'Pres/thr', 'Min', 'Conf', 'r(conf,|err|)', 'CI cover'];
+        const format = (value, suffix = '') => (value === null || value === undefined ? '-' : `${value}${suffix}`);
+        const percent = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`);
+
+        const table = [header, ...results.map(({ config, summary }) => [
+            config.name,
+            summary.sessions,
+            summary.thresholds,
+            format(summary.error.bias),
+            format(summary.error.sd),
+            format(summary.error.meanAbsolute),
+            percent(summary.error.within[5]),
+            percent(summary.error.within[10]),
+            format(summary.presentations.perSession),
+            format(summary.presentations.perThreshold),
+            format(summary.duration.meanMinutes),
+            format(summary.confidence.mean),
+            format(summary.confidence.correlation),
+            percent(summary.confidence.intervalCoverage)
+        ])].map(row => row.map(String));
+
+        const widths = header.map((_, column) => Math.max(...table.map(row => row[column].length)));
+        const lines = table.map(row => row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  '));
+        lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+        results.forEach(({ config, summary }) => {
+            lines.push('', `${config.name}`);
+            Object.entries(summary.byProfile).forEach(([profile, stats]) => {
+                lines.push(`  ${profile.padEnd(14)} bias ${format(stats.bias)} dB, SD ${format(stats.sd)} dB (${stats.thresholds} thresholds)`);
+            });
+            summary.confidence.calibration.forEach(bin => {
+                lines.push(`  confidence ${bin.range.padEnd(9)} mean |error| ${format(bin.meanAbsoluteError)} dB (${bin.thresholds} thresholds)`);
+            });
+            if (summary.noResponse > 0) {
+                lines.push(`  ${summary.noResponse} thresholds without a response (not in the error statistics)`);
+            }
+        });
+
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,451 @@
+/**
+ * Virtual Patient
+ * Simulated listener that answers the AI clinician without anyone at the patient button
+ * Listens on the event bus for 'tone-presented' (and Békésy 'bekesy-trace-sample') and emits 'patient-response'
+ * from a true audiogram per ear, a logistic psychometric slope, lapses, spontaneous false alarms,
+ * a reaction-time distribution, fatigue drift and optional malingering
+ *
+ * Cross-hearing is modelled: a tone also reaches the opposite cochlea, interaural attenuation lower,
+ * unless masking noise in that ear covers it. Air thresholds are cochlear (bone) thresholds plus the
+ * air-bone gap, so conductive and mixed losses can be simulated
+ */
+import { EventBus } from '../events/EventBus.js';
+import { RealClock } from '../time/RealClock.js';
+
+export class VirtualPatient {
+    /**
+     * @param {Object} options
+     * @param {Object} options.thresholds - True air-conduction audiogram { right: { 1000: 20, ... }, left: { ... } } (dB HL)
+     * @param {Object|null} options.boneThresholds - True bone-conduction audiogram (default: equal to air - sensorineural)
+     * @param {number} options.slope - Logistic psychometric slope (per dB)
+     * @param {number} options.lapseRate - Probability of missing an audible tone
+     * @param {number} options.falseAlarmRate - Probability of a spontaneous press in a 3 s window without a tone
+     * @param {Object} options.reactionTime - { mean, sd, min, nearThresholdSlowing } in ms
+     * @param {Object} options.fatigue - { driftPerMinute, maxDrift } threshold elevation in dB
+     * @param {Object|null} options.malingering - { ears, offset, variability } exaggeration in dB
+     * @param {Object} options.interauralAttenuation - { air, bone } in dB
+     * @param {Function} options.random - Uniform [0, 1) source
+     * @param {EventBus} options.eventBus - The clinician's event bus
+     * @param {RealClock|VirtualClock} options.clock - The clinician's clock
+     */
+    constructor({
+        thresholds,
+        boneThresholds = null,
+        slope = 0.5,
+        lapseRate = 0.02,
+        falseAlarmRate = 0.05,
+        reactionTime = {},
+        fatigue = {},
+        malingering = null,
+        interauralAttenuation = {},
+        random = Math.random,
+        eventBus = new EventBus(),
+        clock = new RealClock()
+    } = {}) {
+        if (!thresholds?.left || !thresholds?.right) {
+            throw new Error('Virtual patient needs a true audiogram for both ears');
+        }
+        if (!(slope > 0)) {
+            throw new Error('Virtual patient slope must be greater than 0');
+        }
+
+        this.thresholds = thresholds;
+        this.boneThresholds = boneThresholds || thresholds;
+        this.slope = slope;
+        this.lapseRate = lapseRate;
+        this.falseAlarmRate = falseAlarmRate;
+        this.reactionTime = { mean: 450, sd: 100, min: 150, nearThresholdSlowing: 200, ...reactionTime };
+        this.fatigue = { driftPerMinute: 0, maxDrift: 10, ...fatigue };
+        this.malingering = malingering
+            ? { ears: ['left', 'right'], offset: 0, variability: 0, ...malingering }
+            : null;
+        this.interauralAttenuation = { air: 40, bone: 0, ...interauralAttenuation };
+        this.random = random;
+        this.eventBus = eventBus;
+        this.clock = clock;
+
+        this.FALSE_ALARM_WINDOW = 3000; // ms - Window the false-alarm rate refers to (clinician response window)
+        this.PRESS_DURATION = 150;      // ms - Button held per response (press then release)
+
+        this.isActive = false;
+        this.startTime = null;
+        this.timers = new Set();
+        this.presentations = [];        // One entry per tone: what the patient heard and did
+        this.falseAlarms = 0;
+        this.tracking = null;           // Békésy: { pending, criterion } while a tracking run is active
+
+        this.unsubscribers = [];        // Bus listeners while active
+    }
+
+    /**
+     * Ready-made listeners for demonstrations and simulation runs
+     * @returns {Object} Profile name -> constructor options
+     */
+    static getProfiles() {
+        const flat = (level) => ({ 250: level, 500: level, 1000: level, 2000: level, 3000: level, 4000: level, 6000: level, 8000: level });
+        const sloping = { 250: 15, 500: 20, 1000: 25, 2000: 40, 3000: 50, 4000: 60, 6000: 65, 8000: 70 };
+
+        return {
+            'normal': {
+                name: 'Normal hearing',
+                thresholds: { right: flat(5), left: flat(5) }
+            },
+            'sensorineural': {
+                name: 'Bilateral sloping sensorineural loss',
+                thresholds: { right: sloping, left: sloping }
+            },
+            'unilateral': {
+                name: 'Left profound sensorineural loss (needs masking)',
+                thresholds: { right: flat(10), left: flat(75) }
+            },
+            'conductive': {
+                name: 'Right conductive loss (30 dB air-bone gap)',
+                thresholds: { right: flat(40), left: flat(10) },
+                boneThresholds: { right: flat(10), left: flat(10) }
+            },
+            'malingering': {
+                name: 'Normal hearing, exaggerating the left ear by 40 dB',
+                thresholds: { right: flat(10), left: flat(10) },
+                malingering: { ears: ['left'], offset: 40, variability: 5 }
+            },
+            'fatigued': {
+                name: 'Mild loss with fatigue, lapses and false alarms',
+                thresholds: { right: flat(25), left: flat(25) },
+                lapseRate: 0.08,
+                falseAlarmRate: 0.15,
+                fatigue: { driftPerMinute: 0.5, maxDrift: 8 }
+            }
+        };
+    }
+
+    /**
+     * @param {string} name - Profile name (see getProfiles())
+     * @param {Object} overrides - Constructor options that replace the profile's
+     * @returns {VirtualPatient}
+     */
+    static fromProfile(name, overrides = {}) {
+        const profile = VirtualPatient.getProfiles()[name];
+        if (!profile) {
+            throw new Error(`Unknown virtual patient profile: ${name}`);
+        }
+        return new VirtualPatient({ ...profile, ...overrides });
+    }
+
+    // ==================== SESSION CONTROL ====================
+
+    /**
+     * Start listening (restarts the fatigue clock and clears the presentation log)
+     */
+    start() {
+        this.stop();
+
+        this.isActive = true;
+        this.startTime = this.clock.now();
+        this.presentations = [];
+        this.falseAlarms = 0;
+
+        this.unsubscribers = [
+            this.eventBus.on('tone-presented', tone => this.handleTone(tone)),
+            this.eventBus.on('bekesy-trace-sample', sample => this.handleTraceSample(sample)),
+            this.eventBus.on('bekesy-run-completed', () => this.endTracking())
+        ];
+        this.scheduleFalseAlarm();
+
+        console.log(`🧍 Virtual patient listening (slope ${this.slope}/dB, lapse ${this.lapseRate}, false alarms ${this.falseAlarmRate})`);
+    }
+
+    stop() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.timers.forEach(timer => this.clock.clearTimeout(timer));
+        this.timers.clear();
+        this.tracking = null;
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    schedule(callback, delay) {
+        const timer = this.clock.setTimeout(() => {
+            this.timers.delete(timer);
+            if (this.isActive) callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    // ==================== TONE RESPONSES ====================
+
+    /**
+     * Answer one presentation
+     * @param {Object} tone - 'tone-presented' detail { frequency, level, ear, duration, conduction, masking }
+     */
+    handleTone(tone) {
+        const detection = this.getDetection(tone);
+        const responded = this.random() < detection.probability;
+        const reactionTime = responded ? this.drawReactionTime(detection.sensationLevel) : null;
+
+        this.presentations.push({
+            time: Math.round(this.clock.now() - this.startTime),
+            frequency: tone.frequency,
+            level: tone.level,
+            ear: tone.ear,
+            conduction: tone.conduction || 'air',
+            isCatchTrial: tone.isCatchTrial || false,
+            probability: Math.round(detection.probability * 1000) / 1000,
+            route: detection.route,
+            responded,
+            reactionTime
+        });
+
+        if (responded) {
+            this.schedule(() => this.press(), reactionTime);
+        }
+    }
+
+    press({ falseAlarm = false, hold = false } = {}) {
+        this.eventBus.emit('patient-response', { timestamp: this.clock.now(), source: 'virtual-patient', falseAlarm });
+        if (!hold) {
+            this.schedule(() => this.release(), this.PRESS_DURATION);
+        }
+    }
+
+    release() {
+        this.eventBus.emit('patient-release', { timestamp: this.clock.now(), source: 'virtual-patient' });
+    }
+
+    /**
+     * Spontaneous presses as a Poisson process, so a 3 s window without a tone has falseAlarmRate chance of one
+     */
+    scheduleFalseAlarm() {
+        if (!(this.falseAlarmRate > 0)) return;
+
+        const ratePerMs = -Math.log(1 - Math.min(this.falseAlarmRate, 0.99)) / this.FALSE_ALARM_WINDOW;
+        const delay = -Math.log(1 - this.random()) / ratePerMs;
+
+        this.schedule(() => {
+            if (!this.tracking) {
+                this.falseAlarms++;
+                this.press({ falseAlarm: true });
+            }
+            this.scheduleFalseAlarm();
+        }, delay);
+    }
+
+    // ==================== HEARING MODEL ====================
+
+    /**
+     * Probability of a response to a tone, over every route it can be heard by
+     * @param {Object} tone - { frequency, level, ear, conduction, masking }
+     * @returns {Object} { probability, route: 'test' | 'cross' | null, sensationLevel }
+     */
+    getDetection({ frequency, level, ear, conduction = 'air', masking = null }) {
+        if (level == null || level < -10) {
+            return { probability: 0, route: null, sensationLevel: null };
+        }
+
+        const ears = ear === 'both' ? ['right', 'left'] : [ear];
+        let best = { probability: 0, route: null, sensationLevel: -Infinity };
+
+        ears.forEach(testEar => {
+            this.getRoutes(frequency, level, testEar, conduction, masking).forEach(route => {
+                const sensationLevel = route.level - route.threshold;
+                const probability = 1 / (1 + Math.exp(-this.slope * sensationLevel));
+                if (probability > best.probability) {
+                    best = { probability, route: route.name, sensationLevel };
+                }
+            });
+        });
+
+        return { ...best, probability: (1 - this.lapseRate) * best.probability };
+    }
+
+    /**
+     * Levels and thresholds of the test-ear and cross-hearing routes
+     * Thresholds are compared at the cochlea: air routes add the test ear's air-bone gap
+     */
+    getRoutes(frequency, level, ear, conduction, masking) {
+        const other = ear === 'right' ? 'left' : 'right';
+        const drift = this.getFatigueDrift();
+        const maskedEar = masking?.ear === other ? masking.levelDbEm : null;
+        const maskedTestEar = masking?.ear === ear ? masking.levelDbEm : null;
+
+        const cochlea = (side) => this.getTrueThreshold(side, frequency, 'bone') + drift;
+        const gap = (side) => this.getTrueThreshold(side, frequency, 'air') - this.getTrueThreshold(side, frequency, 'bone');
+
+        // Masking noise covers its own cochlea up to its effective level, and crosses over to the other
+        const testCochlea = Math.max(cochlea(ear),
+            maskedTestEar !== null ? maskedTestEar - gap(ear) : -Infinity,
+            maskedEar !== null ? maskedEar - this.interauralAttenuation.air : -Infinity);
+        const otherCochlea = Math.max(cochlea(other),
+            maskedEar !== null ? maskedEar - gap(other) : -Infinity);
+
+        const routes = [{
+            name: 'test',
+            level: this.applyMalingering(ear, level),
+            threshold: testCochlea + (conduction === 'air' ? gap(ear) : 0)
+        }];
+
+        // A malingerer withholds responses for the feigned ear, cross-heard or not
+        if (!this.isFeigned(ear)) {
+            routes.push({
+                name: 'cross',
+                level: level - this.interauralAttenuation[conduction === 'bone' ? 'bone' : 'air'],
+                threshold: otherCochlea
+            });
+        }
+        return routes;
+    }
+
+    /**
+     * Malingering: tones to a feigned ear are answered as if the thresholds were offset higher
+     */
+    applyMalingering(ear, level) {
+        if (!this.isFeigned(ear)) return level;
+
+        const noise = this.malingering.variability > 0 ? this.drawNormal() * this.malingering.variability : 0;
+        return level - this.malingering.offset - noise;
+    }
+
+    isFeigned(ear) {
+        return Boolean(this.malingering) && this.malingering.offset > 0 && this.malingering.ears.includes(ear);
+    }
+
+    /**
+     * Threshold elevation from fatigue since start()
+     * @returns {number} dB
+     */
+    getFatigueDrift() {
+        if (!this.startTime || !(this.fatigue.driftPerMinute > 0)) return 0;
+
+        const minutes = (this.clock.now() - this.startTime) / 60000;
+        return Math.min(this.fatigue.maxDrift, this.fatigue.driftPerMinute * minutes);
+    }
+
+    /**
+     * True (organic) threshold, interpolated on a log-frequency scale between audiogram frequencies
+     * @param {string} ear - 'left' or 'right'
+     * @param {number} frequency - Hz
+     * @param {string} conduction - 'air' or 'bone'
+     * @returns {number} dB HL
+     */
+    getTrueThreshold(ear, frequency, conduction = 'air') {
+        const audiogram = (conduction === 'bone' ? this.boneThresholds : this.thresholds)[ear];
+        const points = Object.keys(audiogram).map(Number).sort((a, b) => a - b);
+
+        if (audiogram[frequency] !== undefined) return audiogram[frequency];
+        if (frequency <= points[0]) return audiogram[points[0]];
+        if (frequency >= points[points.length - 1]) return audiogram[points[points.length - 1]];
+
+        const upper = points.findIndex(point => point > frequency);
+        const [f1, f2] = [points[upper - 1], points[upper]];
+        const t = Math.log2(frequency / f1) / Math.log2(f2 / f1);
+        return audiogram[f1] + t * (audiogram[f2] - audiogram[f1]);
+    }
+
+    /**
+     * Reaction time: normal around the mean, slower near threshold
+     * @param {number} sensationLevel - dB above the threshold of the route that was heard
+     * @returns {number} ms
+     */
+    drawReactionTime(sensationLevel) {
+        const { mean, sd, min, nearThresholdSlowing } = this.reactionTime;
+        const slowing = nearThresholdSlowing * Math.exp(-Math.max(0, sensationLevel) / 10);
+        return Math.max(min, Math.round(mean + slowing + this.drawNormal() * sd));
+    }
+
+    drawNormal() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // ==================== BÉKÉSY TRACKING ====================
+
+    /**
+     * Hold the button while the tracking tone is heard and let go when it is not, one reaction time late
+     * Each decision uses a fresh criterion drawn around the threshold (the psychometric spread)
+     * @param {Object} sample - 'bekesy-trace-sample' detail { ear, level, frequency, pressed }
+     */
+    handleTraceSample({ ear, level, frequency, pressed }) {
+        if (!this.tracking) {
+            this.tracking = { pending: false, criterion: this.drawCriterion() };
+        }
+        if (this.tracking.pending) return;
+
+        const route = this.getRoutes(frequency, level, ear, 'air', null)
+            .reduce((best, r) => (r.level - r.threshold > best.level - best.threshold ? r : best));
+        const heard = route.level - route.threshold >= this.tracking.criterion;
+
+        if (heard !== pressed) {
+            this.tracking.pending = true;
+            this.schedule(() => {
+                if (!this.tracking) return;
+                if (heard) {
+                    this.press({ hold: true });
+                } else {
+                    this.release();
+                }
+                this.tracking = { pending: false, criterion: this.drawCriterion() };
+            }, this.drawReactionTime(Math.abs(route.level - route.threshold)));
+        }
+    }
+
+    endTracking() {
+        this.tracking = null;
+    }
+
+    /**
+     * Detection criterion around threshold with the spread of the logistic function (SD = π / (√3 × slope))
+     */
+    drawCriterion() {
+        return this.drawNormal() * Math.PI / (Math.sqrt(3) * this.slope);
+    }
+
+    // ==================== RESULTS ====================
+
+    /**
+     * Compare the clinician's thresholds with the true ones
+     * @param {Object} testResults - Clinician report testResults { 'right_1000': { threshold, ... }, 'left_500_bone': ... }
+     * @returns {Array<Object>} { ear, frequency, conduction, estimated, true, error, masked, noResponse, confidence, interval }
+     */
+    compareThresholds(testResults) {
+        return Object.entries(testResults).map(([key, data]) => {
+            const [ear, frequency, bone] = key.split('_');
+            const conduction = bone ? 'bone' : 'air';
+            const trueThreshold = Math.round(this.getTrueThreshold(ear, Number(frequency), conduction) * 10) / 10;
+
+            return {
+                ear,
+                frequency: Number(frequency),
+                conduction,
+                estimated: data.threshold,
+                true: trueThreshold,
+                error: data.threshold === null || data.threshold === undefined
+                    ? null
+                    : Math.round((data.threshold - trueThreshold) * 10) / 10,
+                masked: data.masked || false,
+                noResponse: data.noResponse || false,
+                confidence: data.confidence ?? null,
+                interval: data.interval ?? null
+            };
+        });
+    }
+
+    /**
+     * @returns {Object} { presentations, responses, falseAlarms, meanReactionTime }
+     */
+    getSummary() {
+        const responses = this.presentations.filter(p => p.responded);
+        const reactionTimes = responses.map(p => p.reactionTime);
+
+        return {
+            presentations: this.presentations.length,
+            responses: responses.length,
+            falseAlarms: this.falseAlarms,
+            meanReactionTime: reactionTimes.length
+                ? Math.round(reactionTimes.reduce((sum, rt) => sum + rt, 0) / reactionTimes.length)
+                : null
+        };
+    }
+}
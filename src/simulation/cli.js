@@ -0,0 +1,111 @@
+/**
+ * Simulation CLI
+ * Runs SimulationRunner from the command line (Node 20+)
+ *
+ *   node src/simulation/cli.js --runs 200 --max-presentations 10,20,30 --catch-rate 0.1,0.2
+ *
+ * Comma-separated values are swept: every combination is one configuration.
+ * See docs/SIMULATION.md for the options and the report.
+ */
+import { SimulationRunner } from './SimulationRunner.js';
+
+const USAGE = `Usage: node src/simulation/cli.js [options]
+
+  --runs <n>                    Sessions per configuration (default 100)
+  --protocol <ids>              Threshold or Békésy protocols (default hughson-westlake;
+                                screening protocols are not simulated)
+  --profiles <names>            Virtual patient profiles, used in turn
+                                (default normal,sensorineural,unilateral,fatigued)
+  --max-presentations <values>  AIClinician MAX_PRESENTATIONS_PER_FREQUENCY
+  --catch-rate <values>         Catch-trial probability
+  --step-up <values>            Protocol step up after no response (dB)
+  --step-down <values>          Protocol step down after a response (dB)
+  --bone                        Add the bone-conduction phase
+  --seed <n>                    Base random seed, to repeat a batch exactly
+  --json <file>                 Also write the summaries as JSON
+  --verbose                     Keep the clinician's console output
+  --help                        Show this help`;
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+        const key = arg.slice(2);
+        if (['bone', 'verbose', 'help'].includes(key)) {
+            options[key] = true;
+        } else if (i + 1 < argv.length) {
+            options[key] = argv[++i];
+        } else {
+            throw new Error(`Missing value for ${arg}`);
+        }
+    }
+    return options;
+}
+
+function parseList(value, parse = String) {
+    if (value === undefined) return undefined;
+    return value.split(',').map(item => {
+        const parsed = parse(item.trim());
+        if (typeof parsed === 'number' && !Number.isFinite(parsed)) {
+            throw new Error(`Not a number: ${item}`);
+        }
+        return parsed;
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+
+    const known = new Set(['runs', 'protocol', 'profiles', 'max-presentations', 'catch-rate', 'step-up', 'step-down', 'bone', 'seed', 'json', 'verbose', 'help']);
+    Object.keys(options).forEach(key => {
+        if (!known.has(key)) throw new Error(`Unknown option: --${key}`);
+    });
+
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const configs = SimulationRunner.createConfigGrid({
+        protocols: parseList(options.protocol),
+        maxPresentations: parseList(options['max-presentations'], Number),
+        catchTrialRates: parseList(options['catch-rate'], Number),
+        stepUps: parseList(options['step-up'], Number),
+        stepDowns: parseList(options['step-down'], Number),
+        includeBoneConduction: Boolean(options.bone)
+    });
+
+    const runner = new SimulationRunner({
+        runs: options.runs !== undefined ? Number(options.runs) : undefined,
+        profiles: parseList(options.profiles),
+        seed: options.seed !== undefined ? Number(options.seed) : null,
+        onProgress: ({ config, run, runs }) => {
+            process.stderr.write(`\r${config.name}: ${run}/${runs}${run === runs ? '\n' : ''}`);
+        }
+    });
+    runner.validateConfigs(configs);
+
+    const started = Date.now();
+    const results = await runner.run(configs);
+
+    process.stdout.write(`${runner.formatReport(results)}\n`);
+    process.stdout.write(`\n${configs.length} configuration(s), ${results.reduce((sum, r) => sum + r.summary.sessions, 0)} sessions in ${((Date.now() - started) / 1000).toFixed(1)} s\n`);
+
+    if (options.json) {
+        const { writeFile } = await import('node:fs/promises');
+        await writeFile(options.json, JSON.stringify(results.map(({ config, summary }) => ({ config, summary })), null, 2));
+        process.stdout.write(`Summaries written to ${options.json}\n`);
+    }
+}
+
+main().catch(error => {
+    process.stderr.write(`❌ ${error.message}\n`);
+    process.exitCode = 1;
+});
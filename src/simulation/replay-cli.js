@@ -0,0 +1,62 @@
+/**
+ * Replay CLI
+ * Re-runs an exported test from its random seed and response log (Node 20+)
+ *
+ *   node src/simulation/replay-cli.js session.json [--decisions] [--verbose]
+ *
+ * The file is a TestSession JSON export or a clinician report (test-completed).
+ * See docs/REPRODUCIBILITY.md.
+ */
+import { readFile } from 'node:fs/promises';
+import { SessionReplay } from './SessionReplay.js';
+
+const USAGE = `Usage: node src/simulation/replay-cli.js <report.json> [options]
+
+  --decisions    Print every clinical decision of the replay
+  --verbose      Keep the clinician's console output
+  --help         Show this help`;
+
+async function main() {
+    const args = process.argv.slice(2);
+    if (args.includes('--help') || args.length === 0) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+
+    const files = args.filter(arg => !arg.startsWith('--'));
+    const unknown = args.filter(arg => arg.startsWith('--') && !['--decisions', '--verbose'].includes(arg));
+    if (unknown.length > 0) throw new Error(`Unknown option: ${unknown[0]}`);
+    if (files.length !== 1) throw new Error('Give exactly one report file');
+
+    if (!args.includes('--verbose')) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const original = JSON.parse(await readFile(files[0], 'utf8'));
+    const replay = SessionReplay.fromReport(original);
+    const { report, decisions } = await replay.run();
+
+    if (args.includes('--decisions')) {
+        decisions.forEach(decision => {
+            const where = decision.frequency ? ` ${decision.ear} ${decision.frequency} Hz` : '';
+            process.stdout.write(`${decision.timestamp}  ${decision.type}${where} @ ${decision.level} dB HL  ${decision.reason || ''}\n`);
+        });
+    }
+
+    const differences = SessionReplay.compare(original, report);
+    process.stdout.write(`Replayed ${replay.protocol} with seed ${replay.seed}: ${decisions.length} decisions, ${replay.responseLog.length} responses\n`);
+    if (differences.length === 0) {
+        process.stdout.write('All thresholds match the original\n');
+    } else {
+        differences.forEach(({ key, original: before, replayed }) => {
+            process.stdout.write(`  ${key}: original ${before ?? '-'} dB HL, replay ${replayed ?? '-'} dB HL\n`);
+        });
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    process.stderr.write(`❌ ${error.message}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,455 @@
+/**
+ * Patient Database
+ * Local patient records in IndexedDB: patients, visits, test sessions and their trial event logs
+ *
+ * A visit groups a patient's sessions of one test date. A session record keeps the full session
+ * (TestSession.getSessionData(), every event included), the AI clinician's final report when the
+ * session has one, and a summary for history lists. Trial event logs are stored apart, so a history
+ * list never loads them.
+ *
+ * Both the database and its records are versioned. Opening an older database runs the schema
+ * migrations up to SCHEMA_VERSION; reading an older record runs the record migrations up to
+ * RECORD_VERSION. Sessions saved to localStorage (audiometer_session_<id>) are imported on open
+ */
+import { RealClock } from '../time/RealClock.js';
+
+export class PatientDatabase {
+    /**
+     * @param {RealClock|VirtualClock} clock - Time source of record dates
+     * @param {IDBFactory} indexedDB - Usually window.indexedDB
+     * @param {Storage|null} storage - localStorage, for importing older sessions
+     * @param {string} name - Database name
+     */
+    constructor(clock = new RealClock(), indexedDB = globalThis.indexedDB, storage = globalThis.localStorage ?? null, name = 'retro-audiometer-records') {
+        this.clock = clock;
+        this.indexedDB = indexedDB;
+        this.storage = storage;
+        this.name = name;
+        this.db = null;
+
+        // Database version n is reached by running migrations[n] on version n - 1
+        this.SCHEMA_VERSION = 1;
+        this.migrations = {
+            1: (db) => {
+                const patients = db.createObjectStore('patients', { keyPath: 'id' });
+                patients.createIndex('nameKey', 'nameKey');
+
+                const visits = db.createObjectStore('visits', { keyPath: 'id' });
+                visits.createIndex('patientId', 'patientId');
+
+                const sessions = db.createObjectStore('sessions', { keyPath: 'sessionId' });
+                sessions.createIndex('patientId', 'patientId');
+                sessions.createIndex('visitId', 'visitId');
+                sessions.createIndex('date', 'date');
+
+                db.createObjectStore('eventLogs', { keyPath: 'sessionId' });
+            }
+        };
+
+        // Record version n is reached by running recordMigrations[n] on version n - 1.
+        // Version 0 is the session data TestSession saved to localStorage before the records existed
+        this.RECORD_VERSION = 1;
+        this.recordMigrations = {
+            1: (data) => ({ ...this.createRecord(data, { source: 'localStorage' }), eventsTruncated: true })
+        };
+
+        this.STORAGE_PREFIX = 'audiometer_session_';
+        this.PTA_FREQUENCIES = [500, 1000, 2000];
+    }
+
+    // ==================== DATABASE ====================
+
+    /**
+     * Open (or create and migrate) the database, then import sessions from localStorage
+     * @returns {Promise<PatientDatabase>}
+     */
+    async open() {
+        if (this.db) return this;
+        if (!this.indexedDB) {
+            throw new Error('IndexedDB is not available - patient records cannot be stored');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.name, this.SCHEMA_VERSION);
+            request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('⚠️ Patient records are open in another tab with an older version - close it to upgrade');
+        });
+
+        // Another tab upgrading the schema needs this connection closed
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+            console.warn('⚠️ Patient records upgraded in another tab - reload to reopen them');
+        };
+
+        const imported = await this.importLocalStorageSessions();
+        console.log(`🗂️ Patient records open (schema v${this.SCHEMA_VERSION}${imported > 0 ? `, ${imported} localStorage sessions imported` : ''})`);
+        return this;
+    }
+
+    isOpen() {
+        return this.db !== null;
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    /**
+     * Run the schema migrations from the stored version to SCHEMA_VERSION
+     * @param {IDBDatabase} db - Database in its versionchange transaction
+     * @param {number} oldVersion - Stored version (0: new database)
+     */
+    upgrade(db, oldVersion) {
+        for (let version = oldVersion + 1; version <= this.SCHEMA_VERSION; version++) {
+            this.migrations[version](db);
+            console.log(`🗂️ Patient records schema migrated to v${version}`);
+        }
+    }
+
+    /**
+     * Run one transaction
+     * @param {string|Array<string>} storeNames - Object stores
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operate - Called with the stores in order; may return a request
+     * @returns {Promise<*>} Result of the returned request, once the transaction completes
+     */
+    transact(storeNames, mode, operate) {
+        if (!this.db) {
+            return Promise.reject(new Error('Patient records are not open'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+            const transaction = this.db.transaction(names, mode);
+            const request = operate(...names.map(name => transaction.objectStore(name)));
+
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Patient records transaction aborted'));
+        });
+    }
+
+    // ==================== PATIENTS ====================
+
+    /**
+     * Add a patient, or update the name and date of birth of a known one
+     * @param {Object} patientInfo - { id, name, dateOfBirth, sex }
+     * @returns {Promise<Object>} Patient record
+     */
+    savePatient(patientInfo) {
+        return this.transact('patients', 'readwrite', (patients) => this.putPatient(patients, patientInfo));
+    }
+
+    /**
+     * @param {string} id - Patient ID
+     * @returns {Promise<Object|null>} Patient record
+     */
+    async getPatient(id) {
+        return (await this.transact('patients', 'readonly', (patients) => patients.get(id))) ?? null;
+    }
+
+    /**
+     * Find patients whose ID or name contains the query (case-insensitive)
+     * @param {string} query - Part of an ID or name; empty lists every patient
+     * @returns {Promise<Array<Object>>} Patient records by name
+     */
+    async searchPatients(query = '') {
+        const key = query.trim().toLowerCase();
+        const patients = await this.transact('patients', 'readonly', (store) => store.getAll());
+
+        return patients
+            .filter(patient => !key || patient.id.toLowerCase().includes(key) || patient.nameKey.includes(key))
+            .sort((a, b) => a.nameKey.localeCompare(b.nameKey) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Write a patient record in a running transaction (keeps its creation date). Of an occupational
+     * test, the worker's employer, job, noise exposure and hearing protection are kept for the next test
+     * @returns {Object} { result }: the patient record, once the transaction completes
+     */
+    putPatient(patients, { id, name = null, dateOfBirth = null, sex = null, occupational = null }) {
+        if (!id) {
+            throw new Error('A patient record needs a patient ID');
+        }
+
+        const now = new Date(this.clock.wallTime()).toISOString();
+        const result = { result: null };
+        const existing = patients.get(id);
+        existing.onsuccess = () => {
+            const previous = existing.result;
+            const worker = previous?.occupational ?? null;
+            result.result = {
+                id,
+                name: name || previous?.name || null,
+                nameKey: (name || previous?.name || '').toLowerCase(),
+                dateOfBirth: dateOfBirth || previous?.dateOfBirth || null,
+                sex: sex || previous?.sex || null,
+                occupational: occupational
+                    ? {
+                        employer: occupational.employer || worker?.employer || null,
+                        jobTitle: occupational.jobTitle || worker?.jobTitle || null,
+                        noiseExposure: occupational.noiseExposure ?? worker?.noiseExposure ?? null,
+                        hearingProtection: occupational.hearingProtection || worker?.hearingProtection || null
+                    }
+                    : worker,
+                createdAt: previous?.createdAt || now,
+                updatedAt: now
+            };
+            patients.put(result.result);
+        };
+        return result;
+    }
+
+    // ==================== SESSIONS ====================
+
+    /**
+     * Store a session with its patient and visit (a session already stored is replaced)
+     * @param {TestSession} session - The session; patientInfo.id links it to its patient
+     * @param {Object} options - { report } AI clinician final report, { eventLog } TrialEventLog entries
+     * @returns {Promise<Object>} Session record
+     */
+    async saveSession(session, { report = null, eventLog = null } = {}) {
+        const record = this.createRecord(session.getSessionData(), { report });
+
+        await this.transact(['patients', 'visits', 'sessions', 'eventLogs'], 'readwrite', (patients, visits, sessions, eventLogs) => {
+            this.putRecord({ patients, visits, sessions }, record);
+            if (eventLog) {
+                eventLogs.put({ sessionId: record.sessionId, entries: JSON.parse(JSON.stringify(eventLog)) });
+            }
+        });
+        return record;
+    }
+
+    /**
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} Session record, migrated to RECORD_VERSION
+     */
+    async getSession(sessionId) {
+        const record = await this.transact('sessions', 'readonly', (sessions) => sessions.get(sessionId));
+        return record ? this.migrateRecord(record) : null;
+    }
+
+    /**
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Array<Object>>} Trial event log entries (empty for imported sessions)
+     */
+    async getEventLog(sessionId) {
+        const log = await this.transact('eventLogs', 'readonly', (eventLogs) => eventLogs.get(sessionId));
+        return log?.entries || [];
+    }
+
+    /**
+     * A patient's visits and sessions, newest first
+     * @param {string} patientId - Patient ID
+     * @returns {Promise<Object>} { patient, visits, sessions } - sessions as history entries (see toHistoryEntry)
+     */
+    async getPatientHistory(patientId) {
+        const [patient, visits, sessions] = await Promise.all([
+            this.getPatient(patientId),
+            this.transact('visits', 'readonly', (store) => store.index('patientId').getAll(patientId)),
+            this.transact('sessions', 'readonly', (store) => store.index('patientId').getAll(patientId))
+        ]);
+
+        return {
+            patient,
+            visits: visits.sort((a, b) => b.date.localeCompare(a.date)),
+            sessions: this.toHistory(sessions)
+        };
+    }
+
+    /**
+     * Sessions stored without a patient ID (tests run before a patient was entered, older imports)
+     * @returns {Promise<Array<Object>>} History entries, newest first
+     */
+    async getUnassignedSessions() {
+        const sessions = await this.transact('sessions', 'readonly', (store) => store.getAll());
+        return this.toHistory(sessions.filter(record => !record.patientId));
+    }
+
+    toHistory(records) {
+        return records
+            .map(record => this.toHistoryEntry(this.migrateRecord(record)))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * @returns {Object} { sessionId, patientId, visitId, date, source, summary }
+     */
+    toHistoryEntry({ sessionId, patientId, visitId, date, source, summary }) {
+        return { sessionId, patientId, visitId, date, source, summary };
+    }
+
+    /**
+     * Write a session record, its patient and its visit in a running transaction
+     * A session moved to another patient or date leaves its former visit
+     */
+    putRecord({ patients, visits, sessions }, record) {
+        const existing = sessions.get(record.sessionId);
+        existing.onsuccess = () => {
+            const previousVisitId = existing.result?.visitId;
+            if (previousVisitId && previousVisitId !== record.visitId) {
+                this.updateVisit(visits, previousVisitId, visit => ({
+                    ...visit,
+                    sessionIds: visit.sessionIds.filter(id => id !== record.sessionId)
+                }));
+            }
+
+            if (record.patientId) {
+                this.putPatient(patients, record.session.patientInfo);
+                this.updateVisit(visits, record.visitId, visit => ({
+                    id: record.visitId,
+                    patientId: record.patientId,
+                    date: record.visitId.slice(record.patientId.length + 1),
+                    sessionIds: [...new Set([...(visit?.sessionIds || []), record.sessionId])]
+                }));
+            }
+            sessions.put(record);
+        };
+    }
+
+    updateVisit(visits, visitId, update) {
+        const request = visits.get(visitId);
+        request.onsuccess = () => {
+            const visit = update(request.result);
+            if (visit.sessionIds.length > 0) {
+                visits.put(visit);
+            } else {
+                visits.delete(visitId);
+            }
+        };
+    }
+
+    // ==================== RECORDS ====================
+
+    /**
+     * Build a session record from session data
+     * @param {Object} sessionData - TestSession.getSessionData() or older localStorage data
+     * @param {Object} options - { report } AI clinician final report, { source } 'test' or 'localStorage'
+     * @returns {Object} Session record
+     */
+    createRecord(sessionData, { report = null, source = 'test' } = {}) {
+        // Stored as plain data: dates become ISO strings
+        const session = JSON.parse(JSON.stringify(sessionData));
+        const now = new Date(this.clock.wallTime()).toISOString();
+        const date = session.startTime || session.events?.[0]?.timestamp || now;
+        const patientId = session.patientInfo?.id || null;
+        const visitDate = session.patientInfo?.testDate || date.slice(0, 10);
+
+        return {
+            sessionId: session.sessionId,
+            recordVersion: this.RECORD_VERSION,
+            source,
+            patientId,
+            visitId: patientId ? `${patientId}_${visitDate}` : null,
+            date,
+            archivedAt: now,
+            summary: this.summarize(session, report),
+            session,
+            report: report ? JSON.parse(JSON.stringify(report)) : null
+        };
+    }
+
+    /**
+     * Bring a record (or localStorage session data) to RECORD_VERSION
+     * @param {Object} record - Stored record; data without recordVersion is version 0
+     * @returns {Object} Current record
+     */
+    migrateRecord(record) {
+        let migrated = record;
+        for (let version = (record.recordVersion ?? 0) + 1; version <= this.RECORD_VERSION; version++) {
+            migrated = this.recordMigrations[version](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * History-list summary of a session
+     * @returns {Object} { protocolName, tests, thresholdCount, pta: { right, left }, screening }
+     */
+    summarize(session, report = null) {
+        const air = session.testResults || {};
+        const bone = session.boneResults || {};
+        const count = results => ['left', 'right'].reduce((sum, ear) => sum + Object.keys(results[ear] || {}).length, 0);
+        const hasSpeech = ['left', 'right'].some(ear => session.speechResults?.[ear]?.srt || session.speechResults?.[ear]?.wrs);
+        const screening = Object.fromEntries(['right', 'left']
+            .filter(ear => session.screeningResults?.[ear])
+            .map(ear => [ear, session.screeningResults[ear].outcome]));
+        const hasBekesy = ['left', 'right'].some(ear => session.bekesyResults?.[ear]?.length > 0);
+
+        const tests = [
+            count(air) > 0 && 'air',
+            count(bone) > 0 && 'bone',
+            hasSpeech && 'speech',
+            Object.keys(screening).length > 0 && 'screening',
+            hasBekesy && 'bekesy'
+        ].filter(Boolean);
+
+        return {
+            protocolName: report?.protocol || session.testParameters?.protocolName || null,
+            tests,
+            thresholdCount: count(air) + count(bone),
+            pta: {
+                right: this.calculatePTA(air.right),
+                left: this.calculatePTA(air.left)
+            },
+            screening
+        };
+    }
+
+    /**
+     * Pure-tone average of 500, 1000 and 2000 Hz
+     * @param {Object} thresholds - { frequency: { threshold } } of one ear
+     * @returns {number|null} dB HL, or null when a frequency is missing or had no response
+     */
+    calculatePTA(thresholds = {}) {
+        // A no-response holds the output limit as its threshold, which is not a hearing level
+        if (this.PTA_FREQUENCIES.some(frequency => thresholds[frequency]?.noResponse)) return null;
+        const levels = this.PTA_FREQUENCIES.map(frequency => thresholds[frequency]?.threshold);
+        if (levels.some(level => typeof level !== 'number')) return null;
+        return Math.round(levels.reduce((sum, level) => sum + level, 0) / levels.length);
+    }
+
+    // ==================== LOCALSTORAGE IMPORT ====================
+
+    /**
+     * Import the localStorage sessions that are not in the records yet
+     * The localStorage copies stay: TestSession still uses them for the current session and recovery
+     * @returns {Promise<number>} Sessions imported
+     */
+    async importLocalStorageSessions() {
+        if (!this.storage) return 0;
+
+        const keys = [];
+        for (let index = 0; index < this.storage.length; index++) {
+            const key = this.storage.key(index);
+            if (key?.startsWith(this.STORAGE_PREFIX)) keys.push(key);
+        }
+        if (keys.length === 0) return 0;
+
+        const stored = new Set(await this.transact('sessions', 'readonly', (sessions) => sessions.getAllKeys()));
+        const records = keys
+            .filter(key => !stored.has(key.slice(this.STORAGE_PREFIX.length)))
+            .map(key => {
+                try {
+                    return this.migrateRecord(JSON.parse(this.storage.getItem(key)));
+                } catch (error) {
+                    console.warn(`Session ${key} not imported:`, error);
+                    return null;
+                }
+            })
+            .filter(record => record?.sessionId);
+        if (records.length === 0) return 0;
+
+        // One transaction each: sessions of the same visit would otherwise read the visit before either wrote it
+        for (const record of records) {
+            await this.transact(['patients', 'visits', 'sessions'], 'readwrite', (patients, visits, sessions) => {
+                this.putRecord({ patients, visits, sessions }, record);
+            });
+        }
+        return records.length;
+    }
+}
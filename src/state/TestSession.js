@@ -2,8 +2,20 @@
  * Test Session State Management
  * Manages current test state and data persistence
  */
+import { EventBus } from '../events/EventBus.js';
+import { RealClock } from '../time/RealClock.js';
+import { SeededRandom } from '../random/SeededRandom.js';
+
 export class TestSession {
-    constructor() {
+    /**
+     * @param {EventBus} eventBus - Channel for session-event
+     * @param {RealClock|VirtualClock} clock - Time source of the session's dates and log
+     * @param {SeededRandom} random - Source of the session ID suffix
+     */
+    constructor(eventBus = new EventBus(), clock = new RealClock(), random = new SeededRandom()) {
+        this.eventBus = eventBus;
+        this.clock = clock;
+        this.random = random;
         this.sessionId = this.generateSessionId();
         this.startTime = null;
         this.endTime = null;
@@ -13,7 +25,9 @@ export class TestSession {
             id: null,
             name: null,
             dateOfBirth: null,
-            testDate: new Date().toISOString().split('T')[0]
+            sex: null,
+            occupational: null,     // Hearing conservation tests: { testType, employer, jobTitle, noiseExposure, hearingProtection, noiseFree: { hours, attested, override } }
+            testDate: new Date(this.clock.wallTime()).toISOString().split('T')[0]
         };
         
         this.testResults = {
@@ -21,12 +35,41 @@ export class TestSession {
             right: new Map()
         };
         
+        // Bone-conduction thresholds, kept apart from air so each frequency can hold both
+        this.boneResults = {
+            left: new Map(),
+            right: new Map()
+        };
+        
+        // Speech audiometry: latest SRT and WRS result per ear
+        this.speechResults = {
+            left: { srt: null, wrs: null },
+            right: { srt: null, wrs: null }
+        };
+        
+        // Hearing screening: latest PASS/REFER result per ear (a rescreen replaces the first screen)
+        this.screeningResults = { left: null, right: null };
+        
+        // Békésy tracking: latest run per ear, tone and frequency (or sweep), without the sample trace
+        this.bekesyResults = { left: [], right: [] };
+        
+        this.AIR_BONE_GAP_SIGNIFICANT = 15; // dB - Average gap indicating a conductive component
+        this.WRS_POOR = 60; // % - Word recognition below this limits amplification benefit
+        
         this.testParameters = {
             protocol: 'hughson-westlake',
+            protocolName: 'Hughson-Westlake Method',
             frequencies: [125, 250, 500, 750, 1000, 1500, 2000, 3000, 4000, 6000, 8000],
-            calibration: new Map()
+            earOrder: ['right', 'left'],
+            transducer: null, // Earphone profile (id, model, RETSPL, max output, IA)
+            calibration: null, // Calibration profile active for this test (id, name, dates, per-ear corrections)
+            stimulus: null, // Tone stimulus settings (type, ramp shape/duration, pulse, warble)
+            randomSeed: null // Seed of the AI clinician's random choices, for re-running the test
         };
         
+        // Patient presses and releases of the last test (ResponseLog entries), for re-running it
+        this.responseLog = [];
+        
         this.qualityMetrics = {
             reliability: 0,
             consistency: 0,
@@ -38,11 +81,11 @@ export class TestSession {
     }
 
     generateSessionId() {
-        return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        return 'session_' + this.clock.wallTime() + '_' + this.random.next().toString(36).substr(2, 9);
     }
 
     startNewTest(patientInfo = null) {
-        this.startTime = new Date();
+        this.startTime = new Date(this.clock.wallTime());
         this.status = 'active';
         
         if (patientInfo) {
@@ -58,29 +101,160 @@ export class TestSession {
         // Clear previous results
         this.testResults.left.clear();
         this.testResults.right.clear();
+        this.boneResults.left.clear();
+        this.boneResults.right.clear();
+        this.speechResults = {
+            left: { srt: null, wrs: null },
+            right: { srt: null, wrs: null }
+        };
+        this.screeningResults = { left: null, right: null };
+        this.bekesyResults = { left: [], right: [] };
         this.events = [];
         
         console.log(`Test session started: ${this.sessionId}`);
     }
 
+    /**
+     * Identify the patient tested in this session (the patient records key sessions by patientInfo.id)
+     * @param {Object} patientInfo - { id, name, dateOfBirth, ... }
+     */
+    setPatientInfo(patientInfo) {
+        this.patientInfo = { ...this.patientInfo, ...patientInfo };
+        
+        this.logEvent('patient_identified', {
+            id: this.patientInfo.id,
+            name: this.patientInfo.name
+        });
+        this.saveToStorage();
+    }
+
+    /**
+     * Record the earphone profile used for this session
+     * @param {Object} transducer - Profile from AudioGenerator.getTransducer()
+     */
+    setTransducer(transducer) {
+        this.testParameters.transducer = transducer;
+        
+        this.logEvent('transducer_selected', {
+            id: transducer.id,
+            model: transducer.model
+        });
+    }
+
+    /**
+     * Record the calibration profile applied to the audio output for this test
+     * @param {Object|null} profile - Profile summary from AudioGenerator.getCalibrationProfile(), null if uncalibrated
+     */
+    setCalibrationProfile(profile) {
+        this.testParameters.calibration = profile
+            ? { ...profile, expiredAtTest: new Date(profile.expiresAt) < new Date(this.clock.wallTime()) }
+            : null;
+        
+        this.logEvent('calibration_profile', {
+            id: profile?.id || null,
+            name: profile?.name || 'uncalibrated',
+            expired: this.testParameters.calibration?.expiredAtTest || false
+        });
+    }
+
+    /**
+     * Record the tone stimulus used for this test
+     * @param {Object} settings - Settings from AudioGenerator.getStimulusSettings()
+     */
+    setStimulusSettings(settings) {
+        this.testParameters.stimulus = settings;
+        
+        this.logEvent('stimulus_selected', {
+            type: settings.type,
+            rampShape: settings.rampShape,
+            rampDuration: settings.rampDuration
+        });
+    }
+
+    /**
+     * Record the seed of the AI clinician's random choices for this test
+     * @param {number} seed - Unsigned 32-bit seed (SeededRandom)
+     */
+    setRandomSeed(seed) {
+        this.testParameters.randomSeed = seed;
+        
+        this.logEvent('random_seed', { seed });
+    }
+
+    /**
+     * Record the patient's presses and releases of this test
+     * @param {Array<Object>} entries - ResponseLog entries: { type, anchor, delay }
+     */
+    setResponseLog(entries) {
+        this.responseLog = entries;
+    }
+
+    /**
+     * Record the protocol the AI clinician runs for this test
+     * @param {Object} plan - Test plan from TestProtocol.getFullTestPlan()
+     */
+    setProtocol(plan) {
+        this.testParameters.protocol = plan.protocol;
+        this.testParameters.protocolName = plan.name;
+        this.testParameters.frequencies = [...plan.frequencies];
+        this.testParameters.earOrder = [...plan.ears];
+        
+        this.logEvent('protocol_selected', {
+            id: plan.protocol,
+            name: plan.name,
+            frequencies: plan.frequencies,
+            earOrder: plan.ears
+        });
+    }
+
+    /**
+     * Test parameters in a serializable form
+     * @returns {Object} Protocol, frequencies, ear order, transducer, calibration profile and stimulus
+     */
+    getTestParameters() {
+        return {
+            protocol: this.testParameters.protocol,
+            protocolName: this.testParameters.protocolName,
+            frequencies: [...this.testParameters.frequencies],
+            earOrder: [...this.testParameters.earOrder],
+            transducer: this.testParameters.transducer,
+            calibration: this.testParameters.calibration,
+            stimulus: this.testParameters.stimulus,
+            randomSeed: this.testParameters.randomSeed
+        };
+    }
+
     updateThreshold(ear, frequency, thresholdData) {
         if (!['left', 'right'].includes(ear)) {
             throw new Error('Invalid ear specification');
         }
         
-        this.testResults[ear].set(frequency, {
+        const results = thresholdData.bone ? this.boneResults : this.testResults;
+        
+        results[ear].set(frequency, {
             threshold: thresholdData.threshold,
             confidence: thresholdData.confidence,
             responses: thresholdData.responses,
             malingeringRisk: thresholdData.malingeringRisk,
-            timestamp: new Date()
+            masked: thresholdData.masked || false,
+            maskingLevel: thresholdData.maskingLevel ?? null,
+            unmaskedThreshold: thresholdData.unmaskedThreshold ?? null,
+            maskingDilemma: thresholdData.maskingDilemma || false,
+            noResponse: thresholdData.noResponse || false,
+            bone: thresholdData.bone || false,
+            interval: thresholdData.interval ?? null,
+            fit: thresholdData.fit ?? null,
+            timestamp: new Date(this.clock.wallTime())
         });
         
         this.logEvent('threshold_updated', {
             ear,
             frequency,
             threshold: thresholdData.threshold,
-            confidence: thresholdData.confidence
+            confidence: thresholdData.confidence,
+            masked: thresholdData.masked || false,
+            noResponse: thresholdData.noResponse || false,
+            bone: thresholdData.bone || false
         });
         
         // Update session storage
@@ -91,6 +265,10 @@ export class TestSession {
         return this.testResults[ear].get(frequency);
     }
 
+    getBoneThreshold(ear, frequency) {
+        return this.boneResults[ear].get(frequency);
+    }
+
     getAllThresholds() {
         const results = {};
         
@@ -104,6 +282,162 @@ export class TestSession {
         return results;
     }
 
+    getAllBoneThresholds() {
+        const results = {};
+        
+        ['left', 'right'].forEach(ear => {
+            results[ear] = {};
+            this.boneResults[ear].forEach((data, frequency) => {
+                results[ear][frequency] = data;
+            });
+        });
+        
+        return results;
+    }
+
+    /**
+     * Record a speech audiometry result (replaces the earlier result of the same test and ear)
+     * @param {Object} result - From SpeechAudiometry: { test: 'srt' | 'wrs', ear, ... }
+     */
+    recordSpeechResult(result) {
+        if (!['left', 'right'].includes(result.ear)) {
+            throw new Error('Invalid ear specification');
+        }
+        if (!['srt', 'wrs'].includes(result.test)) {
+            throw new Error(`Invalid speech test: ${result.test}`);
+        }
+        
+        this.speechResults[result.ear][result.test] = result;
+        
+        this.logEvent('speech_result', {
+            ear: result.ear,
+            test: result.test,
+            srt: result.srt ?? null,
+            score: result.score ?? null,
+            level: result.level ?? null,
+            masked: result.masked,
+            ptaAgreement: result.ptaAgreement?.agrees ?? null
+        });
+        
+        this.saveToStorage();
+    }
+
+    getSpeechResult(ear, test) {
+        return this.speechResults[ear]?.[test] || null;
+    }
+
+    getAllSpeechResults() {
+        return {
+            left: { ...this.speechResults.left },
+            right: { ...this.speechResults.right }
+        };
+    }
+
+    /**
+     * Record a screening result (replaces the earlier result for each screened ear)
+     * @param {Object} result - From AIClinician.buildScreeningResult(): { level, ears: { right: { outcome, ... } }, ... }
+     */
+    recordScreeningResult(result) {
+        Object.values(result.ears).forEach(earResult => {
+            if (!['left', 'right'].includes(earResult.ear)) {
+                throw new Error('Invalid ear specification');
+            }
+            
+            this.screeningResults[earResult.ear] = {
+                ...earResult,
+                protocol: result.protocol,
+                criterionLevel: result.criterionLevel,
+                rescreen: result.rescreen,
+                previousLevel: result.previousLevel,
+                date: result.date
+            };
+            
+            this.logEvent('screening_result', {
+                ear: earResult.ear,
+                outcome: earResult.outcome,
+                level: earResult.level,
+                missedFrequencies: earResult.missedFrequencies,
+                rescreen: result.rescreen
+            });
+        });
+        
+        this.saveToStorage();
+    }
+
+    getScreeningResult(ear) {
+        return this.screeningResults[ear] || null;
+    }
+
+    getAllScreeningResults() {
+        return {
+            left: this.screeningResults.left,
+            right: this.screeningResults.right
+        };
+    }
+
+    /**
+     * Record a Békésy tracking run (replaces the earlier run of the same ear, tone and frequency)
+     * The sample trace stays with the run result; the session keeps the reversals and thresholds
+     * @param {Object} result - From BekesyTracker.buildRunResult()
+     */
+    recordBekesyRun(result) {
+        if (!['left', 'right'].includes(result.ear)) {
+            throw new Error('Invalid ear specification');
+        }
+        
+        const run = {
+            tone: result.tone,
+            mode: result.mode,
+            frequency: result.frequency,
+            sweep: result.sweep,
+            attenuationRate: result.attenuationRate,
+            reason: result.reason,
+            elapsed: result.elapsed,
+            reversals: result.reversals,
+            meanWidth: result.meanWidth,
+            thresholds: result.thresholds,
+            date: new Date(this.clock.wallTime()).toISOString()
+        };
+        
+        const runs = this.bekesyResults[result.ear];
+        const index = runs.findIndex(existing => existing.tone === run.tone && existing.frequency === run.frequency);
+        if (index === -1) {
+            runs.push(run);
+        } else {
+            runs[index] = run;
+        }
+        
+        this.logEvent('bekesy_run', {
+            ear: result.ear,
+            tone: result.tone,
+            frequency: result.frequency,
+            reason: result.reason,
+            excursions: result.excursions.length
+        });
+        
+        this.saveToStorage();
+    }
+
+    getAllBekesyResults() {
+        return {
+            left: [...this.bekesyResults.left],
+            right: [...this.bekesyResults.right]
+        };
+    }
+
+    /**
+     * @returns {boolean} Whether any threshold, speech, screening or Békésy result was recorded
+     */
+    hasResults() {
+        return ['left', 'right'].some(ear =>
+            this.testResults[ear].size > 0 ||
+            this.boneResults[ear].size > 0 ||
+            Object.values(this.speechResults[ear]).some(result => result !== null) ||
+            this.screeningResults[ear] !== null ||
+            this.bekesyResults[ear].length > 0
+        );
+    }
+
     updateQualityMetrics(metrics) {
         this.qualityMetrics = { ...this.qualityMetrics, ...metrics };
         
@@ -113,25 +447,28 @@ export class TestSession {
     }
 
     completeTest() {
-        this.endTime = new Date();
+        this.endTime = new Date(this.clock.wallTime());
         this.status = 'completed';
         this.qualityMetrics.testDuration = this.endTime - this.startTime;
         
         this.logEvent('test_completed', {
             endTime: this.endTime,
             duration: this.qualityMetrics.testDuration,
-            finalResults: this.getAllThresholds()
+            finalResults: this.getAllThresholds(),
+            boneResults: this.getAllBoneThresholds()
         });
         
         this.saveToStorage();
+        this.clearCheckpoint();
         
         console.log(`Test session completed: ${this.sessionId}`);
         return this.generateFinalReport();
     }
 
     cancelTest() {
-        this.endTime = new Date();
+        this.endTime = new Date(this.clock.wallTime());
         this.status = 'cancelled';
+        this.clearCheckpoint();
         
         this.logEvent('test_cancelled', {
             endTime: this.endTime,
@@ -144,30 +481,41 @@ export class TestSession {
     pauseTest() {
         if (this.status === 'active') {
             this.status = 'paused';
-            this.logEvent('test_paused', { timestamp: new Date() });
+            this.logEvent('test_paused', { timestamp: new Date(this.clock.wallTime()) });
         }
     }
 
     resumeTest() {
         if (this.status === 'paused') {
             this.status = 'active';
-            this.logEvent('test_resumed', { timestamp: new Date() });
+            this.logEvent('test_resumed', { timestamp: new Date(this.clock.wallTime()) });
         }
     }
 
+    /**
+     * Continue a test interrupted by a reload or crash (see getInterruptedSession)
+     * @param {Object} checkpoint - The saved checkpoint the test resumes from
+     */
+    recoverTest(checkpoint) {
+        this.status = 'active';
+        this.logEvent('test_recovered', {
+            timestamp: new Date(this.clock.wallTime()),
+            interruptedAt: checkpoint.savedAt,
+            resumeFrom: checkpoint.resumePoint.position
+        });
+    }
+
     logEvent(eventType, data) {
         const event = {
             type: eventType,
-            timestamp: new Date(),
+            timestamp: new Date(this.clock.wallTime()),
             data: data || {}
         };
         
         this.events.push(event);
         
         // Dispatch event for UI updates
-        document.dispatchEvent(new CustomEvent('session-event', {
-            detail: event
-        }));
+        this.eventBus.emit('session-event', event);
     }
 
     generateFinalReport() {
@@ -180,11 +528,17 @@ export class TestSession {
                 status: this.status
             },
             patientInfo: this.patientInfo,
+            testParameters: this.getTestParameters(),
             testResults: this.getAllThresholds(),
+            boneResults: this.getAllBoneThresholds(),
+            speechResults: this.getAllSpeechResults(),
+            screeningResults: this.getAllScreeningResults(),
+            bekesyResults: this.getAllBekesyResults(),
             qualityMetrics: this.qualityMetrics,
             summary: this.generateSummary(),
             recommendations: this.generateRecommendations(),
-            events: this.events
+            events: this.events,
+            responseLog: this.responseLog
         };
         
         return report;
@@ -192,16 +546,18 @@ export class TestSession {
 
     generateSummary() {
         const thresholds = this.getAllThresholds();
+        const boneThresholds = this.getAllBoneThresholds();
         const summary = {
-            left: this.calculateEarSummary('left', thresholds.left),
-            right: this.calculateEarSummary('right', thresholds.right),
-            bilateral: this.calculateBilateralSummary(thresholds)
+            left: this.calculateEarSummary('left', thresholds.left, boneThresholds.left),
+            right: this.calculateEarSummary('right', thresholds.right, boneThresholds.right),
+            bilateral: this.calculateBilateralSummary(thresholds),
+            speech: this.calculateSpeechSummary()
         };
         
         return summary;
     }
 
-    calculateEarSummary(ear, thresholds) {
+    calculateEarSummary(ear, thresholds, boneThresholds = {}) {
         const frequencies = Object.keys(thresholds).map(f => parseInt(f));
         if (frequencies.length === 0) return null;
         
@@ -225,9 +581,15 @@ export class TestSession {
             ? confidenceValues.reduce((sum, c) => sum + c, 0) / confidenceValues.length
             : 0;
         
+        const conduction = this.classifyLossType(pta, thresholds, boneThresholds);
+        
         return {
             pta,
             classification,
+            lossType: conduction.lossType,
+            bonePta: conduction.bonePta,
+            airBoneGap: conduction.airBoneGap,
+            averageAirBoneGap: conduction.averageAirBoneGap,
             averageConfidence: Math.round(avgConfidence * 100),
             frequenciesTested: frequencies.length,
             thresholdRange: {
@@ -237,6 +599,71 @@ export class TestSession {
         };
     }
 
+    /**
+     * Classify hearing loss type from the air-bone gap
+     * Conductive: significant gap, normal bone. Sensorineural: loss without a gap.
+     * Mixed: significant gap with elevated bone thresholds.
+     * @param {number|null} pta - Air-conduction pure tone average
+     * @param {Object} airThresholds - Air thresholds keyed by frequency
+     * @param {Object} boneThresholds - Bone thresholds keyed by frequency
+     * @returns {Object} lossType (null without bone data), bone PTA and air-bone gaps
+     */
+    classifyLossType(pta, airThresholds, boneThresholds) {
+        const airBoneGap = {};
+        Object.entries(boneThresholds).forEach(([frequency, bone]) => {
+            const air = airThresholds[frequency];
+            if (air) {
+                airBoneGap[frequency] = air.threshold - bone.threshold;
+            }
+        });
+        
+        const gapFrequencies = Object.keys(airBoneGap);
+        if (gapFrequencies.length === 0) {
+            return { lossType: null, bonePta: null, airBoneGap, averageAirBoneGap: null };
+        }
+        
+        // Prefer the speech frequencies, as for the air PTA
+        const speechFreqs = ['500', '1000', '2000'].filter(f => airBoneGap[f] !== undefined);
+        const gapFreqs = speechFreqs.length > 0 ? speechFreqs : gapFrequencies;
+        const averageAirBoneGap = Math.round(gapFreqs.reduce((sum, f) => sum + airBoneGap[f], 0) / gapFreqs.length);
+        const bonePta = Math.round(gapFreqs.reduce((sum, f) => sum + boneThresholds[f].threshold, 0) / gapFreqs.length);
+        
+        const significantGap = averageAirBoneGap >= this.AIR_BONE_GAP_SIGNIFICANT;
+        let lossType = 'normal';
+        if (significantGap) {
+            lossType = bonePta > 25 ? 'mixed' : 'conductive';
+        } else if (pta > 25) {
+            lossType = 'sensorineural';
+        }
+        
+        return { lossType, bonePta, airBoneGap, averageAirBoneGap };
+    }
+
+    /**
+     * SRT, WRS and SRT-PTA agreement per ear
+     * @returns {Object|null} Per-ear speech summary, null when no speech test was run
+     */
+    calculateSpeechSummary() {
+        const summary = {};
+        
+        ['left', 'right'].forEach(ear => {
+            const { srt, wrs } = this.speechResults[ear];
+            if (!srt && !wrs) return;
+            
+            summary[ear] = {
+                srt: srt?.srt ?? null,
+                srtMasked: srt?.masked || false,
+                ptaAgreement: srt?.ptaAgreement ?? null,
+                wrsScore: wrs?.score ?? null,
+                wrsLevel: wrs?.level ?? null,
+                wrsCategory: wrs?.category ?? null,
+                wrsMasked: wrs?.masked || false
+            };
+        });
+        
+        return Object.keys(summary).length > 0 ? summary : null;
+    }
+
     calculateBilateralSummary(thresholds) {
         const leftSummary = this.calculateEarSummary('left', thresholds.left);
         const rightSummary = this.calculateEarSummary('right', thresholds.right);
@@ -284,6 +711,18 @@ export class TestSession {
             });
         }
         
+        // Check for conductive component (air-bone gap)
+        const conductiveEars = ['left', 'right'].filter(ear => 
+            ['conductive', 'mixed'].includes(summary[ear]?.lossType)
+        );
+        if (conductiveEars.length > 0) {
+            recommendations.push({
+                type: 'conductive',
+                priority: 'high',
+                message: `Air-bone gap in ${conductiveEars.join(' and ')} ear - conductive component. Consider otologic referral.`
+            });
+        }
+        
         // Check for asymmetry
         if (summary.bilateral && summary.bilateral.asymmetrySignificant) {
             recommendations.push({
@@ -293,21 +732,87 @@ export class TestSession {
             });
         }
         
+        // Hearing screening: referred ears need full diagnostic audiometry
+        ['left', 'right'].forEach(ear => {
+            const screening = this.screeningResults[ear];
+            if (screening?.outcome === 'REFER') {
+                recommendations.push({
+                    type: 'screening_refer',
+                    priority: 'high',
+                    message: `${ear.charAt(0).toUpperCase() + ear.slice(1)} ear referred at screening (no response at ${screening.missedFrequencies.join(', ')} Hz, ${screening.level} dB HL). Refer for diagnostic audiometry.`
+                });
+            }
+        });
+        
+        // Speech audiometry: SRT-PTA disagreement and poor word recognition
+        ['left', 'right'].forEach(ear => {
+            const speech = summary.speech?.[ear];
+            if (!speech) return;
+            
+            if (speech.ptaAgreement?.nonOrganicSign) {
+                recommendations.push({
+                    type: 'srt_pta',
+                    priority: 'high',
+                    message: `SRT in ${ear} ear is ${-speech.ptaAgreement.difference} dB better than the PTA. Reinstruct and retest pure tones; consider objective testing.`
+                });
+            }
+            if (speech.wrsScore !== null && speech.wrsScore < this.WRS_POOR) {
+                recommendations.push({
+                    type: 'word_recognition',
+                    priority: 'medium',
+                    message: `Poor word recognition in ${ear} ear (${speech.wrsScore}%). Consider retrocochlear evaluation; amplification benefit may be limited.`
+                });
+            }
+        });
+        
         return recommendations;
     }
 
+    /**
+     * Session in a serializable form (the form saved to localStorage and to the patient records)
+     * @param {number|null} eventLimit - Keep only the latest events (null: all)
+     * @returns {Object} Session data (TestSession.fromData() takes it back)
+     */
+    getSessionData(eventLimit = null) {
+        return {
+            sessionId: this.sessionId,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            status: this.status,
+            patientInfo: this.patientInfo,
+            testParameters: this.getTestParameters(),
+            testResults: this.getAllThresholds(),
+            boneResults: this.getAllBoneThresholds(),
+            speechResults: this.getAllSpeechResults(),
+            screeningResults: this.getAllScreeningResults(),
+            bekesyResults: this.getAllBekesyResults(),
+            qualityMetrics: this.qualityMetrics,
+            events: eventLimit ? this.events.slice(-eventLimit) : [...this.events],
+            responseLog: this.responseLog
+        };
+    }
+
+    /**
+     * Air and bone thresholds keyed like the AI clinician's report ('right_1000', 'left_500_bone')
+     * @returns {Object} Threshold data by key, with ear and frequency
+     */
+    getKeyedResults() {
+        const results = {};
+        
+        [[this.testResults, ''], [this.boneResults, '_bone']].forEach(([conductionResults, suffix]) => {
+            ['right', 'left'].forEach(ear => {
+                conductionResults[ear].forEach((data, frequency) => {
+                    results[`${ear}_${frequency}${suffix}`] = { ...data, ear, frequency: Number(frequency) };
+                });
+            });
+        });
+        
+        return results;
+    }
+
     saveToStorage() {
         try {
-            const sessionData = {
-                sessionId: this.sessionId,
-                startTime: this.startTime,
-                endTime: this.endTime,
-                status: this.status,
-                patientInfo: this.patientInfo,
-                testResults: this.getAllThresholds(),
-                qualityMetrics: this.qualityMetrics,
-                events: this.events.slice(-50) // Keep last 50 events
-            };
+            const sessionData = this.getSessionData(50); // Keep last 50 events
             
             localStorage.setItem(`audiometer_session_${this.sessionId}`, JSON.stringify(sessionData));
             localStorage.setItem('audiometer_current_session', this.sessionId);
@@ -316,21 +821,11 @@ export class TestSession {
         }
     }
 
-    static loadFromStorage(sessionId) {
+    static loadFromStorage(sessionId, eventBus = new EventBus(), clock = new RealClock()) {
         try {
             const sessionData = localStorage.getItem(`audiometer_session_${sessionId}`);
             if (sessionData) {
-                const data = JSON.parse(sessionData);
-                const session = new TestSession();
-                
-                // Restore session data
-                Object.assign(session, data);
-                
-                // Restore Maps
-                session.testResults.left = new Map(Object.entries(data.testResults.left || {}));
-                session.testResults.right = new Map(Object.entries(data.testResults.right || {}));
-                
-                return session;
+                return TestSession.fromData(JSON.parse(sessionData), eventBus, clock);
             }
         } catch (error) {
             console.warn('Failed to load session from storage:', error);
@@ -339,14 +834,125 @@ export class TestSession {
         return null;
     }
 
-    static getCurrentSession() {
+    /**
+     * Rebuild a session from its serializable form
+     * @param {Object} data - From getSessionData() (localStorage or a patient record)
+     * @returns {TestSession}
+     */
+    static fromData(data, eventBus = new EventBus(), clock = new RealClock()) {
+        const session = new TestSession(eventBus, clock);
+        
+        // Restore session data
+        Object.assign(session, data);
+        
+        // Restore Maps
+        session.testResults = {
+            left: new Map(Object.entries(data.testResults?.left || {})),
+            right: new Map(Object.entries(data.testResults?.right || {}))
+        };
+        session.boneResults = {
+            left: new Map(Object.entries(data.boneResults?.left || {})),
+            right: new Map(Object.entries(data.boneResults?.right || {}))
+        };
+        session.speechResults = {
+            ...new TestSession().speechResults,
+            ...data.speechResults
+        };
+        session.screeningResults = {
+            ...new TestSession().screeningResults,
+            ...data.screeningResults
+        };
+        session.bekesyResults = {
+            ...new TestSession().bekesyResults,
+            ...data.bekesyResults
+        };
+        session.testParameters = {
+            ...new TestSession().testParameters,
+            ...data.testParameters
+        };
+        
+        return session;
+    }
+
+    static getCurrentSession(eventBus = new EventBus(), clock = new RealClock()) {
         const currentSessionId = localStorage.getItem('audiometer_current_session');
         if (currentSessionId) {
-            return TestSession.loadFromStorage(currentSessionId);
+            return TestSession.loadFromStorage(currentSessionId, eventBus, clock);
         }
         return null;
     }
 
+    /**
+     * Save the AI clinician's checkpoint of the running test, with the session itself
+     * @param {Object} checkpoint - { version, savedAt, current, resumePoint } from AIClinician
+     */
+    saveCheckpoint(checkpoint) {
+        this.saveToStorage();
+        const key = `audiometer_checkpoint_${this.sessionId}`;
+        try {
+            localStorage.setItem(key, JSON.stringify(checkpoint));
+        } catch (error) {
+            if (!TestSession.isQuotaExceeded(error)) {
+                console.warn('Failed to save checkpoint to storage:', error);
+                return;
+            }
+            // Storage is full: the resume point alone still lets the test be recovered
+            try {
+                localStorage.setItem(key, JSON.stringify({ ...checkpoint, current: null }));
+                console.warn('⚠️ Storage full - checkpoint saved without the current state');
+            } catch (retryError) {
+                // The checkpoint saved before stays, and recovery resumes from its frequency
+                console.warn('⚠️ Storage full - checkpoint not saved:', retryError);
+            }
+        }
+    }
+
+    /**
+     * Whether a storage error is the origin's quota running out (the name differs between browsers)
+     * @param {Error} error - Error thrown by localStorage.setItem()
+     * @returns {boolean}
+     */
+    static isQuotaExceeded(error) {
+        return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+    }
+
+    /**
+     * @returns {Object|null} Saved checkpoint of this session's running test
+     */
+    loadCheckpoint() {
+        try {
+            const checkpoint = localStorage.getItem(`audiometer_checkpoint_${this.sessionId}`);
+            return checkpoint ? JSON.parse(checkpoint) : null;
+        } catch (error) {
+            console.warn('Failed to load checkpoint from storage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Forget the checkpoint once the test has ended (completed, stopped or recovery declined)
+     */
+    clearCheckpoint() {
+        try {
+            localStorage.removeItem(`audiometer_checkpoint_${this.sessionId}`);
+        } catch (error) {
+            console.warn('Failed to clear checkpoint:', error);
+        }
+    }
+
+    /**
+     * The last session, if its test was still running when the page closed
+     * @returns {Object|null} { session, checkpoint }
+     */
+    static getInterruptedSession(eventBus = new EventBus(), clock = new RealClock()) {
+        const session = TestSession.getCurrentSession(eventBus, clock);
+        const checkpoint = session?.loadCheckpoint();
+        if (!checkpoint?.resumePoint) {
+            return null;
+        }
+        return { session, checkpoint };
+    }
+
     exportData(format = 'json') {
         const report = this.generateFinalReport();
         
@@ -364,14 +970,71 @@ export class TestSession {
         const csvLines = [];
         
         // Header
-        csvLines.push('Ear,Frequency,Threshold,Confidence,Malingering Risk');
+        csvLines.push('Ear,Frequency,Threshold,Confidence,Malingering Risk,Masked,Masking Level (dB EM),Conduction,Transducer,Fit Threshold (dB HL),Fit Slope (/dB),CI Lower (dB HL),CI Upper (dB HL)');
+        
+        const earphone = report.testParameters.transducer?.model || '';
         
         // Data rows
+        [['air', report.testResults], ['bone', report.boneResults]].forEach(([conduction, results]) => {
+            const transducer = conduction === 'bone' ? 'bone vibrator' : earphone;
+            ['left', 'right'].forEach(ear => {
+                Object.entries(results[ear]).forEach(([frequency, data]) => {
+                    csvLines.push(`${ear},${frequency},${data.noResponse ? 'NR' : data.threshold},${data.confidence},${data.malingeringRisk},${data.masked ? 'yes' : 'no'},${data.maskingLevel ?? ''},${conduction},${transducer},${data.fit?.threshold ?? ''},${data.fit?.slope ?? ''},${data.interval?.lower ?? ''},${data.interval?.upper ?? ''}`);
+                });
+            });
+        });
+        
+        // Speech audiometry
+        const speechRows = [];
         ['left', 'right'].forEach(ear => {
-            Object.entries(report.testResults[ear]).forEach(([frequency, data]) => {
-                csvLines.push(`${ear},${frequency},${data.threshold},${data.confidence},${data.malingeringRisk}`);
+            const { srt, wrs } = report.speechResults?.[ear] || {};
+            if (srt) {
+                speechRows.push(`${ear},SRT,${srt.srt ?? 'NR'},,${srt.masked ? 'yes' : 'no'},${srt.maskingLevel ?? ''},${srt.material.name}`);
+            }
+            if (wrs) {
+                speechRows.push(`${ear},WRS,${wrs.level},${wrs.score},${wrs.masked ? 'yes' : 'no'},${wrs.maskingLevel ?? ''},${wrs.material.name}`);
+            }
+        });
+        if (speechRows.length > 0) {
+            csvLines.push('');
+            csvLines.push('Ear,Speech Test,Level (dB HL),Score (%),Masked,Masking Level (dB EM),Material');
+            csvLines.push(...speechRows);
+        }
+        
+        // Hearing screening
+        const screeningRows = [];
+        ['left', 'right'].forEach(ear => {
+            const screening = report.screeningResults?.[ear];
+            if (screening) {
+                screeningRows.push(`${ear},${screening.outcome},${screening.level},${screening.missedFrequencies.join(' ')},${screening.rescreen ? 'yes' : 'no'}`);
+            }
+        });
+        if (screeningRows.length > 0) {
+            csvLines.push('');
+            csvLines.push('Ear,Screening Result,Level (dB HL),Missed Frequencies (Hz),Rescreen');
+            csvLines.push(...screeningRows);
+        }
+        
+        // Békésy tracking (one row per run and threshold frequency)
+        const bekesyRows = [];
+        ['left', 'right'].forEach(ear => {
+            (report.bekesyResults?.[ear] || []).forEach(run => {
+                Object.entries(run.thresholds).forEach(([frequency, item]) => {
+                    bekesyRows.push(`${ear},${run.tone},${run.mode},${frequency},${item.noResponse ? 'NR' : item.threshold ?? 'CNT'},${item.excursions},${item.meanWidth ?? ''}`);
+                });
             });
         });
+        if (bekesyRows.length > 0) {
+            csvLines.push('');
+            csvLines.push('Ear,Bekesy Tone,Mode,Frequency (Hz),Threshold (dB HL),Excursions,Mean Excursion (dB)');
+            csvLines.push(...bekesyRows);
+        }
+        
+        // Seed for re-running the test (the response log is in the JSON export)
+        if (report.testParameters.randomSeed !== null && report.testParameters.randomSeed !== undefined) {
+            csvLines.push('');
+            csvLines.push(`Random Seed,${report.testParameters.randomSeed}`);
+        }
         
         return csvLines.join('\n');
     }
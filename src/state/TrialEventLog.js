@@ -0,0 +1,58 @@
+/**
+ * Trial Event Log
+ * Full record of the clinical events of a session - every tone, press, release, catch trial,
+ * decision and threshold - kept with the session in the patient records (PatientDatabase)
+ *
+ * Entries are the bus envelopes { type, version, timestamp, payload }, so each payload can be read
+ * against its schema version in the EventCatalogue. Events that only repeat what another record
+ * holds are left out: the session's own log, audiogram redraws and Békésy trace samples (the trace
+ * comes with bekesy-run-completed)
+ */
+export class TrialEventLog {
+    /**
+     * @param {EventBus} eventBus - The bus the clinician, detectors and speech tests emit on
+     */
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+
+        this.EXCLUDED_EVENTS = new Set(['session-event', 'audiogram-updated', 'bekesy-trace-sample']);
+
+        this.entries = [];
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Start recording (entries already recorded are kept; see clear())
+     */
+    start() {
+        if (this.unsubscribe) return;
+
+        this.unsubscribe = this.eventBus.onAny(envelope => this.record(envelope));
+    }
+
+    stop() {
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Forget the recorded entries (a new session starts)
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    record({ type, version, timestamp, payload }) {
+        if (this.EXCLUDED_EVENTS.has(type)) return;
+
+        // Payloads are copied as plain data: later changes to the emitted objects do not reach the log
+        this.entries.push({ type, version, timestamp, payload: payload === null ? null : JSON.parse(JSON.stringify(payload)) });
+    }
+
+    /**
+     * @returns {Array<Object>} Entries { type, version, timestamp, payload } in emission order
+     */
+    getEntries() {
+        return [...this.entries];
+    }
+}
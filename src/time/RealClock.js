@@ -0,0 +1,39 @@
+/**
+ * Real Clock
+ * Time source and timers of the clinical modules in a live test: performance.now(), Date.now()
+ * and the host's setTimeout
+ *
+ * The clinical modules take a clock instead of using the globals, so that a VirtualClock can
+ * stand in for it in simulations and replays. Both clocks have the same methods:
+ *   now()                      - Monotonic time in ms (performance.now() clock)
+ *   wallTime()                 - Epoch time in ms (Date.now() clock)
+ *   toWallTime(time)           - Epoch time of a now() reading
+ *   setTimeout(callback, ms)   - Returns an id for clearTimeout()
+ *   clearTimeout(id)
+ *   delay(ms)                  - Promise that resolves after ms
+ */
+export class RealClock {
+    now() {
+        return performance.now();
+    }
+
+    wallTime() {
+        return Date.now();
+    }
+
+    toWallTime(time) {
+        return performance.timeOrigin + time;
+    }
+
+    setTimeout(callback, delay = 0, ...args) {
+        return globalThis.setTimeout(callback, delay, ...args);
+    }
+
+    clearTimeout(id) {
+        globalThis.clearTimeout(id);
+    }
+
+    delay(ms) {
+        return new Promise(resolve => this.setTimeout(resolve, ms));
+    }
+}
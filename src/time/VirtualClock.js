@@ -0,0 +1,145 @@
+/**
+ * Virtual Clock
+ * Clock for simulations and replays: time only moves when it is advanced, and it jumps straight
+ * to the next timer instead of waiting for it
+ *
+ * Timers fire in the same order as on a RealClock, and pending promise callbacks run before the
+ * clock moves on, so the clinician makes the same decisions. A test of several minutes finishes
+ * in milliseconds
+ *
+ *   const clock = new VirtualClock();
+ *   const clinician = new AIClinician(eventBus, clock);
+ *   await clock.runUntilSettled(clinician.beginProtocol(audioEngine, session));
+ */
+export class VirtualClock {
+    /**
+     * @param {Object} options
+     * @param {number} options.startTime - Epoch time (ms) at virtual time 0
+     */
+    constructor({ startTime = Date.now() } = {}) {
+        this.startTime = startTime;
+        this.time = 0;                  // ms since startTime
+        this.timers = new Map();        // id -> { id, time, callback }
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    wallTime() {
+        return this.startTime + this.time;
+    }
+
+    toWallTime(time) {
+        return this.startTime + time;
+    }
+
+    setTimeout(callback, delay = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.set(id, {
+            id,
+            time: this.time + Math.max(0, Number(delay) || 0),
+            callback: () => callback(...args)
+        });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    delay(ms) {
+        return new Promise(resolve => this.setTimeout(resolve, ms));
+    }
+
+    get pendingTimers() {
+        return this.timers.size;
+    }
+
+    // ==================== ADVANCING ====================
+
+    /**
+     * Move the clock forward by ms, firing the timers that fall due on the way
+     * @param {number} ms
+     */
+    async advance(ms) {
+        const target = this.time + Math.max(0, ms);
+
+        await this.flush();
+        let next = this.getNextTimer();
+        while (next && next.time <= target) {
+            this.fire(next);
+            await this.flush();
+            next = this.getNextTimer();
+        }
+        this.time = target;
+    }
+
+    /**
+     * Advance timer by timer until the promise settles
+     * @param {Promise} promise - E.g. AIClinician.beginProtocol()
+     * @param {Object} options
+     * @param {number} options.maxTime - Virtual time allowed (ms) before giving up
+     * @returns {Promise<*>} The promise's value
+     */
+    async runUntilSettled(promise, { maxTime = Infinity } = {}) {
+        let settled = false;
+        const tracked = Promise.resolve(promise).finally(() => { settled = true; });
+        tracked.catch(() => {});
+        const limit = this.time + maxTime;
+
+        while (!settled) {
+            await this.flush();
+            if (settled) break;
+
+            const next = this.getNextTimer();
+            if (!next) {
+                throw new Error('Virtual clock stalled: nothing pending');
+            }
+            if (next.time > limit) {
+                throw new Error(`Virtual clock passed its limit of ${maxTime / 60000} minutes`);
+            }
+            this.fire(next);
+        }
+
+        return tracked;
+    }
+
+    getNextTimer() {
+        let next = null;
+        this.timers.forEach(timer => {
+            if (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id)) {
+                next = timer;
+            }
+        });
+        return next;
+    }
+
+    fire(timer) {
+        this.timers.delete(timer.id);
+        this.time = Math.max(this.time, timer.time);
+        timer.callback();
+    }
+
+    /**
+     * Let pending promise callbacks run
+     * Yields to the host's task queue, which runs only once the microtasks are done
+     */
+    flush() {
+        if (typeof setImmediate === 'function') {
+            return new Promise(resolve => setImmediate(resolve));
+        }
+        if (typeof MessageChannel === 'function') {
+            return new Promise(resolve => {
+                const channel = new MessageChannel();
+                channel.port1.onmessage = () => {
+                    channel.port1.close();
+                    resolve();
+                };
+                channel.port2.postMessage(null);
+            });
+        }
+        return new Promise(resolve => globalThis.setTimeout(resolve, 0));
+    }
+}
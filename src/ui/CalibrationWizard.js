@@ -0,0 +1,224 @@
+/**
+ * Calibration Wizard Panel
+ * Connects the setup-panel calibration controls and the wizard panel to the CalibrationManager
+ * Steps through every frequency per ear: play reference tone, enter meter reading, save profile
+ */
+export class CalibrationWizard {
+    constructor(calibrationManager) {
+        this.calibrationManager = calibrationManager;
+        this.isOpen = false;
+        this.isPlaying = false;
+
+        this.elements = {
+            select: document.getElementById('calibration-select'),
+            openButton: document.getElementById('calibrate-button'),
+            panel: document.getElementById('calibration-wizard'),
+            name: document.getElementById('calibration-name'),
+            step: document.getElementById('calibration-step'),
+            measured: document.getElementById('calibration-measured'),
+            message: document.getElementById('calibration-message'),
+            begin: document.getElementById('calibration-begin'),
+            play: document.getElementById('calibration-play'),
+            record: document.getElementById('calibration-record'),
+            back: document.getElementById('calibration-back'),
+            save: document.getElementById('calibration-save'),
+            cancel: document.getElementById('calibration-cancel')
+        };
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const { openButton, begin, play, record, back, save, cancel, measured } = this.elements;
+
+        openButton?.addEventListener('click', () => this.open());
+        begin?.addEventListener('click', () => this.begin());
+        play?.addEventListener('click', () => this.playTone());
+        record?.addEventListener('click', () => this.record());
+        back?.addEventListener('click', () => this.back());
+        save?.addEventListener('click', () => this.save());
+        cancel?.addEventListener('click', () => this.close());
+
+        // Enter records the reading
+        measured?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.record();
+            }
+        });
+    }
+
+    // ==================== PROFILE SELECTION ====================
+
+    /**
+     * Rebuild the profile list for the active transducer and select the active profile
+     */
+    refreshProfiles() {
+        const { select } = this.elements;
+        if (!select) return;
+
+        const manager = this.calibrationManager;
+        const transducerId = manager.audioGenerator.getTransducer().id;
+        const activeId = manager.audioGenerator.getCalibrationProfile()?.id || '';
+
+        select.innerHTML = '<option value="">UNCALIBRATED</option>';
+        manager.getProfilesForTransducer(transducerId).forEach(profile => {
+            const { status } = manager.getExpiryStatus(profile);
+            const flag = status === 'expired' ? ' [EXPIRED]' : status === 'expiring' ? ' [DUE]' : '';
+
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = `${profile.name.toUpperCase()} ${profile.createdAt.slice(0, 10)}${flag}`;
+            select.appendChild(option);
+        });
+
+        select.value = activeId;
+    }
+
+    /**
+     * Apply the profile chosen in the setup panel
+     * @returns {Object|null} Expiry status of the applied profile, null when uncalibrated
+     */
+    applySelection() {
+        const profileId = this.elements.select?.value;
+
+        if (!profileId) {
+            this.calibrationManager.deactivateProfile();
+            return null;
+        }
+        return this.calibrationManager.activateProfile(profileId);
+    }
+
+    /**
+     * Enable or disable the CALIBRATE button (requires powered-on audio, no test running)
+     */
+    setEnabled(enabled) {
+        if (this.elements.openButton) {
+            this.elements.openButton.disabled = !enabled || this.isOpen;
+        }
+    }
+
+    // ==================== WIZARD PANEL ====================
+
+    open() {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.elements.panel.hidden = false;
+        this.elements.name.value = '';
+        this.elements.name.disabled = false;
+        this.elements.begin.disabled = false;
+        this.elements.step.textContent = 'COUPLE EARPHONE TO SOUND LEVEL METER, ENTER NAME, PRESS BEGIN';
+        this.setStepControls(false);
+        this.elements.save.disabled = true;
+        this.showMessage('');
+        this.setEnabled(false);
+
+        document.dispatchEvent(new CustomEvent('calibration-wizard-state', { detail: { open: true } }));
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.calibrationManager.cancelCalibration();
+        this.isOpen = false;
+        this.elements.panel.hidden = true;
+        this.refreshProfiles();
+
+        document.dispatchEvent(new CustomEvent('calibration-wizard-state', { detail: { open: false } }));
+    }
+
+    begin() {
+        try {
+            const step = this.calibrationManager.startCalibration(this.elements.name.value);
+            this.elements.name.disabled = true;
+            this.elements.begin.disabled = true;
+            this.setStepControls(true);
+            this.renderStep(step);
+            this.showMessage('');
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    async playTone() {
+        if (this.isPlaying) return;
+
+        this.isPlaying = true;
+        this.elements.play.disabled = true;
+        try {
+            await this.calibrationManager.playReferenceTone();
+        } catch (error) {
+            this.showMessage(error.message);
+        } finally {
+            this.isPlaying = false;
+            this.elements.play.disabled = this.calibrationManager.isCalibrationComplete();
+        }
+    }
+
+    record() {
+        const reading = parseFloat(this.elements.measured.value);
+
+        try {
+            const measurement = this.calibrationManager.recordMeasurement(reading);
+            const sign = measurement.correction > 0 ? '+' : '';
+            this.showMessage(`${measurement.ear.toUpperCase()} ${measurement.frequency} HZ: CORRECTION ${sign}${measurement.correction} DB`);
+            this.advance();
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    back() {
+        this.renderStep(this.calibrationManager.previousStep());
+        this.setStepControls(true);
+        this.elements.save.disabled = true;
+    }
+
+    save() {
+        try {
+            const profile = this.calibrationManager.finishCalibration();
+            this.isOpen = false;
+            this.elements.panel.hidden = true;
+            this.refreshProfiles();
+
+            document.dispatchEvent(new CustomEvent('calibration-wizard-state', { detail: { open: false, profile } }));
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    advance() {
+        const step = this.calibrationManager.getCurrentStep();
+        this.elements.measured.value = '';
+
+        if (step) {
+            this.renderStep(step);
+            this.elements.measured.focus();
+            return;
+        }
+
+        this.elements.step.textContent = 'ALL FREQUENCIES MEASURED - PRESS SAVE PROFILE';
+        this.setStepControls(false);
+        this.elements.back.disabled = false;
+        this.elements.save.disabled = false;
+    }
+
+    renderStep(step) {
+        if (!step) return;
+        this.elements.step.textContent =
+            `STEP ${step.stepNumber}/${step.totalSteps} - ${step.ear.toUpperCase()} EAR - ${step.frequency} HZ ` +
+            `@ ${step.referenceLevel} DB HL - EXPECT ${step.expectedSpl} DB SPL`;
+    }
+
+    setStepControls(enabled) {
+        this.elements.play.disabled = !enabled;
+        this.elements.record.disabled = !enabled;
+        this.elements.back.disabled = !enabled;
+        this.elements.measured.disabled = !enabled;
+    }
+
+    showMessage(text) {
+        this.elements.message.textContent = text.toUpperCase();
+    }
+}
@@ -28,7 +28,14 @@ export class GuidanceSystem {
             THRESHOLD_CONFIRMED: 'THRESHOLD ESTABLISHED - HIGH CONFIDENCE',
             CATCH_TRIAL: 'RESPONSE VALIDATION - QUALITY CHECK',
             FREQUENCY_PROGRESSION: 'MOVING TO NEXT TEST FREQUENCY',
-            EAR_COMPLETION: 'EAR ASSESSMENT COMPLETE'
+            EAR_COMPLETION: 'EAR ASSESSMENT COMPLETE',
+            MASKING_REQUIRED: 'CROSS-HEARING POSSIBLE - MASKING NON-TEST EAR',
+            MASKING_LEVEL_INCREASE: 'TONE HEARD - RAISING MASKING',
+            MASKED_TONE_INCREASE: 'TONE MASKED OUT - RAISING TONE',
+            MASKING_PLATEAU_REACHED: 'MASKING PLATEAU - MASKED THRESHOLD ESTABLISHED',
+            MASKING_DILEMMA: 'MASKING DILEMMA - THRESHOLD UNRELIABLE',
+            MASKED_NO_RESPONSE: 'NO RESPONSE WITH MASKING',
+            CONDUCTION_CHANGE: 'AIR CONDUCTION COMPLETE - PLACING BONE VIBRATOR'
         };
     }
 
@@ -168,6 +175,16 @@ export class GuidanceSystem {
             explanation += ` AT ${decision.threshold} DB HL`;
         } else if (decision.type === 'FREQUENCY_CHANGE') {
             explanation += ` (${decision.from} -> ${decision.to} HZ)`;
+        } else if (decision.type === 'MASKING_LEVEL_INCREASE') {
+            explanation += ` (${decision.from} -> ${decision.to} DB EM)`;
+        } else if (decision.type === 'MASKED_TONE_INCREASE') {
+            explanation += ` (${decision.from} -> ${decision.to} DB HL)`;
+        } else if (decision.type === 'MASKING_PLATEAU_REACHED') {
+            explanation += ` AT ${decision.threshold} DB HL`;
+        } else if (decision.type === 'MASKING_REQUIRED' && decision.criterion === 'AIR_BONE_GAP') {
+            explanation += ` (AIR-BONE GAP ${decision.difference} DB)`;
+        } else if (decision.type === 'CONDUCTION_CHANGE') {
+            explanation += ` (${decision.frequencies.join(', ')} HZ)`;
         }
         
         return `[${timestamp}] ${explanation}`;
@@ -223,15 +240,25 @@ export class ClinicalReportGenerator {
             sections: {
                 summary: 'TEST SUMMARY',
                 thresholds: 'HEARING THRESHOLDS',
+                speech: 'SPEECH AUDIOMETRY',
+                bekesy: 'BÉKÉSY TRACKING',
+                thresholdShift: 'THRESHOLD SHIFT',
+                worker: 'WORKER',
+                recordability: 'RECORDABILITY',
                 analysis: 'CLINICAL ANALYSIS',
                 recommendations: 'RECOMMENDATIONS'
             }
         };
     }
 
-    getReportHeader() {
-        const date = new Date().toLocaleDateString('en-US');
-        const time = new Date().toLocaleTimeString('en-US', { hour12: false });
+    /**
+     * @param {string} protocolName - Protocol name
+     * @param {Date|string} testDate - Date of the test (default: now; a reopened record passes its own)
+     * @param {Object|null} patientInfo - Session patientInfo; shown when it has an ID
+     */
+    getReportHeader(protocolName = 'Hughson-Westlake', testDate = new Date(), patientInfo = null) {
+        const date = new Date(testDate).toLocaleDateString('en-US');
+        const time = new Date(testDate).toLocaleTimeString('en-US', { hour12: false });
         
         return [
             '═══════════════════════════════════════════════',
@@ -239,31 +266,68 @@ export class ClinicalReportGenerator {
             '               MODEL 1975-AI SYSTEM',
             '═══════════════════════════════════════════════',
             `DATE: ${date}                    TIME: ${time}`,
-            `PROTOCOL: HUGHSON-WESTLAKE AUTONOMOUS`,
+            ...this.getPatientLines(patientInfo),
+            `PROTOCOL: ${protocolName.toUpperCase()} AUTONOMOUS`,
             `CLINICIAN: AI SYSTEM v1.0`,
             '═══════════════════════════════════════════════'
         ];
     }
 
-    generateReport(testResults, qualityMetrics) {
+    getPatientLines(patientInfo) {
+        if (!patientInfo?.id) return [];
+        
+        return [
+            `PATIENT: ${patientInfo.id}${patientInfo.name ? ` - ${patientInfo.name.toUpperCase()}` : ''}`,
+            ...(patientInfo.dateOfBirth ? [`DATE OF BIRTH: ${patientInfo.dateOfBirth}`] : [])
+        ];
+    }
+
+    generateReport(testResults, qualityMetrics, testParameters = {}, speechResults = null) {
         const report = [];
         
         // Header
-        report.push(...this.reportTemplate.header);
+        report.push(...(testParameters.protocolName
+            ? this.getReportHeader(testParameters.protocolName, testParameters.testDate, testParameters.patientInfo)
+            : this.reportTemplate.header));
         report.push('');
         
         // Test Summary
         report.push(this.reportTemplate.sections.summary);
         report.push('─'.repeat(47));
-        report.push(...this.generateSummarySection(testResults, qualityMetrics));
+        report.push(...this.generateSummarySection(testResults, qualityMetrics, testParameters));
         report.push('');
         
         // Hearing Thresholds
         report.push(this.reportTemplate.sections.thresholds);
         report.push('─'.repeat(47));
-        report.push(...this.generateThresholdSection(testResults));
+        report.push(...this.generateThresholdSection(testResults, testParameters.frequencies));
         report.push('');
         
+        // Speech Audiometry (only when a speech test was run)
+        const speechLines = this.generateSpeechSection(speechResults);
+        if (speechLines.length > 0) {
+            report.push(this.reportTemplate.sections.speech);
+            report.push('─'.repeat(47));
+            report.push(...speechLines);
+            report.push('');
+        }
+        
+        // Békésy tracking (only for a Békésy test)
+        if (testParameters.bekesy) {
+            report.push(this.reportTemplate.sections.bekesy);
+            report.push('─'.repeat(47));
+            report.push(...this.generateBekesySection(testParameters.bekesy));
+            report.push('');
+        }
+        
+        // Threshold shift (only when earlier audiograms of the patient were compared)
+        if (testParameters.thresholdShift) {
+            report.push(this.reportTemplate.sections.thresholdShift);
+            report.push('─'.repeat(47));
+            report.push(...this.generateThresholdShiftSection(testParameters.thresholdShift));
+            report.push('');
+        }
+        
         // Clinical Analysis
         report.push(this.reportTemplate.sections.analysis);
         report.push('─'.repeat(47));
@@ -273,17 +337,192 @@ export class ClinicalReportGenerator {
         // Recommendations
         report.push(this.reportTemplate.sections.recommendations);
         report.push('─'.repeat(47));
-        report.push(...this.generateRecommendationsSection(testResults, qualityMetrics));
+        report.push(...this.generateRecommendationsSection(testResults, qualityMetrics, testParameters.thresholdShift));
+        
+        return report;
+    }
+
+    /**
+     * Hearing conservation report: the worker and their noise exposure, the test type and noise-free
+     * period, the required frequencies, the threshold shift and whether a shift is recordable
+     * @param {Object} testParameters - As generateReport(), plus occupational (TestProtocol.getOccupationalParams());
+     *                                  patientInfo.occupational holds the worker and test fields
+     * @returns {Array<string>} Report lines
+     */
+    generateOccupationalReport(testResults, qualityMetrics, testParameters = {}) {
+        const { patientInfo = null, occupational, thresholdShift = null } = testParameters;
+        const work = patientInfo?.occupational || {};
+        const date = new Date(testParameters.testDate || new Date());
+        const report = [
+            '═══════════════════════════════════════════════',
+            '      OCCUPATIONAL HEARING CONSERVATION',
+            '           AUDIOMETRIC TEST RECORD',
+            '═══════════════════════════════════════════════',
+            `DATE: ${date.toLocaleDateString('en-US')}                    TIME: ${date.toLocaleTimeString('en-US', { hour12: false })}`,
+            ...this.getPatientLines(patientInfo),
+            `TEST TYPE: ${(work.testType || 'NOT SET').toUpperCase()}`,
+            `PROTOCOL: ${(testParameters.protocolName || 'Occupational Hearing Conservation').toUpperCase()}`,
+            '═══════════════════════════════════════════════',
+            ''
+        ];
+        
+        // Worker and noise exposure
+        report.push(this.reportTemplate.sections.worker);
+        report.push('─'.repeat(47));
+        report.push(...this.generateWorkerSection(work, occupational));
+        report.push('');
+        
+        report.push(this.reportTemplate.sections.summary);
+        report.push('─'.repeat(47));
+        report.push(...this.generateSummarySection(testResults, qualityMetrics, testParameters));
+        report.push('');
+        
+        report.push(this.reportTemplate.sections.thresholds);
+        report.push('─'.repeat(47));
+        report.push(...this.generateThresholdSection(testResults, testParameters.frequencies));
+        const missing = this.getMissingFrequencies(testResults, occupational.requiredFrequencies);
+        report.push('');
+        report.push(missing.length === 0
+            ? `REQUIRED FREQUENCIES: COMPLETE (${occupational.requiredFrequencies.join(', ')} HZ)`
+            : `REQUIRED FREQUENCIES: MISSING ${missing.map(({ ear, frequencies }) => `${ear.toUpperCase()} ${frequencies.join(', ')}`).join('; ')} HZ`);
+        report.push('');
+        
+        report.push(this.reportTemplate.sections.thresholdShift);
+        report.push('─'.repeat(47));
+        if (thresholdShift) {
+            report.push(...this.generateThresholdShiftSection(thresholdShift));
+        } else if (work.testType === 'baseline') {
+            report.push('BASELINE AUDIOGRAM - LATER TESTS ARE COMPARED WITH IT');
+        } else {
+            report.push('NO EARLIER AUDIOGRAM ON RECORD - NO COMPARISON POSSIBLE');
+        }
+        report.push('');
+        
+        report.push(this.reportTemplate.sections.recordability);
+        report.push('─'.repeat(47));
+        report.push(...this.generateRecordabilitySection(thresholdShift));
+        report.push('');
+        
+        report.push(this.reportTemplate.sections.recommendations);
+        report.push('─'.repeat(47));
+        report.push(...this.generateOccupationalRecommendations(work, occupational, thresholdShift, missing, patientInfo?.testDate));
+        report.push(...this.generateRecommendationsSection(testResults, qualityMetrics, thresholdShift));
         
         return report;
     }
 
-    generateSummarySection(testResults, qualityMetrics) {
+    /**
+     * Employer, job, noise exposure, hearing protection and the noise-free period before the test
+     */
+    generateWorkerSection(work, occupational) {
+        const lines = [
+            `EMPLOYER: ${(work.employer || 'NOT RECORDED').toUpperCase()}`,
+            `JOB: ${(work.jobTitle || 'NOT RECORDED').toUpperCase()}`,
+            `NOISE EXPOSURE: ${typeof work.noiseExposure === 'number' ? `${work.noiseExposure} DBA 8-HOUR TWA` : 'NOT RECORDED'}`,
+            `HEARING PROTECTION: ${(work.hearingProtection || 'NONE RECORDED').toUpperCase()}`
+        ];
+        
+        const noiseFree = work.noiseFree || {};
+        const hours = typeof noiseFree.hours === 'number' ? `${noiseFree.hours} H` : 'HOURS NOT RECORDED';
+        lines.push(`NOISE-FREE PERIOD: ${noiseFree.attested ? `ATTESTED, ${hours}` : 'NOT ATTESTED'}`);
+        if (work.testType === 'baseline' && !this.isNoiseFreePeriodMet(work, occupational)) {
+            lines.push(`  BASELINE REQUIRES ${occupational.noiseFreePeriod} H WITHOUT WORKPLACE NOISE`);
+            if (noiseFree.override) {
+                lines.push(`  OVERRIDE: ${noiseFree.override.toUpperCase()}`);
+            }
+        }
+        
+        return lines;
+    }
+
+    isNoiseFreePeriodMet(work, occupational) {
+        return Boolean(work.noiseFree?.attested) && (work.noiseFree.hours ?? 0) >= occupational.noiseFreePeriod;
+    }
+
+    /**
+     * @returns {Array<Object>} { ear, frequencies } for each ear without a threshold at a required frequency
+     */
+    getMissingFrequencies(testResults, requiredFrequencies) {
+        return ['right', 'left']
+            .map(ear => ({
+                ear,
+                frequencies: requiredFrequencies.filter(freq => typeof testResults[`${ear}_${freq}`]?.threshold !== 'number')
+            }))
+            .filter(({ frequencies }) => frequencies.length > 0);
+    }
+
+    /**
+     * Recordable hearing loss per ear (OSHA 29 CFR 1904.10): an STS with an average hearing level of
+     * 25 dB HL or more at 2, 3 and 4 kHz
+     * @param {Object|null} thresholdShift - From ThresholdShiftAnalyzer.analyze()
+     */
+    generateRecordabilitySection(thresholdShift) {
+        const lines = ['EAR    STS    HL 2-3-4K   RECORDABLE'];
+        lines.push('─'.repeat(47));
+        
+        ['right', 'left'].forEach(ear => {
+            const comparison = thresholdShift?.ears[ear].latest;
+            if (!comparison?.assessable) {
+                lines.push(`${ear.toUpperCase().padEnd(6)} N/A    ${'--'.padEnd(11)} NO`);
+                return;
+            }
+            lines.push(`${ear.toUpperCase().padEnd(6)} ${(comparison.sts ? 'YES' : 'NO').padEnd(6)} ${`${comparison.hearingLevel}`.padEnd(11)} ${comparison.recordable ? 'YES' : 'NO'}`);
+        });
+        lines.push('RECORDABLE = STS AND AVERAGE >= 25 DB HL AT 2, 3 AND 4 KHZ');
+        
+        return lines;
+    }
+
+    /**
+     * Occupational follow-up: OSHA 300 log entry, retests for an invalid baseline or missing
+     * frequencies, and the next annual audiogram
+     * @param {string} testDate - YYYY-MM-DD
+     */
+    generateOccupationalRecommendations(work, occupational, thresholdShift, missing, testDate = null) {
+        const recommendations = [];
+        
+        const recordableEars = ['right', 'left'].filter(ear => thresholdShift?.ears[ear].latest?.recordable);
+        if (recordableEars.length > 0) {
+            recommendations.push(`• RECORDABLE HEARING LOSS - ${recordableEars.map(ear => ear.toUpperCase()).join(' AND ')} EAR`);
+            recommendations.push('• ENTER ON THE OSHA 300 LOG WITHIN 7 CALENDAR DAYS');
+        }
+        if (work.testType === 'baseline' && !this.isNoiseFreePeriodMet(work, occupational)) {
+            recommendations.push('• BASELINE VALIDITY IN DOUBT - RETEST AFTER A NOISE-FREE PERIOD');
+        }
+        if (missing.length > 0) {
+            recommendations.push('• RETEST THE MISSING REQUIRED FREQUENCIES');
+        }
+        if (testDate) {
+            const due = new Date(testDate);
+            due.setUTCMonth(due.getUTCMonth() + occupational.testInterval);
+            recommendations.push(`• NEXT ANNUAL AUDIOGRAM DUE BY ${due.toISOString().slice(0, 10)}`);
+        }
+        
+        return recommendations;
+    }
+
+    generateSummarySection(testResults, qualityMetrics, { transducer = null, calibration = null, stimulus = null, frequencies = null, earOrder = null } = {}) {
         const summary = [];
-        const totalTests = Object.keys(testResults).length;
-        const expectedTests = 12; // 6 frequencies × 2 ears
+        const totalTests = Object.keys(testResults).filter(key => !key.endsWith('_bone')).length;
+        const boneTests = Object.keys(testResults).length - totalTests;
+        const expectedTests = frequencies && earOrder ? frequencies.length * earOrder.length : 12; // Protocol frequencies × ears (default 6 × 2)
         
         summary.push(`TESTS COMPLETED: ${totalTests}/${expectedTests}`);
+        if (transducer) {
+            summary.push(`TRANSDUCER: ${transducer.model.toUpperCase()} (${transducer.standard})`);
+        }
+        if (calibration) {
+            const expired = new Date(calibration.expiresAt) < new Date() ? ' - EXPIRED' : '';
+            summary.push(`CALIBRATION: ${calibration.name.toUpperCase()} (${calibration.createdAt.slice(0, 10)}${expired})`);
+        } else {
+            summary.push('CALIBRATION: NONE - UNCORRECTED OUTPUT');
+        }
+        if (stimulus) {
+            summary.push(`STIMULUS: ${stimulus.type.toUpperCase()} (${stimulus.rampDuration} MS ${stimulus.rampShape.toUpperCase()} RAMPS)`);
+        }
+        if (boneTests > 0) {
+            summary.push(`BONE CONDUCTION: ${boneTests} THRESHOLDS`);
+        }
         summary.push(`OVERALL CONFIDENCE: ${Math.round(qualityMetrics.overallConfidence * 100)}%`);
         summary.push(`TEST RELIABILITY: ${this.getReliabilityLevel(qualityMetrics.reliability)}`);
         summary.push(`RESPONSE CONSISTENCY: ${Math.round(qualityMetrics.consistency * 100)}%`);
@@ -297,33 +536,330 @@ export class ClinicalReportGenerator {
         return summary;
     }
 
-    generateThresholdSection(testResults) {
+    generateThresholdSection(testResults, protocolFrequencies = null) {
         const thresholds = [];
         
         thresholds.push('FREQUENCY    LEFT EAR    RIGHT EAR    DIFFERENCE');
         thresholds.push('─'.repeat(47));
         
-        const frequencies = [250, 500, 1000, 2000, 4000, 8000];
+        // Protocol frequencies in audiogram order
+        const frequencies = protocolFrequencies
+            ? [...protocolFrequencies].sort((a, b) => a - b)
+            : [250, 500, 1000, 2000, 4000, 8000];
         
         frequencies.forEach(freq => {
-            const leftKey = `left_${freq}`;
-            const rightKey = `right_${freq}`;
+            const leftResult = testResults[`left_${freq}`];
+            const rightResult = testResults[`right_${freq}`];
             
-            const leftThreshold = testResults[leftKey]?.threshold || 'NR';
-            const rightThreshold = testResults[rightKey]?.threshold || 'NR';
+            // A masked no-response holds the output limit as its threshold
+            const leftThreshold = leftResult?.noResponse ? 'NR' : leftResult?.threshold ?? 'NR';
+            const rightThreshold = rightResult?.noResponse ? 'NR' : rightResult?.threshold ?? 'NR';
             
             let difference = 'N/A';
             if (leftThreshold !== 'NR' && rightThreshold !== 'NR') {
                 difference = Math.abs(leftThreshold - rightThreshold) + ' dB';
             }
             
-            const line = `${freq.toString().padEnd(9)} ${leftThreshold.toString().padEnd(11)} ${rightThreshold.toString().padEnd(12)} ${difference}`;
+            const leftText = `${leftThreshold}${leftResult?.masked ? 'M' : ''}`;
+            const rightText = `${rightThreshold}${rightResult?.masked ? 'M' : ''}`;
+            
+            const line = `${freq.toString().padEnd(9)} ${leftText.padEnd(11)} ${rightText.padEnd(12)} ${difference}`;
             thresholds.push(line);
         });
         
+        thresholds.push(...this.generateBoneSection(testResults));
+        
+        const maskingNotes = this.generateMaskingNotes(testResults);
+        if (maskingNotes.length > 0) {
+            thresholds.push('');
+            thresholds.push('M = MASKED THRESHOLD (CONTRALATERAL NOISE)');
+            thresholds.push(...maskingNotes);
+        }
+        
         return thresholds;
     }
 
+    /**
+     * SRT and WRS per ear, with the SRT-PTA agreement check
+     * @param {Object|null} speechResults - From TestSession.getAllSpeechResults()
+     * @returns {Array<string>} Report lines (empty without speech results)
+     */
+    generateSpeechSection(speechResults) {
+        const hasSpeech = ['left', 'right'].some(ear => speechResults?.[ear]?.srt || speechResults?.[ear]?.wrs);
+        if (!hasSpeech) return [];
+        
+        const lines = [];
+        lines.push('TEST         LEFT EAR           RIGHT EAR');
+        lines.push('─'.repeat(47));
+        
+        const srtText = result => {
+            if (!result) return 'NT';
+            return `${result.srt ?? 'NR'} DB HL${result.masked ? ' M' : ''}`;
+        };
+        const wrsText = result => {
+            if (!result) return 'NT';
+            return `${result.score}% @ ${result.level}${result.masked ? ' M' : ''}`;
+        };
+        
+        lines.push(`SRT          ${srtText(speechResults.left?.srt).padEnd(18)} ${srtText(speechResults.right?.srt)}`);
+        lines.push(`WRS          ${wrsText(speechResults.left?.wrs).padEnd(18)} ${wrsText(speechResults.right?.wrs)}`);
+        
+        ['left', 'right'].forEach(ear => {
+            const { srt, wrs } = speechResults[ear] || {};
+            if (wrs) {
+                lines.push(`${ear.toUpperCase()} WRS: ${wrs.category.toUpperCase()} (${wrs.correct}/${wrs.total} WORDS, ${wrs.material.name.toUpperCase()})`);
+            }
+            
+            const agreement = srt?.ptaAgreement;
+            if (!agreement) return;
+            
+            const reference = agreement.referenceType === 'two-frequency' ? '2-FREQ AVG' : 'PTA';
+            const status = agreement.agrees
+                ? 'AGREES'
+                : agreement.nonOrganicSign ? 'SRT BETTER - NON-ORGANIC SIGN' : 'SRT POORER';
+            lines.push(`${ear.toUpperCase()} SRT-${reference}: ${agreement.srt} VS ${agreement.reference} DB HL - ${status}`);
+        });
+        
+        if (['left', 'right'].some(ear => speechResults[ear]?.srt?.masked || speechResults[ear]?.wrs?.masked)) {
+            lines.push('M = MASKED (SPEECH NOISE IN NON-TEST EAR)');
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Continuous and pulsed tracked thresholds per ear, with their separation
+     * @param {Object} bekesy - From AIClinician.buildBekesyResult()
+     * @returns {Array<string>} Report lines
+     */
+    generateBekesySection(bekesy) {
+        const lines = [];
+        const mode = bekesy.trackingMode === 'sweep'
+            ? `SWEEP ${bekesy.sweepRange[0]}-${bekesy.sweepRange[1]} HZ AT ${bekesy.sweepRate} OCT/MIN`
+            : 'FIXED FREQUENCY';
+        lines.push(`MODE: ${mode}, ${bekesy.attenuationRate} DB/S`);
+        lines.push('FREQUENCY  EAR    CONTINUOUS  PULSED   C-P');
+        lines.push('─'.repeat(47));
+        
+        const trackedText = item => {
+            if (!item) return 'NT';
+            if (item.noResponse) return 'NR';
+            return item.threshold === null ? 'CNT' : `${item.threshold}`;
+        };
+        
+        ['right', 'left'].forEach(ear => {
+            Object.entries(bekesy.thresholds[ear] || {})
+                .sort(([a], [b]) => a - b)
+                .forEach(([freq, entry]) => {
+                    const separation = entry.separation === null ? '--' : `${entry.separation > 0 ? '+' : ''}${entry.separation}`;
+                    lines.push(`${freq.padEnd(10)} ${ear.toUpperCase().padEnd(6)} ${trackedText(entry.continuous).padEnd(11)} ${trackedText(entry.pulsed).padEnd(8)} ${separation}`);
+                });
+        });
+        
+        lines.push('THRESHOLD = MEAN EXCURSION MIDPOINT (DB HL)');
+        lines.push(`AUDIOGRAM FROM ${bekesy.thresholdTone.toUpperCase()} TRACING; CNT = TOO FEW EXCURSIONS`);
+        
+        return lines;
+    }
+
+    /**
+     * Shifts of this audiogram from the baseline per frequency, the STS average and baseline revisions
+     * @param {Object} thresholdShift - From ThresholdShiftAnalyzer.analyze(); this audiogram is the last
+     * @returns {Array<string>} Report lines
+     */
+    generateThresholdShiftSection(thresholdShift) {
+        const { audiograms, ears, ageCorrection, notes } = thresholdShift;
+        const signed = value => value === null || value === undefined ? '--' : `${value > 0 ? '+' : ''}${value}`;
+        const lines = [];
+        
+        lines.push(`AUDIOGRAMS: ${audiograms.length} (${audiograms[0].date} - ${audiograms[audiograms.length - 1].date})`);
+        lines.push(`AGE CORRECTION: ${ageCorrection ? `OSHA APPENDIX F (${ageCorrection.toUpperCase()})` : 'NONE'}`);
+        lines.push('');
+        
+        // Shift of each frequency from the baseline this audiogram was compared with
+        const latest = { left: ears.left.latest, right: ears.right.latest };
+        const frequencies = [...new Set(['left', 'right'].flatMap(ear => Object.keys(latest[ear]?.shifts || {})))]
+            .map(Number)
+            .sort((a, b) => a - b);
+        lines.push('FREQUENCY    LEFT SHIFT   RIGHT SHIFT');
+        lines.push('─'.repeat(47));
+        frequencies.forEach(freq => {
+            lines.push(`${freq.toString().padEnd(12)} ${signed(latest.left?.shifts[freq]).padEnd(12)} ${signed(latest.right?.shifts[freq])}`);
+        });
+        lines.push('');
+        
+        lines.push('EAR    BASELINE    AVG 2-3-4K  CORRECTED  STS');
+        lines.push('─'.repeat(47));
+        ['right', 'left'].forEach(ear => {
+            const comparison = latest[ear];
+            if (!comparison) {
+                lines.push(`${ear.toUpperCase().padEnd(6)} NO EARLIER AUDIOGRAM`);
+                return;
+            }
+            const sts = comparison.assessable ? (comparison.sts ? 'YES' : 'NO') : 'N/A';
+            lines.push(`${ear.toUpperCase().padEnd(6)} ${comparison.baseline.date.padEnd(11)} ${signed(comparison.averageShift).padEnd(11)} ${signed(comparison.correctedShift).padEnd(10)} ${sts}`);
+            if (!comparison.assessable) {
+                lines.push(`  NOT ASSESSABLE: ${comparison.missingFrequencies.join(', ')} HZ NOT IN BOTH AUDIOGRAMS`);
+            }
+        });
+        
+        const revisions = ['right', 'left'].flatMap(ear => ears[ear].revisions.map(revision => ({ ear, ...revision })));
+        if (revisions.length > 0) {
+            lines.push('');
+            lines.push('BASELINE REVISIONS:');
+            revisions.forEach(({ ear, date, reason }) => {
+                lines.push(`  ${ear.toUpperCase()} ${date}: ${this.getRevisionReason(reason)}`);
+            });
+        }
+        
+        notes.forEach(note => lines.push(note.toUpperCase()));
+        lines.push('SHIFT = DB FROM BASELINE (+ POORER, - BETTER)');
+        lines.push('STS = AVERAGE SHIFT AT 2, 3 AND 4 KHZ >= 10 DB');
+        
+        return lines;
+    }
+
+    getRevisionReason(reason) {
+        switch (reason) {
+            case 'persistent-shift': return 'PERSISTENT STS';
+            case 'improvement': return 'PERSISTENT IMPROVEMENT';
+            case 'incomplete-baseline': return 'FIRST AUDIOGRAM WITH 2, 3 AND 4 KHZ';
+            case 'baseline-test': return 'BASELINE TEST';
+            default: return reason.toUpperCase();
+        }
+    }
+
+    /**
+     * Short pass/refer report for hearing screening programmes
+     * @param {Object} screeningResults - Latest result per ear from TestSession.getAllScreeningResults()
+     * @param {Object} testParameters - { transducer, calibration }
+     * @param {number|null} rescreenLevel - Level offered for a rescreen of the referred ears
+     * @returns {string[]} Report lines
+     */
+    generateScreeningReport(screeningResults, { transducer = null, calibration = null, testDate = new Date(), patientInfo = null } = {}, rescreenLevel = null) {
+        const ears = ['right', 'left'].filter(ear => screeningResults?.[ear]);
+        const date = new Date(testDate).toLocaleDateString('en-US');
+        const time = new Date(testDate).toLocaleTimeString('en-US', { hour12: false });
+        const report = [
+            '═══════════════════════════════════════════════',
+            '            HEARING SCREENING REPORT',
+            '               MODEL 1975-AI SYSTEM',
+            '═══════════════════════════════════════════════',
+            `DATE: ${date}                    TIME: ${time}`,
+            ...this.getPatientLines(patientInfo),
+            `PROTOCOL: ${(screeningResults?.[ears[0]]?.protocol || 'Hearing Screening').toUpperCase()}`,
+            '═══════════════════════════════════════════════',
+            ''
+        ];
+        
+        if (ears.length === 0) {
+            report.push('NO SCREENING RESULTS');
+            return report;
+        }
+        
+        report.push('RESULT');
+        report.push('─'.repeat(47));
+        ears.forEach(ear => {
+            const result = screeningResults[ear];
+            const rescreen = result.rescreen ? ` (RESCREEN, FIRST SCREEN ${result.previousLevel} DB HL)` : '';
+            report.push(`${`${ear.toUpperCase()} EAR:`.padEnd(11)} ${result.outcome} @ ${result.level} DB HL${rescreen}`);
+            result.reasons.forEach(reason => report.push(`  - ${reason.toUpperCase()}`));
+        });
+        report.push('');
+        
+        const frequencies = [...new Set(ears.flatMap(ear => Object.keys(screeningResults[ear].frequencies)))]
+            .map(Number)
+            .sort((a, b) => a - b);
+        report.push(`FREQUENCY    ${ears.map(ear => `${ear.toUpperCase()} EAR`.padEnd(11)).join(' ')}`);
+        report.push('─'.repeat(47));
+        frequencies.forEach(freq => {
+            const marks = ears.map(ear => {
+                const item = screeningResults[ear].frequencies[freq];
+                if (!item) return 'NT'.padEnd(11);
+                return `${item.heard ? '+' : '-'} (${item.responses}/${item.attempts})`.padEnd(11);
+            });
+            report.push(`${freq.toString().padEnd(12)} ${marks.join(' ')}`);
+        });
+        report.push('+ = HEARD, - = NO RESPONSE (RESPONSES/PRESENTATIONS)');
+        if (transducer) {
+            report.push(`TRANSDUCER: ${transducer.model.toUpperCase()}`);
+        }
+        report.push(calibration
+            ? `CALIBRATION: ${calibration.name.toUpperCase()} (${calibration.createdAt.slice(0, 10)})`
+            : 'CALIBRATION: NONE - UNCORRECTED OUTPUT');
+        report.push('');
+        
+        const referred = ears.filter(ear => screeningResults[ear].outcome === 'REFER');
+        report.push('OUTCOME');
+        report.push('─'.repeat(47));
+        if (referred.length === 0) {
+            report.push('• PASS - NO FURTHER ACTION AT THIS TIME');
+            if (ears.some(ear => screeningResults[ear].level > screeningResults[ear].criterionLevel)) {
+                report.push('• PASSED ABOVE THE SCREENING LEVEL - MONITOR');
+            }
+        } else {
+            report.push(`• REFER - ${referred.map(ear => ear.toUpperCase()).join(' AND ')} EAR`);
+            report.push('• FULL DIAGNOSTIC AUDIOMETRY RECOMMENDED');
+            if (rescreenLevel !== null) {
+                report.push(`• RESCREEN AVAILABLE AT ${rescreenLevel} DB HL`);
+            }
+        }
+        
+        return report;
+    }
+
+    generateBoneSection(testResults) {
+        const hasBone = Object.keys(testResults).some(key => key.endsWith('_bone'));
+        if (!hasBone) return [];
+        
+        const lines = [''];
+        lines.push('BONE CONDUCTION  LEFT [>]   RIGHT [<]   A-B GAP L/R');
+        lines.push('─'.repeat(47));
+        
+        [250, 500, 1000, 2000, 4000].forEach(freq => {
+            const leftBone = testResults[`left_${freq}_bone`];
+            const rightBone = testResults[`right_${freq}_bone`];
+            if (!leftBone && !rightBone) return;
+            
+            const leftText = leftBone ? `${leftBone.threshold}${leftBone.masked ? 'M' : ''}` : 'NT';
+            const rightText = rightBone ? `${rightBone.threshold}${rightBone.masked ? 'M' : ''}` : 'NT';
+            const gap = ear => {
+                const air = testResults[`${ear}_${freq}`];
+                const bone = testResults[`${ear}_${freq}_bone`];
+                return air && bone ? air.threshold - bone.threshold : '-';
+            };
+            
+            lines.push(`${freq.toString().padEnd(16)} ${leftText.padEnd(10)} ${rightText.padEnd(11)} ${gap('left')}/${gap('right')}`);
+        });
+        
+        return lines;
+    }
+
+    generateMaskingNotes(testResults) {
+        const notes = [];
+        
+        Object.entries(testResults).forEach(([key, result]) => {
+            if (!result?.maskingOutcome) return;
+            
+            const [ear, freq, conduction] = key.split('_');
+            const label = `${ear.toUpperCase()} ${freq} HZ${conduction === 'bone' ? ' BONE' : ''}:`;
+            
+            if (result.maskingDilemma) {
+                notes.push(`${label} MASKING DILEMMA - THRESHOLD UNRELIABLE`);
+            } else if (result.noResponse) {
+                notes.push(`${label} NO RESPONSE WITH ${result.maskingLevel} DB EM`);
+            } else {
+                notes.push(`${label} UNMASKED ${result.unmaskedThreshold} -> MASKED ${result.threshold} DB HL (${result.maskingLevel} DB EM)`);
+            }
+            
+            if (result.maskingExplanation) {
+                notes.push(`  ${result.maskingExplanation.toUpperCase()}`);
+            }
+        });
+        
+        return notes;
+    }
+
     generateAnalysisSection(testResults, qualityMetrics) {
         const analysis = [];
         
@@ -341,6 +877,16 @@ export class ClinicalReportGenerator {
         analysis.push(`RIGHT EAR: ${this.classifyHearingLoss(rightPTA)}`);
         analysis.push('');
         
+        // Loss type from the air-bone gap (bone conduction only)
+        const leftType = this.classifyLossType(testResults, 'left', leftPTA);
+        const rightType = this.classifyLossType(testResults, 'right', rightPTA);
+        if (leftType || rightType) {
+            analysis.push('HEARING LOSS TYPE (AIR-BONE GAP):');
+            analysis.push(`LEFT EAR: ${leftType || 'NOT TESTED'}`);
+            analysis.push(`RIGHT EAR: ${rightType || 'NOT TESTED'}`);
+            analysis.push('');
+        }
+        
         // Quality indicators
         analysis.push('QUALITY INDICATORS:');
         analysis.push(`RESPONSE TIME: ${this.analyzeResponseTimes(qualityMetrics)}`);
@@ -349,7 +895,7 @@ export class ClinicalReportGenerator {
         return analysis;
     }
 
-    generateRecommendationsSection(testResults, qualityMetrics) {
+    generateRecommendationsSection(testResults, qualityMetrics, thresholdShift = null) {
         const recommendations = [];
         
         // Calculate PTAs for recommendations
@@ -383,6 +929,27 @@ export class ClinicalReportGenerator {
             recommendations.push('• VALIDITY CONCERNS - CONSIDER OBJECTIVE TESTING');
         }
         
+        const conductive = ['left', 'right'].some(ear => {
+            const type = this.classifyLossType(testResults, ear, this.calculatePTA(testResults, ear));
+            return type === 'CONDUCTIVE' || type === 'MIXED';
+        });
+        if (conductive) {
+            recommendations.push('• AIR-BONE GAP PRESENT - OTOLOGIC REFERRAL RECOMMENDED');
+        }
+        
+        // Standard threshold shift against the baseline
+        const shiftedEars = ['right', 'left'].filter(ear => thresholdShift?.ears[ear].latest?.sts);
+        if (shiftedEars.length > 0) {
+            recommendations.push(`• STANDARD THRESHOLD SHIFT - ${shiftedEars.map(ear => ear.toUpperCase()).join(' AND ')} EAR`);
+            recommendations.push('• RETEST WITHIN 30 DAYS TO CONFIRM THE SHIFT');
+            recommendations.push('• NOTIFY THE WORKER IN WRITING WITHIN 21 DAYS');
+            recommendations.push('• REFIT HEARING PROTECTION AND RETRAIN IN ITS USE');
+        }
+        const revisedEars = ['right', 'left'].filter(ear => thresholdShift?.ears[ear].latest?.revisesBaseline);
+        if (revisedEars.length > 0) {
+            recommendations.push(`• THIS AUDIOGRAM IS THE REVISED BASELINE - ${revisedEars.map(ear => ear.toUpperCase()).join(' AND ')} EAR`);
+        }
+        
         recommendations.push('');
         recommendations.push('NOTE: RESULTS REQUIRE CLINICAL INTERPRETATION');
         
@@ -405,6 +972,29 @@ export class ClinicalReportGenerator {
         return count > 0 ? Math.round(total / count) : 0;
     }
 
+    // Conductive: gap >= 15 dB with normal bone. Mixed: gap with elevated bone.
+    classifyLossType(testResults, ear, pta) {
+        const gaps = [];
+        const bones = [];
+        
+        [500, 1000, 2000].forEach(freq => {
+            const air = testResults[`${ear}_${freq}`];
+            const bone = testResults[`${ear}_${freq}_bone`];
+            if (air && bone) {
+                gaps.push(air.threshold - bone.threshold);
+                bones.push(bone.threshold);
+            }
+        });
+        
+        if (gaps.length === 0) return null;
+        
+        const averageGap = gaps.reduce((sum, g) => sum + g, 0) / gaps.length;
+        const bonePTA = bones.reduce((sum, b) => sum + b, 0) / bones.length;
+        
+        if (averageGap >= 15) return bonePTA > 25 ? 'MIXED' : 'CONDUCTIVE';
+        return pta > 25 ? 'SENSORINEURAL' : 'NORMAL';
+    }
+
     classifyHearingLoss(pta) {
         if (pta <= 25) return 'NORMAL';
         if (pta <= 40) return 'MILD LOSS';
@@ -0,0 +1,269 @@
+/**
+ * Patient Records Panel
+ * Enters the patient for the next tests, searches the patient records (PatientDatabase) by ID or
+ * name and lists a patient's past sessions, newest first. Choosing a session reopens its audiogram
+ * and report (patient-session-opened); setting the patient fires patient-selected. For an
+ * occupational hearing conservation test it also takes the worker's employer, job, noise exposure
+ * and hearing protection, the test type and the attested noise-free period
+ */
+export class PatientRecordsPanel {
+    /**
+     * @param {PatientDatabase} patientDatabase - The patient records
+     * @param {Function} getCurrentPatient - Returns the patientInfo of the current session
+     */
+    constructor(patientDatabase, getCurrentPatient = () => null) {
+        this.patientDatabase = patientDatabase;
+        this.getCurrentPatient = getCurrentPatient;
+        this.isOpen = false;
+        this.isAvailable = false;       // The database opened
+
+        this.elements = {
+            openButton: document.getElementById('records-button'),
+            panel: document.getElementById('records-panel'),
+            patientId: document.getElementById('records-patient-id'),
+            patientName: document.getElementById('records-patient-name'),
+            patientDob: document.getElementById('records-patient-dob'),
+            patientSex: document.getElementById('records-patient-sex'),
+            employer: document.getElementById('records-employer'),
+            jobTitle: document.getElementById('records-job'),
+            noiseExposure: document.getElementById('records-noise'),
+            hearingProtection: document.getElementById('records-protection'),
+            testType: document.getElementById('records-test-type'),
+            quietHours: document.getElementById('records-quiet-hours'),
+            quietAttested: document.getElementById('records-quiet-attested'),
+            quietOverride: document.getElementById('records-quiet-override'),
+            assign: document.getElementById('records-assign'),
+            search: document.getElementById('records-search'),
+            find: document.getElementById('records-find'),
+            patients: document.getElementById('records-patients'),
+            readout: document.getElementById('records-readout'),
+            history: document.getElementById('records-history'),
+            message: document.getElementById('records-message'),
+            close: document.getElementById('records-close')
+        };
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const { openButton, assign, search, find, close } = this.elements;
+
+        openButton?.addEventListener('click', () => this.open(this.getCurrentPatient()));
+        assign?.addEventListener('click', () => this.assignPatient());
+        find?.addEventListener('click', () => this.search());
+        search?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.search();
+        });
+        close?.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * @param {boolean} available - Whether the patient records could be opened
+     */
+    setAvailable(available) {
+        this.isAvailable = available;
+        this.setEnabled(available);
+    }
+
+    /**
+     * Enable or disable the RECORDS button (records open, no test running)
+     */
+    setEnabled(enabled) {
+        if (this.elements.openButton) {
+            this.elements.openButton.disabled = !enabled || !this.isAvailable || this.isOpen;
+        }
+    }
+
+    // ==================== PANEL ====================
+
+    /**
+     * @param {Object} currentPatient - patientInfo of the current session, shown in the entry fields
+     */
+    open(currentPatient = null) {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.elements.panel.hidden = false;
+        this.setEnabled(false);
+        if (currentPatient?.id) {
+            this.fillPatient(currentPatient);
+        }
+        this.showMessage('');
+        this.search();
+
+        document.dispatchEvent(new CustomEvent('records-panel-state', { detail: { open: true } }));
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.elements.panel.hidden = true;
+
+        document.dispatchEvent(new CustomEvent('records-panel-state', { detail: { open: false } }));
+    }
+
+    /**
+     * @param {Object} patient - Patient record, or a session's patientInfo (which adds the test fields)
+     */
+    fillPatient({ id, name, dateOfBirth, sex, occupational = null }) {
+        this.elements.patientId.value = id || '';
+        this.elements.patientName.value = name || '';
+        this.elements.patientDob.value = dateOfBirth || '';
+        this.elements.patientSex.value = sex || '';
+        this.elements.employer.value = occupational?.employer || '';
+        this.elements.jobTitle.value = occupational?.jobTitle || '';
+        this.elements.noiseExposure.value = occupational?.noiseExposure ?? '';
+        this.elements.hearingProtection.value = occupational?.hearingProtection || '';
+        this.elements.testType.value = occupational?.testType || '';
+        this.elements.quietHours.value = occupational?.noiseFree?.hours ?? '';
+        this.elements.quietAttested.checked = Boolean(occupational?.noiseFree?.attested);
+        this.elements.quietOverride.value = occupational?.noiseFree?.override || '';
+    }
+
+    /**
+     * @returns {Object|null} patientInfo.occupational from the entry fields, or null when none is filled in
+     */
+    readOccupational() {
+        const { employer, jobTitle, noiseExposure, hearingProtection, testType, quietHours, quietAttested, quietOverride } = this.elements;
+        const number = input => input.value === '' ? null : Number(input.value);
+        const occupational = {
+            testType: testType.value || null,
+            employer: employer.value.trim() || null,
+            jobTitle: jobTitle.value.trim() || null,
+            noiseExposure: number(noiseExposure),
+            hearingProtection: hearingProtection.value || null,
+            noiseFree: {
+                hours: number(quietHours),
+                attested: quietAttested.checked,
+                override: quietOverride.value.trim() || null     // Why a baseline is taken without the noise-free period
+            }
+        };
+        const entered = occupational.testType || occupational.employer || occupational.jobTitle ||
+            occupational.noiseExposure !== null || occupational.hearingProtection ||
+            occupational.noiseFree.hours !== null || occupational.noiseFree.attested || occupational.noiseFree.override;
+        return entered ? occupational : null;
+    }
+
+    // ==================== PATIENTS ====================
+
+    /**
+     * Make the entered patient the patient of the next tests
+     */
+    async assignPatient() {
+        const patientInfo = {
+            id: this.elements.patientId.value.trim(),
+            name: this.elements.patientName.value.trim() || null,
+            dateOfBirth: this.elements.patientDob.value || null,
+            sex: this.elements.patientSex.value || null,
+            occupational: this.readOccupational()
+        };
+        if (!patientInfo.id) {
+            this.showMessage('ENTER A PATIENT ID');
+            return;
+        }
+
+        try {
+            const patient = await this.patientDatabase.savePatient(patientInfo);
+            document.dispatchEvent(new CustomEvent('patient-selected', { detail: { ...patient, occupational: patientInfo.occupational } }));
+            this.showMessage(`PATIENT SET: ${patient.id}${patient.name ? ` - ${patient.name}` : ''}`);
+            await this.showHistory(patient.id);
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    async search() {
+        const query = this.elements.search.value;
+
+        try {
+            const patients = await this.patientDatabase.searchPatients(query);
+            const unassigned = query.trim() ? [] : await this.patientDatabase.getUnassignedSessions();
+            this.renderPatients(patients, unassigned.length);
+            if (patients.length === 0 && unassigned.length === 0) {
+                this.elements.readout.textContent = query.trim() ? 'NO MATCHING PATIENTS' : 'NO PATIENT RECORDS YET';
+                this.renderHistory([]);
+            }
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    renderPatients(patients, unassignedCount) {
+        const list = this.elements.patients;
+        list.innerHTML = '';
+
+        patients.forEach(patient => {
+            list.appendChild(this.createItem(
+                `${patient.id}  ${(patient.name || '').toUpperCase()}${patient.dateOfBirth ? `  DOB ${patient.dateOfBirth}` : ''}`,
+                () => {
+                    this.fillPatient(patient);
+                    this.showHistory(patient.id);
+                }
+            ));
+        });
+        if (unassignedCount > 0) {
+            list.appendChild(this.createItem(`NO PATIENT ID  (${unassignedCount} SESSIONS)`, () => this.showHistory(null)));
+        }
+    }
+
+    // ==================== HISTORY ====================
+
+    /**
+     * List a patient's sessions (or those without a patient ID)
+     * @param {string|null} patientId - Patient ID; null for sessions without one
+     */
+    async showHistory(patientId) {
+        try {
+            if (patientId === null) {
+                this.elements.readout.textContent = 'SESSIONS WITHOUT A PATIENT ID';
+                this.renderHistory(await this.patientDatabase.getUnassignedSessions());
+                return;
+            }
+
+            const { patient, visits, sessions } = await this.patientDatabase.getPatientHistory(patientId);
+            this.elements.readout.textContent =
+                `${patient?.id || patientId}${patient?.name ? ` - ${patient.name.toUpperCase()}` : ''}: ${visits.length} VISITS, ${sessions.length} SESSIONS`;
+            this.renderHistory(sessions);
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    renderHistory(sessions) {
+        const list = this.elements.history;
+        list.innerHTML = '';
+
+        sessions.forEach(entry => {
+            list.appendChild(this.createItem(this.describeSession(entry), () => {
+                document.dispatchEvent(new CustomEvent('patient-session-opened', { detail: { sessionId: entry.sessionId } }));
+            }));
+        });
+    }
+
+    /**
+     * One history line: date, protocol, tests and the pure-tone averages or screening outcome
+     */
+    describeSession({ date, source, summary }) {
+        const { protocolName, tests, pta, screening } = summary;
+        const day = new Date(date).toLocaleDateString('en-US');
+        const averages = pta.right !== null || pta.left !== null
+            ? `  PTA R ${pta.right ?? '--'} L ${pta.left ?? '--'}`
+            : '';
+        const outcomes = Object.entries(screening).map(([ear, outcome]) => `${ear[0].toUpperCase()} ${outcome}`).join(' ');
+
+        return `${day}  ${(protocolName || 'SESSION').toUpperCase()}  [${tests.join(' ').toUpperCase() || 'NO RESULTS'}]${averages}${outcomes ? `  ${outcomes}` : ''}${source === 'localStorage' ? '  (IMPORTED)' : ''}`;
+    }
+
+    createItem(text, onSelect) {
+        const item = document.createElement('button');
+        item.className = 'records-item';
+        item.textContent = text;
+        item.addEventListener('click', onSelect);
+        return item;
+    }
+
+    showMessage(text) {
+        this.elements.message.textContent = text.toUpperCase();
+    }
+}
@@ -211,8 +211,8 @@ export class RetroUI {
         });
 
         // Patient response button (only response allowed)
-        this.elements.patientButton.addEventListener('click', () => {
-            this.recordPatientResponse();
+        this.elements.patientButton.addEventListener('click', (event) => {
+            this.recordPatientResponse(event);
         });
 
         // Listen for AI clinician events
@@ -403,7 +403,8 @@ export class RetroUI {
     handleThresholdEstablished(data) {
         // Visual feedback for threshold establishment with confidence
         const confidence = data.enhancedConfidence || Math.round(data.confidence * 100);
-        this.showNotification(`Threshold: ${data.threshold} dB HL (${confidence}% confidence)`, 'success');
+        const maskedText = data.masked ? ' masked' : '';
+        this.showNotification(`Threshold: ${data.threshold} dB HL${maskedText} (${confidence}% confidence)`, 'success');
         
         // Update audiogram in real-time
         document.dispatchEvent(new CustomEvent('update-audiogram', {
@@ -428,8 +429,9 @@ export class RetroUI {
         });
     }
 
-    recordPatientResponse() {
-        const responseTime = Date.now();
+    recordPatientResponse(event) {
+        // Press time on the performance.now() clock; the clinician measures the reaction time from the tone onset
+        const responseTime = event?.timeStamp ?? performance.now();
         
         // Visual feedback
         this.setLEDStatus('response-led', true);
@@ -443,8 +445,7 @@ export class RetroUI {
         // Dispatch response event
         document.dispatchEvent(new CustomEvent('patient-response', {
             detail: { 
-                timestamp: responseTime,
-                reactionTime: this.calculateReactionTime(responseTime)
+                timestamp: responseTime
             }
         }));
     }
@@ -645,12 +646,6 @@ export class RetroUI {
         }, 3000);
     }
 
-    calculateReactionTime(responseTime) {
-        // This would calculate based on when the tone was presented
-        // For now, return a placeholder
-        return Math.random() * 1000 + 200; // 200-1200ms
-    }
-
     render() {
         // Initialize power LED
         this.setLEDStatus('power-led', true);
@@ -0,0 +1,250 @@
+/**
+ * Speech Audiometry Panel
+ * Loads recorded word lists and runs SRT (spondees) or WRS (monosyllables) with SpeechAudiometry
+ * The clinician hears the patient repeat each word and scores it CORRECT or INCORRECT
+ */
+export class SpeechPanel {
+    constructor(speechAudiometry) {
+        this.speechAudiometry = speechAudiometry;
+        this.audioEngine = speechAudiometry.audioEngine;
+        this.isOpen = false;
+
+        this.elements = {
+            openButton: document.getElementById('speech-button'),
+            panel: document.getElementById('speech-panel'),
+            manifest: document.getElementById('speech-manifest'),
+            load: document.getElementById('speech-load'),
+            material: document.getElementById('speech-material'),
+            list: document.getElementById('speech-list'),
+            ear: document.getElementById('speech-ear'),
+            step: document.getElementById('speech-step'),
+            level: document.getElementById('speech-level'),
+            masking: document.getElementById('speech-masking'),
+            readout: document.getElementById('speech-readout'),
+            message: document.getElementById('speech-message'),
+            begin: document.getElementById('speech-begin'),
+            correct: document.getElementById('speech-correct'),
+            incorrect: document.getElementById('speech-incorrect'),
+            repeat: document.getElementById('speech-repeat'),
+            stop: document.getElementById('speech-stop'),
+            report: document.getElementById('speech-report'),
+            close: document.getElementById('speech-close')
+        };
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const { openButton, load, material, begin, correct, incorrect, repeat, stop, report, close } = this.elements;
+
+        openButton?.addEventListener('click', () => this.open());
+        load?.addEventListener('click', () => this.loadMaterial());
+        material?.addEventListener('change', () => this.refreshLists());
+        begin?.addEventListener('click', () => this.begin());
+        correct?.addEventListener('click', () => this.score(true));
+        incorrect?.addEventListener('click', () => this.score(false));
+        repeat?.addEventListener('click', () => this.repeat());
+        stop?.addEventListener('click', () => this.stopTest());
+        report?.addEventListener('click', () => {
+            document.dispatchEvent(new CustomEvent('clinical-report-requested'));
+        });
+        close?.addEventListener('click', () => this.close());
+
+        document.addEventListener('speech-item-presented', (event) => this.renderProgress(event.detail));
+        document.addEventListener('speech-test-completed', (event) => this.showResult(event.detail));
+    }
+
+    /**
+     * Enable or disable the SPEECH button (requires powered-on audio, no test running)
+     */
+    setEnabled(enabled) {
+        if (this.elements.openButton) {
+            this.elements.openButton.disabled = !enabled || this.isOpen;
+        }
+    }
+
+    // ==================== PANEL ====================
+
+    open() {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.elements.panel.hidden = false;
+        this.refreshMaterials();
+        this.setTestControls(false);
+        this.elements.readout.textContent = this.audioEngine.getSpeechMaterials().length > 0
+            ? 'SELECT MATERIAL AND EAR, PRESS BEGIN'
+            : 'LOAD A SPEECH MATERIAL MANIFEST';
+        this.showMessage('');
+        this.setEnabled(false);
+
+        document.dispatchEvent(new CustomEvent('speech-panel-state', { detail: { open: true } }));
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.speechAudiometry.stop();
+        this.isOpen = false;
+        this.elements.panel.hidden = true;
+
+        document.dispatchEvent(new CustomEvent('speech-panel-state', { detail: { open: false } }));
+    }
+
+    async loadMaterial() {
+        const url = this.elements.manifest.value.trim();
+        if (!url) return;
+
+        this.elements.load.disabled = true;
+        this.showMessage('LOADING...');
+        try {
+            const material = await this.audioEngine.loadSpeechMaterial(url);
+            this.refreshMaterials(material.id);
+            this.elements.readout.textContent = 'SELECT MATERIAL AND EAR, PRESS BEGIN';
+            this.showMessage(`${material.name} LOADED (${material.lists.length} LISTS)`);
+        } catch (error) {
+            this.showMessage(error.message);
+        } finally {
+            this.elements.load.disabled = false;
+        }
+    }
+
+    refreshMaterials(selectedId = this.elements.material.value) {
+        const { material } = this.elements;
+        const materials = this.audioEngine.getSpeechMaterials();
+
+        material.innerHTML = '';
+        materials.forEach(({ id, name, type }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${name.toUpperCase()} (${type === 'spondee' ? 'SRT' : 'WRS'})`;
+            material.appendChild(option);
+        });
+
+        if (materials.some(({ id }) => id === selectedId)) {
+            material.value = selectedId;
+        }
+        this.elements.begin.disabled = materials.length === 0;
+        this.refreshLists();
+    }
+
+    refreshLists() {
+        const { list } = this.elements;
+        const material = this.audioEngine.getSpeechMaterial(this.elements.material.value);
+
+        list.innerHTML = '';
+        material?.lists.forEach(({ id, name, length }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${name.toUpperCase()} (${length})`;
+            list.appendChild(option);
+        });
+
+        // The step size only applies to the SRT
+        this.elements.step.disabled = material?.type !== 'spondee';
+    }
+
+    // ==================== TEST ====================
+
+    begin() {
+        const material = this.audioEngine.getSpeechMaterial(this.elements.material.value);
+        if (!material) return;
+
+        const options = {
+            ear: this.elements.ear.value,
+            materialId: material.id,
+            listId: this.elements.list.value,
+            maskingLevel: this.readMaskingLevel()
+        };
+        const level = this.readNumber(this.elements.level);
+
+        try {
+            if (material.type === 'spondee') {
+                this.speechAudiometry.startSRT({ ...options, startLevel: level, stepSize: parseInt(this.elements.step.value, 10) });
+            } else {
+                this.speechAudiometry.startWRS({ ...options, level });
+            }
+            this.setTestControls(true);
+            this.showMessage('');
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    score(correct) {
+        try {
+            this.speechAudiometry.scoreItem(correct);
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    async repeat() {
+        try {
+            await this.speechAudiometry.repeatItem();
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+
+    stopTest() {
+        this.speechAudiometry.stop();
+        this.setTestControls(false);
+        this.elements.readout.textContent = 'TEST STOPPED - NO RESULT RECORDED';
+    }
+
+    renderProgress(progress) {
+        if (!progress) return;
+
+        const count = progress.totalItems ? `${progress.itemNumber}/${progress.totalItems}` : `${progress.itemNumber}`;
+        const phase = progress.test === 'srt' ? ` ${progress.phase.toUpperCase()}` : '';
+        const masking = progress.maskingLevel !== null ? ` - MASK ${progress.maskingLevel} DB EM` : '';
+
+        // The word is shown to the clinician for scoring
+        this.elements.readout.textContent =
+            `${progress.test.toUpperCase()}${phase} - ${progress.ear.toUpperCase()} EAR - WORD ${count} @ ${progress.level} DB HL${masking} - "${progress.word.toUpperCase()}"`;
+    }
+
+    showResult(result) {
+        this.setTestControls(false);
+
+        if (result.test === 'srt') {
+            const agreement = result.ptaAgreement;
+            const check = agreement
+                ? ` - ${agreement.agrees ? 'AGREES WITH' : 'DIFFERS FROM'} ${agreement.referenceType === 'two-frequency' ? '2-FREQ AVG' : 'PTA'} ${agreement.reference}`
+                : '';
+            this.elements.readout.textContent = `SRT ${result.ear.toUpperCase()} EAR: ${result.srt ?? 'NR'} DB HL${check}`;
+        } else {
+            this.elements.readout.textContent =
+                `WRS ${result.ear.toUpperCase()} EAR: ${result.score}% (${result.correct}/${result.total}) @ ${result.level} DB HL - ${result.category.toUpperCase()}`;
+        }
+        this.showMessage(result.incomplete ? 'WORD LIMIT REACHED - RESULT INCOMPLETE' : '');
+    }
+
+    setTestControls(running) {
+        const { correct, incorrect, repeat, stop, begin, load, material, list, ear, step, level, masking, report } = this.elements;
+
+        [correct, incorrect, repeat, stop].forEach(button => { button.disabled = !running; });
+        [load, material, list, ear, level, masking, report].forEach(control => { control.disabled = running; });
+        begin.disabled = running || this.audioEngine.getSpeechMaterials().length === 0;
+        step.disabled = running || this.audioEngine.getSpeechMaterial(material.value)?.type !== 'spondee';
+    }
+
+    /**
+     * Masking input: empty = recommended level (AUTO), 0 = off, otherwise dB EM
+     */
+    readMaskingLevel() {
+        const value = this.readNumber(this.elements.masking);
+        if (value === null) return undefined;
+        return value > 0 ? value : null;
+    }
+
+    readNumber(input) {
+        const value = parseFloat(input.value);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    showMessage(text) {
+        this.elements.message.textContent = text.toUpperCase();
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Hearing conservation reporting: recordable STS and baseline tests (ThresholdShiftAnalyzer,
+ * ClinicalReportGenerator.generateOccupationalReport)
+ * Run with: npm test
+ */
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThresholdShiftAnalyzer } from '../src/clinician/ThresholdShiftAnalyzer.js';
+import { TestProtocol } from '../src/clinician/TestProtocol.js';
+import { ClinicalReportGenerator } from '../src/ui/GuidanceSystem.js';
+
+let TestSession;
+
+before(async () => {
+    // TestSession saves itself to localStorage on every threshold
+    globalThis.localStorage = { getItem: () => null, setItem() {}, removeItem() {} };
+    ({ TestSession } = await import('../src/state/TestSession.js'));
+});
+
+const BASELINE = { 500: 10, 1000: 10, 2000: 15, 3000: 20, 4000: 25, 6000: 20 };
+const QUALITY = { overallConfidence: 0.85, reliability: 0.9, consistency: 0.8, malingeringRisk: 0.1, averageResponseTime: 650 };
+const NOISE_FREE = { hours: 16, attested: true, override: null };
+
+const shifted = shift => Object.fromEntries(Object.entries(BASELINE)
+    .map(([frequency, level]) => [frequency, [2000, 3000, 4000].includes(Number(frequency)) ? level + shift : level]));
+
+/**
+ * @param {string} date - Test date
+ * @param {string} testType - 'baseline' or 'annual'
+ * @param {Object} right - { frequency: dB HL } of the right ear
+ * @param {Object} left - { frequency: dB HL } of the left ear
+ */
+const occupationalTest = (date, testType, right, left, noiseFree = NOISE_FREE) => {
+    const session = new TestSession();
+    session.patientInfo = {
+        ...session.patientInfo,
+        id: 'W1',
+        testDate: date,
+        occupational: { testType, employer: 'Acme Press', jobTitle: 'Press operator', noiseExposure: 92, hearingProtection: 'earplugs', noiseFree }
+    };
+    Object.entries({ right, left }).forEach(([ear, thresholds]) => {
+        Object.entries(thresholds).forEach(([frequency, threshold]) => {
+            session.updateThreshold(ear, Number(frequency), { threshold, confidence: 0.9 });
+        });
+    });
+    return session;
+};
+
+const report = (session, thresholdShift) => {
+    const occupational = new TestProtocol().getOccupationalParams('occupational');
+    return new ClinicalReportGenerator().generateOccupationalReport(session.getKeyedResults(), QUALITY, {
+        protocolName: 'Occupational Hearing Conservation',
+        frequencies: occupational.requiredFrequencies,
+        earOrder: ['right', 'left'],
+        testDate: session.patientInfo.testDate,
+        patientInfo: session.patientInfo,
+        occupational,
+        thresholdShift
+    });
+};
+
+test('an STS with an average of 25 dB HL or more is recordable and goes on the OSHA 300 log', () => {
+    const sessions = [
+        occupationalTest('2020-03-01', 'baseline', BASELINE, BASELINE),
+        occupationalTest('2021-03-01', 'annual', shifted(12), shifted(5))
+    ];
+    const thresholdShift = new ThresholdShiftAnalyzer().analyze(sessions, { id: 'W1' });
+
+    const right = thresholdShift.ears.right.latest;
+    assert.equal(right.sts, true);
+    assert.equal(right.hearingLevel, 32);
+    assert.equal(right.recordable, true);
+    assert.equal(thresholdShift.ears.left.latest.recordable, false);
+
+    const lines = report(sessions[1], thresholdShift);
+    assert.ok(lines.includes('RECORDABILITY'));
+    assert.match(lines.find(line => line.startsWith('RIGHT  YES')), /32\s+YES$/);
+    assert.match(lines.find(line => line.startsWith('LEFT   NO')), /NO$/);
+    assert.ok(lines.includes('• RECORDABLE HEARING LOSS - RIGHT EAR'));
+    assert.ok(lines.includes('• ENTER ON THE OSHA 300 LOG WITHIN 7 CALENDAR DAYS'));
+    assert.ok(lines.includes('• NEXT ANNUAL AUDIOGRAM DUE BY 2022-03-01'));
+});
+
+test('an STS below 25 dB HL is not recordable', () => {
+    const low = Object.fromEntries(Object.keys(BASELINE).map(frequency => [frequency, 0]));
+    const sessions = [
+        occupationalTest('2020-03-01', 'baseline', low, low),
+        occupationalTest('2021-03-01', 'annual', { ...low, 2000: 10, 3000: 10, 4000: 15 }, low)
+    ];
+    const thresholdShift = new ThresholdShiftAnalyzer().analyze(sessions, { id: 'W1' });
+    const latest = thresholdShift.ears.right.latest;
+
+    assert.equal(latest.sts, true);
+    assert.equal(latest.hearingLevel, 11.7);
+    assert.equal(latest.recordable, false);
+    assert.ok(!report(sessions[1], thresholdShift).some(line => line.includes('OSHA 300')));
+});
+
+test('a baseline test revises the baseline and its shift is not an STS', () => {
+    const sessions = [
+        occupationalTest('2020-03-01', 'baseline', BASELINE, BASELINE),
+        occupationalTest('2022-03-20', 'baseline', shifted(12), shifted(5),
+            { hours: 8, attested: true, override: 'Shift change, retest booked' })
+    ];
+    const thresholdShift = new ThresholdShiftAnalyzer().analyze(sessions, { id: 'W1' });
+
+    ['right', 'left'].forEach(ear => {
+        assert.deepEqual(thresholdShift.ears[ear].revisions.map(({ date, reason }) => [date, reason]),
+            [['2022-03-20', 'baseline-test']]);
+        assert.equal(thresholdShift.ears[ear].latest.sts, false);
+        assert.equal(thresholdShift.ears[ear].latest.recordable, false);
+    });
+
+    const lines = report(sessions[1], thresholdShift);
+    assert.ok(!lines.some(line => line.includes('OSHA 300')));
+    assert.ok(lines.includes('• BASELINE VALIDITY IN DOUBT - RETEST AFTER A NOISE-FREE PERIOD'));
+    assert.ok(lines.includes('• THIS AUDIOGRAM IS THE REVISED BASELINE - RIGHT AND LEFT EAR'));
+});
@@ -0,0 +1,76 @@
+/**
+ * Occupational protocol checks before a test starts (TestProtocol.validateOccupationalInfo,
+ * AIClinician.beginProtocol)
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestProtocol } from '../src/clinician/TestProtocol.js';
+import { AIClinician } from '../src/clinician/AIClinician.js';
+
+const worker = (noiseFree, testType = 'baseline') => ({
+    id: 'W1',
+    occupational: { testType, employer: 'Acme Press', noiseFree }
+});
+
+test('a baseline without the attested noise-free period is blocked', () => {
+    const protocol = new TestProtocol();
+    const cases = [
+        { hours: null, attested: false, override: null },
+        { hours: 16, attested: false, override: null },     // Not attested
+        { hours: 8, attested: true, override: null },       // Too short
+        { hours: 8, attested: true, override: '   ' }       // Blank reason
+    ];
+
+    cases.forEach(noiseFree => {
+        const patientInfo = worker(noiseFree);
+        assert.equal(protocol.getNoiseFreeStatus(patientInfo, 'occupational'), 'missing');
+        const problems = protocol.validateOccupationalInfo(patientInfo, 'occupational');
+        assert.equal(problems.length, 1);
+        assert.match(problems[0], /14 hours without workplace noise/);
+    });
+});
+
+test('an attested noise-free period of at least 14 hours lets a baseline start', () => {
+    const protocol = new TestProtocol();
+    const patientInfo = worker({ hours: 14, attested: true, override: null });
+
+    assert.equal(protocol.getNoiseFreeStatus(patientInfo, 'occupational'), 'met');
+    assert.deepEqual(protocol.validateOccupationalInfo(patientInfo, 'occupational'), []);
+});
+
+test('a recorded override reason lets a baseline start without the noise-free period', () => {
+    const protocol = new TestProtocol();
+    const patientInfo = worker({ hours: 6, attested: true, override: 'Pre-placement exam, worker starts tomorrow' });
+
+    assert.equal(protocol.getNoiseFreeStatus(patientInfo, 'occupational'), 'overridden');
+    assert.deepEqual(protocol.validateOccupationalInfo(patientInfo, 'occupational'), []);
+});
+
+test('annual tests and clinical protocols need no noise-free period', () => {
+    const protocol = new TestProtocol();
+    const annual = worker({ hours: null, attested: false, override: null }, 'annual');
+
+    assert.equal(protocol.getNoiseFreeStatus(annual, 'occupational'), null);
+    assert.deepEqual(protocol.validateOccupationalInfo(annual, 'occupational'), []);
+    assert.equal(protocol.getNoiseFreeStatus(worker({}), 'hughson-westlake'), null);
+    assert.deepEqual(protocol.validateOccupationalInfo({}, 'hughson-westlake'), []);
+});
+
+test('an occupational test still needs a worker ID and a test type', () => {
+    const protocol = new TestProtocol();
+    const problems = protocol.validateOccupationalInfo({ id: null, occupational: null }, 'occupational');
+
+    assert.equal(problems.length, 2);
+});
+
+test('beginProtocol refuses a baseline without the noise-free period', async () => {
+    const clinician = new AIClinician();
+    clinician.setProtocol('occupational');
+    const patientInfo = worker({ hours: 8, attested: true, override: null });
+
+    // The check comes before the audio engine is touched, so none is needed
+    await assert.rejects(clinician.beginProtocol(null, null, { patientInfo }), /14 hours without workplace noise/);
+    await assert.rejects(clinician.beginProtocol(null, { patientInfo: { id: null, occupational: null } }), /patient ID/);
+    assert.equal(clinician.isTestActive, false);
+});
@@ -0,0 +1,75 @@
+/**
+ * Threshold shift comparison of a patient's audiograms (ThresholdShiftAnalyzer)
+ * Run with: npm test
+ */
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThresholdShiftAnalyzer } from '../src/clinician/ThresholdShiftAnalyzer.js';
+
+let TestSession;
+
+before(async () => {
+    // TestSession saves itself to localStorage on every threshold
+    globalThis.localStorage = { getItem: () => null, setItem() {}, removeItem() {} };
+    ({ TestSession } = await import('../src/state/TestSession.js'));
+});
+
+const BASELINE = { 500: 10, 1000: 10, 2000: 10, 3000: 15, 4000: 20, 6000: 20 };
+
+/**
+ * @param {string} date - Test date
+ * @param {Object} thresholds - { frequency: dB HL, or { threshold, noResponse } } of both ears
+ */
+const audiogram = (date, thresholds) => {
+    const session = new TestSession();
+    session.patientInfo = { ...session.patientInfo, id: 'W1', testDate: date };
+    ['right', 'left'].forEach(ear => {
+        Object.entries(thresholds).forEach(([frequency, value]) => {
+            const data = typeof value === 'number' ? { threshold: value } : value;
+            session.updateThreshold(ear, Number(frequency), { confidence: 0.9, ...data });
+        });
+    });
+    return session;
+};
+
+const shifted = shift => Object.fromEntries(Object.entries(BASELINE)
+    .map(([frequency, level]) => [frequency, [2000, 3000, 4000].includes(Number(frequency)) ? level + shift : level]));
+
+test('a shift of 10 dB or more at 2, 3 and 4 kHz is an STS', () => {
+    const result = new ThresholdShiftAnalyzer().analyze(
+        [audiogram('2023-03-01', BASELINE), audiogram('2024-03-01', shifted(15))],
+        { id: 'W1' }
+    );
+
+    const latest = result.ears.right.latest;
+    assert.equal(latest.averageShift, 15);
+    assert.equal(latest.sts, true);
+});
+
+test('a no-response is left out of the audiogram instead of counting as a threshold', () => {
+    const analyzer = new ThresholdShiftAnalyzer();
+    const noResponse = { ...BASELINE, 4000: { threshold: 120, masked: true, noResponse: true } };
+    const session = audiogram('2024-03-01', noResponse);
+
+    assert.equal(session.getThreshold('right', 4000).noResponse, true);
+    assert.equal(4000 in analyzer.toAudiogram(session).thresholds.right, false);
+
+    // Counted as 120 dB HL, it would be a recordable STS of 33 dB
+    const result = analyzer.analyze([audiogram('2023-03-01', BASELINE), session], { id: 'W1' });
+    const latest = result.ears.right.latest;
+    assert.equal(latest.assessable, false);
+    assert.deepEqual(latest.missingFrequencies, [4000]);
+    assert.equal(latest.sts, false);
+    assert.equal(latest.recordable, false);
+});
+
+test('a baseline session with a no-response at an STS frequency does not become the baseline', () => {
+    const noResponse = { ...BASELINE, 3000: { threshold: 120, masked: true, noResponse: true } };
+    const result = new ThresholdShiftAnalyzer().analyze(
+        [audiogram('2022-03-01', noResponse), audiogram('2023-03-01', BASELINE), audiogram('2024-03-01', shifted(15))],
+        { id: 'W1' }
+    );
+
+    assert.equal(result.ears.right.baseline.date, '2023-03-01');
+    assert.equal(result.ears.right.latest.sts, true);
+});